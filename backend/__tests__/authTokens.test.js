@@ -0,0 +1,97 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'a-test-secret-that-is-at-least-32-chars';
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost/fitera-test';
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const { issueAuthTokens, rotateRefreshToken } = require('../utils/authTokens');
+
+// In-memory refresh token collection
+const matches = (token, filter) => Object.entries(filter).every(([key, value]) => {
+  if (value && value.$gt) return token[key] > value.$gt;
+  if (value === null) return token[key] == null;
+  return String(token[key]) === String(value);
+});
+
+describe('refresh token rotation', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), username: 'lifter', email: 'lifter@example.com' };
+  let tokens;
+
+  const applyUpdate = (token, update) => Object.assign(token, update.$set);
+
+  beforeEach(() => {
+    tokens = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (fields) => {
+      tokens.push({ _id: new mongoose.Types.ObjectId(), ...fields });
+    });
+    jest.spyOn(RefreshToken, 'findOne').mockImplementation(async (filter) => tokens.find(token => matches(token, filter)) || null);
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation((filter, update) => ({
+      populate: async () => {
+        const token = tokens.find(candidate => matches(candidate, filter));
+        if (!token) return null;
+        // Returns the document as it was before the update, with the user populated
+        const before = { ...token, user };
+        applyUpdate(token, update);
+        return before;
+      }
+    }));
+    jest.spyOn(RefreshToken, 'updateOne').mockImplementation(async (filter, update) => {
+      const token = tokens.find(candidate => matches(candidate, filter));
+      if (token) applyUpdate(token, update);
+    });
+    jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+      tokens.filter(token => matches(token, filter)).forEach(token => applyUpdate(token, update));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('issues a new pair in the same session and revokes the old refresh token', async () => {
+    const issued = await issueAuthTokens(user);
+    const result = await rotateRefreshToken(issued.refreshToken);
+
+    expect(result.user).toBe(user);
+    expect(result.tokens.refreshToken).not.toBe(issued.refreshToken);
+    expect(jwt.decode(result.tokens.accessToken).sid).toBe(jwt.decode(issued.accessToken).sid);
+    expect(tokens).toHaveLength(2);
+    expect(tokens[0].revokedAt).toBeInstanceOf(Date);
+    expect(tokens[0].replacedByHash).toBe(tokens[1].tokenHash);
+    expect(tokens[1].revokedAt).toBeUndefined();
+  });
+
+  it('rotates a token only once', async () => {
+    const issued = await issueAuthTokens(user);
+    const results = await Promise.all([
+      rotateRefreshToken(issued.refreshToken),
+      rotateRefreshToken(issued.refreshToken)
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  it('revokes the whole session when a rotated token is reused', async () => {
+    const issued = await issueAuthTokens(user);
+    const other = await issueAuthTokens(user);
+    const rotated = await rotateRefreshToken(issued.refreshToken);
+
+    expect(await rotateRefreshToken(issued.refreshToken)).toBeNull();
+    expect(await rotateRefreshToken(rotated.tokens.refreshToken)).toBeNull();
+    expect(console.warn).toHaveBeenCalled();
+
+    // Sessions on other devices are left alone
+    expect(await rotateRefreshToken(other.refreshToken)).not.toBeNull();
+  });
+
+  it('rejects unknown and expired tokens', async () => {
+    const issued = await issueAuthTokens(user);
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    expect(await rotateRefreshToken(issued.refreshToken)).toBeNull();
+    expect(await rotateRefreshToken('not-a-token')).toBeNull();
+    expect(tokens[0].revokedAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,75 @@
+const {
+  ONE_REP_MAX_FORMULAS,
+  MAX_ESTIMATE_REPS,
+  estimateOneRM,
+  oneRMExpression
+} = require('../utils/oneRepMax');
+
+// Evaluates the aggregation operators oneRMExpression uses against one document
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)] ?? null;
+  if (expression === null || typeof expression !== 'object') return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const values = () => args.map(arg => evaluate(arg, doc));
+
+  switch (operator) {
+    case '$add': return values().reduce((sum, value) => sum + value, 0);
+    case '$subtract': return values()[0] - values()[1];
+    case '$multiply': return values().reduce((product, value) => product * value, 1);
+    case '$lt': return values()[0] < values()[1];
+    case '$lte': return values()[0] <= values()[1];
+    case '$ifNull': {
+      const [value, fallback] = values();
+      return value === null ? fallback : value;
+    }
+    case '$switch': {
+      const branch = args.branches.find(candidate => evaluate(candidate.case, doc));
+      return evaluate(branch ? branch.then : args.default, doc);
+    }
+    default:
+      throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+describe('one-rep max estimates', () => {
+  const sets = [];
+  for (let reps = 0; reps <= MAX_ESTIMATE_REPS + 3; reps++) {
+    sets.push({ weight: 100, reps });
+  }
+  sets.push(
+    { weight: 100, reps: 5, rpe: 8 },
+    { weight: 100, reps: 5, rpe: 7.5 },
+    { weight: 100, reps: 3, rir: 2 },
+    { weight: 100, reps: 8, rpe: 9.5, rir: 1 },
+    { weight: 100, reps: 12, rpe: 6 }
+  );
+
+  it.each(ONE_REP_MAX_FORMULAS)('matches the aggregation expression with %s', (formula) => {
+    const expression = oneRMExpression(formula);
+
+    sets.forEach(set => {
+      expect(evaluate(expression, set)).toBeCloseTo(estimateOneRM(set, formula), 6);
+    });
+  });
+
+  it('counts a single as the weight lifted', () => {
+    ONE_REP_MAX_FORMULAS.filter(formula => formula !== 'rpe').forEach(formula => {
+      expect(estimateOneRM({ weight: 140, reps: 1 }, formula)).toBe(140);
+    });
+  });
+
+  it('caps the reps counted', () => {
+    expect(estimateOneRM({ weight: 50, reps: 30 })).toBe(estimateOneRM({ weight: 50, reps: MAX_ESTIMATE_REPS }));
+  });
+
+  it('counts reps in reserve with the RPE chart', () => {
+    expect(estimateOneRM({ weight: 100, reps: 5, rpe: 8 }, 'rpe')).toBe(estimateOneRM({ weight: 100, reps: 7 }, 'rpe'));
+    expect(estimateOneRM({ weight: 100, reps: 1, rpe: 10 }, 'rpe')).toBe(100);
+  });
+
+  it('has no estimate without weight or reps', () => {
+    expect(estimateOneRM({ weight: 0, reps: 5 })).toBe(0);
+    expect(estimateOneRM({ weight: 100, reps: 0 })).toBe(0);
+  });
+});
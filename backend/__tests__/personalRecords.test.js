@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Workout = require('../models/Workout');
+const PersonalRecord = require('../models/PersonalRecord');
+const User = require('../models/User');
+const { updateRecordsForWorkout, rebuildAllRecords } = require('../utils/personalRecords');
+
+// In-memory personal record collection, enough for the rebuild's queries
+const matches = (record, filter) => Object.entries(filter).every(([key, value]) => {
+  if (key === '$nor') return !value.some(branch => matches(record, branch));
+  if (value && value.$nin) return !value.$nin.some(id => String(id) === String(record[key]));
+  if (value === null) return record[key] == null;
+  return String(record[key]) === String(value);
+});
+
+describe('personal record rebuild', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const exerciseId = new mongoose.Types.ObjectId();
+  let workouts;
+  let records;
+
+  const completedWorkout = (day, sets) => new Workout({
+    user: userId,
+    name: `Day ${day}`,
+    startTime: new Date(`2026-02-0${day}T10:00:00.000Z`),
+    isCompleted: true,
+    exercises: [{ exercise: exerciseId, sets }]
+  });
+
+  const current = (recordType, repCount) => records.filter(record => (
+    record.recordType === recordType && record.isCurrent && (!repCount || record.repCount === repCount)
+  ));
+
+  beforeEach(() => {
+    records = [];
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ preferences: { oneRepMaxFormula: 'epley' } }) })
+    });
+    jest.spyOn(Workout, 'find').mockImplementation(() => ({
+      sort: async () => [...workouts].sort((a, b) => a.startTime - b.startTime)
+    }));
+    jest.spyOn(Workout, 'distinct').mockImplementation(async () => [exerciseId]);
+    jest.spyOn(PersonalRecord, 'bulkWrite').mockImplementation(async (operations) => {
+      operations.forEach(({ updateOne: { filter, update } }) => {
+        let record = records.find(candidate => matches(candidate, filter));
+        if (!record) {
+          record = { _id: new mongoose.Types.ObjectId(), ...filter };
+          records.push(record);
+        }
+        Object.assign(record, update.$set);
+        Object.keys(update.$unset || {}).forEach(field => delete record[field]);
+      });
+    });
+    jest.spyOn(PersonalRecord, 'deleteMany').mockImplementation(async (filter) => {
+      records = records.filter(record => !matches(record, filter));
+    });
+    jest.spyOn(PersonalRecord, 'find').mockImplementation((filter) => ({
+      sort: async () => records
+        .filter(record => matches(record, filter))
+        .sort((a, b) => a.achievedAt - b.achievedAt)
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps one record per improvement and marks the best as current', async () => {
+    workouts = [
+      completedWorkout(1, [{ setNumber: 1, reps: 5, weight: 120, setType: 'warmup' }, { setNumber: 2, reps: 5, weight: 80 }]),
+      completedWorkout(2, [{ setNumber: 1, reps: 5, weight: 90 }]),
+      completedWorkout(3, [{ setNumber: 1, reps: 8, weight: 85 }])
+    ];
+
+    const setByLast = await updateRecordsForWorkout(userId, workouts[2]._id, [exerciseId]);
+
+    const maxWeights = records.filter(record => record.recordType === 'max_weight');
+    expect(maxWeights.map(record => record.value)).toEqual([80, 90]);
+    expect(maxWeights[1]).toMatchObject({ previousValue: 80, isCurrent: true });
+    expect(maxWeights[0].isCurrent).toBe(false);
+
+    // The warm-up never counts, and the 8 rep set only beats volume and 1RM
+    expect(current('rep_max', 5)[0].value).toBe(90);
+    expect(current('volume')[0].value).toBe(680);
+    expect(setByLast.map(record => record.recordType).sort()).toEqual(['1RM', 'rep_max', 'volume']);
+  });
+
+  it('updates records in place and deletes only the ones that are gone', async () => {
+    workouts = [
+      completedWorkout(1, [{ setNumber: 1, reps: 5, weight: 80 }]),
+      completedWorkout(2, [{ setNumber: 1, reps: 5, weight: 90 }])
+    ];
+    await rebuildAllRecords(userId);
+    const firstMaxWeight = records.find(record => record.recordType === 'max_weight' && record.value === 80);
+
+    // Deleting the second workout brings the first one's records back
+    workouts = [workouts[0]];
+    await rebuildAllRecords(userId);
+
+    const maxWeights = records.filter(record => record.recordType === 'max_weight');
+    expect(maxWeights).toHaveLength(1);
+    expect(maxWeights[0]._id).toBe(firstMaxWeight._id);
+    expect(maxWeights[0].isCurrent).toBe(true);
+    expect(records.every(record => record.workout.equals(workouts[0]._id))).toBe(true);
+
+    // New records are written before stale ones are removed
+    const bulkWriteOrder = PersonalRecord.bulkWrite.mock.invocationCallOrder;
+    const deleteOrder = PersonalRecord.deleteMany.mock.invocationCallOrder;
+    expect(bulkWriteOrder[bulkWriteOrder.length - 1]).toBeLessThan(deleteOrder[deleteOrder.length - 1]);
+  });
+
+  it('removes every record of an exercise without completed sets', async () => {
+    workouts = [completedWorkout(1, [{ setNumber: 1, reps: 5, weight: 80 }])];
+    await rebuildAllRecords(userId);
+    expect(records.length).toBeGreaterThan(0);
+
+    workouts = [completedWorkout(2, [{ setNumber: 1, reps: 5, weight: 60, setType: 'warmup' }])];
+    await rebuildAllRecords(userId);
+
+    expect(records).toEqual([]);
+  });
+});
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const Exercise = require('../models/Exercise');
+const Workout = require('../models/Workout');
+const User = require('../models/User');
+const { compareWrites, applyChange, getChangesSince } = require('../utils/sync');
+
+// In-memory stand-ins for the collections the sync helpers query
+const matches = (doc, query) => Object.entries(query).every(([key, value]) => {
+  if (key === '$or') return value.some(branch => matches(doc, branch));
+  const actual = doc.get(key);
+  if (value && typeof value === 'object' && '$gt' in value) {
+    return actual > value.$gt && actual <= value.$lte;
+  }
+  return String(actual ?? null) === String(value ?? null);
+});
+
+const queryOf = (docs) => {
+  const query = {
+    sort: () => query,
+    limit: (count) => queryOf(docs.slice(0, count)),
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+  return query;
+};
+
+const useStore = (Model, store, nextVersion) => {
+  jest.spyOn(Model, 'findOne').mockImplementation(async (query) => store.find(doc => matches(doc, query)) || null);
+  jest.spyOn(Model, 'find').mockImplementation((query) => queryOf(
+    store.filter(doc => matches(doc, query)).sort((a, b) => a.syncVersion - b.syncVersion)
+  ));
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    if (!store.includes(this)) store.push(this);
+    this.syncVersion = nextVersion();
+    return this;
+  });
+  jest.spyOn(Model.prototype, 'populate').mockImplementation(async function() {
+    return this;
+  });
+};
+
+describe('compareWrites', () => {
+  const write = (overrides) => ({
+    modifiedAt: '2026-01-01T10:00:00.000Z',
+    deviceId: 'device-a',
+    op: 'upsert',
+    ...overrides
+  });
+
+  it('lets the later write win', () => {
+    expect(compareWrites(write({ modifiedAt: '2026-01-01T10:00:01.000Z' }), write())).toBeGreaterThan(0);
+    expect(compareWrites(write(), write({ modifiedAt: '2026-01-01T10:00:01.000Z' }))).toBeLessThan(0);
+  });
+
+  it('breaks ties by device id and then lets deletes win', () => {
+    expect(compareWrites(write({ deviceId: 'device-b' }), write())).toBeGreaterThan(0);
+    expect(compareWrites(write({ op: 'delete' }), write())).toBeGreaterThan(0);
+    expect(compareWrites(write(), write({ op: 'delete' }))).toBeLessThan(0);
+  });
+
+  it('treats the same write as equal', () => {
+    expect(compareWrites(write(), write())).toBe(0);
+  });
+});
+
+describe('applyChange', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let exercises;
+  let workouts;
+  let version;
+
+  beforeEach(() => {
+    exercises = [];
+    workouts = [];
+    version = 0;
+    const nextVersion = () => ++version;
+    useStore(Exercise, exercises, nextVersion);
+    useStore(Workout, workouts, nextVersion);
+    jest.spyOn(User, 'committedSyncVersion').mockImplementation(async () => version);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const exerciseChange = (overrides) => ({
+    entity: 'exercise',
+    op: 'upsert',
+    clientId: 'exercise-1',
+    modifiedAt: '2026-01-01T10:00:00.000Z',
+    data: { name: 'Bench Press', category: 'Chest', equipment: 'Barbell', muscleGroups: ['chest'] },
+    ...overrides
+  });
+
+  it('creates a record the server has not seen', async () => {
+    const result = await applyChange(userId, 'device-a', exerciseChange());
+
+    expect(result).toEqual({ status: 'applied', version: 1 });
+    expect(exercises).toHaveLength(1);
+    expect(exercises[0].clientId).toBe('exercise-1');
+    expect(exercises[0].category).toBe('chest');
+    expect(exercises[0].isPublic).toBe(false);
+  });
+
+  it('applies a newer write and returns the server state for an older one', async () => {
+    await applyChange(userId, 'device-a', exerciseChange());
+    await applyChange(userId, 'device-b', exerciseChange({
+      modifiedAt: '2026-01-01T11:00:00.000Z',
+      data: { name: 'Incline Bench Press', category: 'chest', equipment: 'barbell' }
+    }));
+
+    const result = await applyChange(userId, 'device-a', exerciseChange({
+      modifiedAt: '2026-01-01T10:30:00.000Z',
+      data: { name: 'Flat Bench Press', category: 'chest', equipment: 'barbell' }
+    }));
+
+    expect(result.status).toBe('conflict');
+    expect(result.change).toMatchObject({
+      entity: 'exercise',
+      clientId: 'exercise-1',
+      deviceId: 'device-b',
+      version: 2,
+      data: { name: 'Incline Bench Press' }
+    });
+    expect(exercises).toHaveLength(1);
+    expect(exercises[0].name).toBe('Incline Bench Press');
+  });
+
+  it('keeps a tombstone for deletes', async () => {
+    await applyChange(userId, 'device-a', exerciseChange());
+    await applyChange(userId, 'device-a', exerciseChange({ op: 'delete', modifiedAt: '2026-01-01T11:00:00.000Z' }));
+
+    expect(exercises).toHaveLength(1);
+    expect(exercises[0].deletedAt).toBeInstanceOf(Date);
+  });
+
+  it('round-trips records created through the REST API by their _id', async () => {
+    const exercise = new Exercise({ name: 'Squat', category: 'legs', equipment: 'barbell', createdBy: userId, isCustom: true });
+    await exercise.save();
+    const workout = new Workout({
+      user: userId,
+      name: 'Leg Day',
+      startTime: new Date('2026-01-01T09:00:00.000Z'),
+      isCompleted: true,
+      exercises: [{ exercise: exercise._id, sets: [{ setNumber: 1, reps: 5, weight: 100 }] }]
+    });
+    await workout.save();
+
+    const { changes } = await getChangesSince(userId, 0, 10);
+    const pulled = changes.find(change => change.entity === 'workout');
+    expect(pulled.clientId).toBe(workout._id.toString());
+
+    const result = await applyChange(userId, 'device-a', {
+      entity: 'workout',
+      op: 'upsert',
+      clientId: pulled.clientId,
+      modifiedAt: '2026-01-02T10:00:00.000Z',
+      data: {
+        name: 'Leg Day (edited)',
+        startTime: '2026-01-01T09:00:00.000Z',
+        isCompleted: true,
+        exercises: [{
+          exercise: { clientId: exercise._id.toString(), name: 'Squat', category: 'legs', equipment: 'barbell' },
+          sets: [{ setNumber: 1, reps: 5, weight: 110, weightUnit: 'kg' }]
+        }]
+      }
+    });
+
+    expect(result.status).toBe('applied');
+    expect(workouts).toHaveLength(1);
+    expect(exercises).toHaveLength(1);
+    expect(workouts[0].name).toBe('Leg Day (edited)');
+    expect(workouts[0].clientId).toBeUndefined();
+    expect(workouts[0].exercises[0].exercise.toString()).toBe(exercise._id.toString());
+    expect(workouts[0].exercises[0].sets[0].weight).toBe(110);
+  });
+
+  it('does not fall back to records of other users', async () => {
+    const otherUser = new mongoose.Types.ObjectId();
+    const theirs = new Exercise({ name: 'Deadlift', category: 'back', equipment: 'barbell', createdBy: otherUser, isCustom: true });
+    await theirs.save();
+
+    const result = await applyChange(userId, 'device-a', exerciseChange({ clientId: theirs._id.toString() }));
+
+    expect(result.status).toBe('applied');
+    expect(exercises).toHaveLength(2);
+    expect(theirs.name).toBe('Deadlift');
+    expect(exercises[1].createdBy.toString()).toBe(userId.toString());
+  });
+});
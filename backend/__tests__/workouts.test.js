@@ -0,0 +1,149 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  req.user = { id: '64b000000000000000000001' };
+  next();
+});
+
+const Workout = require('../models/Workout');
+const Routine = require('../models/Routine');
+const Exercise = require('../models/Exercise');
+const { parseLimit, decodeCursor, afterCursor, buildPage, MAX_LIMIT } = require('../utils/pagination');
+
+const USER_ID = '64b000000000000000000001';
+
+const app = express();
+app.use(express.json());
+app.use('/api/workouts', require('../routes/workouts'));
+
+describe('cursor pagination', () => {
+  // Newest first, with two workouts starting at the same time
+  const workouts = [
+    { _id: new mongoose.Types.ObjectId('64b0000000000000000000a5'), startTime: new Date('2026-03-05T10:00:00Z') },
+    { _id: new mongoose.Types.ObjectId('64b0000000000000000000a4'), startTime: new Date('2026-03-04T10:00:00Z') },
+    { _id: new mongoose.Types.ObjectId('64b0000000000000000000a3'), startTime: new Date('2026-03-04T10:00:00Z') },
+    { _id: new mongoose.Types.ObjectId('64b0000000000000000000a2'), startTime: new Date('2026-03-02T10:00:00Z') },
+    { _id: new mongoose.Types.ObjectId('64b0000000000000000000a1'), startTime: new Date('2026-03-01T10:00:00Z') }
+  ];
+
+  // Evaluates the filter built by afterCursor for a (startTime desc, _id desc) ordering
+  const isAfter = (doc, filter) => filter.$or.some(branch => {
+    const { startTime, _id } = branch;
+    if (startTime.$lt) return doc.startTime < startTime.$lt;
+    return doc.startTime.getTime() === startTime.getTime() && doc._id.toString() < _id.$lt.toString();
+  });
+
+  const fetchPage = (cursor, limit) => {
+    const position = cursor && decodeCursor(cursor, { isDate: true });
+    const remaining = position
+      ? workouts.filter(doc => isAfter(doc, afterCursor('startTime', position)))
+      : workouts;
+    return buildPage(remaining.slice(0, limit + 1), limit, 'startTime');
+  };
+
+  it('walks every document once across pages, including ties', () => {
+    const seen = [];
+    let page = fetchPage(null, 2);
+    seen.push(...page.items);
+
+    while (page.hasMore) {
+      page = fetchPage(page.nextCursor, 2);
+      seen.push(...page.items);
+    }
+
+    expect(seen.map(doc => doc._id.toString())).toEqual(workouts.map(doc => doc._id.toString()));
+    expect(page.nextCursor).toBeNull();
+  });
+
+  it('rejects malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify({ v: 'x', id: 'nope' })).toString('base64url'))).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify({ v: 'x', id: USER_ID })).toString('base64url'), { isDate: true })).toBeNull();
+  });
+
+  it('clamps the page size', () => {
+    expect(parseLimit(undefined)).toBe(20);
+    expect(parseLimit('0')).toBe(20);
+    expect(parseLimit('5')).toBe(5);
+    expect(parseLimit('100000')).toBe(MAX_LIMIT);
+  });
+
+  it('answers an invalid cursor with a 400', async () => {
+    const res = await request(app).get('/api/workouts?cursor=garbage');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid cursor');
+  });
+});
+
+describe('workout writes', () => {
+  const exerciseId = '64b000000000000000000e01';
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Exercise, 'countDocuments').mockImplementation(async (query) => (
+      query._id.$in.filter(id => id === exerciseId).length
+    ));
+    // Runs schema validation, but nothing reaches a database
+    jest.spyOn(Workout.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates a workout with visible exercises', async () => {
+    const res = await request(app).post('/api/workouts').send({
+      name: 'Push',
+      exercises: [{ exercise: exerciseId, sets: [{ setNumber: 1, reps: 5, weight: 100 }] }]
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.workout.exercises[0].sets[0].weight).toBe(100);
+  });
+
+  it('answers invalid documents with field errors', async () => {
+    const res = await request(app).post('/api/workouts').send({
+      name: 'Push',
+      exercises: [{ exercise: exerciseId, sets: [{ setNumber: 1, reps: 'five' }] }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: expect.stringContaining('reps') })
+    ]));
+  });
+
+  it('rejects exercises the user cannot see', async () => {
+    const res = await request(app).post('/api/workouts').send({
+      name: 'Push',
+      exercises: [{ exercise: '64b000000000000000000e99', sets: [] }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('One or more exercises were not found');
+    expect(Workout.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects private routines of other users', async () => {
+    const workout = new Workout({ user: USER_ID, name: 'Push' });
+    jest.spyOn(Workout, 'findOne').mockResolvedValue(workout);
+    jest.spyOn(Routine, 'findById').mockResolvedValue(new Routine({
+      user: '64b000000000000000000002',
+      name: 'Their routine',
+      isPublic: false
+    }));
+
+    const res = await request(app).patch(`/api/workouts/${workout._id}`).send({ routine: '64b000000000000000000f01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Routine not found');
+    expect(Workout.prototype.save).not.toHaveBeenCalled();
+  });
+});
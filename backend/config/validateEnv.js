@@ -14,11 +14,13 @@ const requiredEnvVars = {
   required: [
     { name: 'PORT', default: '5000' },
     { name: 'NODE_ENV', default: 'development' },
-    { name: 'JWT_EXPIRE', default: '30d' },
+    { name: 'JWT_EXPIRE', default: '15m' },
+    { name: 'JWT_REFRESH_EXPIRE_DAYS', default: '30' },
     { name: 'FRONTEND_URL', default: 'http://localhost:19006' },
     { name: 'BCRYPT_ROUNDS', default: '10' },
     { name: 'RATE_LIMIT_WINDOW_MS', default: '900000' },
-    { name: 'RATE_LIMIT_MAX_REQUESTS', default: '100' }
+    { name: 'RATE_LIMIT_MAX_REQUESTS', default: '100' },
+    { name: 'PASSWORD_RESET_EXPIRE_MINUTES', default: '60' }
   ],
   
   // Optional variables
@@ -27,6 +29,10 @@ const requiredEnvVars = {
     'EMAIL_PORT',
     'EMAIL_USER',
     'EMAIL_PASS',
+    'EMAIL_FROM',
+    'MAIL_TRANSPORT',
+    'MAIL_OUTPUT_DIR',
+    'MAIL_TEMPLATE_DIR',
     'AWS_ACCESS_KEY_ID',
     'AWS_SECRET_ACCESS_KEY',
     'AWS_BUCKET_NAME',
@@ -73,6 +79,12 @@ function validateEnvironment() {
     }
   });
   
+  // Mail is only logged by default outside production
+  if (!process.env.MAIL_TRANSPORT) {
+    process.env.MAIL_TRANSPORT = process.env.NODE_ENV === 'production' ? 'smtp' : 'console';
+    warnings.push(`⚠️  Warning: MAIL_TRANSPORT not set, using default: ${process.env.MAIL_TRANSPORT}`);
+  }
+  
   // Check for insecure values
   if (process.env.JWT_SECRET && (
     process.env.JWT_SECRET.includes('your_') ||
@@ -95,6 +107,15 @@ function validateEnvironment() {
       warnings.push('⚠️  Warning: MONGODB_URI contains localhost in production');
     }
     
+    // Development mail transports write password reset links to logs or disk
+    if (['console', 'file'].includes(process.env.MAIL_TRANSPORT)) {
+      errors.push(`❌ Critical: MAIL_TRANSPORT is "${process.env.MAIL_TRANSPORT}" in production, which exposes password reset links`);
+    }
+    
+    if (process.env.MAIL_TRANSPORT === 'smtp' && !process.env.EMAIL_HOST) {
+      errors.push('❌ Critical: EMAIL_HOST is not set, password reset emails cannot be sent');
+    }
+    
     // Session secret should be set in production
     if (!process.env.SESSION_SECRET) {
       warnings.push('⚠️  Warning: SESSION_SECRET not set in production');
@@ -127,11 +148,13 @@ function validateEnvironment() {
     },
     jwt: {
       secret: process.env.JWT_SECRET,
-      expire: process.env.JWT_EXPIRE
+      expire: process.env.JWT_EXPIRE,
+      refreshExpireDays: parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS, 10)
     },
     security: {
       bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10),
       sessionSecret: process.env.SESSION_SECRET || process.env.JWT_SECRET,
+      passwordResetExpireMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10),
       rateLimit: {
         windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10),
         max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10)
@@ -141,7 +164,11 @@ function validateEnvironment() {
       host: process.env.EMAIL_HOST,
       port: process.env.EMAIL_PORT ? parseInt(process.env.EMAIL_PORT, 10) : undefined,
       user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
+      pass: process.env.EMAIL_PASS,
+      from: process.env.EMAIL_FROM || 'Fitera <no-reply@fitera.app>',
+      transport: process.env.MAIL_TRANSPORT,
+      outputDir: process.env.MAIL_OUTPUT_DIR || 'tmp/mail',
+      templateDir: process.env.MAIL_TEMPLATE_DIR
     },
     aws: {
       accessKeyId: process.env.AWS_ACCESS_KEY_ID,
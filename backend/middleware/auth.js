@@ -2,7 +2,7 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config');
 
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.header('Authorization');
   const token = authHeader && authHeader.split(' ')[1];
   
@@ -13,10 +13,9 @@ const authenticateToken = (req, res, next) => {
     });
   }
   
+  let verified;
   try {
-    const verified = jwt.verify(token, config.getJwtSecret());
-    req.user = verified;
-    next();
+    verified = jwt.verify(token, config.getJwtSecret());
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({ 
@@ -30,6 +29,28 @@ const authenticateToken = (req, res, next) => {
       message: 'The provided token is invalid'
     });
   }
+
+  try {
+    // Tokens issued before the last password change no longer count.
+    // JWT iat has whole seconds, so compare against the second of the change.
+    const user = await User.findById(verified.id).select('passwordChangedAt').lean();
+    if (!user || (user.passwordChangedAt &&
+        verified.iat < Math.floor(user.passwordChangedAt.getTime() / 1000))) {
+      return res.status(401).json({
+        error: 'Token Expired',
+        message: 'Your session has expired. Please login again.'
+      });
+    }
+  } catch (err) {
+    console.error('Authentication error:', err.message);
+    return res.status(500).json({
+      error: 'Server Error',
+      message: 'Could not verify authentication'
+    });
+  }
+
+  req.user = verified;
+  next();
 };
 
 module.exports = authenticateToken;
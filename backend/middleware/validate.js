@@ -0,0 +1,21 @@
+const { validationResult } = require('express-validator');
+
+// Reject the request with the same shape the auth routes use when
+// express-validator checks fail
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const userErrors = errors.array().map(err => ({
+      field: err.path,
+      message: err.msg
+    }));
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: userErrors
+    });
+  }
+  next();
+};
+
+module.exports = validateRequest;
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 
+// Stored in kg
+const MASS_FIELDS = ['weight', 'muscleMass'];
+// Stored in cm
+const LENGTH_FIELDS = ['chest', 'waist', 'hips', 'arm', 'thigh', 'calf'];
+// Stored as a percentage
+const PERCENT_FIELDS = ['bodyFat'];
+
+const METRIC_FIELDS = [...MASS_FIELDS, ...LENGTH_FIELDS, ...PERCENT_FIELDS];
+
 const BodyMeasurementSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,13 +20,23 @@ const BodyMeasurementSchema = new mongoose.Schema({
     default: Date.now
   },
   weight: Number,
+  bodyFat: Number,
+  muscleMass: Number,
   chest: Number,
   waist: Number,
   hips: Number,
   arm: Number,
   thigh: Number,
-  calf: Number
+  calf: Number,
+  notes: String
 }, { timestamps: true });
 
+BodyMeasurementSchema.index({ user: 1, date: -1, _id: -1 });
+
+BodyMeasurementSchema.statics.MASS_FIELDS = MASS_FIELDS;
+BodyMeasurementSchema.statics.LENGTH_FIELDS = LENGTH_FIELDS;
+BodyMeasurementSchema.statics.PERCENT_FIELDS = PERCENT_FIELDS;
+BodyMeasurementSchema.statics.METRIC_FIELDS = METRIC_FIELDS;
+
 const BodyMeasurement = mongoose.model('BodyMeasurement', BodyMeasurementSchema);
 module.exports = BodyMeasurement;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const syncable = require('./plugins/syncable');
 
 const ExerciseSchema = new mongoose.Schema({
   name: {
@@ -21,6 +22,12 @@ const ExerciseSchema = new mongoose.Schema({
   instructions: {
     type: String
   },
+  // Which fields a set is logged with
+  trackingType: {
+    type: String,
+    enum: ['weight_reps', 'reps', 'time', 'distance_time', 'weighted_bodyweight', 'assisted_bodyweight'],
+    default: 'weight_reps'
+  },
   isCustom: {
     type: Boolean,
     default: false
@@ -35,8 +42,26 @@ const ExerciseSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+ExerciseSchema.plugin(syncable, { ownerField: 'createdBy' });
+
 // Index for search functionality
 ExerciseSchema.index({ name: 'text', category: 'text' });
+ExerciseSchema.index({ name: 1, _id: 1 });
+
+/**
+ * Filter for the exercises a user may see: the built-in catalog, public
+ * custom exercises and their own private ones
+ */
+ExerciseSchema.statics.visibleTo = function(userId) {
+  return {
+    deletedAt: null,
+    $or: [
+      { createdBy: null },
+      { isPublic: true },
+      { createdBy: userId }
+    ]
+  };
+};
 
 const Exercise = mongoose.model('Exercise', ExerciseSchema);
 module.exports = Exercise;
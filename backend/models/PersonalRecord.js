@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const RECORD_TYPES = ['max_weight', '1RM', 'rep_max', 'volume'];
+
+// One entry per improvement: the latest entry of a kind is the current record
+const PersonalRecordSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  exercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise',
+    required: true
+  },
+  recordType: {
+    type: String,
+    enum: RECORD_TYPES,
+    required: true
+  },
+  // Rep count a rep_max applies to (e.g. 5 for a 5RM)
+  repCount: Number,
+  value: {
+    type: Number,
+    required: true
+  },
+  previousValue: Number,
+  // The set that set the record
+  weight: Number,
+  reps: Number,
+  workout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workout'
+  },
+  set: mongoose.Schema.Types.ObjectId,
+  achievedAt: {
+    type: Date,
+    required: true
+  },
+  isCurrent: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+PersonalRecordSchema.index({ user: 1, exercise: 1, recordType: 1, repCount: 1, achievedAt: -1 });
+PersonalRecordSchema.index({ user: 1, isCurrent: 1 });
+PersonalRecordSchema.index({ user: 1, achievedAt: -1, _id: -1 });
+
+PersonalRecordSchema.statics.RECORD_TYPES = RECORD_TYPES;
+
+const PersonalRecord = mongoose.model('PersonalRecord', PersonalRecordSchema);
+module.exports = PersonalRecord;
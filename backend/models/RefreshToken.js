@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Server-side record of an issued refresh token. Only a SHA-256 hash of the
+// token is stored. Every token belongs to a session (family): rotating a token
+// keeps the family, and presenting an already-rotated token revokes the
+// whole family since it means the token was leaked.
+const RefreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  replacedByHash: String,
+  createdByIp: String,
+  userAgent: String
+}, { timestamps: true });
+
+RefreshTokenSchema.index({ user: 1, family: 1 });
+
+// Let MongoDB purge expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+module.exports = RefreshToken;
@@ -1,4 +1,40 @@
 const mongoose = require('mongoose');
+const { GROUP_TYPES } = require('./Workout');
+const { WEIGHT_UNITS, fromKg } = require('../utils/units');
+
+// Planned values for one set of a routine exercise
+const TargetSetSchema = new mongoose.Schema({
+  reps: Number,
+  weight: Number, // in kg
+  isWarmup: {
+    type: Boolean,
+    default: false
+  },
+  restTime: Number, // in seconds
+  notes: String
+});
+
+const RoutineExerciseSchema = new mongoose.Schema({
+  exercise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise',
+    required: true
+  },
+  order: Number,
+  targetSets: [TargetSetSchema],
+  // Uniform targets, used when targetSets is empty
+  sets: Number,
+  reps: Number,
+  weight: Number, // in kg
+  restTime: Number, // in seconds
+  // Entries sharing a groupId are done as one superset or circuit
+  groupId: String,
+  groupType: {
+    type: String,
+    enum: GROUP_TYPES
+  },
+  notes: String
+});
 
 const RoutineSchema = new mongoose.Schema({
   name: {
@@ -6,25 +42,95 @@ const RoutineSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  description: String,
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  exercises: [{
-    exercise: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Exercise'
-    },
-    sets: Number,
-    reps: Number,
-    weight: Number
-  }],
+  exercises: [RoutineExerciseSchema],
+  // Unit target weights were entered in
+  weightUnit: {
+    type: String,
+    enum: WEIGHT_UNITS,
+    default: 'kg'
+  },
   isPublic: {
     type: Boolean,
     default: false
   }
 }, { timestamps: true });
 
+// Target weights are stored in kg and sent in the routine's weight unit
+RoutineSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    (ret.exercises || []).forEach(entry => {
+      entry.weight = fromKg(entry.weight, ret.weightUnit);
+      (entry.targetSets || []).forEach(target => {
+        target.weight = fromKg(target.weight, ret.weightUnit);
+      });
+    });
+    return ret;
+  }
+});
+
+// Keep exercises stored in their order, numbered 0..n-1
+RoutineSchema.pre('validate', function(next) {
+  if (this.isModified('exercises')) {
+    const sorted = this.exercises
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => {
+        const orderA = a.entry.order ?? a.index;
+        const orderB = b.entry.order ?? b.index;
+        return orderA - orderB || a.index - b.index;
+      })
+      .map(({ entry }) => entry);
+
+    sorted.forEach((entry, index) => {
+      entry.order = index;
+    });
+    this.exercises = sorted;
+  }
+  next();
+});
+
+/**
+ * Whether a user may view, duplicate or start this routine
+ */
+RoutineSchema.methods.isVisibleTo = function(userId) {
+  return this.isPublic || this.user.toString() === userId;
+};
+
+/**
+ * Workout exercises pre-populated with this routine's set targets
+ */
+RoutineSchema.methods.toWorkoutExercises = function() {
+  return this.exercises.map(entry => {
+    const targets = entry.targetSets.length > 0
+      ? entry.targetSets
+      : Array.from({ length: entry.sets || 0 }, () => ({
+        reps: entry.reps,
+        weight: entry.weight,
+        restTime: entry.restTime
+      }));
+
+    return {
+      exercise: entry.exercise,
+      notes: entry.notes,
+      groupId: entry.groupId,
+      groupType: entry.groupType,
+      sets: targets.map((target, index) => ({
+        setNumber: index + 1,
+        reps: target.reps,
+        weight: target.weight,
+        weightUnit: this.weightUnit,
+        isWarmup: !!target.isWarmup,
+        restTime: target.restTime ?? entry.restTime,
+        notes: target.notes
+      }))
+    };
+  });
+};
+
 const Routine = mongoose.model('Routine', RoutineSchema);
 module.exports = Routine;
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { WEIGHT_UNITS, LENGTH_UNITS } = require('../utils/units');
+const { ONE_REP_MAX_FORMULAS, DEFAULT_ONE_REP_MAX_FORMULA } = require('../utils/oneRepMax');
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A sync version in flight this long belongs to a save that never finished
+const SYNC_IN_FLIGHT_TIMEOUT_MS = 60 * 1000;
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -16,15 +24,124 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Only the SHA-256 hash of the emailed reset token is stored
+  resetPasswordToken: {
+    type: String,
+    index: true,
+    select: false,
+  },
+  resetPasswordExpires: {
+    type: Date,
+    select: false,
+  },
+  passwordChangedAt: Date,
+  // Units the user enters and reads values in; values are stored in metric
+  preferences: {
+    weightUnit: {
+      type: String,
+      enum: WEIGHT_UNITS,
+      default: 'kg',
+    },
+    lengthUnit: {
+      type: String,
+      enum: LENGTH_UNITS,
+      default: 'cm',
+    },
+    oneRepMaxFormula: {
+      type: String,
+      enum: ONE_REP_MAX_FORMULAS,
+      default: DEFAULT_ONE_REP_MAX_FORMULA,
+    },
+  },
+  // Last sync version handed out to this user's documents
+  syncSeq: {
+    type: Number,
+    default: 0,
+  },
+  // Sync versions handed out to saves that haven't finished yet
+  syncInFlight: {
+    type: [{ version: Number, startedAt: Date, _id: false }],
+    select: false,
+  },
 }, { timestamps: true });
 
 // Pre-save hook for hashing password
 UserSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) next();
+  if (!this.isModified('password')) return next();
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
   next();
 });
 
+/**
+ * Generate a single-use password reset token.
+ * Stores its hash and expiry on the user and returns the raw token to email.
+ */
+UserSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = hashResetToken(token);
+  this.resetPasswordExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+UserSchema.methods.clearPasswordResetToken = function() {
+  this.resetPasswordToken = undefined;
+  this.resetPasswordExpires = undefined;
+};
+
+/**
+ * Find the user holding an unexpired reset token
+ */
+UserSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    resetPasswordToken: hashResetToken(token),
+    resetPasswordExpires: { $gt: new Date() }
+  }).select('+resetPasswordToken +resetPasswordExpires');
+};
+
+/**
+ * Hand out the next sync version of a user and mark it in flight, in one
+ * atomic update so a pull never sees the version without its marker
+ * @returns {Promise<number|null>} the version, null for an unknown user
+ */
+UserSchema.statics.allocateSyncVersion = async function(userId) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - SYNC_IN_FLIGHT_TIMEOUT_MS);
+  const user = await this.findByIdAndUpdate(userId, [
+    { $set: { syncSeq: { $add: [{ $ifNull: ['$syncSeq', 0] }, 1] } } },
+    {
+      $set: {
+        syncInFlight: {
+          $concatArrays: [
+            { $filter: { input: { $ifNull: ['$syncInFlight', []] }, cond: { $gt: ['$$this.startedAt', staleBefore] } } },
+            [{ version: '$syncSeq', startedAt: now }]
+          ]
+        }
+      }
+    }
+  ], { new: true, select: 'syncSeq' });
+  return user ? user.syncSeq : null;
+};
+
+// The save holding a sync version finished, or failed
+UserSchema.statics.releaseSyncVersion = function(userId, version) {
+  return this.updateOne({ _id: userId }, { $pull: { syncInFlight: { version } } });
+};
+
+/**
+ * Highest sync version below every version still in flight. Documents up
+ * to it are all written, so a pull cursor can safely move up to it.
+ */
+UserSchema.statics.committedSyncVersion = async function(userId) {
+  const user = await this.findById(userId).select('syncSeq +syncInFlight').lean();
+  if (!user) return 0;
+
+  const staleBefore = Date.now() - SYNC_IN_FLIGHT_TIMEOUT_MS;
+  const inFlight = (user.syncInFlight || [])
+    .filter(entry => new Date(entry.startedAt).getTime() > staleBefore)
+    .map(entry => entry.version);
+  return inFlight.length > 0 ? Math.min(user.syncSeq, Math.min(...inFlight) - 1) : user.syncSeq;
+};
+
 const User = mongoose.model('User', UserSchema);
 module.exports = User;
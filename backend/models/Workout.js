@@ -1,9 +1,27 @@
 const mongoose = require('mongoose');
+const syncable = require('./plugins/syncable');
+const { updateRecordsForWorkout } = require('../utils/personalRecords');
+const { WEIGHT_UNITS, fromKg } = require('../utils/units');
+
+const GROUP_TYPES = ['superset', 'circuit'];
+const SET_TYPES = ['warmup', 'working', 'drop', 'failure', 'amrap', 'myo_rep'];
+
+// Set types that still have their own boolean flag
+const SET_TYPE_FLAGS = {
+  warmup: 'isWarmup',
+  drop: 'isDropset',
+  failure: 'isFailure'
+};
 
 const SetSchema = new mongoose.Schema({
   setNumber: Number,
   reps: Number,
-  weight: Number,
+  weight: Number, // in kg
+  weightUnit: { // unit the weight was entered in
+    type: String,
+    enum: WEIGHT_UNITS,
+    default: 'kg'
+  },
   isWarmup: {
     type: Boolean,
     default: false
@@ -16,10 +34,58 @@ const SetSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  setType: {
+    type: String,
+    enum: SET_TYPES,
+    default: 'working'
+  },
+  rpe: { // rate of perceived exertion, 1-10
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  rir: { // reps in reserve
+    type: Number,
+    min: 0
+  },
+  duration: Number, // in seconds, for timed sets
+  distance: Number,
   restTime: Number, // in seconds
   notes: String
 });
 
+// Weights are stored in kg and sent in the unit they were entered in
+SetSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.weight = fromKg(ret.weight, ret.weightUnit);
+    return ret;
+  }
+});
+
+const typeFromFlags = (set) => (
+  Object.keys(SET_TYPE_FLAGS).find(type => set[SET_TYPE_FLAGS[type]]) || 'working'
+);
+
+/**
+ * Type of a set, falling back to the boolean flags for sets saved before
+ * set types existed
+ */
+const setTypeOf = (set) => set.setType || typeFromFlags(set);
+
+// Keep the set type and the boolean flags in step; an explicit type wins
+SetSchema.pre('validate', function(next) {
+  const flags = Object.values(SET_TYPE_FLAGS);
+
+  if (this.isModified('setType') && !this.$isDefault('setType')) {
+    Object.entries(SET_TYPE_FLAGS).forEach(([type, flag]) => {
+      this[flag] = this.setType === type;
+    });
+  } else if (flags.some(flag => this.isModified(flag)) || !this.setType) {
+    this.setType = typeFromFlags(this);
+  }
+  next();
+});
+
 const WorkoutExerciseSchema = new mongoose.Schema({
   exercise: {
     type: mongoose.Schema.Types.ObjectId,
@@ -31,6 +97,12 @@ const WorkoutExerciseSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Exercise'
   },
+  // Entries sharing a groupId are done as one superset or circuit
+  groupId: String,
+  groupType: {
+    type: String,
+    enum: GROUP_TYPES
+  },
   notes: String
 });
 
@@ -54,7 +126,7 @@ const WorkoutSchema = new mongoose.Schema({
   },
   endTime: Date,
   exercises: [WorkoutExerciseSchema],
-  totalVolume: Number, // calculated total weight lifted
+  totalVolume: Number, // calculated total weight lifted, in kg
   duration: Number, // in minutes
   notes: String,
   isCompleted: {
@@ -63,12 +135,22 @@ const WorkoutSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+WorkoutSchema.statics.GROUP_TYPES = GROUP_TYPES;
+WorkoutSchema.statics.SET_TYPES = SET_TYPES;
+WorkoutSchema.statics.setTypeOf = setTypeOf;
+
+WorkoutSchema.plugin(syncable, { ownerField: 'user' });
+
+// Indexes for the paginated history and its filters
+WorkoutSchema.index({ user: 1, startTime: -1, _id: -1 });
+WorkoutSchema.index({ user: 1, 'exercises.exercise': 1 });
+
 // Calculate total volume before saving
 WorkoutSchema.pre('save', function(next) {
-  if (this.exercises && this.exercises.length > 0) {
+  if (this.exercises) {
     this.totalVolume = this.exercises.reduce((total, exercise) => {
       const exerciseVolume = exercise.sets.reduce((setTotal, set) => {
-        return setTotal + (set.weight * set.reps);
+        return setTotal + ((set.weight || 0) * (set.reps || 0));
       }, 0);
       return total + exerciseVolume;
     }, 0);
@@ -81,5 +163,43 @@ WorkoutSchema.pre('save', function(next) {
   next();
 });
 
+// Changes that can add, move or remove personal records
+const RECORD_FIELDS = ['exercises', 'isCompleted', 'deletedAt', 'startTime', 'endTime'];
+
+WorkoutSchema.pre('save', async function(next) {
+  // In-progress workouts don't count until they are completed
+  const affectsRecords = this.isCompleted || this.isModified('isCompleted');
+  this.$locals.recordsStale = affectsRecords && (this.isNew || RECORD_FIELDS.some(field => this.isModified(field)));
+  this.$locals.previousExerciseIds = [];
+
+  // Exercises removed by this save still need their records rebuilt
+  if (this.$locals.recordsStale && !this.isNew) {
+    const previous = await this.constructor.findById(this._id).select('exercises.exercise').lean();
+    if (previous) {
+      this.$locals.previousExerciseIds = previous.exercises.map(entry => entry.exercise);
+    }
+  }
+  next();
+});
+
+// Keep personal records in step with completed workouts
+WorkoutSchema.post('save', async function(doc) {
+  doc.$locals.personalRecords = [];
+  if (!doc.$locals.recordsStale) return;
+
+  const exerciseIds = [
+    ...doc.exercises.map(entry => entry.exercise),
+    ...doc.$locals.previousExerciseIds
+  ].filter(Boolean);
+  if (exerciseIds.length === 0) return;
+
+  try {
+    doc.$locals.personalRecords = await updateRecordsForWorkout(doc.user, doc._id, exerciseIds);
+  } catch (error) {
+    // Records can be rebuilt later; never fail the workout save over them
+    console.error('Failed to update personal records:', error);
+  }
+});
+
 const Workout = mongoose.model('Workout', WorkoutSchema);
 module.exports = Workout;
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mongoose plugin for documents that take part in offline sync.
+ *
+ * Adds the device-side identity (clientId), a tombstone (deletedAt) and a
+ * per-user, monotonically increasing syncVersion that clients use as their
+ * pull cursor. A version stays in flight until its save finishes, so pulls
+ * don't move past a version that is still being written. clientModifiedAt /
+ * modifiedByDevice record who wrote the current version, which is what
+ * conflict resolution compares.
+ *
+ * @param {string} options.ownerField - path holding the owning user's id
+ */
+const syncable = (schema, { ownerField }) => {
+  schema.add({
+    clientId: String,
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    syncVersion: Number,
+    clientModifiedAt: Date,
+    modifiedByDevice: String
+  });
+
+  schema.index(
+    { [ownerField]: 1, clientId: 1 },
+    { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+  );
+  schema.index({ [ownerField]: 1, syncVersion: 1 });
+
+  schema.pre('save', async function(next) {
+    const owner = this.get(ownerField);
+    if (!owner) return next();
+
+    // Writes that don't come through sync (REST API) count as a server edit made now
+    if (!this.isModified('clientModifiedAt')) {
+      this.clientModifiedAt = new Date();
+      this.modifiedByDevice = 'server';
+    }
+
+    const version = await mongoose.model('User').allocateSyncVersion(owner);
+    if (version !== null) {
+      this.syncVersion = version;
+      this.$locals.syncVersionInFlight = version;
+    }
+    next();
+  });
+
+  const releaseSyncVersion = async (doc) => {
+    const version = doc.$locals.syncVersionInFlight;
+    if (version === undefined) return;
+    delete doc.$locals.syncVersionInFlight;
+    await mongoose.model('User').releaseSyncVersion(doc.get(ownerField), version);
+  };
+
+  schema.post('save', async function(doc) {
+    await releaseSyncVersion(doc);
+  });
+
+  // A failed save gives its version up too; the original error still surfaces
+  schema.post('save', function(error, doc, next) {
+    releaseSyncVersion(doc).then(() => next(error), () => next(error));
+  });
+
+  // Tombstone the document so the deletion reaches other devices
+  schema.methods.softDelete = function() {
+    this.deletedAt = new Date();
+    return this.save();
+  };
+};
+
+module.exports = syncable;
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const authenticateToken = require('../middleware/auth');
+const validateRequest = require('../middleware/validate');
+const analytics = require('../utils/analytics');
+
+const MAX_TIMEFRAME_DAYS = 730;
+
+const isTimeZone = (value) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const timeframeQuery = query('timeframe').optional()
+  .isInt({ min: 1, max: MAX_TIMEFRAME_DAYS }).withMessage(`timeframe must be between 1 and ${MAX_TIMEFRAME_DAYS} days`)
+  .toInt();
+
+// Days are bucketed in this time zone so weeks line up with the user's calendar
+const timezoneQuery = query('timezone').optional()
+  .custom(isTimeZone).withMessage('timezone must be an IANA time zone name');
+
+const options = (req) => ({
+  timeframe: req.query.timeframe,
+  timezone: req.query.timezone
+});
+
+// Run an analytics query and send its result
+const respondWith = (compute) => async (req, res) => {
+  try {
+    res.json(await compute(req));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   GET /api/analytics/muscle-balance
+// @desc    Volume per muscle group with imbalances and recommendations
+// @query   timeframe (days, default 30), timezone
+// @access  Private
+router.get('/muscle-balance', authenticateToken, [timeframeQuery, timezoneQuery], validateRequest,
+  respondWith(req => analytics.getMuscleGroupBalance(req.user.id, options(req))));
+
+// @route   GET /api/analytics/progression/:exerciseId
+// @desc    Best set per workout, weekly trend and projections for one exercise
+// @query   timeframe (days, default 90), timezone
+// @access  Private
+router.get('/progression/:exerciseId', authenticateToken, [
+  param('exerciseId').isMongoId().withMessage('Invalid exercise id'),
+  timeframeQuery,
+  timezoneQuery
+], validateRequest,
+  respondWith(req => analytics.getProgressionTrends(req.user.id, req.params.exerciseId, options(req))));
+
+// @route   GET /api/analytics/strength-ratios
+// @desc    Estimated 1RM ratios between key lifts compared to ideal ratios
+// @access  Private
+router.get('/strength-ratios', authenticateToken,
+  respondWith(req => analytics.getStrengthRatios(req.user.id)));
+
+// @route   GET /api/analytics/volume-distribution
+// @desc    Weekly volume, volume per exercise and insights
+// @query   timeframe (days, default 30), timezone
+// @access  Private
+router.get('/volume-distribution', authenticateToken, [timeframeQuery, timezoneQuery], validateRequest,
+  respondWith(req => analytics.getVolumeDistribution(req.user.id, options(req))));
+
+// @route   GET /api/analytics/personal-records
+// @desc    Best lifts per exercise, strongest first
+// @query   limit (default 10), timezone
+// @access  Private
+router.get('/personal-records', authenticateToken, [
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100').toInt(),
+  timezoneQuery
+], validateRequest,
+  respondWith(req => analytics.getPersonalRecords(req.user.id, { limit: req.query.limit, timezone: req.query.timezone })));
+
+// @route   GET /api/analytics/frequency
+// @desc    Training days, weekly stats, streaks and recommendations
+// @query   timeframe (days, default 90), timezone
+// @access  Private
+router.get('/frequency', authenticateToken, [timeframeQuery, timezoneQuery], validateRequest,
+  respondWith(req => analytics.getWorkoutFrequencyAnalysis(req.user.id, options(req))));
+
+// @route   GET /api/analytics/summary
+// @desc    All of the above plus an overall fitness score
+// @query   timeframe (days, default 30), timezone
+// @access  Private
+router.get('/summary', authenticateToken, [timeframeQuery, timezoneQuery], validateRequest,
+  respondWith(req => analytics.getComprehensiveAnalytics(req.user.id, options(req))));
+
+module.exports = router;
@@ -3,7 +3,15 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const generateToken = require('../utils/generateToken');
+const config = require('../config');
+const authenticateToken = require('../middleware/auth');
+const {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/authTokens');
+const { sendPasswordResetEmail } = require('../utils/mailer');
 
 // Helper function to generate password reset link
 const generatePasswordResetLink = (token) => {
@@ -13,6 +21,24 @@ const generatePasswordResetLink = (token) => {
   return `${baseUrl}/reset-password/${token}`;
 };
 
+// Token fields shared by every endpoint that starts or renews a session.
+// `token` is kept for clients that only know the single-token response.
+const tokenPayload = (tokens) => ({
+  token: tokens.accessToken,
+  access_token: tokens.accessToken,
+  refresh_token: tokens.refreshToken,
+  expires_in: tokens.expiresIn
+});
+
+// Refresh tokens are accepted in the body or as a Bearer token
+const getRefreshTokenFromRequest = (req) => {
+  if (req.body && (req.body.refreshToken || req.body.refresh_token)) {
+    return req.body.refreshToken || req.body.refresh_token;
+  }
+  const authHeader = req.header('Authorization');
+  return authHeader && authHeader.split(' ')[1];
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -54,12 +80,12 @@ router.post('/register', [
     const user = new User({ username, email, password });
     await user.save();
 
-    // Generate token
-    const token = generateToken(user);
+    // Start a session
+    const tokens = await issueAuthTokens(user, req);
 
     res.status(201).json({
       message: 'User created successfully',
-      token,
+      ...tokenPayload(tokens),
       user: {
         id: user._id,
         username: user.username,
@@ -126,12 +152,12 @@ router.post('/login', [
       });
     }
 
-    // Generate token
-    const token = generateToken(user);
+    // Start a session
+    const tokens = await issueAuthTokens(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokenPayload(tokens),
       user: {
         id: user._id,
         username: user.username,
@@ -159,6 +185,103 @@ router.post('/login', [
     });
   }
 });
+
+// @route   POST /api/auth/refresh-token
+// @desc    Exchange a refresh token for a new access/refresh token pair
+//          (also served at /refresh for the secure auth client)
+// @access  Public (requires a valid refresh token)
+router.post(['/refresh-token', '/refresh'], async (req, res) => {
+  try {
+    const refreshToken = getRefreshTokenFromRequest(req);
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required',
+        code: 'AUTH_REFRESH_TOKEN_MISSING'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has expired. Please login again.',
+        code: 'AUTH_REFRESH_TOKEN_INVALID'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...tokenPayload(result.tokens)
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Request failed. Please try again later.',
+      code: 'OPERATION_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session (or every session with allDevices: true)
+// @access  Private
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.body && req.body.allDevices) {
+      await revokeAllSessions(req.user.id);
+    } else if (req.user.sid) {
+      await revokeSession(req.user.id, req.user.sid);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Request failed. Please try again later.',
+      code: 'OPERATION_FAILED'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get the authenticated user
+// @access  Private
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        code: 'AUTH_USER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        createdAt: user.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Get current user error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Request failed. Please try again later.',
+      code: 'OPERATION_FAILED'
+    });
+  }
+});
+
 // @route   POST /api/auth/forgot-password
 // @desc    Initiate password reset
 // @access  Public
@@ -180,16 +303,19 @@ router.post('/forgot-password', [
     }
 
     const { email } = req.body;
-    
-    // For demo/testing purposes when DB is not available
-    // In production, you would check if the user exists in the database
-    console.log(`Password reset requested for: ${email}`);
-    
-    // Generate mock reset token
-    const resetToken = 'mock-reset-token-' + Date.now();
-    
-    // Log the reset link (in production, this would be sent via email)
-    console.log(`Password reset link: ${generatePasswordResetLink(resetToken)}`);
+    const user = await User.findOne({ email });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken(config.security.passwordResetExpireMinutes);
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user.email, generatePasswordResetLink(resetToken));
+      } catch (mailError) {
+        // Don't reveal delivery problems to the client, the user can simply retry
+        console.error('Password reset email failed:', mailError.message);
+      }
+    }
 
     // Always return success to prevent email enumeration
     res.json({
@@ -205,6 +331,42 @@ router.post('/forgot-password', [
   }
 });
 
+// @route   POST /api/auth/verify-reset-token
+// @desc    Check a password reset token before showing the reset form
+// @access  Public
+router.post('/verify-reset-token', [
+  body('token').notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByResetToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    res.json({
+      success: true,
+      email: user.email
+    });
+  } catch (error) {
+    console.error('Verify reset token error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Request failed. Please try again later.'
+    });
+  }
+});
+
 // @route   POST /api/auth/reset-password
 // @desc    Reset password with token
 // @access  Public
@@ -222,7 +384,7 @@ router.post('/reset-password', [
     }
 
     const { token, password } = req.body;
-    const user = await User.findOne({ resetPasswordToken: token });
+    const user = await User.findByResetToken(token);
     if (!user) {
       return res.status(400).json({
         success: false,
@@ -230,11 +392,15 @@ router.post('/reset-password', [
       });
     }
 
-    // Update user password
-    user.password = bcrypt.hashSync(password, 10);
-    user.resetPasswordToken = undefined;
+    // Update user password (hashed by the User pre-save hook) and burn the token
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    user.clearPasswordResetToken();
     await user.save();
 
+    // Sign out every device that was using the old password
+    await revokeAllSessions(user._id);
+
     res.json({
       success: true,
       message: 'Password reset successful'
@@ -1,15 +1,110 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
 const authenticateToken = require('../middleware/auth');
+const validateRequest = require('../middleware/validate');
 const Exercise = require('../models/Exercise');
+const { parseLimit, decodeCursor, afterCursor, buildPage } = require('../utils/pagination');
+
+const CATEGORIES = Exercise.schema.path('category').enumValues;
+const EQUIPMENT = Exercise.schema.path('equipment').enumValues;
+const TRACKING_TYPES = Exercise.schema.path('trackingType').enumValues;
+const EDITABLE_FIELDS = ['name', 'category', 'equipment', 'muscleGroups', 'instructions', 'trackingType', 'isPublic'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a comma separated query value into trimmed, non-empty items
+const parseList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Load an exercise the current user may modify, or send a 404 / 403
+const findOwnedExercise = async (req, res) => {
+  const exercise = await Exercise.findOne({ _id: req.params.id, ...Exercise.visibleTo(req.user.id) });
+  if (!exercise) {
+    res.status(404).json({ message: 'Exercise not found' });
+    return null;
+  }
+  if (!exercise.createdBy || exercise.createdBy.toString() !== req.user.id) {
+    res.status(403).json({ message: 'You can only modify your own exercises' });
+    return null;
+  }
+  return exercise;
+};
+
+const exerciseIdParam = param('id').isMongoId().withMessage('Invalid exercise id');
+
+const exerciseFieldValidators = [
+  body('category').optional().isIn(CATEGORIES).withMessage(`Category must be one of: ${CATEGORIES.join(', ')}`),
+  body('equipment').optional().isIn(EQUIPMENT).withMessage(`Equipment must be one of: ${EQUIPMENT.join(', ')}`),
+  body('muscleGroups').optional().isArray().withMessage('muscleGroups must be an array'),
+  body('muscleGroups.*').optional().isString().trim().notEmpty(),
+  body('instructions').optional().isString(),
+  body('trackingType').optional().isIn(TRACKING_TYPES).withMessage(`trackingType must be one of: ${TRACKING_TYPES.join(', ')}`),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false')
+];
 
 // @route   GET /api/exercises
-// @desc    Get all exercises
+// @desc    Search the exercises visible to the current user, sorted by name
+// @query   q (text search), category, equipment, muscleGroups (comma separated), mine (bool), limit, cursor
 // @access  Private
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, [
+  query('q').optional().isString().trim(),
+  query('category').optional().isIn(CATEGORIES).withMessage(`category must be one of: ${CATEGORIES.join(', ')}`),
+  query('equipment').optional().isIn(EQUIPMENT).withMessage(`equipment must be one of: ${EQUIPMENT.join(', ')}`),
+  query('mine').optional().isBoolean().withMessage('mine must be true or false'),
+  query('limit').optional().isInt({ min: 1 }).withMessage('limit must be a positive integer')
+], validateRequest, async (req, res) => {
   try {
-    const exercises = await Exercise.find();
-    res.json(exercises);
+    const { q, category, equipment, muscleGroups, mine, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const conditions = [
+      mine === 'true'
+        ? { createdBy: req.user.id, deletedAt: null }
+        : Exercise.visibleTo(req.user.id)
+    ];
+
+    if (q) conditions.push({ $text: { $search: q } });
+    if (category) conditions.push({ category });
+    if (equipment) conditions.push({ equipment });
+    if (muscleGroups) {
+      // Muscle groups are free text, so match them case-insensitively
+      const groups = parseList(muscleGroups).map(group => new RegExp(`^${escapeRegex(group)}$`, 'i'));
+      if (groups.length > 0) conditions.push({ muscleGroups: { $in: groups } });
+    }
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      conditions.push(afterCursor('name', position, { ascending: true }));
+    }
+
+    const exercises = await Exercise.find({ $and: conditions })
+      .sort({ name: 1, _id: 1 })
+      .limit(limit + 1);
+
+    const page = buildPage(exercises, limit, 'name');
+    res.json({
+      exercises: page.items,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/exercises/:id
+// @desc    Get a single exercise
+// @access  Private
+router.get('/:id', authenticateToken, [exerciseIdParam], validateRequest, async (req, res) => {
+  try {
+    const exercise = await Exercise.findOne({ _id: req.params.id, ...Exercise.visibleTo(req.user.id) });
+    if (!exercise) {
+      return res.status(404).json({ message: 'Exercise not found' });
+    }
+    res.json(exercise);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -17,11 +112,15 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/exercises
-// @desc    Add a new exercise
+// @desc    Add a new custom exercise, private unless isPublic is set
 // @access  Private
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('category').exists().withMessage('Category is required'),
+  ...exerciseFieldValidators
+], validateRequest, async (req, res) => {
   try {
-    const { name, category, equipment, muscleGroups, instructions, isPublic } = req.body;
+    const { name, category, equipment, muscleGroups, instructions, trackingType, isPublic } = req.body;
 
     const exercise = new Exercise({
       name,
@@ -29,8 +128,10 @@ router.post('/', authenticateToken, async (req, res) => {
       equipment,
       muscleGroups,
       instructions,
+      trackingType,
+      isCustom: true,
       createdBy: req.user.id,
-      isPublic
+      isPublic: isPublic === true
     });
 
     await exercise.save();
@@ -41,4 +142,57 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Shared by PUT and PATCH: only the fields present in the body are changed
+const updateExercise = async (req, res) => {
+  try {
+    const exercise = await findOwnedExercise(req, res);
+    if (!exercise) return;
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        exercise[field] = req.body[field];
+      }
+    });
+
+    await exercise.save();
+    res.json({ message: 'Exercise updated successfully', exercise });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const exerciseUpdateValidators = [
+  exerciseIdParam,
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  ...exerciseFieldValidators
+];
+
+// @route   PUT /api/exercises/:id
+// @desc    Update one of the current user's exercises
+// @access  Private
+router.put('/:id', authenticateToken, exerciseUpdateValidators, validateRequest, updateExercise);
+
+// @route   PATCH /api/exercises/:id
+// @desc    Partially update one of the current user's exercises
+// @access  Private
+router.patch('/:id', authenticateToken, exerciseUpdateValidators, validateRequest, updateExercise);
+
+// @route   DELETE /api/exercises/:id
+// @desc    Delete one of the current user's exercises
+// @access  Private
+router.delete('/:id', authenticateToken, [exerciseIdParam], validateRequest, async (req, res) => {
+  try {
+    const exercise = await findOwnedExercise(req, res);
+    if (!exercise) return;
+
+    // Soft delete: past workouts keep their reference and synced devices see a tombstone
+    await exercise.softDelete();
+    res.json({ message: 'Exercise deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,332 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const authenticateToken = require('../middleware/auth');
+const validateRequest = require('../middleware/validate');
+const BodyMeasurement = require('../models/BodyMeasurement');
+const { parseLimit, decodeCursor, afterCursor, buildPage } = require('../utils/pagination');
+const { WEIGHT_UNITS, LENGTH_UNITS, round, toKg, fromKg, toCm, fromCm } = require('../utils/units');
+
+const { MASS_FIELDS, LENGTH_FIELDS, METRIC_FIELDS } = BodyMeasurement;
+const TREND_PERIODS = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Units requested by the client, defaulting to metric
+const getUnits = (source) => ({
+  weight: source.weightUnit || 'kg',
+  length: source.lengthUnit || 'cm'
+});
+
+// Convert one stored metric value into the requested units
+const convertOut = (field, value, units) => {
+  if (MASS_FIELDS.includes(field)) return fromKg(value, units.weight);
+  if (LENGTH_FIELDS.includes(field)) return fromCm(value, units.length);
+  return value;
+};
+
+// Convert one submitted metric value into the stored units
+const convertIn = (field, value, units) => {
+  if (value === null) return undefined;
+  if (MASS_FIELDS.includes(field)) return toKg(value, units.weight);
+  if (LENGTH_FIELDS.includes(field)) return toCm(value, units.length);
+  return value;
+};
+
+const serializeMeasurement = (measurement, units) => {
+  const data = measurement.toObject();
+  METRIC_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      data[field] = convertOut(field, data[field], units);
+    }
+  });
+  data.units = units;
+  return data;
+};
+
+// Copy submitted fields onto a measurement; null clears a metric
+const applyMeasurementFields = (measurement, source) => {
+  const units = getUnits(source);
+  METRIC_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      measurement[field] = convertIn(field, source[field], units);
+    }
+  });
+  if (source.date !== undefined) measurement.date = source.date;
+  if (source.notes !== undefined) measurement.notes = source.notes;
+};
+
+/**
+ * Average and change of one metric over the last `days` days
+ * @param {Array<{value: number, date: Date}>} points - oldest first
+ * @param {{value: number, date: Date}|null} before - latest point before the 90 day range
+ */
+const summarizePeriod = (points, before, days, now) => {
+  const start = new Date(now.getTime() - days * DAY_MS);
+  const inPeriod = points.filter(point => point.date >= start);
+  const latest = points[points.length - 1];
+
+  // Change is measured from the last value before the period, or its first value
+  const earlier = [before, ...points].filter(point => point && point.date < start);
+  const baseline = earlier.length > 0 ? earlier[earlier.length - 1] : inPeriod[0];
+
+  const average = inPeriod.length > 0
+    ? inPeriod.reduce((sum, point) => sum + point.value, 0) / inPeriod.length
+    : null;
+  const change = latest && baseline && latest !== baseline && inPeriod.length > 0
+    ? latest.value - baseline.value
+    : null;
+
+  return {
+    count: inPeriod.length,
+    average: average === null ? null : round(average),
+    change: change === null ? null : round(change),
+    changePercent: change === null || !baseline.value ? null : round((change / baseline.value) * 100)
+  };
+};
+
+/**
+ * Aggregation behind /trends, run in one round trip. Every measurement up to
+ * `now` gets the rolling average of each metric over each trend period
+ * ending at its date; `series` keeps those within the trend range and
+ * `before` holds the latest { date, value } of each metric before it.
+ */
+const trendsPipeline = (userId, metrics, rangeStart, now) => [
+  { $match: { user: new mongoose.Types.ObjectId(userId), date: { $lte: now } } },
+  {
+    $setWindowFields: {
+      sortBy: { date: 1 },
+      output: Object.fromEntries(metrics.flatMap(field => TREND_PERIODS.map(days => [
+        `${field}Average${days}`,
+        { $avg: `$${field}`, window: { range: [-days, 'current'], unit: 'day' } }
+      ])))
+    }
+  },
+  {
+    $facet: {
+      series: [
+        { $match: { date: { $gte: rangeStart } } },
+        { $sort: { date: 1, _id: 1 } }
+      ],
+      before: [
+        { $match: { date: { $lt: rangeStart } } },
+        {
+          $group: {
+            _id: null,
+            // Documents compare by their first field, so this is the latest value
+            ...Object.fromEntries(metrics.map(field => [field, {
+              $max: { $cond: [{ $isNumber: `$${field}` }, { date: '$date', value: `$${field}` }, null] }
+            }]))
+          }
+        }
+      ]
+    }
+  }
+];
+
+const measurementIdParam = param('id').isMongoId().withMessage('Invalid measurement id');
+
+const unitQueryValidators = [
+  query('weightUnit').optional().isIn(WEIGHT_UNITS).withMessage(`weightUnit must be one of: ${WEIGHT_UNITS.join(', ')}`),
+  query('lengthUnit').optional().isIn(LENGTH_UNITS).withMessage(`lengthUnit must be one of: ${LENGTH_UNITS.join(', ')}`)
+];
+
+const measurementFieldValidators = [
+  body('date').optional().isISO8601().withMessage('date must be an ISO 8601 date'),
+  body(METRIC_FIELDS).optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Measurements must be non-negative numbers').toFloat(),
+  body('bodyFat').optional({ values: 'null' }).isFloat({ max: 100 }).withMessage('bodyFat must be a percentage'),
+  body('weightUnit').optional().isIn(WEIGHT_UNITS).withMessage(`weightUnit must be one of: ${WEIGHT_UNITS.join(', ')}`),
+  body('lengthUnit').optional().isIn(LENGTH_UNITS).withMessage(`lengthUnit must be one of: ${LENGTH_UNITS.join(', ')}`),
+  body('notes').optional().isString()
+];
+
+// @route   GET /api/measurements
+// @desc    Get body measurements for current user, newest first, with cursor pagination
+// @query   from, to (ISO dates), weightUnit (kg|lb), lengthUnit (cm|in), limit, cursor
+// @access  Private
+router.get('/', authenticateToken, [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1 }).withMessage('limit must be a positive integer'),
+  ...unitQueryValidators
+], validateRequest, async (req, res) => {
+  try {
+    const { from, to, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const units = getUnits(req.query);
+    const filter = { user: req.user.id };
+
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+    }
+
+    const conditions = [filter];
+    if (cursor) {
+      const position = decodeCursor(cursor, { isDate: true });
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      conditions.push(afterCursor('date', position));
+    }
+
+    const measurements = await BodyMeasurement.find({ $and: conditions })
+      .sort({ date: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const page = buildPage(measurements, limit, 'date');
+    res.json({
+      measurements: page.items.map(measurement => serializeMeasurement(measurement, units)),
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/measurements/trends
+// @desc    Latest value, average and change over 7, 30 and 90 days for each metric,
+//          with every value of the last 90 days and its 7, 30 and 90 day rolling averages
+// @query   metrics (comma separated, default all), weightUnit (kg|lb), lengthUnit (cm|in)
+// @access  Private
+router.get('/trends', authenticateToken, [
+  query('metrics').optional().custom(value => value.split(',').every(metric => METRIC_FIELDS.includes(metric.trim())))
+    .withMessage(`metrics must be a comma separated list of: ${METRIC_FIELDS.join(', ')}`),
+  ...unitQueryValidators
+], validateRequest, async (req, res) => {
+  try {
+    const units = getUnits(req.query);
+    const metrics = req.query.metrics
+      ? [...new Set(req.query.metrics.split(',').map(metric => metric.trim()))]
+      : METRIC_FIELDS;
+    const now = new Date();
+    const rangeStart = new Date(now.getTime() - Math.max(...TREND_PERIODS) * DAY_MS);
+
+    const [{ series, before: [previous = {}] }] = await BodyMeasurement.aggregate(
+      trendsPipeline(req.user.id, metrics, rangeStart, now)
+    );
+
+    const trends = {};
+    metrics.forEach(field => {
+      const points = series
+        .filter(measurement => typeof measurement[field] === 'number')
+        .map(measurement => ({
+          value: convertOut(field, measurement[field], units),
+          date: measurement.date,
+          averages: TREND_PERIODS.reduce((averages, days) => {
+            averages[days] = round(convertOut(field, measurement[`${field}Average${days}`], units));
+            return averages;
+          }, {})
+        }));
+      const before = previous[field]
+        ? { value: convertOut(field, previous[field].value, units), date: previous[field].date }
+        : null;
+
+      const latest = points.length > 0 ? points[points.length - 1] : before;
+      trends[field] = {
+        latest: latest && { value: latest.value, date: latest.date },
+        periods: TREND_PERIODS.reduce((periods, days) => {
+          periods[days] = summarizePeriod(points, before, days, now);
+          return periods;
+        }, {}),
+        series: points
+      };
+    });
+
+    res.json({ asOf: now, units, trends });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/measurements/:id
+// @desc    Get a single body measurement
+// @access  Private
+router.get('/:id', authenticateToken, [measurementIdParam, ...unitQueryValidators], validateRequest, async (req, res) => {
+  try {
+    const measurement = await BodyMeasurement.findOne({ _id: req.params.id, user: req.user.id });
+    if (!measurement) {
+      return res.status(404).json({ message: 'Measurement not found' });
+    }
+    res.json(serializeMeasurement(measurement, getUnits(req.query)));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/measurements
+// @desc    Record body measurements; weights in weightUnit, lengths in lengthUnit
+// @access  Private
+router.post('/', authenticateToken, [
+  ...measurementFieldValidators,
+  body().custom(value => METRIC_FIELDS.some(field => typeof value[field] === 'number'))
+    .withMessage(`At least one of ${METRIC_FIELDS.join(', ')} is required`)
+], validateRequest, async (req, res) => {
+  try {
+    const measurement = new BodyMeasurement({ user: req.user.id });
+    applyMeasurementFields(measurement, req.body);
+
+    await measurement.save();
+    res.status(201).json({
+      message: 'Measurement saved successfully',
+      measurement: serializeMeasurement(measurement, getUnits(req.body))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Shared by PUT and PATCH: only the fields present in the body are changed
+const updateMeasurement = async (req, res) => {
+  try {
+    const measurement = await BodyMeasurement.findOne({ _id: req.params.id, user: req.user.id });
+    if (!measurement) {
+      return res.status(404).json({ message: 'Measurement not found' });
+    }
+
+    applyMeasurementFields(measurement, req.body);
+
+    await measurement.save();
+    res.json({
+      message: 'Measurement updated successfully',
+      measurement: serializeMeasurement(measurement, getUnits(req.body))
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   PUT /api/measurements/:id
+// @desc    Update a body measurement
+// @access  Private
+router.put('/:id', authenticateToken, [measurementIdParam, ...measurementFieldValidators], validateRequest, updateMeasurement);
+
+// @route   PATCH /api/measurements/:id
+// @desc    Partially update a body measurement
+// @access  Private
+router.patch('/:id', authenticateToken, [measurementIdParam, ...measurementFieldValidators], validateRequest, updateMeasurement);
+
+// @route   DELETE /api/measurements/:id
+// @desc    Delete a body measurement
+// @access  Private
+router.delete('/:id', authenticateToken, [measurementIdParam], validateRequest, async (req, res) => {
+  try {
+    const measurement = await BodyMeasurement.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!measurement) {
+      return res.status(404).json({ message: 'Measurement not found' });
+    }
+    res.json({ message: 'Measurement deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
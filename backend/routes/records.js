@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const authenticateToken = require('../middleware/auth');
+const validateRequest = require('../middleware/validate');
+const PersonalRecord = require('../models/PersonalRecord');
+const User = require('../models/User');
+const { parseLimit, decodeCursor, afterCursor, buildPage } = require('../utils/pagination');
+const { MAX_REP_MAX, rebuildAllRecords } = require('../utils/personalRecords');
+const { WEIGHT_UNITS, fromKg } = require('../utils/units');
+
+const { RECORD_TYPES } = PersonalRecord;
+
+// Every record type is a weight or a volume, stored in kg
+const WEIGHT_FIELDS = ['value', 'previousValue', 'weight'];
+
+const recordFilterValidators = [
+  query('exercise').optional().isMongoId().withMessage('Invalid exercise id'),
+  query('type').optional().isIn(RECORD_TYPES).withMessage(`type must be one of: ${RECORD_TYPES.join(', ')}`),
+  query('reps').optional().isInt({ min: 1, max: MAX_REP_MAX }).withMessage(`reps must be between 1 and ${MAX_REP_MAX}`),
+  query('weightUnit').optional().isIn(WEIGHT_UNITS).withMessage(`weightUnit must be one of: ${WEIGHT_UNITS.join(', ')}`)
+];
+
+const serializeRecord = (record, weightUnit) => {
+  const data = record.toObject();
+  WEIGHT_FIELDS.forEach(field => {
+    if (data[field] !== undefined) data[field] = fromKg(data[field], weightUnit);
+  });
+  data.weightUnit = weightUnit;
+  return data;
+};
+
+// Unit asked for, or the one the user reads weights in
+const getWeightUnit = async (req) => {
+  if (req.query.weightUnit) return req.query.weightUnit;
+  const user = await User.findById(req.user.id).select('preferences.weightUnit').lean();
+  return user?.preferences?.weightUnit || 'kg';
+};
+
+// Filter shared by the current-records and history endpoints
+const buildRecordFilter = (req) => {
+  const { exercise, type, reps } = req.query;
+  const filter = { user: req.user.id };
+
+  if (exercise) filter.exercise = exercise;
+  if (type) filter.recordType = type;
+  if (reps) filter.repCount = parseInt(reps, 10);
+
+  return filter;
+};
+
+// @route   GET /api/records
+// @desc    Get the current personal records for current user
+// @query   exercise, type (max_weight|1RM|rep_max|volume), reps (rep max rep count), weightUnit (kg|lb, default the user's)
+// @access  Private
+router.get('/', authenticateToken, recordFilterValidators, validateRequest, async (req, res) => {
+  try {
+    const records = await PersonalRecord.find({ ...buildRecordFilter(req), isCurrent: true })
+      .sort({ achievedAt: -1 })
+      .populate('exercise', 'name category equipment');
+    const weightUnit = await getWeightUnit(req);
+    res.json(records.map(record => serializeRecord(record, weightUnit)));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/records/history
+// @desc    Get every record improvement, newest first, with cursor pagination
+// @query   exercise, type, reps, weightUnit (kg|lb, default the user's), limit, cursor
+// @access  Private
+router.get('/history', authenticateToken, [
+  ...recordFilterValidators,
+  query('limit').optional().isInt({ min: 1 }).withMessage('limit must be a positive integer')
+], validateRequest, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const conditions = [buildRecordFilter(req)];
+
+    if (req.query.cursor) {
+      const position = decodeCursor(req.query.cursor, { isDate: true });
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      conditions.push(afterCursor('achievedAt', position));
+    }
+
+    const records = await PersonalRecord.find({ $and: conditions })
+      .sort({ achievedAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('exercise', 'name category equipment');
+
+    const page = buildPage(records, limit, 'achievedAt');
+    const weightUnit = await getWeightUnit(req);
+    res.json({
+      records: page.items.map(record => serializeRecord(record, weightUnit)),
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/records/rebuild
+// @desc    Recompute all personal records from the workout history
+// @access  Private
+router.post('/rebuild', authenticateToken, async (req, res) => {
+  try {
+    const count = await rebuildAllRecords(req.user.id);
+    res.json({ message: 'Personal records rebuilt successfully', count });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,84 @@
 const express = require('express');
 const router = express.Router();
+const { body, param } = require('express-validator');
 const authenticateToken = require('../middleware/auth');
+const validateRequest = require('../middleware/validate');
 const Routine = require('../models/Routine');
+const Exercise = require('../models/Exercise');
+const Workout = require('../models/Workout');
+const { WEIGHT_UNITS, toKg } = require('../utils/units');
+
+const { GROUP_TYPES } = Workout;
+
+const EDITABLE_FIELDS = ['name', 'description', 'weightUnit', 'exercises', 'isPublic'];
+
+// Submitted target weights are in the routine's weightUnit; store them in kg
+const routineWeightsToKg = (exercises, unit) => exercises && exercises.map(entry => ({
+  ...entry,
+  weight: toKg(entry.weight, unit),
+  targetSets: entry.targetSets && entry.targetSets.map(target => ({ ...target, weight: toKg(target.weight, unit) }))
+}));
+
+// Load a routine the current user may see, or send a 404
+const findVisibleRoutine = async (req, res) => {
+  const routine = await Routine.findById(req.params.id);
+  if (!routine || !routine.isVisibleTo(req.user.id)) {
+    res.status(404).json({ message: 'Routine not found' });
+    return null;
+  }
+  return routine;
+};
+
+// Load a routine owned by the current user, or send a 404
+const findOwnedRoutine = async (req, res) => {
+  const routine = await Routine.findOne({ _id: req.params.id, user: req.user.id });
+  if (!routine) {
+    res.status(404).json({ message: 'Routine not found' });
+    return null;
+  }
+  return routine;
+};
+
+// Reject exercise references the current user can't see; returns false after responding
+const checkExerciseRefs = async (req, res) => {
+  if (!Array.isArray(req.body.exercises)) return true;
+
+  const ids = [...new Set(req.body.exercises.map(entry => String(entry.exercise)))];
+  const found = await Exercise.countDocuments({ _id: { $in: ids }, ...Exercise.visibleTo(req.user.id) });
+  if (found !== ids.length) {
+    res.status(400).json({ message: 'One or more exercises were not found' });
+    return false;
+  }
+  return true;
+};
+
+const routineIdParam = param('id').isMongoId().withMessage('Invalid routine id');
+
+const routineFieldValidators = [
+  body('description').optional().isString(),
+  body('weightUnit').optional().isIn(WEIGHT_UNITS).withMessage(`weightUnit must be one of: ${WEIGHT_UNITS.join(', ')}`),
+  body('isPublic').optional().isBoolean().withMessage('isPublic must be true or false'),
+  body('exercises').optional().isArray().withMessage('Exercises must be an array'),
+  body('exercises.*.exercise').isMongoId().withMessage('Invalid exercise id'),
+  body('exercises.*.order').optional().isInt({ min: 0 }).withMessage('order must be a non-negative integer'),
+  body(['exercises.*.sets', 'exercises.*.reps', 'exercises.*.restTime']).optional().isInt({ min: 0 }),
+  body('exercises.*.weight').optional().isFloat({ min: 0 }),
+  body('exercises.*.groupId').optional().isString(),
+  body('exercises.*.groupType').optional().isIn(GROUP_TYPES).withMessage(`groupType must be one of: ${GROUP_TYPES.join(', ')}`),
+  body('exercises.*.targetSets').optional().isArray().withMessage('targetSets must be an array'),
+  body(['exercises.*.targetSets.*.reps', 'exercises.*.targetSets.*.restTime']).optional().isInt({ min: 0 }),
+  body('exercises.*.targetSets.*.weight').optional().isFloat({ min: 0 }),
+  body('exercises.*.targetSets.*.isWarmup').optional().isBoolean()
+];
 
 // @route   GET /api/routines
 // @desc    Get all routines for current user
 // @access  Private
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const routines = await Routine.find({ user: req.user.id }).populate('exercises.exercise');
+    const routines = await Routine.find({ user: req.user.id })
+      .sort({ updatedAt: -1 })
+      .populate('exercises.exercise');
     res.json(routines);
   } catch (error) {
     console.error(error);
@@ -16,17 +86,41 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/routines/:id
+// @desc    Get a single routine (own or public)
+// @access  Private
+router.get('/:id', authenticateToken, [routineIdParam], validateRequest, async (req, res) => {
+  try {
+    const routine = await findVisibleRoutine(req, res);
+    if (!routine) return;
+
+    await routine.populate('exercises.exercise');
+    res.json(routine);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/routines
 // @desc    Create a new routine
 // @access  Private
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...routineFieldValidators
+], validateRequest, async (req, res) => {
   try {
-    const { name, exercises } = req.body;
+    if (!(await checkExerciseRefs(req, res))) return;
+
+    const { name, description, exercises, weightUnit, isPublic } = req.body;
 
     const routine = new Routine({
       user: req.user.id,
       name,
-      exercises
+      description,
+      exercises: routineWeightsToKg(exercises, weightUnit),
+      weightUnit,
+      isPublic
     });
 
     await routine.save();
@@ -37,4 +131,118 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Shared by PUT and PATCH: only the fields present in the body are changed
+const updateRoutine = async (req, res) => {
+  try {
+    const routine = await findOwnedRoutine(req, res);
+    if (!routine) return;
+    if (!(await checkExerciseRefs(req, res))) return;
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        routine[field] = field === 'exercises'
+          ? routineWeightsToKg(req.body.exercises, req.body.weightUnit || routine.weightUnit)
+          : req.body[field];
+      }
+    });
+
+    await routine.save();
+    res.json({ message: 'Routine updated successfully', routine });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const routineUpdateValidators = [
+  routineIdParam,
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  ...routineFieldValidators
+];
+
+// @route   PUT /api/routines/:id
+// @desc    Update a routine
+// @access  Private
+router.put('/:id', authenticateToken, routineUpdateValidators, validateRequest, updateRoutine);
+
+// @route   PATCH /api/routines/:id
+// @desc    Partially update a routine
+// @access  Private
+router.patch('/:id', authenticateToken, routineUpdateValidators, validateRequest, updateRoutine);
+
+// @route   DELETE /api/routines/:id
+// @desc    Delete a routine; workouts started from it are kept
+// @access  Private
+router.delete('/:id', authenticateToken, [routineIdParam], validateRequest, async (req, res) => {
+  try {
+    const routine = await Routine.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!routine) {
+      return res.status(404).json({ message: 'Routine not found' });
+    }
+    res.json({ message: 'Routine deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/routines/:id/duplicate
+// @desc    Copy a routine (own or public) into the current user's routines
+// @access  Private
+router.post('/:id/duplicate', authenticateToken, [
+  routineIdParam,
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+], validateRequest, async (req, res) => {
+  try {
+    const source = await findVisibleRoutine(req, res);
+    if (!source) return;
+
+    const routine = new Routine({
+      user: req.user.id,
+      name: req.body.name || `${source.name} (copy)`,
+      description: source.description,
+      weightUnit: source.weightUnit,
+      exercises: source.toObject().exercises.map(({ _id, ...entry }) => ({
+        ...entry,
+        targetSets: entry.targetSets.map(({ _id: setId, ...target }) => target)
+      })),
+      isPublic: false
+    });
+
+    await routine.save();
+    res.status(201).json({ message: 'Routine duplicated successfully', routine });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/routines/:id/start
+// @desc    Start a new workout from a routine (own or public), with its sets pre-populated
+// @access  Private
+router.post('/:id/start', authenticateToken, [
+  routineIdParam,
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty')
+], validateRequest, async (req, res) => {
+  try {
+    const routine = await findVisibleRoutine(req, res);
+    if (!routine) return;
+
+    const workout = new Workout({
+      user: req.user.id,
+      name: req.body.name || routine.name,
+      routine: routine._id,
+      startTime: new Date(),
+      exercises: routine.toWorkoutExercises()
+    });
+
+    await workout.save();
+    await workout.populate('exercises.exercise');
+    res.status(201).json({ message: 'Workout started successfully', workout });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
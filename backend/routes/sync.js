@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const authenticateToken = require('../middleware/auth');
+const validateRequest = require('../middleware/validate');
+const { parseLimit } = require('../utils/pagination');
+const { ENTITY_TYPES, SYNC_OPERATIONS, applyChange, getChangesSince } = require('../utils/sync');
+
+const MAX_PUSH_CHANGES = 500;
+
+// Exercises first so workouts pushed in the same batch can reference them
+const ENTITY_ORDER = { exercise: 0, workout: 1 };
+
+// @route   POST /api/sync/push
+// @desc    Apply changes recorded offline on a device
+// @body    deviceId, changes[{ entity, op, clientId, modifiedAt, data }]
+// @access  Private
+router.post('/push', authenticateToken, [
+  body('deviceId').isString().trim().notEmpty().withMessage('deviceId is required'),
+  body('changes').isArray({ max: MAX_PUSH_CHANGES }).withMessage(`changes must be an array of at most ${MAX_PUSH_CHANGES} items`),
+  body('changes.*.entity').isIn(ENTITY_TYPES).withMessage(`entity must be one of: ${ENTITY_TYPES.join(', ')}`),
+  body('changes.*.op').isIn(SYNC_OPERATIONS).withMessage(`op must be one of: ${SYNC_OPERATIONS.join(', ')}`),
+  body('changes.*.clientId').isString().notEmpty().withMessage('clientId is required'),
+  body('changes.*.modifiedAt').isISO8601().withMessage('modifiedAt must be an ISO 8601 date'),
+  body('changes.*.data').if(body('changes.*.op').equals('upsert')).isObject().withMessage('data is required for upserts'),
+  body('changes.*.data.exercises').optional().isArray(),
+  body('changes.*.data.exercises.*.exercise.clientId').optional().isString().notEmpty()
+], validateRequest, async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+    const changes = [...req.body.changes].sort((a, b) => ENTITY_ORDER[a.entity] - ENTITY_ORDER[b.entity]);
+
+    const applied = [];
+    const conflicts = [];
+    const failed = [];
+
+    // Sequential on purpose: exercise references and sync versions depend on order
+    for (const change of changes) {
+      try {
+        const result = await applyChange(req.user.id, deviceId, change);
+        if (result.status === 'conflict') {
+          conflicts.push(result.change);
+        } else {
+          applied.push({ entity: change.entity, clientId: change.clientId, version: result.version });
+        }
+      } catch (error) {
+        console.error(error);
+        failed.push({ entity: change.entity, clientId: change.clientId, message: error.message });
+      }
+    }
+
+    res.json({ applied, conflicts, failed });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/sync/pull
+// @desc    Get changes made after the given sync version, oldest first
+// @query   since (sync version, default 0), limit
+// @access  Private
+router.get('/pull', authenticateToken, [
+  query('since').optional().isInt({ min: 0 }).withMessage('since must be a non-negative integer'),
+  query('limit').optional().isInt({ min: 1 }).withMessage('limit must be a positive integer')
+], validateRequest, async (req, res) => {
+  try {
+    const since = parseInt(req.query.since, 10) || 0;
+    const limit = parseLimit(req.query.limit);
+
+    const result = await getChangesSince(req.user.id, since, limit);
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
+const { body } = require('express-validator');
 const authenticateToken = require('../middleware/auth');
+const validateRequest = require('../middleware/validate');
 const User = require('../models/User');
+const { WEIGHT_UNITS, LENGTH_UNITS } = require('../utils/units');
+const { ONE_REP_MAX_FORMULAS } = require('../utils/oneRepMax');
+const { rebuildAllRecords } = require('../utils/personalRecords');
 
 // @route   GET /api/users/me
 // @desc    Get current user profile
@@ -17,20 +22,30 @@ router.get('/me', authenticateToken, async (req, res) => {
 });
 
 // @route   PUT /api/users/me
-// @desc    Update user profile
+// @desc    Update user profile and preferences (weightUnit, lengthUnit, oneRepMaxFormula);
+//          a new 1RM formula rebuilds the user's personal records
 // @access  Private
-router.put('/me', authenticateToken, async (req, res) => {
+router.put('/me', authenticateToken, [
+  body('weightUnit').optional().isIn(WEIGHT_UNITS).withMessage(`weightUnit must be one of: ${WEIGHT_UNITS.join(', ')}`),
+  body('lengthUnit').optional().isIn(LENGTH_UNITS).withMessage(`lengthUnit must be one of: ${LENGTH_UNITS.join(', ')}`),
+  body('oneRepMaxFormula').optional().isIn(ONE_REP_MAX_FORMULAS).withMessage(`oneRepMaxFormula must be one of: ${ONE_REP_MAX_FORMULAS.join(', ')}`)
+], validateRequest, async (req, res) => {
   try {
-    const { username, email } = req.body;
+    const { username, email, weightUnit, lengthUnit, oneRepMaxFormula } = req.body;
     const user = await User.findById(req.user.id);
 
     if (username) user.username = username;
     if (email) user.email = email;
+    if (weightUnit) user.preferences.weightUnit = weightUnit;
+    if (lengthUnit) user.preferences.lengthUnit = lengthUnit;
+    const formulaChanged = oneRepMaxFormula && oneRepMaxFormula !== user.preferences.oneRepMaxFormula;
+    if (oneRepMaxFormula) user.preferences.oneRepMaxFormula = oneRepMaxFormula;
 
     await user.save();
+    if (formulaChanged) await rebuildAllRecords(user._id);
     res.json({
       message: 'User updated successfully',
-      user: { id: user._id, username: user.username, email: user.email }
+      user: { id: user._id, username: user.username, email: user.email, preferences: user.preferences }
     });
   } catch (error) {
     console.error(error);
@@ -1,15 +1,178 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
 const authenticateToken = require('../middleware/auth');
+const validateRequest = require('../middleware/validate');
 const Workout = require('../models/Workout');
+const Routine = require('../models/Routine');
+const Exercise = require('../models/Exercise');
+const { parseLimit, decodeCursor, afterCursor, buildPage } = require('../utils/pagination');
+const { WEIGHT_UNITS, toKg } = require('../utils/units');
+
+const { GROUP_TYPES, SET_TYPES } = Workout;
+
+const SET_FIELDS = ['setNumber', 'reps', 'weight', 'weightUnit', 'setType', 'rpe', 'rir', 'duration', 'distance', 'isWarmup', 'isFailure', 'isDropset', 'restTime', 'notes'];
+
+// Copy whitelisted fields present in the request body onto a document
+const applyFields = (doc, source, fields) => {
+  fields.forEach(field => {
+    if (source[field] !== undefined) {
+      doc[field] = source[field];
+    }
+  });
+};
+
+// Submitted weights are in the set's weightUnit (kg when not given); store them in kg
+const setWeightsToKg = (sets) => sets && sets.map(set => ({ ...set, weight: toKg(set.weight, set.weightUnit) }));
+const exerciseWeightsToKg = (exercises) => exercises && exercises.map(entry => ({ ...entry, sets: setWeightsToKg(entry.sets) }));
+
+// Copy set fields onto a set; a weight without a weightUnit is in the set's current unit
+const applySetFields = (set, source) => {
+  applyFields(set, source, SET_FIELDS);
+  if (source.weight !== undefined) {
+    set.weight = toKg(source.weight, set.weightUnit);
+  }
+};
+
+// Load a workout owned by the current user, or send a 404
+const findOwnedWorkout = async (req, res) => {
+  const workout = await Workout.findOne({ _id: req.params.id, user: req.user.id, deletedAt: null });
+  if (!workout) {
+    res.status(404).json({ message: 'Workout not found' });
+    return null;
+  }
+  return workout;
+};
+
+// Resolve an exercise entry of a workout, or send a 404
+const findWorkoutExercise = (workout, req, res) => {
+  const workoutExercise = workout.exercises.id(req.params.exerciseEntryId);
+  if (!workoutExercise) {
+    res.status(404).json({ message: 'Workout exercise not found' });
+    return null;
+  }
+  return workoutExercise;
+};
+
+// Reject routine and exercise references the current user can't see; returns false after responding
+const checkRefs = async (req, res, { routine, exercises = [] }) => {
+  if (routine) {
+    const found = await Routine.findById(routine);
+    if (!found || !found.isVisibleTo(req.user.id)) {
+      res.status(400).json({ message: 'Routine not found' });
+      return false;
+    }
+  }
+
+  const ids = [...new Set(exercises.filter(Boolean).map(String))];
+  if (ids.length > 0) {
+    const found = await Exercise.countDocuments({ _id: { $in: ids }, ...Exercise.visibleTo(req.user.id) });
+    if (found !== ids.length) {
+      res.status(400).json({ message: 'One or more exercises were not found' });
+      return false;
+    }
+  }
+  return true;
+};
+
+// Exercises referenced by workout exercise entries, including superset partners
+const entryExerciseRefs = (entries) => (Array.isArray(entries) ? entries : [])
+  .flatMap(entry => [entry && entry.exercise, entry && entry.supersetWith]);
+
+// Answer invalid documents and ids with the validateRequest shape, anything else with a 500
+const sendError = (res, error) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    const failures = error.name === 'ValidationError' ? Object.values(error.errors) : [error];
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: failures.map(failure => ({ field: failure.path, message: failure.message }))
+    });
+  }
+
+  console.error(error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+const workoutIdParam = param('id').isMongoId().withMessage('Invalid workout id');
+const exerciseEntryIdParam = param('exerciseEntryId').isMongoId().withMessage('Invalid workout exercise id');
+const setIdParam = param('setId').isMongoId().withMessage('Invalid set id');
+
+const setValidators = [
+  body('reps').optional().isInt({ min: 0 }).withMessage('Reps must be a non-negative integer'),
+  body('weight').optional().isFloat({ min: 0 }).withMessage('Weight must be a non-negative number'),
+  body('weightUnit').optional().isIn(WEIGHT_UNITS).withMessage(`weightUnit must be one of: ${WEIGHT_UNITS.join(', ')}`),
+  body('setNumber').optional().isInt({ min: 1 }).withMessage('Set number must be a positive integer'),
+  body('restTime').optional().isInt({ min: 0 }).withMessage('Rest time must be a non-negative integer'),
+  body(['isWarmup', 'isFailure', 'isDropset']).optional().isBoolean(),
+  body('setType').optional().isIn(SET_TYPES).withMessage(`setType must be one of: ${SET_TYPES.join(', ')}`),
+  body('rpe').optional({ values: 'null' }).isFloat({ min: 1, max: 10 }).withMessage('RPE must be between 1 and 10'),
+  body('rir').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('RIR must be a non-negative integer')
+];
 
 // @route   GET /api/workouts
-// @desc    Get all workouts for current user
+// @desc    Get workouts for current user, newest first, with cursor pagination
+// @query   from, to (ISO dates), routine, exercise (ids), completed (bool), limit, cursor
 // @access  Private
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('routine').optional().isMongoId().withMessage('Invalid routine id'),
+  query('exercise').optional().isMongoId().withMessage('Invalid exercise id'),
+  query('completed').optional().isBoolean().withMessage('completed must be true or false'),
+  query('limit').optional().isInt({ min: 1 }).withMessage('limit must be a positive integer')
+], validateRequest, async (req, res) => {
   try {
-    const workouts = await Workout.find({ user: req.user.id }).populate('exercises.exercise');
-    res.json(workouts);
+    const { from, to, routine, exercise, completed, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const filter = { user: req.user.id, deletedAt: null };
+
+    if (from || to) {
+      filter.startTime = {};
+      if (from) filter.startTime.$gte = new Date(from);
+      if (to) filter.startTime.$lte = new Date(to);
+    }
+    if (routine) filter.routine = routine;
+    if (exercise) filter['exercises.exercise'] = exercise;
+    if (completed !== undefined) filter.isCompleted = completed === 'true';
+
+    const conditions = [filter];
+    if (cursor) {
+      const position = decodeCursor(cursor, { isDate: true });
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      conditions.push(afterCursor('startTime', position));
+    }
+
+    const workouts = await Workout.find({ $and: conditions })
+      .sort({ startTime: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('exercises.exercise');
+
+    const page = buildPage(workouts, limit, 'startTime');
+    res.json({
+      workouts: page.items,
+      nextCursor: page.nextCursor,
+      hasMore: page.hasMore
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/workouts/:id
+// @desc    Get a single workout
+// @access  Private
+router.get('/:id', authenticateToken, [workoutIdParam], validateRequest, async (req, res) => {
+  try {
+    const workout = await Workout.findOne({ _id: req.params.id, user: req.user.id, deletedAt: null })
+      .populate('exercises.exercise');
+    if (!workout) {
+      return res.status(404).json({ message: 'Workout not found' });
+    }
+    res.json(workout);
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
@@ -22,18 +185,247 @@ router.get('/', authenticateToken, async (req, res) => {
 router.post('/', authenticateToken, async (req, res) => {
   try {
     const { name, exercises } = req.body;
+    if (!await checkRefs(req, res, { exercises: entryExerciseRefs(exercises) })) return;
 
     const workout = new Workout({
       user: req.user.id,
       name,
-      exercises
+      exercises: exerciseWeightsToKg(exercises)
     });
 
     await workout.save();
-    res.status(201).json({ message: 'Workout created successfully', workout });
+    res.status(201).json({ message: 'Workout created successfully', workout, personalRecords: workout.$locals.personalRecords });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    sendError(res, error);
+  }
+});
+
+// Shared by PUT and PATCH: only the fields present in the body are changed
+const updateWorkout = async (req, res) => {
+  try {
+    const workout = await findOwnedWorkout(req, res);
+    if (!workout) return;
+    if (!await checkRefs(req, res, {
+      routine: req.body.routine,
+      exercises: entryExerciseRefs(req.body.exercises)
+    })) return;
+
+    const wasCompleted = workout.isCompleted;
+    applyFields(
+      workout,
+      { ...req.body, exercises: exerciseWeightsToKg(req.body.exercises) },
+      ['name', 'routine', 'startTime', 'endTime', 'notes', 'isCompleted', 'exercises']
+    );
+
+    // Completing a workout without an explicit end time ends it now
+    if (!wasCompleted && workout.isCompleted && !workout.endTime) {
+      workout.endTime = new Date();
+    }
+
+    await workout.save();
+    res.json({ message: 'Workout updated successfully', workout, personalRecords: workout.$locals.personalRecords });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+const workoutUpdateValidators = [
+  workoutIdParam,
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('routine').optional({ values: 'null' }).isMongoId().withMessage('Invalid routine id'),
+  body('startTime').optional().isISO8601().withMessage('startTime must be an ISO 8601 date'),
+  body('endTime').optional({ values: 'null' }).isISO8601().withMessage('endTime must be an ISO 8601 date'),
+  body('isCompleted').optional().isBoolean(),
+  body('exercises').optional().isArray().withMessage('Exercises must be an array')
+];
+
+// @route   PUT /api/workouts/:id
+// @desc    Update a workout
+// @access  Private
+router.put('/:id', authenticateToken, workoutUpdateValidators, validateRequest, updateWorkout);
+
+// @route   PATCH /api/workouts/:id
+// @desc    Partially update a workout
+// @access  Private
+router.patch('/:id', authenticateToken, workoutUpdateValidators, validateRequest, updateWorkout);
+
+// @route   DELETE /api/workouts/:id
+// @desc    Delete a workout
+// @access  Private
+router.delete('/:id', authenticateToken, [workoutIdParam], validateRequest, async (req, res) => {
+  try {
+    const workout = await findOwnedWorkout(req, res);
+    if (!workout) return;
+
+    // Keep a tombstone so synced devices learn about the deletion
+    await workout.softDelete();
+    res.json({ message: 'Workout deleted successfully' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/workouts/:id/exercises
+// @desc    Add an exercise to a workout
+// @access  Private
+router.post('/:id/exercises', authenticateToken, [
+  workoutIdParam,
+  body('exercise').isMongoId().withMessage('Invalid exercise id'),
+  body('supersetWith').optional().isMongoId().withMessage('Invalid superset exercise id'),
+  body('groupId').optional().isString(),
+  body('groupType').optional().isIn(GROUP_TYPES).withMessage(`groupType must be one of: ${GROUP_TYPES.join(', ')}`),
+  body('sets').optional().isArray().withMessage('Sets must be an array')
+], validateRequest, async (req, res) => {
+  try {
+    const workout = await findOwnedWorkout(req, res);
+    if (!workout) return;
+
+    const { exercise, sets, supersetWith, groupId, groupType, notes } = req.body;
+    if (!await checkRefs(req, res, { exercises: [exercise, supersetWith] })) return;
+    workout.exercises.push({ exercise, sets: setWeightsToKg(sets), supersetWith, groupId, groupType, notes });
+    await workout.save();
+
+    const workoutExercise = workout.exercises[workout.exercises.length - 1];
+    res.status(201).json({ message: 'Exercise added successfully', workoutExercise, workout });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PATCH /api/workouts/:id/exercises/:exerciseEntryId
+// @desc    Update an exercise entry of a workout
+// @access  Private
+router.patch('/:id/exercises/:exerciseEntryId', authenticateToken, [
+  workoutIdParam,
+  exerciseEntryIdParam,
+  body('exercise').optional().isMongoId().withMessage('Invalid exercise id'),
+  body('supersetWith').optional({ values: 'null' }).isMongoId().withMessage('Invalid superset exercise id'),
+  body('groupId').optional({ values: 'null' }).isString(),
+  body('groupType').optional({ values: 'null' }).isIn(GROUP_TYPES).withMessage(`groupType must be one of: ${GROUP_TYPES.join(', ')}`)
+], validateRequest, async (req, res) => {
+  try {
+    const workout = await findOwnedWorkout(req, res);
+    if (!workout) return;
+    const workoutExercise = findWorkoutExercise(workout, req, res);
+    if (!workoutExercise) return;
+
+    if (!await checkRefs(req, res, { exercises: [req.body.exercise, req.body.supersetWith] })) return;
+
+    applyFields(workoutExercise, req.body, ['exercise', 'supersetWith', 'groupId', 'groupType', 'notes']);
+    await workout.save();
+
+    res.json({ message: 'Workout exercise updated successfully', workoutExercise, workout });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE /api/workouts/:id/exercises/:exerciseEntryId
+// @desc    Remove an exercise (and its sets) from a workout
+// @access  Private
+router.delete('/:id/exercises/:exerciseEntryId', authenticateToken, [
+  workoutIdParam,
+  exerciseEntryIdParam
+], validateRequest, async (req, res) => {
+  try {
+    const workout = await findOwnedWorkout(req, res);
+    if (!workout) return;
+    const workoutExercise = findWorkoutExercise(workout, req, res);
+    if (!workoutExercise) return;
+
+    workoutExercise.deleteOne();
+    await workout.save();
+
+    res.json({ message: 'Workout exercise removed successfully', workout });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   POST /api/workouts/:id/exercises/:exerciseEntryId/sets
+// @desc    Add a set to an exercise entry
+// @access  Private
+router.post('/:id/exercises/:exerciseEntryId/sets', authenticateToken, [
+  workoutIdParam,
+  exerciseEntryIdParam,
+  ...setValidators
+], validateRequest, async (req, res) => {
+  try {
+    const workout = await findOwnedWorkout(req, res);
+    if (!workout) return;
+    const workoutExercise = findWorkoutExercise(workout, req, res);
+    if (!workoutExercise) return;
+
+    const set = {};
+    applySetFields(set, req.body);
+    if (set.setNumber === undefined) {
+      set.setNumber = workoutExercise.sets.length + 1;
+    }
+
+    workoutExercise.sets.push(set);
+    await workout.save();
+
+    const createdSet = workoutExercise.sets[workoutExercise.sets.length - 1];
+    res.status(201).json({ message: 'Set added successfully', set: createdSet, workout, personalRecords: workout.$locals.personalRecords });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   PATCH /api/workouts/:id/exercises/:exerciseEntryId/sets/:setId
+// @desc    Update a set
+// @access  Private
+router.patch('/:id/exercises/:exerciseEntryId/sets/:setId', authenticateToken, [
+  workoutIdParam,
+  exerciseEntryIdParam,
+  setIdParam,
+  ...setValidators
+], validateRequest, async (req, res) => {
+  try {
+    const workout = await findOwnedWorkout(req, res);
+    if (!workout) return;
+    const workoutExercise = findWorkoutExercise(workout, req, res);
+    if (!workoutExercise) return;
+
+    const set = workoutExercise.sets.id(req.params.setId);
+    if (!set) {
+      return res.status(404).json({ message: 'Set not found' });
+    }
+
+    applySetFields(set, req.body);
+    await workout.save();
+
+    res.json({ message: 'Set updated successfully', set, workout, personalRecords: workout.$locals.personalRecords });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// @route   DELETE /api/workouts/:id/exercises/:exerciseEntryId/sets/:setId
+// @desc    Delete a set
+// @access  Private
+router.delete('/:id/exercises/:exerciseEntryId/sets/:setId', authenticateToken, [
+  workoutIdParam,
+  exerciseEntryIdParam,
+  setIdParam
+], validateRequest, async (req, res) => {
+  try {
+    const workout = await findOwnedWorkout(req, res);
+    if (!workout) return;
+    const workoutExercise = findWorkoutExercise(workout, req, res);
+    if (!workoutExercise) return;
+
+    const set = workoutExercise.sets.id(req.params.setId);
+    if (!set) {
+      return res.status(404).json({ message: 'Set not found' });
+    }
+
+    set.deleteOne();
+    await workout.save();
+
+    res.json({ message: 'Set deleted successfully', workout });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -6,6 +6,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
 const validateEnvironment = require('./config/validateEnv');
+const { runMigrations } = require('./utils/migrations');
 
 // Validate environment variables
 const config = validateEnvironment();
@@ -46,7 +47,12 @@ const mongooseOptions = {
 };
 
 mongoose.connect(config.mongodb.uri, mongooseOptions)
-  .then(() => console.log('✅ MongoDB connected successfully'))
+  .then(() => {
+    console.log('✅ MongoDB connected successfully');
+    // A failed migration is retried on the next start
+    runMigrations()
+      .catch(err => console.error('❌ Data migration error:', err));
+  })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err);
     process.exit(1);
@@ -58,6 +64,10 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/workouts', require('./routes/workouts'));
 app.use('/api/exercises', require('./routes/exercises'));
 app.use('/api/routines', require('./routes/routines'));
+app.use('/api/measurements', require('./routes/measurements'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/records', require('./routes/records'));
+app.use('/api/sync', require('./routes/sync'));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,902 @@
+const mongoose = require('mongoose');
+const Workout = require('../models/Workout');
+const Exercise = require('../models/Exercise');
+const { NON_RECORD_SET_TYPES } = require('./personalRecords');
+const { estimateOneRM, oneRMExpression, formulaForUser } = require('./oneRepMax');
+
+/**
+ * Training analytics over completed workouts
+ *
+ * Server-side counterpart of frontend/utils/analyticsEngine.js: the raw
+ * numbers come from Mongo aggregation, the post-processing is ported from
+ * the app so both return the same shapes.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Server categories grouped the way the app labels its categories
+const CATEGORY_LABELS = {
+  chest: 'Chest',
+  back: 'Back',
+  shoulders: 'Shoulders',
+  biceps: 'Arms',
+  triceps: 'Arms',
+  legs: 'Legs',
+  core: 'Core',
+  cardio: 'Cardio',
+  'full body': 'Full Body',
+  other: 'Other'
+};
+
+const STRENGTH_RATIOS = {
+  'Bench Press vs Row': { primary: 'Bench Press', secondary: ['Barbell Row', 'T-Bar Row'], ideal: 1.0 },
+  'Squat vs Deadlift': { primary: 'Squat', secondary: ['Deadlift'], ideal: 0.85 },
+  'Overhead Press vs Bench': { primary: 'Overhead Press', secondary: ['Bench Press'], ideal: 0.66 },
+  'Front Squat vs Back Squat': { primary: 'Front Squat', secondary: ['Squat'], ideal: 0.85 }
+};
+
+// ===== AGGREGATION STAGES =====
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+/**
+ * One document per set of the user's completed workouts, with the set's
+ * volume and the local day (YYYY-MM-DD) it was performed on
+ */
+const setStages = (userId, { since, exerciseId, timezone = 'UTC' } = {}) => {
+  const match = {
+    user: new mongoose.Types.ObjectId(userId),
+    isCompleted: true,
+    deletedAt: null
+  };
+  if (since) match.startTime = { $gte: since };
+  if (exerciseId) match['exercises.exercise'] = new mongoose.Types.ObjectId(exerciseId);
+
+  const stages = [
+    { $match: match },
+    { $unwind: '$exercises' }
+  ];
+  if (exerciseId) {
+    stages.push({ $match: { 'exercises.exercise': new mongoose.Types.ObjectId(exerciseId) } });
+  }
+
+  return stages.concat([
+    { $unwind: '$exercises.sets' },
+    {
+      $project: {
+        workout: '$_id',
+        startTime: 1,
+        exercise: '$exercises.exercise',
+        setNumber: '$exercises.sets.setNumber',
+        weight: { $ifNull: ['$exercises.sets.weight', 0] },
+        reps: { $ifNull: ['$exercises.sets.reps', 0] },
+        // Sets saved before set types existed only have the boolean flags
+        setType: {
+          $ifNull: ['$exercises.sets.setType', {
+            $switch: {
+              branches: [
+                { case: { $eq: ['$exercises.sets.isWarmup', true] }, then: 'warmup' },
+                { case: { $eq: ['$exercises.sets.isDropset', true] }, then: 'drop' },
+                { case: { $eq: ['$exercises.sets.isFailure', true] }, then: 'failure' }
+              ],
+              default: 'working'
+            }
+          }]
+        },
+        rpe: '$exercises.sets.rpe',
+        rir: '$exercises.sets.rir',
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$startTime', timezone } }
+      }
+    },
+    { $addFields: { volume: { $multiply: ['$weight', '$reps'] } } }
+  ]);
+};
+
+// Join each set with its exercise's name and app category label
+const exerciseDetailStages = () => [
+  {
+    $lookup: {
+      from: Exercise.collection.name,
+      localField: 'exercise',
+      foreignField: '_id',
+      as: 'exerciseDoc'
+    }
+  },
+  { $unwind: '$exerciseDoc' },
+  {
+    $addFields: {
+      exerciseName: '$exerciseDoc.name',
+      muscleGroup: {
+        $switch: {
+          branches: Object.entries(CATEGORY_LABELS).map(([category, label]) => ({
+            case: { $eq: ['$exerciseDoc.category', category] },
+            then: label
+          })),
+          default: 'Other'
+        }
+      }
+    }
+  }
+];
+
+const workingSetsOnly = { $match: { setType: { $ne: 'warmup' } } };
+
+// Best-set metrics (1RM, records, progression) leave out drop sets as well
+const topSetsOnly = { $match: { setType: { $nin: NON_RECORD_SET_TYPES } } };
+
+// ===== SHARED CALCULATIONS (ported from the app) =====
+
+const calculateOneRM = (set, formula) => Math.round(estimateOneRM(set, formula));
+
+const calculateTrend = (data, metric) => {
+  if (data.length < 2) return { slope: 0, percentChange: 0 };
+
+  const n = data.length;
+  const sumX = data.reduce((sum, _, i) => sum + i, 0);
+  const sumY = data.reduce((sum, point) => sum + point[metric], 0);
+  const sumXY = data.reduce((sum, point, i) => sum + i * point[metric], 0);
+  const sumXX = data.reduce((sum, _, i) => sum + i * i, 0);
+
+  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+  const first = data[0][metric];
+  const last = data[data.length - 1][metric];
+  const percentChange = first ? ((last - first) / first * 100) : 0;
+
+  return { slope, percentChange };
+};
+
+const calculateConsistency = (values) => {
+  if (values.length < 3) return 0;
+
+  const mean = values.reduce((a, b) => a + b) / values.length;
+  if (mean === 0) return 0;
+  const variance = values.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / values.length;
+
+  // Consistency score (lower coefficient of variation = higher consistency)
+  const cv = Math.sqrt(variance) / mean;
+  return Math.max(0, Math.min(100, 100 * (1 - cv)));
+};
+
+// Sunday starting the week of a YYYY-MM-DD day
+const weekStartOf = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - date.getUTCDay());
+  return date.toISOString().split('T')[0];
+};
+
+const daysBetween = (from, to) => (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS;
+
+const today = (timezone) => new Date().toLocaleDateString('en-CA', { timeZone: timezone });
+
+// ===== MUSCLE GROUP BALANCE =====
+
+const identifyMuscleImbalances = (balance) => {
+  const imbalances = [];
+  const avgPercentage = 100 / balance.length;
+
+  balance.forEach(group => {
+    const deviation = Math.abs(parseFloat(group.percentage) - avgPercentage);
+
+    if (deviation > 15) { // More than 15% deviation from average
+      imbalances.push({
+        muscleGroup: group.muscleGroup,
+        type: parseFloat(group.percentage) > avgPercentage ? 'overworked' : 'underworked',
+        severity: deviation > 25 ? 'high' : 'moderate',
+        percentage: group.percentage,
+        deviation: deviation.toFixed(1)
+      });
+    }
+  });
+
+  return imbalances;
+};
+
+const generateBalanceRecommendations = (balance, imbalances) => {
+  const recommendations = [];
+
+  if (imbalances.length === 0) {
+    recommendations.push('Great! Your muscle groups are well balanced.');
+    return recommendations;
+  }
+
+  const underworked = imbalances.filter(im => im.type === 'underworked');
+  const overworked = imbalances.filter(im => im.type === 'overworked');
+
+  if (underworked.length > 0) {
+    recommendations.push(`Focus more on: ${underworked.map(g => g.muscleGroup).join(', ')}`);
+  }
+
+  if (overworked.length > 0) {
+    recommendations.push(`Consider reducing volume for: ${overworked.map(g => g.muscleGroup).join(', ')}`);
+  }
+
+  const chest = balance.find(g => g.muscleGroup === 'Chest');
+  const back = balance.find(g => g.muscleGroup === 'Back');
+
+  if (chest && back) {
+    const ratio = parseFloat(chest.percentage) / parseFloat(back.percentage);
+    if (ratio > 1.3) {
+      recommendations.push('Add more back exercises to balance your push/pull ratio');
+    } else if (ratio < 0.7) {
+      recommendations.push('Add more chest exercises to balance your push/pull ratio');
+    }
+  }
+
+  return recommendations;
+};
+
+const getMuscleGroupBalance = async (userId, { timeframe = 30, timezone } = {}) => {
+  const results = await Workout.aggregate([
+    ...setStages(userId, { since: daysAgo(timeframe), timezone }),
+    workingSetsOnly,
+    ...exerciseDetailStages(),
+    {
+      $group: {
+        _id: '$muscleGroup',
+        workouts: { $addToSet: '$workout' },
+        totalSets: { $sum: 1 },
+        totalVolume: { $sum: '$volume' },
+        avgSetVolume: { $avg: '$volume' }
+      }
+    },
+    { $sort: { totalVolume: -1 } }
+  ]);
+
+  if (results.length === 0) {
+    return {
+      balance: [],
+      totalVolume: 0,
+      recommendations: ['Start tracking workouts to get muscle group analysis'],
+      imbalances: []
+    };
+  }
+
+  const totalVolume = results.reduce((sum, group) => sum + group.totalVolume, 0);
+
+  const balance = results.map(group => ({
+    muscleGroup: group._id,
+    volume: group.totalVolume,
+    sets: group.totalSets,
+    workouts: group.workouts.length,
+    percentage: (totalVolume ? group.totalVolume / totalVolume * 100 : 0).toFixed(1),
+    avgSetVolume: Math.round(group.avgSetVolume || 0)
+  }));
+
+  const imbalances = identifyMuscleImbalances(balance);
+
+  return {
+    balance,
+    totalVolume: Math.round(totalVolume),
+    recommendations: generateBalanceRecommendations(balance, imbalances),
+    imbalances,
+    timeframe
+  };
+};
+
+// ===== PROGRESSION TRENDS =====
+
+const determineTrendDirection = (volumeSlope, strengthSlope) => {
+  const avgSlope = (volumeSlope + strengthSlope) / 2;
+
+  if (Math.abs(avgSlope) < 0.1) return 'stable';
+  if (avgSlope > 0.5) return 'improving';
+  if (avgSlope > 0) return 'slightly_improving';
+  if (avgSlope < -0.5) return 'declining';
+  return 'slightly_declining';
+};
+
+const groupByWeek = (data) => {
+  const weeks = {};
+
+  data.forEach(point => {
+    const weekKey = weekStartOf(point.date);
+
+    if (!weeks[weekKey]) {
+      weeks[weekKey] = { date: weekKey, volume: 0, weight: 0, reps: 0, oneRM: 0, count: 0 };
+    }
+
+    weeks[weekKey].volume = Math.max(weeks[weekKey].volume, point.volume);
+    weeks[weekKey].weight = Math.max(weeks[weekKey].weight, point.weight);
+    weeks[weekKey].reps = Math.max(weeks[weekKey].reps, point.reps);
+    weeks[weekKey].oneRM = Math.max(weeks[weekKey].oneRM, point.oneRM);
+    weeks[weekKey].count++;
+  });
+
+  return Object.values(weeks).sort((a, b) => a.date.localeCompare(b.date));
+};
+
+const calculateProjections = (data) => {
+  if (data.length < 3) return {};
+
+  const recent = data.slice(-5); // Last 5 workouts
+  const avgImprovement = calculateTrend(recent, 'oneRM').slope;
+  const currentOneRM = data[data.length - 1]?.oneRM || 0;
+
+  return {
+    nextMonth: Math.round(currentOneRM + avgImprovement * 4),
+    nextQuarter: Math.round(currentOneRM + avgImprovement * 12),
+    confidence: calculateConsistency(recent.map(point => point.volume))
+  };
+};
+
+const getProgressionTrends = async (userId, exerciseId, { timeframe = 90, timezone } = {}) => {
+  const formula = await formulaForUser(userId);
+  // Best working set (by volume) of each workout
+  const bestSets = (await Workout.aggregate([
+    ...setStages(userId, { since: daysAgo(timeframe), exerciseId, timezone }),
+    topSetsOnly,
+    { $sort: { volume: -1, setNumber: 1 } },
+    { $group: { _id: '$workout', set: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$set' } },
+    { $sort: { startTime: 1 } }
+  ])).map(set => ({
+    date: set.day,
+    weight: set.weight,
+    reps: set.reps,
+    volume: set.volume,
+    rpe: set.rpe,
+    oneRM: calculateOneRM(set, formula)
+  }));
+
+  if (bestSets.length === 0) {
+    return {
+      trend: 'insufficient_data',
+      dataPoints: [],
+      bestSets: [],
+      metrics: {},
+      projections: {}
+    };
+  }
+
+  const volumeTrend = calculateTrend(bestSets, 'volume');
+  const strengthTrend = calculateTrend(bestSets, 'oneRM');
+  const weightTrend = calculateTrend(bestSets, 'weight');
+
+  return {
+    trend: determineTrendDirection(volumeTrend.slope, strengthTrend.slope),
+    dataPoints: groupByWeek(bestSets),
+    bestSets: bestSets.slice(-10), // Last 10 best sets
+    metrics: {
+      volumeChange: volumeTrend.percentChange,
+      strengthChange: strengthTrend.percentChange,
+      weightChange: weightTrend.percentChange,
+      consistency: calculateConsistency(bestSets.map(point => point.volume)),
+      currentOneRM: bestSets[bestSets.length - 1]?.oneRM || 0
+    },
+    projections: calculateProjections(bestSets)
+  };
+};
+
+// ===== STRENGTH RATIOS =====
+
+const getRatioStatus = (deviationPercent) => {
+  if (deviationPercent < 10) return 'excellent';
+  if (deviationPercent < 20) return 'good';
+  if (deviationPercent < 35) return 'needs_attention';
+  return 'concerning';
+};
+
+const getRatioRecommendation = (ratioName, actual, ideal) => {
+  const isUnder = actual < ideal;
+
+  const recommendations = {
+    'Bench Press vs Row': isUnder
+      ? 'Focus more on horizontal pulling exercises (rows, reverse flyes)'
+      : 'Your pulling strength is well developed relative to pressing',
+    'Squat vs Deadlift': isUnder
+      ? 'Work on squat technique and quadriceps strength'
+      : 'Good balance between squat and deadlift strength',
+    'Overhead Press vs Bench': isUnder
+      ? 'Include more overhead pressing movements'
+      : 'Strong overhead pressing relative to bench press',
+    'Front Squat vs Back Squat': isUnder
+      ? 'Improve front squat technique and core/upper back strength'
+      : 'Good front squat strength relative to back squat'
+  };
+
+  return recommendations[ratioName] || 'Monitor this ratio over time';
+};
+
+const calculateOverallBalance = (ratios) => {
+  if (ratios.length === 0) return 'insufficient_data';
+
+  const excellentCount = ratios.filter(r => r.status === 'excellent').length;
+  const goodCount = ratios.filter(r => r.status === 'good').length;
+  const concerningCount = ratios.filter(r => r.status === 'concerning').length;
+
+  const excellentPercent = excellentCount / ratios.length * 100;
+  const concerningPercent = concerningCount / ratios.length * 100;
+
+  if (excellentPercent >= 60) return 'excellent';
+  if (concerningPercent >= 40) return 'needs_improvement';
+  if (excellentPercent + goodCount / ratios.length * 100 >= 80) return 'good';
+  return 'fair';
+};
+
+const getStrengthRatios = async (userId) => {
+  const formula = await formulaForUser(userId);
+  // Best estimated 1RM per exercise name
+  const maxes = await Workout.aggregate([
+    ...setStages(userId),
+    topSetsOnly,
+    { $match: { weight: { $gt: 0 }, reps: { $gt: 0 } } },
+    ...exerciseDetailStages(),
+    { $group: { _id: '$exerciseName', estimated1RM: { $max: oneRMExpression(formula) } } }
+  ]);
+
+  // Matches exercise names containing the given name, like the app's LIKE query
+  const getExerciseMax = (exerciseName) => {
+    const needle = exerciseName.toLowerCase();
+    const matching = maxes.filter(max => max._id.toLowerCase().includes(needle));
+    return Math.round(Math.max(0, ...matching.map(max => max.estimated1RM)));
+  };
+
+  const ratios = [];
+
+  for (const [ratioName, ratio] of Object.entries(STRENGTH_RATIOS)) {
+    const primaryMax = getExerciseMax(ratio.primary);
+    const secondaryMaxes = ratio.secondary.map(getExerciseMax);
+    const secondaryMax = Math.max(...secondaryMaxes);
+
+    if (primaryMax > 0 && secondaryMax > 0) {
+      const actualRatio = primaryMax / secondaryMax;
+      const deviationPercent = (Math.abs(actualRatio - ratio.ideal) / ratio.ideal) * 100;
+
+      ratios.push({
+        name: ratioName,
+        primaryExercise: ratio.primary,
+        secondaryExercise: ratio.secondary[secondaryMaxes.indexOf(secondaryMax)],
+        primaryMax,
+        secondaryMax,
+        actualRatio: actualRatio.toFixed(2),
+        idealRatio: ratio.ideal.toFixed(2),
+        deviation: deviationPercent.toFixed(1),
+        status: getRatioStatus(deviationPercent),
+        recommendation: getRatioRecommendation(ratioName, actualRatio, ratio.ideal)
+      });
+    }
+  }
+
+  return {
+    ratios,
+    overallBalance: calculateOverallBalance(ratios)
+  };
+};
+
+// ===== VOLUME DISTRIBUTION =====
+
+const groupVolumeByWeek = (rows) => {
+  const weeks = {};
+
+  rows.forEach(row => {
+    const weekKey = weekStartOf(row.day);
+
+    if (!weeks[weekKey]) {
+      weeks[weekKey] = { week: weekKey, totalVolume: 0, workouts: new Set(), exercises: new Set(), categories: {} };
+    }
+
+    weeks[weekKey].totalVolume += row.totalVolume;
+    weeks[weekKey].workouts.add(row.day);
+    weeks[weekKey].exercises.add(row.exerciseName);
+    weeks[weekKey].categories[row.muscleGroup] = (weeks[weekKey].categories[row.muscleGroup] || 0) + row.totalVolume;
+  });
+
+  return Object.values(weeks).map(week => ({
+    week: week.week,
+    totalVolume: week.totalVolume,
+    workoutCount: week.workouts.size,
+    exerciseCount: week.exercises.size,
+    avgVolumePerWorkout: Math.round(week.totalVolume / week.workouts.size),
+    categories: week.categories
+  })).sort((a, b) => a.week.localeCompare(b.week));
+};
+
+const calculateExerciseDistribution = (rows) => {
+  const exercises = {};
+
+  rows.forEach(row => {
+    if (!exercises[row.exerciseName]) {
+      exercises[row.exerciseName] = {
+        name: row.exerciseName,
+        category: row.muscleGroup,
+        totalVolume: 0,
+        sessionCount: 0,
+        avgVolume: 0
+      };
+    }
+
+    exercises[row.exerciseName].totalVolume += row.totalVolume;
+    exercises[row.exerciseName].sessionCount++;
+  });
+
+  return Object.values(exercises).map(exercise => ({
+    ...exercise,
+    avgVolume: Math.round(exercise.totalVolume / exercise.sessionCount)
+  })).sort((a, b) => b.totalVolume - a.totalVolume);
+};
+
+const calculateVolumeTrends = (weeklyVolume) => {
+  if (weeklyVolume.length < 2) return {};
+
+  const volumes = weeklyVolume.map(week => week.totalVolume);
+  const workoutCounts = weeklyVolume.map(week => week.workoutCount);
+
+  return {
+    volumeTrend: calculateTrend(volumes.map(volume => ({ volume })), 'volume'),
+    consistencyTrend: calculateConsistency(volumes),
+    avgWeeklyVolume: Math.round(volumes.reduce((a, b) => a + b, 0) / volumes.length),
+    avgWorkoutsPerWeek: (workoutCounts.reduce((a, b) => a + b, 0) / workoutCounts.length).toFixed(1)
+  };
+};
+
+const generateVolumeInsights = (weeklyVolume, exerciseDistribution, trends) => {
+  const insights = [];
+
+  if (weeklyVolume.length === 0) {
+    insights.push('Start tracking workouts to get volume analysis');
+    return insights;
+  }
+
+  if (trends.volumeTrend?.percentChange > 10) {
+    insights.push(`Great progress! Your weekly volume has increased by ${trends.volumeTrend.percentChange.toFixed(1)}%`);
+  } else if (trends.volumeTrend?.percentChange < -10) {
+    insights.push(`Your volume has decreased by ${Math.abs(trends.volumeTrend.percentChange).toFixed(1)}%. Consider increasing training intensity.`);
+  }
+
+  if (trends.consistencyTrend > 80) {
+    insights.push('Excellent training consistency! Keep it up.');
+  } else if (trends.consistencyTrend < 50) {
+    insights.push('Your training volume varies significantly. Try to maintain more consistent weekly volume.');
+  }
+
+  const topExercises = exerciseDistribution.slice(0, 3);
+  if (topExercises.length > 0) {
+    insights.push(`Your top exercises by volume: ${topExercises.map(e => e.name).join(', ')}`);
+  }
+
+  if (parseFloat(trends.avgWorkoutsPerWeek) < 2) {
+    insights.push('Consider increasing workout frequency for better results');
+  } else if (parseFloat(trends.avgWorkoutsPerWeek) > 6) {
+    insights.push('High training frequency detected. Ensure adequate recovery time.');
+  }
+
+  return insights;
+};
+
+const getVolumeDistribution = async (userId, { timeframe = 30, timezone } = {}) => {
+  // Volume per exercise per training day
+  const rows = (await Workout.aggregate([
+    ...setStages(userId, { since: daysAgo(timeframe), timezone }),
+    workingSetsOnly,
+    ...exerciseDetailStages(),
+    {
+      $group: {
+        _id: { day: '$day', exercise: '$exercise' },
+        exerciseName: { $first: '$exerciseName' },
+        muscleGroup: { $first: '$muscleGroup' },
+        setCount: { $sum: 1 },
+        totalVolume: { $sum: '$volume' }
+      }
+    },
+    { $sort: { '_id.day': -1 } }
+  ])).map(row => ({ ...row, day: row._id.day }));
+
+  const weeklyVolume = groupVolumeByWeek(rows);
+  const exerciseDistribution = calculateExerciseDistribution(rows);
+  const volumeTrends = calculateVolumeTrends(weeklyVolume);
+
+  return {
+    weeklyVolume,
+    exerciseDistribution,
+    volumeTrends,
+    insights: generateVolumeInsights(weeklyVolume, exerciseDistribution, volumeTrends)
+  };
+};
+
+// ===== PERSONAL RECORDS =====
+
+const getPersonalRecords = async (userId, { limit = 10, timezone = 'UTC' } = {}) => {
+  const formula = await formulaForUser(userId);
+  const records = await Workout.aggregate([
+    ...setStages(userId, { timezone }),
+    topSetsOnly,
+    { $match: { weight: { $gt: 0 }, reps: { $gt: 0 } } },
+    ...exerciseDetailStages(),
+    {
+      $group: {
+        _id: '$exercise',
+        exercise: { $first: '$exerciseName' },
+        category: { $first: '$muscleGroup' },
+        maxWeight: { $max: '$weight' },
+        maxReps: { $max: '$reps' },
+        maxVolume: { $max: '$volume' },
+        estimated1RM: { $max: oneRMExpression(formula) },
+        workouts: { $addToSet: '$workout' },
+        lastPerformed: { $max: '$startTime' },
+        lastDay: { $max: '$day' }
+      }
+    },
+    { $sort: { estimated1RM: -1 } },
+    { $limit: limit }
+  ]);
+
+  return records.map(record => ({
+    exercise: record.exercise,
+    category: record.category,
+    maxWeight: record.maxWeight,
+    maxReps: record.maxReps,
+    maxVolume: record.maxVolume,
+    estimated1RM: Math.round(record.estimated1RM),
+    workoutCount: record.workouts.length,
+    lastPerformed: record.lastDay || 'Unknown',
+    daysSinceLastPerformed: Math.floor((Date.now() - record.lastPerformed) / DAY_MS)
+  }));
+};
+
+// ===== WORKOUT FREQUENCY =====
+
+const groupWorkoutsByWeek = (dailyWorkouts) => {
+  const weeks = {};
+
+  dailyWorkouts.forEach(day => {
+    const weekKey = weekStartOf(day.workout_date);
+
+    if (!weeks[weekKey]) {
+      weeks[weekKey] = { week: weekKey, workoutDays: 0, totalDuration: 0, avgDuration: 0 };
+    }
+
+    weeks[weekKey].workoutDays++;
+    weeks[weekKey].totalDuration += day.total_duration || 0;
+  });
+
+  return Object.values(weeks).map(week => ({
+    ...week,
+    avgDuration: week.totalDuration / week.workoutDays
+  })).sort((a, b) => a.week.localeCompare(b.week));
+};
+
+const calculateWorkoutConsistency = (weeklyStats) => {
+  if (weeklyStats.length === 0) return 0;
+
+  const workoutCounts = weeklyStats.map(w => w.workoutDays);
+  const avgWorkouts = workoutCounts.reduce((a, b) => a + b, 0) / workoutCounts.length;
+
+  if (avgWorkouts === 0) return 0;
+
+  const variance = workoutCounts.reduce((sum, count) => sum + Math.pow(count - avgWorkouts, 2), 0) / workoutCounts.length;
+  const cv = Math.sqrt(variance) / avgWorkouts;
+
+  return Math.max(0, 100 * (1 - cv));
+};
+
+const calculateLongestStreak = (dailyWorkouts) => {
+  if (dailyWorkouts.length === 0) return 0;
+
+  let longestStreak = 1;
+  let currentStreak = 1;
+
+  for (let i = 1; i < dailyWorkouts.length; i++) {
+    if (daysBetween(dailyWorkouts[i - 1].workout_date, dailyWorkouts[i].workout_date) <= 2) { // Allow 1 rest day
+      currentStreak++;
+    } else {
+      longestStreak = Math.max(longestStreak, currentStreak);
+      currentStreak = 1;
+    }
+  }
+
+  return Math.max(longestStreak, currentStreak);
+};
+
+const calculateCurrentStreak = (dailyWorkouts, timezone) => {
+  if (dailyWorkouts.length === 0) return 0;
+
+  const lastWorkout = dailyWorkouts[dailyWorkouts.length - 1].workout_date;
+  if (daysBetween(lastWorkout, today(timezone)) > 3) return 0; // Streak broken after 3 days
+
+  let streak = 1;
+  for (let i = dailyWorkouts.length - 2; i >= 0; i--) {
+    if (daysBetween(dailyWorkouts[i].workout_date, dailyWorkouts[i + 1].workout_date) <= 2) {
+      streak++;
+    } else {
+      break;
+    }
+  }
+
+  return streak;
+};
+
+const calculateFrequencyMetrics = (dailyWorkouts, weeklyStats, timezone) => {
+  if (dailyWorkouts.length === 0) return {};
+
+  const workoutDays = dailyWorkouts.length;
+  const totalDays = Math.max(1, daysBetween(dailyWorkouts[0].workout_date, today(timezone)));
+  const avgWorkoutsPerWeek = (workoutDays / totalDays) * 7;
+
+  const durations = dailyWorkouts.map(d => d.avg_duration).filter(d => d > 0);
+  const avgDuration = durations.length > 0 ? durations.reduce((a, b) => a + b, 0) / durations.length : 0;
+
+  return {
+    totalWorkouts: workoutDays,
+    avgWorkoutsPerWeek: avgWorkoutsPerWeek.toFixed(1),
+    avgDuration: Math.round(avgDuration / 60), // Convert to minutes
+    consistencyScore: Math.round(calculateWorkoutConsistency(weeklyStats)),
+    longestStreak: calculateLongestStreak(dailyWorkouts),
+    currentStreak: calculateCurrentStreak(dailyWorkouts, timezone)
+  };
+};
+
+const generateFrequencyRecommendations = (metrics) => {
+  const recommendations = [];
+
+  if (!metrics.avgWorkoutsPerWeek) {
+    recommendations.push('Start tracking workouts to get frequency analysis');
+    return recommendations;
+  }
+
+  const freq = parseFloat(metrics.avgWorkoutsPerWeek);
+
+  if (freq < 2) {
+    recommendations.push('Try to workout at least 2-3 times per week for optimal results');
+  } else if (freq > 6) {
+    recommendations.push('Very high frequency detected. Ensure adequate recovery between sessions');
+  } else if (freq >= 3 && freq <= 5) {
+    recommendations.push('Great workout frequency! You\'re in the optimal range.');
+  }
+
+  if (metrics.consistencyScore < 60) {
+    recommendations.push('Try to maintain more consistent workout scheduling');
+  } else if (metrics.consistencyScore > 80) {
+    recommendations.push('Excellent consistency! Keep up the regular schedule.');
+  }
+
+  if (metrics.avgDuration < 30) {
+    recommendations.push('Consider longer workout sessions for better volume');
+  } else if (metrics.avgDuration > 120) {
+    recommendations.push('Very long workouts detected. Consider splitting into shorter, more focused sessions');
+  }
+
+  if (metrics.currentStreak === 0) {
+    recommendations.push('Time to get back into your routine! Start with a light workout.');
+  } else if (metrics.currentStreak >= 7) {
+    recommendations.push(`Amazing ${metrics.currentStreak}-day streak! Consider taking a rest day soon.`);
+  }
+
+  return recommendations;
+};
+
+const getWorkoutFrequencyAnalysis = async (userId, { timeframe = 90, timezone = 'UTC' } = {}) => {
+  // Same row shape as the app's SQL: durations in seconds
+  const dailyWorkouts = (await Workout.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        isCompleted: true,
+        deletedAt: null,
+        startTime: { $gte: daysAgo(timeframe) }
+      }
+    },
+    {
+      $project: {
+        day: { $dateToString: { format: '%Y-%m-%d', date: '$startTime', timezone } },
+        seconds: {
+          $cond: [
+            { $ifNull: ['$endTime', false] },
+            { $divide: [{ $subtract: ['$endTime', '$startTime'] }, 1000] },
+            { $multiply: [{ $ifNull: ['$duration', 0] }, 60] }
+          ]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$day',
+        workout_count: { $sum: 1 },
+        avg_duration: { $avg: '$seconds' },
+        total_duration: { $sum: '$seconds' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ])).map(({ _id, ...day }) => ({ workout_date: _id, ...day }));
+
+  const weeklyStats = groupWorkoutsByWeek(dailyWorkouts);
+  const metrics = calculateFrequencyMetrics(dailyWorkouts, weeklyStats, timezone);
+
+  return {
+    dailyWorkouts,
+    weeklyStats,
+    metrics,
+    recommendations: generateFrequencyRecommendations(metrics)
+  };
+};
+
+// ===== COMPREHENSIVE =====
+
+const getFitnessRating = (score) => {
+  if (score >= 90) return 'Elite';
+  if (score >= 80) return 'Advanced';
+  if (score >= 70) return 'Intermediate';
+  if (score >= 60) return 'Beginner+';
+  if (score >= 50) return 'Beginner';
+  return 'Getting Started';
+};
+
+const calculateOverallFitnessScore = ({ muscleBalance, strengthRatios, frequencyAnalysis }) => {
+  let score = 0;
+  const maxScore = 100;
+
+  // Muscle balance score (0-25 points)
+  if (muscleBalance.imbalances.length === 0) score += 25;
+  else if (muscleBalance.imbalances.length <= 2) score += 15;
+  else if (muscleBalance.imbalances.length <= 4) score += 10;
+  else score += 5;
+
+  // Strength ratios score (0-25 points)
+  const ratioBalance = strengthRatios.overallBalance;
+  if (ratioBalance === 'excellent') score += 25;
+  else if (ratioBalance === 'good') score += 20;
+  else if (ratioBalance === 'fair') score += 15;
+  else if (ratioBalance === 'needs_improvement') score += 10;
+  else score += 5;
+
+  // Frequency consistency score (0-25 points)
+  const consistency = frequencyAnalysis.metrics.consistencyScore || 0;
+  score += Math.round(consistency * 0.25);
+
+  // Workout frequency score (0-25 points)
+  const freq = parseFloat(frequencyAnalysis.metrics.avgWorkoutsPerWeek || 0);
+  if (freq >= 3 && freq <= 5) score += 25;
+  else if (freq >= 2 && freq < 3) score += 20;
+  else if (freq >= 5 && freq <= 6) score += 20;
+  else if (freq >= 1 && freq < 2) score += 15;
+  else if (freq > 6) score += 10;
+  else score += 5;
+
+  const percentage = Math.round((score / maxScore) * 100);
+
+  return {
+    score: percentage,
+    rating: getFitnessRating(percentage),
+    breakdown: {
+      muscleBalance: Math.round((score <= 25 ? score : 25) / 25 * 100),
+      strengthRatios: Math.round((score <= 50 && score > 25 ? score - 25 : score > 50 ? 25 : 0) / 25 * 100),
+      consistency: Math.round(consistency),
+      frequency: Math.round((score > 75 ? 25 : score > 50 ? score - 50 : 0) / 25 * 100)
+    }
+  };
+};
+
+const getComprehensiveAnalytics = async (userId, { timeframe = 30, timezone } = {}) => {
+  const [
+    muscleBalance,
+    volumeDistribution,
+    strengthRatios,
+    personalRecords,
+    frequencyAnalysis
+  ] = await Promise.all([
+    getMuscleGroupBalance(userId, { timeframe, timezone }),
+    getVolumeDistribution(userId, { timeframe, timezone }),
+    getStrengthRatios(userId),
+    getPersonalRecords(userId, { limit: 5, timezone }),
+    getWorkoutFrequencyAnalysis(userId, { timeframe, timezone })
+  ]);
+
+  return {
+    overallScore: calculateOverallFitnessScore({ muscleBalance, strengthRatios, frequencyAnalysis }),
+    muscleBalance,
+    volumeDistribution,
+    strengthRatios,
+    personalRecords,
+    frequencyAnalysis,
+    lastUpdated: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  getMuscleGroupBalance,
+  getProgressionTrends,
+  getStrengthRatios,
+  getVolumeDistribution,
+  getPersonalRecords,
+  getWorkoutFrequencyAnalysis,
+  getComprehensiveAnalytics
+};
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const generateToken = require('./generateToken');
+const config = require('../config');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createRefreshToken = async (user, family, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + config.jwt.refreshExpireDays * 24 * 60 * 60 * 1000);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt,
+    createdByIp: req?.ip,
+    userAgent: req?.get?.('User-Agent')
+  });
+
+  return { token, tokenHash: hashToken(token) };
+};
+
+const buildTokenResponse = (user, family, refreshToken) => {
+  const accessToken = generateToken(user, family);
+  const { iat, exp } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: exp - iat
+  };
+};
+
+/**
+ * Start a new session for a user
+ * @returns {Promise<{accessToken: string, refreshToken: string, expiresIn: number}>}
+ */
+const issueAuthTokens = async (user, req) => {
+  const family = crypto.randomUUID();
+  const { token } = await createRefreshToken(user, family, req);
+  return buildTokenResponse(user, family, token);
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * The presented token is revoked; presenting a revoked token again
+ * revokes the whole session.
+ * @returns {Promise<{user, tokens} | null>} null when the token is not usable
+ */
+const rotateRefreshToken = async (rawToken, req) => {
+  const tokenHash = hashToken(rawToken);
+
+  // Revoke and claim the token in one step, so concurrent refreshes with the
+  // same token can't both get a new one
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date() } }
+  ).populate('user');
+
+  if (!stored) {
+    const previous = await RefreshToken.findOne({ tokenHash });
+    if (previous && previous.revokedAt) {
+      // Reuse of a rotated token: assume it was stolen and end the session
+      console.warn(`Refresh token reuse detected for user ${previous.user}, revoking session`);
+      await revokeSession(previous.user, previous.family);
+    }
+    return null;
+  }
+
+  if (!stored.user) return null;
+
+  const { token, tokenHash: replacedByHash } = await createRefreshToken(stored.user, stored.family, req);
+  await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedByHash } });
+
+  return {
+    user: stored.user,
+    tokens: buildTokenResponse(stored.user, stored.family, token)
+  };
+};
+
+// Revoke every refresh token of a single session
+const revokeSession = (userId, family) => RefreshToken.updateMany(
+  { user: userId, family, revokedAt: null },
+  { $set: { revokedAt: new Date() } }
+);
+
+// Revoke every refresh token of a user (all devices)
+const revokeAllSessions = (userId) => RefreshToken.updateMany(
+  { user: userId, revokedAt: null },
+  { $set: { revokedAt: new Date() } }
+);
+
+module.exports = {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
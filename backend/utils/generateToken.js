@@ -1,12 +1,15 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 
-const generateToken = (user) => {
+// Short-lived access token. `sid` ties it to the refresh token session it
+// was issued for, so logout can revoke that session.
+const generateToken = (user, sessionId) => {
   return jwt.sign(
     { 
       id: user._id, 
       username: user.username, 
-      email: user.email 
+      email: user.email,
+      sid: sessionId
     },
     config.jwt.secret,
     { 
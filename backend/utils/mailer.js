@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+
+/**
+ * Pluggable mail delivery
+ *
+ * A transport is any object with an async `send({ to, from, subject, html, text })`.
+ * `smtp` delivers through the EMAIL_HOST server and is the production default.
+ * The `console` and `file` transports are meant for local development; other
+ * providers can be plugged in with registerTransport() and selected with
+ * MAIL_TRANSPORT.
+ */
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '..', '..', 'frontend', 'firebase-email-templates');
+
+// Logs the message instead of delivering it
+const consoleTransport = {
+  async send(message) {
+    console.log('📧 Email (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    if (message.text) {
+      console.log(message.text);
+    }
+    return { delivered: false, transport: 'console' };
+  }
+};
+
+// Writes each message to an .html file that can be opened in a browser
+const fileTransport = {
+  async send(message) {
+    const outputDir = path.resolve(config.email.outputDir);
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const filePath = path.join(outputDir, `${Date.now()}-${safeRecipient}.html`);
+    const header = `<!-- To: ${message.to}\n     From: ${message.from}\n     Subject: ${message.subject} -->\n`;
+
+    await fs.promises.writeFile(filePath, header + message.html, 'utf8');
+    console.log(`📧 Email written to ${filePath}`);
+    return { delivered: false, transport: 'file', path: filePath };
+  }
+};
+
+// Delivers through the SMTP server configured with EMAIL_HOST/PORT/USER/PASS
+const createSmtpTransport = () => {
+  let transporter;
+
+  return {
+    async send(message) {
+      if (!config.email.host) {
+        throw new Error('EMAIL_HOST is required for the smtp mail transport');
+      }
+
+      // Created on first use so development setups without SMTP still load
+      if (!transporter) {
+        const port = config.email.port || 587;
+        transporter = nodemailer.createTransport({
+          host: config.email.host,
+          port,
+          secure: port === 465,
+          auth: config.email.user
+            ? { user: config.email.user, pass: config.email.pass }
+            : undefined
+        });
+      }
+
+      const info = await transporter.sendMail(message);
+      return { delivered: true, transport: 'smtp', messageId: info.messageId };
+    }
+  };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+/**
+ * Register (or replace) a named transport
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send()`);
+  }
+  transports[name] = transport;
+};
+
+registerTransport('smtp', createSmtpTransport());
+
+const getTransport = () => {
+  const transport = transports[config.email.transport];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${config.email.transport}`);
+  }
+  return transport;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Render one of the shared email templates, replacing %KEY% placeholders
+ */
+const renderTemplate = async (templateName, variables) => {
+  const templateDir = config.email.templateDir || DEFAULT_TEMPLATE_DIR;
+  const template = await fs.promises.readFile(path.join(templateDir, `${templateName}.html`), 'utf8');
+
+  return Object.entries(variables).reduce(
+    (html, [key, value]) => html.split(`%${key}%`).join(escapeHtml(value)),
+    template
+  );
+};
+
+const sendMail = async ({ to, subject, html, text }) => {
+  return getTransport().send({
+    to,
+    from: config.email.from,
+    subject,
+    html,
+    text
+  });
+};
+
+const sendPasswordResetEmail = async (email, resetLink) => {
+  const html = await renderTemplate('password-reset-template', {
+    EMAIL: email,
+    LINK: resetLink
+  });
+
+  return sendMail({
+    to: email,
+    subject: 'Reset your Fitera password',
+    html,
+    text: `We received a request to reset the password for your Fitera account (${email}).\n` +
+      `Reset your password: ${resetLink}\n` +
+      'If you did not request this, you can ignore this email.'
+  });
+};
+
+module.exports = {
+  registerTransport,
+  renderTemplate,
+  sendMail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,59 @@
+const Workout = require('../models/Workout');
+const Routine = require('../models/Routine');
+const { toKg } = require('./units');
+
+/**
+ * Data migrations run once the database is connected. Each one only
+ * touches documents it hasn't migrated yet, so running it again is safe.
+ */
+
+/**
+ * Weights were saved without a unit before units existed, and the app
+ * logged them in pounds. Convert them to kg and record lb as the unit they
+ * were entered in. Saving each workout also rebuilds its personal records.
+ * @returns {Promise<{workouts: number, routines: number}>} documents migrated
+ */
+const migrateWeightUnits = async () => {
+  // Read the raw documents: hydrated ones would report the default unit
+  const workouts = await Workout.find({ 'exercises.sets': { $elemMatch: { weightUnit: { $exists: false } } } })
+    .select('exercises.sets.weightUnit')
+    .lean();
+
+  for (const raw of workouts) {
+    const workout = await Workout.findById(raw._id);
+    workout.exercises.forEach((entry, entryIndex) => {
+      entry.sets.forEach((set, setIndex) => {
+        if (raw.exercises[entryIndex]?.sets[setIndex]?.weightUnit) return;
+        set.weight = toKg(set.weight, 'lb');
+        set.weightUnit = 'lb';
+      });
+    });
+    await workout.save();
+  }
+
+  const routines = await Routine.find({ weightUnit: { $exists: false } });
+  for (const routine of routines) {
+    routine.exercises.forEach(entry => {
+      entry.weight = toKg(entry.weight, 'lb');
+      entry.targetSets.forEach(target => {
+        target.weight = toKg(target.weight, 'lb');
+      });
+    });
+    routine.weightUnit = 'lb';
+    await routine.save();
+  }
+
+  return { workouts: workouts.length, routines: routines.length };
+};
+
+const runMigrations = async () => {
+  const weightUnits = await migrateWeightUnits();
+  if (weightUnits.workouts || weightUnits.routines) {
+    console.log(`Migrated weights to kg: ${weightUnits.workouts} workouts, ${weightUnits.routines} routines`);
+  }
+};
+
+module.exports = {
+  migrateWeightUnits,
+  runMigrations
+};
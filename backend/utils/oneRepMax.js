@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * One-rep max estimation
+ *
+ * Server-side counterpart of frontend/utils/oneRepMax.js, so records and
+ * analytics estimate a 1RM the same way the app does with the user's
+ * formula. Sets above MAX_ESTIMATE_REPS count as that many reps; the RPE
+ * chart estimate counts reps left in reserve (RIR, or 10 - RPE) as reps done.
+ */
+
+const ONE_REP_MAX_FORMULAS = ['epley', 'brzycki', 'lombardi', 'mayhew', 'wathan', 'rpe'];
+
+const DEFAULT_ONE_REP_MAX_FORMULA = 'epley';
+
+// Reps counted at most; beyond this estimates aren't reliable
+const MAX_ESTIMATE_REPS = 12;
+
+// Percent of 1RM for 1 to MAX_ESTIMATE_REPS reps taken to failure (RPE 10)
+const RPE_CHART = [100, 95.5, 92.2, 89.2, 86.3, 83.7, 81.1, 78.6, 76.2, 73.9, 70.7, 68.0];
+
+const rpeChartPercent = (reps) => {
+  const index = Math.floor(reps) - 1;
+  const next = RPE_CHART[Math.min(index + 1, RPE_CHART.length - 1)];
+  return RPE_CHART[index] + (next - RPE_CHART[index]) * (reps - Math.floor(reps));
+};
+
+// 1RM as a multiple of the weight lifted, by reps from 1 to MAX_ESTIMATE_REPS
+const FACTORS = {
+  epley: reps => 1 + reps / 30,
+  brzycki: reps => 36 / (37 - reps),
+  lombardi: reps => reps ** 0.1,
+  mayhew: reps => 100 / (52.2 + 41.9 * Math.exp(-0.055 * reps)),
+  wathan: reps => 100 / (48.8 + 53.8 * Math.exp(-0.075 * reps)),
+  rpe: reps => 100 / rpeChartPercent(reps)
+};
+
+// 1RM as a multiple of the weight lifted; 1 for a single, 0 below one rep
+const oneRMFactor = (reps, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  if (!(reps >= 1)) return 0;
+  if (reps === 1) return 1;
+  const factor = FACTORS[formula] || FACTORS[DEFAULT_ONE_REP_MAX_FORMULA];
+  return factor(Math.min(reps, MAX_ESTIMATE_REPS));
+};
+
+// Reps left in reserve of a set; sets without effort data count as to failure
+const repsInReserve = (set) => {
+  if (set.rir !== undefined && set.rir !== null) return set.rir;
+  return set.rpe !== undefined && set.rpe !== null ? 10 - set.rpe : 0;
+};
+
+/**
+ * Estimated 1RM of a set ({ weight, reps, rpe, rir }), 0 without weight or reps
+ */
+const estimateOneRM = (set, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  if (!(set.weight > 0)) return 0;
+  const reps = formula === 'rpe' ? set.reps + repsInReserve(set) : set.reps;
+  return set.weight * oneRMFactor(reps, formula);
+};
+
+/**
+ * Estimated 1RM as an aggregation expression over documents with weight,
+ * reps, rpe and rir fields. Reps and RPE come in whole or half steps, so
+ * factors looked up per half rep give the same estimates as estimateOneRM.
+ */
+const oneRMExpression = (formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  const reps = formula === 'rpe'
+    ? { $add: ['$reps', { $ifNull: ['$rir', { $subtract: [10, { $ifNull: ['$rpe', 10] }] }] }] }
+    : '$reps';
+  const branches = [{ case: { $lt: [reps, 1] }, then: 0 }];
+  for (let step = 1; step <= MAX_ESTIMATE_REPS; step += 0.5) {
+    branches.push({ case: { $lte: [reps, step] }, then: oneRMFactor(step, formula) });
+  }
+
+  return {
+    $multiply: ['$weight', { $switch: { branches, default: oneRMFactor(MAX_ESTIMATE_REPS, formula) } }]
+  };
+};
+
+// The 1RM formula a user picked
+const formulaForUser = async (userId) => {
+  const User = mongoose.model('User');
+  const user = await User.findById(userId).select('preferences.oneRepMaxFormula').lean();
+  return user?.preferences?.oneRepMaxFormula || DEFAULT_ONE_REP_MAX_FORMULA;
+};
+
+module.exports = {
+  ONE_REP_MAX_FORMULAS,
+  DEFAULT_ONE_REP_MAX_FORMULA,
+  MAX_ESTIMATE_REPS,
+  estimateOneRM,
+  oneRMExpression,
+  formulaForUser
+};
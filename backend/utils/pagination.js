@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse the ?limit= query parameter, clamped to MAX_LIMIT
+ */
+const parseLimit = (value) => {
+  const limit = parseInt(value, 10);
+  if (isNaN(limit) || limit <= 0) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+};
+
+/**
+ * Encode the position of a document in a (field, _id) ordering
+ */
+const encodeCursor = (doc, field) => {
+  const value = doc[field] instanceof Date ? doc[field].toISOString() : doc[field];
+  return Buffer.from(JSON.stringify({ v: value, id: doc._id.toString() })).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @returns {{ value: *, id: string } | null} null when the cursor is malformed
+ */
+const decodeCursor = (cursor, { isDate = false } = {}) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    const value = isDate ? new Date(v) : v;
+    if (isDate && isNaN(value.getTime())) return null;
+
+    return { value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the filter selecting documents that come after the cursor
+ * in a (field desc, _id desc) ordering, or (field asc, _id asc) with ascending
+ */
+const afterCursor = (field, { value, id }, { ascending = false } = {}) => {
+  const objectId = new mongoose.Types.ObjectId(id);
+  const op = ascending ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: objectId } }
+    ]
+  };
+};
+
+/**
+ * Split an over-fetched page (limit + 1 documents) into the page and the next cursor
+ */
+const buildPage = (docs, limit, field) => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  buildPage
+};
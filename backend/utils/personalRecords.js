@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const PersonalRecord = require('../models/PersonalRecord');
+const { estimateOneRM, formulaForUser } = require('./oneRepMax');
+
+/**
+ * Personal record detection
+ *
+ * Records are rebuilt per exercise from the user's completed workouts in
+ * chronological order, so edits and deletions of past workouts are
+ * reflected and every device sees the same records. A record is identified
+ * by its kind and the workout that set it, so a rebuild upserts the records
+ * it finds and only then deletes the ones it no longer finds: readers never
+ * see an exercise without its records.
+ */
+
+// Rep maxes are tracked from 1RM up to this many reps
+const MAX_REP_MAX = 20;
+
+// Warm-ups and drop sets never count as top sets
+const NON_RECORD_SET_TYPES = ['warmup', 'drop'];
+
+const recordKey = (recordType, repCount) => (repCount ? `${recordType}:${repCount}` : recordType);
+
+// Identity of a stored record; repCount is null for every kind but rep maxes
+const recordIdentity = (record) => ({
+  recordType: record.recordType,
+  repCount: record.repCount || null,
+  workout: record.workout
+});
+
+const RECORD_FIELDS = ['value', 'previousValue', 'weight', 'reps', 'set', 'achievedAt', 'isCurrent'];
+
+// Upsert of one rebuilt record, clearing fields it no longer has
+const upsertRecord = (userId, exerciseId, record) => {
+  const $set = {};
+  const $unset = {};
+  RECORD_FIELDS.forEach(field => {
+    if (record[field] === undefined) {
+      $unset[field] = '';
+    } else {
+      $set[field] = record[field];
+    }
+  });
+
+  return {
+    updateOne: {
+      filter: { user: userId, exercise: exerciseId, ...recordIdentity(record) },
+      update: Object.keys($unset).length > 0 ? { $set, $unset } : { $set },
+      upsert: true
+    }
+  };
+};
+
+/**
+ * Record candidates for one working set, with 1RMs estimated by the given formula
+ */
+const candidatesForSet = (set, formula) => {
+  const Workout = mongoose.model('Workout');
+  if (NON_RECORD_SET_TYPES.includes(Workout.setTypeOf(set)) || !(set.weight > 0) || !(set.reps > 0)) return [];
+
+  const candidates = [
+    { recordType: 'max_weight', value: set.weight },
+    { recordType: '1RM', value: Math.round(estimateOneRM(set, formula) * 10) / 10 },
+    { recordType: 'volume', value: set.weight * set.reps }
+  ];
+  if (set.reps <= MAX_REP_MAX) {
+    candidates.push({ recordType: 'rep_max', repCount: set.reps, value: set.weight });
+  }
+
+  return candidates.map(candidate => ({
+    ...candidate,
+    weight: set.weight,
+    reps: set.reps,
+    set: set._id
+  }));
+};
+
+/**
+ * Recompute the record history of one exercise for a user
+ * @returns {Promise<Array>} the saved records, oldest first
+ */
+const rebuildExerciseRecords = async (userId, exerciseId, formula) => {
+  const Workout = mongoose.model('Workout');
+  if (!formula) formula = await formulaForUser(userId);
+  const workouts = await Workout.find({
+    user: userId,
+    isCompleted: true,
+    deletedAt: null,
+    'exercises.exercise': exerciseId
+  }).sort({ startTime: 1, _id: 1 });
+
+  const best = {};
+  const history = [];
+
+  workouts.forEach(workout => {
+    // Only the best set of each kind in a workout counts
+    const workoutBest = {};
+    workout.exercises
+      .filter(entry => entry.exercise.toString() === exerciseId.toString())
+      .forEach(entry => entry.sets.forEach(set => {
+        candidatesForSet(set, formula).forEach(candidate => {
+          const key = recordKey(candidate.recordType, candidate.repCount);
+          if (!workoutBest[key] || candidate.value > workoutBest[key].value) {
+            workoutBest[key] = candidate;
+          }
+        });
+      }));
+
+    Object.entries(workoutBest).forEach(([key, candidate]) => {
+      if (best[key] && candidate.value <= best[key].value) return;
+
+      const record = {
+        user: userId,
+        exercise: exerciseId,
+        ...candidate,
+        previousValue: best[key] ? best[key].value : undefined,
+        workout: workout._id,
+        achievedAt: workout.endTime || workout.startTime
+      };
+      best[key] = record;
+      history.push(record);
+    });
+  });
+
+  history.forEach(record => {
+    record.isCurrent = best[recordKey(record.recordType, record.repCount)] === record;
+  });
+
+  if (history.length > 0) {
+    await PersonalRecord.bulkWrite(history.map(record => upsertRecord(userId, exerciseId, record)));
+  }
+  await PersonalRecord.deleteMany({
+    user: userId,
+    exercise: exerciseId,
+    ...(history.length > 0 ? { $nor: history.map(recordIdentity) } : {})
+  });
+
+  return PersonalRecord.find({ user: userId, exercise: exerciseId }).sort({ achievedAt: 1, _id: 1 });
+};
+
+/**
+ * Rebuild records for the given exercises
+ * @returns {Promise<Array>} records set by the given workout
+ */
+const updateRecordsForWorkout = async (userId, workoutId, exerciseIds) => {
+  const unique = [...new Set(exerciseIds.map(id => id.toString()))];
+  const formula = await formulaForUser(userId);
+  const newRecords = [];
+
+  for (const exerciseId of unique) {
+    const records = await rebuildExerciseRecords(userId, exerciseId, formula);
+    newRecords.push(...records.filter(record => record.workout.equals(workoutId)));
+  }
+
+  return newRecords;
+};
+
+/**
+ * Rebuild every record of a user, e.g. after importing history or picking
+ * another 1RM formula
+ */
+const rebuildAllRecords = async (userId) => {
+  const Workout = mongoose.model('Workout');
+  const exerciseIds = await Workout.distinct('exercises.exercise', {
+    user: userId,
+    isCompleted: true,
+    deletedAt: null
+  });
+
+  await PersonalRecord.deleteMany({ user: userId, exercise: { $nin: exerciseIds } });
+
+  const formula = await formulaForUser(userId);
+  let count = 0;
+  for (const exerciseId of exerciseIds) {
+    count += (await rebuildExerciseRecords(userId, exerciseId, formula)).length;
+  }
+  return count;
+};
+
+module.exports = {
+  MAX_REP_MAX,
+  NON_RECORD_SET_TYPES,
+  updateRecordsForWorkout,
+  rebuildAllRecords
+};
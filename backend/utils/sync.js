@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const Exercise = require('../models/Exercise');
+const Workout = require('../models/Workout');
+const User = require('../models/User');
+const { toKg, fromKg } = require('./units');
+
+/**
+ * Offline sync helpers
+ *
+ * A change describes the latest state of one record:
+ *   { entity: 'exercise' | 'workout', op: 'upsert' | 'delete', clientId,
+ *     modifiedAt, deviceId, version, data }
+ * Records are identified across devices by clientId. The server and the
+ * app resolve conflicts with the same rule (compareWrites), so every
+ * device ends up with the same winner. Set weights travel in the unit they
+ * were entered in (weightUnit) and are stored in kg.
+ */
+
+const ENTITY_TYPES = ['exercise', 'workout'];
+const SYNC_OPERATIONS = ['upsert', 'delete'];
+
+const EXERCISE_CATEGORIES = Exercise.schema.path('category').enumValues;
+const EXERCISE_EQUIPMENT = Exercise.schema.path('equipment').enumValues;
+const EXERCISE_TRACKING_TYPES = Exercise.schema.path('trackingType').enumValues;
+
+const SET_SYNC_FIELDS = ['setNumber', 'reps', 'weight', 'weightUnit', 'setType', 'rpe', 'rir', 'duration', 'distance', 'isWarmup', 'isFailure', 'isDropset', 'restTime', 'notes'];
+
+/**
+ * Order two writes of the same record: the later write wins, ties are
+ * broken by device id and then by deletes winning over upserts.
+ * @returns {number} > 0 when a wins, < 0 when b wins, 0 for the same write
+ */
+const compareWrites = (a, b) => {
+  const diff = new Date(a.modifiedAt).getTime() - new Date(b.modifiedAt).getTime();
+  if (diff !== 0) return diff;
+  if (a.deviceId !== b.deviceId) return (a.deviceId || '') > (b.deviceId || '') ? 1 : -1;
+  if (a.op !== b.op) return a.op === 'delete' ? 1 : -1;
+  return 0;
+};
+
+const normalizeEnum = (value, allowed) => {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (allowed.includes(normalized)) return normalized;
+
+  // The app stores plurals such as 'Dumbbells'
+  const singular = normalized.replace(/s$/, '');
+  return allowed.includes(singular) ? singular : 'other';
+};
+
+const currentWrite = (doc) => ({
+  modifiedAt: doc.clientModifiedAt || doc.updatedAt,
+  deviceId: doc.modifiedByDevice,
+  op: doc.deletedAt ? 'delete' : 'upsert'
+});
+
+const exerciseClientId = (exercise) => exercise.clientId || exercise._id.toString();
+
+const exerciseData = (exercise) => ({
+  name: exercise.name,
+  category: exercise.category,
+  equipment: exercise.equipment,
+  muscleGroups: exercise.muscleGroups,
+  instructions: exercise.instructions,
+  trackingType: exercise.trackingType,
+  isCustom: exercise.isCustom
+});
+
+const exerciseToChange = (exercise) => ({
+  entity: 'exercise',
+  clientId: exerciseClientId(exercise),
+  ...currentWrite(exercise),
+  version: exercise.syncVersion,
+  data: exercise.deletedAt ? null : exerciseData(exercise)
+});
+
+// Expects exercises.exercise to be populated
+const workoutToChange = (workout) => ({
+  entity: 'workout',
+  clientId: workout.clientId || workout._id.toString(),
+  ...currentWrite(workout),
+  version: workout.syncVersion,
+  data: workout.deletedAt ? null : {
+    name: workout.name,
+    startTime: workout.startTime,
+    endTime: workout.endTime,
+    notes: workout.notes,
+    isCompleted: workout.isCompleted,
+    exercises: workout.exercises
+      .filter(entry => entry.exercise)
+      .map(entry => ({
+        exercise: {
+          clientId: exerciseClientId(entry.exercise),
+          ...exerciseData(entry.exercise)
+        },
+        notes: entry.notes,
+        groupId: entry.groupId,
+        groupType: entry.groupType,
+        sets: entry.sets.map(set => SET_SYNC_FIELDS.reduce((synced, field) => {
+          if (set[field] !== undefined) {
+            synced[field] = field === 'weight' ? fromKg(set.weight, set.weightUnit) : set[field];
+          }
+          return synced;
+        }, {}))
+      }))
+  }
+});
+
+const applyExerciseData = (exercise, data) => {
+  exercise.name = data.name;
+  exercise.category = normalizeEnum(data.category, EXERCISE_CATEGORIES);
+  exercise.equipment = normalizeEnum(data.equipment, EXERCISE_EQUIPMENT);
+  exercise.muscleGroups = Array.isArray(data.muscleGroups) ? data.muscleGroups : [];
+  exercise.instructions = data.instructions;
+  exercise.trackingType = EXERCISE_TRACKING_TYPES.includes(data.trackingType) ? data.trackingType : 'weight_reps';
+  exercise.isCustom = !!data.isCustom;
+};
+
+/**
+ * Resolve the exercise references embedded in a pushed workout to Exercise
+ * ids, creating private exercises for references the server hasn't seen
+ */
+const resolveExerciseRefs = async (userId, refs) => {
+  const ids = {};
+
+  for (const ref of refs) {
+    if (ids[ref.clientId]) continue;
+
+    let exercise = await Exercise.findOne({ createdBy: userId, clientId: ref.clientId });
+
+    // Exercises created through the REST API are referenced by their _id
+    if (!exercise && mongoose.Types.ObjectId.isValid(ref.clientId)) {
+      exercise = await Exercise.findOne({ _id: ref.clientId, ...Exercise.visibleTo(userId) });
+    }
+
+    if (!exercise) {
+      exercise = new Exercise({ createdBy: userId, clientId: ref.clientId, isPublic: false });
+      applyExerciseData(exercise, ref);
+      await exercise.save();
+    }
+
+    ids[ref.clientId] = exercise._id;
+  }
+
+  return ids;
+};
+
+/**
+ * Find the user's record a change refers to. Records created through the
+ * REST API have no clientId and are pulled with their _id in its place.
+ */
+const findSyncedDocument = async (Model, ownerField, userId, clientId) => {
+  const doc = await Model.findOne({ [ownerField]: userId, clientId });
+  if (doc || !mongoose.Types.ObjectId.isValid(clientId)) return doc;
+
+  return Model.findOne({ [ownerField]: userId, _id: clientId });
+};
+
+/**
+ * Apply one pushed change for a user
+ * @returns {Promise<{status: 'applied', version: number} | {status: 'conflict', change: object}>}
+ */
+const applyChange = async (userId, deviceId, change) => {
+  const incoming = {
+    modifiedAt: change.modifiedAt,
+    deviceId,
+    op: change.op
+  };
+  const isWorkout = change.entity === 'workout';
+  const Model = isWorkout ? Workout : Exercise;
+  const ownerField = isWorkout ? 'user' : 'createdBy';
+
+  let doc = await findSyncedDocument(Model, ownerField, userId, change.clientId);
+
+  if (doc && compareWrites(incoming, currentWrite(doc)) < 0) {
+    if (isWorkout) await doc.populate('exercises.exercise');
+    return {
+      status: 'conflict',
+      change: isWorkout ? workoutToChange(doc) : exerciseToChange(doc)
+    };
+  }
+
+  if (!doc) {
+    doc = new Model({ [ownerField]: userId, clientId: change.clientId });
+    if (!isWorkout) doc.isPublic = false;
+  }
+
+  if (change.op === 'delete') {
+    doc.deletedAt = new Date();
+    // Tombstones of records the server never saw still need a valid document
+    if (!isWorkout && !doc.name) applyExerciseData(doc, { name: 'Deleted exercise' });
+  } else if (isWorkout) {
+    const data = change.data;
+    const entries = data.exercises || [];
+    const exerciseIds = await resolveExerciseRefs(userId, entries.map(entry => entry.exercise));
+
+    doc.deletedAt = null;
+    doc.name = data.name;
+    doc.startTime = data.startTime;
+    doc.endTime = data.endTime || undefined;
+    doc.notes = data.notes;
+    doc.isCompleted = !!data.isCompleted;
+    doc.exercises = entries.map(entry => ({
+      exercise: exerciseIds[entry.exercise.clientId],
+      notes: entry.notes,
+      groupId: entry.groupId || undefined,
+      groupType: Workout.GROUP_TYPES.includes(entry.groupType) ? entry.groupType : undefined,
+      sets: (entry.sets || []).map(set => ({ ...set, weight: toKg(set.weight, set.weightUnit) }))
+    }));
+  } else {
+    doc.deletedAt = null;
+    applyExerciseData(doc, change.data);
+  }
+
+  doc.clientModifiedAt = new Date(change.modifiedAt);
+  doc.modifiedByDevice = deviceId;
+  await doc.save();
+
+  return { status: 'applied', version: doc.syncVersion };
+};
+
+/**
+ * Changes for a user with a version above the cursor, oldest first. Versions
+ * above one still being written are held back until it lands, so the cursor
+ * never skips it.
+ */
+const getChangesSince = async (userId, since, limit) => {
+  const committed = await User.committedSyncVersion(userId);
+  const versionFilter = { syncVersion: { $gt: since, $lte: committed } };
+
+  const [exercises, workouts] = await Promise.all([
+    Exercise.find({ createdBy: userId, ...versionFilter }).sort({ syncVersion: 1 }).limit(limit + 1),
+    Workout.find({ user: userId, ...versionFilter }).sort({ syncVersion: 1 }).limit(limit + 1)
+      .populate('exercises.exercise')
+  ]);
+
+  const changes = [
+    ...exercises.map(exerciseToChange),
+    ...workouts.map(workoutToChange)
+  ].sort((a, b) => a.version - b.version);
+
+  const hasMore = changes.length > limit;
+  const page = hasMore ? changes.slice(0, limit) : changes;
+
+  return {
+    changes: page,
+    cursor: page.length > 0 ? page[page.length - 1].version : since,
+    hasMore
+  };
+};
+
+module.exports = {
+  ENTITY_TYPES,
+  SYNC_OPERATIONS,
+  compareWrites,
+  applyChange,
+  getChangesSince
+};
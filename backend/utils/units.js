@@ -0,0 +1,51 @@
+/**
+ * Unit conversion helpers
+ *
+ * Values are stored in metric (kg, cm) and converted at the API boundary.
+ */
+
+const KG_PER_LB = 0.45359237;
+const CM_PER_IN = 2.54;
+
+const WEIGHT_UNITS = ['kg', 'lb'];
+const LENGTH_UNITS = ['cm', 'in'];
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Convert a weight in the given unit to kg
+const toKg = (value, unit = 'kg') => {
+  if (value === null || value === undefined) return value;
+  return unit === 'lb' ? value * KG_PER_LB : value;
+};
+
+// Convert a weight in kg to the given unit
+const fromKg = (value, unit = 'kg') => {
+  if (value === null || value === undefined) return value;
+  return round(unit === 'lb' ? value / KG_PER_LB : value);
+};
+
+// Convert a length in the given unit to cm
+const toCm = (value, unit = 'cm') => {
+  if (value === null || value === undefined) return value;
+  return unit === 'in' ? value * CM_PER_IN : value;
+};
+
+// Convert a length in cm to the given unit
+const fromCm = (value, unit = 'cm') => {
+  if (value === null || value === undefined) return value;
+  return round(unit === 'in' ? value / CM_PER_IN : value);
+};
+
+module.exports = {
+  KG_PER_LB,
+  WEIGHT_UNITS,
+  LENGTH_UNITS,
+  round,
+  toKg,
+  fromKg,
+  toCm,
+  fromCm
+};
@@ -20,6 +20,8 @@ import ExercisesScreen from './screens/ExercisesScreen';
 import AnalyticsScreen from './screens/AnalyticsScreen';
 import ProfileScreen from './screens/ProfileScreen';
 import WorkoutHistoryScreen from './screens/WorkoutHistoryScreen';
+import TemplateEditorScreen from './screens/TemplateEditorScreen';
+import WorkoutEditorScreen from './screens/WorkoutEditorScreen';
 
 // Import authentication screens
 import WelcomeScreen from './screens/WelcomeScreen';
@@ -54,6 +56,8 @@ function HomeStack() {
     <Stack.Navigator screenOptions={{ headerShown: false }}>
       <Stack.Screen name="HomeScreen" component={HomeScreen} />
       <Stack.Screen name="WorkoutHistory" component={WorkoutHistoryScreen} />
+      <Stack.Screen name="TemplateEditor" component={TemplateEditorScreen} />
+      <Stack.Screen name="WorkoutEditor" component={WorkoutEditorScreen} />
     </Stack.Navigator>
   );
 }
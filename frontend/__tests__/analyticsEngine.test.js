@@ -0,0 +1,70 @@
+jest.mock('../utils/database', () => ({}));
+jest.mock('../utils/storage', () => ({ getData: jest.fn(), storeData: jest.fn() }));
+
+import AnalyticsEngine from '../utils/analyticsEngine';
+
+// Days of load, oldest first, as groupLoadByDay returns them
+const days = (loads) => loads.map((load, index) => ({ date: `2026-01-${String(index + 1).padStart(2, '0')}`, load, volume: 0 }));
+
+describe('calculateLoadMetrics', () => {
+  it('compares the last week with the average week of the last four', () => {
+    const dailyLoads = days([...Array(21).fill(100), ...Array(7).fill(200)]);
+
+    const metrics = AnalyticsEngine.calculateLoadMetrics(dailyLoads, 27);
+
+    expect(metrics.acute).toBe(1400);
+    // (21 * 100 + 7 * 200) / 4 weeks
+    expect(metrics.chronic).toBe(875);
+    expect(metrics.acwr).toBe(1.6);
+    expect(AnalyticsEngine.getAcwrZone(metrics.acwr)).toBe('spike');
+  });
+
+  it('rates monotony as mean over standard deviation of the week', () => {
+    const week = [0, 300, 0, 300, 0, 300, 0];
+    const dailyLoads = days([...Array(21).fill(0), ...week]);
+
+    const metrics = AnalyticsEngine.calculateLoadMetrics(dailyLoads, 27);
+
+    const mean = 900 / 7;
+    const deviation = Math.sqrt(week.reduce((sum, load) => sum + (load - mean) ** 2, 0) / 7);
+    expect(metrics.monotony).toBe(Math.round(mean / deviation * 100) / 100);
+    expect(metrics.strain).toBe(Math.round(900 * metrics.monotony));
+  });
+
+  it('caps the monotony of identical days', () => {
+    const metrics = AnalyticsEngine.calculateLoadMetrics(days(Array(28).fill(100)), 27);
+
+    expect(metrics.monotony).toBe(10);
+    expect(metrics.strain).toBe(7000);
+    expect(metrics.acwr).toBe(1);
+  });
+
+  it('has no ratio, monotony or strain without load', () => {
+    const metrics = AnalyticsEngine.calculateLoadMetrics(days(Array(28).fill(0)), 27);
+
+    expect(metrics).toEqual({ acute: 0, chronic: 0, acwr: null, monotony: null, strain: null });
+    expect(AnalyticsEngine.getAcwrZone(metrics.acwr)).toBe('unknown');
+  });
+
+  it('only counts the days up to the given one', () => {
+    const dailyLoads = days([...Array(27).fill(100), 1000]);
+
+    const metrics = AnalyticsEngine.calculateLoadMetrics(dailyLoads, 26);
+
+    expect(metrics.acute).toBe(700);
+    expect(metrics.chronic).toBe(675);
+  });
+});
+
+describe('getDayKey', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('uses the local date', () => {
+    jest.useFakeTimers().setSystemTime(new Date(2026, 2, 1, 0, 30));
+
+    expect(AnalyticsEngine.getDayKey(0)).toBe('2026-03-01');
+    expect(AnalyticsEngine.getDayKey(1)).toBe('2026-02-28');
+  });
+});
@@ -0,0 +1,473 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+  SafeAreaView,
+  Alert
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import {
+  PLATE_UNITS,
+  DEFAULT_PLATE_SETTINGS,
+  getPlateSettings,
+  savePlateSettings,
+  getSelectedBar,
+  getFixedWeight,
+  calculatePlates,
+  totalFromPlates
+} from '../utils/plateCalculator';
+import { WEIGHT_UNITS, convertWeight } from '../utils/units';
+
+const MODES = {
+  PLATES: 'plates', // weight to plates
+  TOTAL: 'total' // plates to weight
+};
+
+// initialWeight is in weightUnit and converted to the plate unit
+const PlateCalculatorModal = ({ visible, onClose, initialWeight = '', weightUnit = WEIGHT_UNITS.KG }) => {
+  const [settings, setSettings] = useState(DEFAULT_PLATE_SETTINGS);
+  const [mode, setMode] = useState(MODES.PLATES);
+  const [targetWeight, setTargetWeight] = useState('');
+  // Plates loaded per side in reverse mode, keyed by plate weight
+  const [loaded, setLoaded] = useState({});
+  const [showSetup, setShowSetup] = useState(false);
+  const [newBar, setNewBar] = useState({ name: '', weight: '' });
+  const [collarInput, setCollarInput] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      getPlateSettings(weightUnit).then(stored => {
+        setSettings(stored);
+        setCollarInput(stored.collarWeight ? String(stored.collarWeight) : '');
+
+        const weight = parseFloat(initialWeight);
+        setTargetWeight(isNaN(weight) ? '' : String(convertWeight(weight, weightUnit, stored.unit)));
+      });
+      setLoaded({});
+    }
+  }, [visible]);
+
+  const updateSettings = (updates) => {
+    const next = { ...settings, ...updates };
+    setSettings(next);
+    savePlateSettings(next);
+  };
+
+  const inventory = settings.plates[settings.unit] || [];
+  const unit = settings.unit;
+
+  const updatePlateCount = (weight, delta) => {
+    updateSettings({
+      plates: {
+        ...settings.plates,
+        [unit]: inventory.map(plate => (
+          plate.weight === weight ? { ...plate, count: Math.max(0, plate.count + delta) } : plate
+        ))
+      }
+    });
+  };
+
+  const updateLoaded = (plate, delta) => {
+    setLoaded(prev => ({
+      ...prev,
+      [plate.weight]: Math.min(Math.floor(plate.count / 2), Math.max(0, (prev[plate.weight] || 0) + delta))
+    }));
+  };
+
+  const handleAddBar = () => {
+    const weight = parseFloat(newBar.weight);
+    if (!newBar.name.trim() || isNaN(weight) || weight <= 0) {
+      Alert.alert('Error', 'Please enter a bar name and weight');
+      return;
+    }
+
+    const bar = { id: `custom_${Date.now()}`, name: newBar.name.trim(), weight, unit };
+    updateSettings({ bars: [...settings.bars, bar], barId: bar.id });
+    setNewBar({ name: '', weight: '' });
+  };
+
+  const renderPlateList = (plates) => plates.map(plate => (
+    <View key={plate.weight} style={styles.plateRow}>
+      <Text style={styles.plateWeight}>{plate.weight} {unit}</Text>
+      <Text style={styles.plateCount}>× {plate.count} each side</Text>
+    </View>
+  ));
+
+  const renderNearest = (label, load) => load && (
+    <TouchableOpacity style={styles.nearestOption} onPress={() => setTargetWeight(String(load.total))}>
+      <Text style={styles.nearestLabel}>{label}</Text>
+      <Text style={styles.nearestTotal}>{load.total} {unit}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderPlatesMode = () => {
+    const weight = parseFloat(targetWeight);
+    if (!targetWeight || isNaN(weight)) return null;
+
+    const result = calculatePlates(weight, settings);
+    if (result.exact) {
+      return (
+        <View style={styles.result}>
+          {result.plates.length === 0
+            ? <Text style={styles.resultText}>Empty bar</Text>
+            : renderPlateList(result.plates)}
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.result}>
+        <Text style={styles.resultWarning}>
+          {weight} {unit} can't be loaded exactly with your plates.
+        </Text>
+        <View style={styles.nearestOptions}>
+          {renderNearest('Nearest below', result.below)}
+          {renderNearest('Nearest above', result.above)}
+        </View>
+      </View>
+    );
+  };
+
+  const renderTotalMode = () => {
+    const platesPerSide = inventory
+      .filter(plate => loaded[plate.weight])
+      .map(plate => ({ weight: plate.weight, count: loaded[plate.weight] }));
+
+    return (
+      <View style={styles.result}>
+        {inventory.map(plate => (
+          <View key={plate.weight} style={styles.plateRow}>
+            <Text style={styles.plateWeight}>{plate.weight} {unit}</Text>
+            <View style={styles.stepper}>
+              <TouchableOpacity onPress={() => updateLoaded(plate, -1)}>
+                <Icon name="remove-circle-outline" size={24} color="#666" />
+              </TouchableOpacity>
+              <Text style={styles.stepperValue}>{loaded[plate.weight] || 0}</Text>
+              <TouchableOpacity onPress={() => updateLoaded(plate, 1)}>
+                <Icon name="add-circle-outline" size={24} color="#007AFF" />
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+        <Text style={styles.totalText}>Total: {totalFromPlates(platesPerSide, settings)} {unit}</Text>
+      </View>
+    );
+  };
+
+  const renderSetup = () => (
+    <View style={styles.setup}>
+      <Text style={styles.sectionLabel}>Plate Unit</Text>
+      <View style={styles.chips}>
+        {Object.values(PLATE_UNITS).map(option => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.chip, unit === option && styles.chipActive]}
+            onPress={() => updateSettings({ unit: option })}
+          >
+            <Text style={[styles.chipText, unit === option && styles.chipTextActive]}>{option}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.sectionLabel}>Plates Owned ({unit})</Text>
+      {inventory.map(plate => (
+        <View key={plate.weight} style={styles.plateRow}>
+          <Text style={styles.plateWeight}>{plate.weight} {unit}</Text>
+          <View style={styles.stepper}>
+            <TouchableOpacity onPress={() => updatePlateCount(plate.weight, -1)}>
+              <Icon name="remove-circle-outline" size={24} color="#666" />
+            </TouchableOpacity>
+            <Text style={styles.stepperValue}>{plate.count}</Text>
+            <TouchableOpacity onPress={() => updatePlateCount(plate.weight, 1)}>
+              <Icon name="add-circle-outline" size={24} color="#007AFF" />
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+
+      <Text style={styles.sectionLabel}>Collar Weight (each, {unit})</Text>
+      <TextInput
+        style={styles.input}
+        value={collarInput}
+        onChangeText={(value) => {
+          setCollarInput(value);
+          updateSettings({ collarWeight: parseFloat(value) || 0 });
+        }}
+        keyboardType="numeric"
+        placeholder="0"
+      />
+
+      <Text style={styles.sectionLabel}>Add a Bar</Text>
+      <View style={styles.addBarRow}>
+        <TextInput
+          style={[styles.input, styles.addBarName]}
+          value={newBar.name}
+          onChangeText={(name) => setNewBar(prev => ({ ...prev, name }))}
+          placeholder="Name"
+        />
+        <TextInput
+          style={[styles.input, styles.addBarWeight]}
+          value={newBar.weight}
+          onChangeText={(weight) => setNewBar(prev => ({ ...prev, weight }))}
+          keyboardType="numeric"
+          placeholder={unit}
+        />
+        <TouchableOpacity onPress={handleAddBar}>
+          <Icon name="add" size={28} color="#007AFF" />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const selectedBar = getSelectedBar(settings);
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeText}>Close</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Plate Calculator</Text>
+          <TouchableOpacity onPress={() => setShowSetup(!showSetup)}>
+            <Icon name={showSetup ? 'done' : 'settings'} size={22} color="#007AFF" />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.sectionLabel}>Bar</Text>
+          <View style={styles.chips}>
+            {settings.bars.map(bar => (
+              <TouchableOpacity
+                key={bar.id}
+                style={[styles.chip, selectedBar?.id === bar.id && styles.chipActive]}
+                onPress={() => updateSettings({ barId: bar.id })}
+              >
+                <Text style={[styles.chipText, selectedBar?.id === bar.id && styles.chipTextActive]}>
+                  {bar.name} {bar.weight} {bar.unit}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.hint}>Bar and collars: {getFixedWeight(settings)} {unit}</Text>
+
+          {showSetup && renderSetup()}
+
+          <View style={[styles.chips, styles.modeTabs]}>
+            <TouchableOpacity
+              style={[styles.chip, mode === MODES.PLATES && styles.chipActive]}
+              onPress={() => setMode(MODES.PLATES)}
+            >
+              <Text style={[styles.chipText, mode === MODES.PLATES && styles.chipTextActive]}>Weight → Plates</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.chip, mode === MODES.TOTAL && styles.chipActive]}
+              onPress={() => setMode(MODES.TOTAL)}
+            >
+              <Text style={[styles.chipText, mode === MODES.TOTAL && styles.chipTextActive]}>Plates → Weight</Text>
+            </TouchableOpacity>
+          </View>
+
+          {mode === MODES.PLATES ? (
+            <>
+              <View style={styles.targetRow}>
+                <TextInput
+                  style={[styles.input, styles.targetInput]}
+                  value={targetWeight}
+                  onChangeText={setTargetWeight}
+                  placeholder="Target weight"
+                  keyboardType="numeric"
+                />
+                <Text style={styles.unitText}>{unit}</Text>
+              </View>
+              {renderPlatesMode()}
+            </>
+          ) : renderTotalMode()}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  closeText: {
+    color: '#666',
+    fontSize: 16,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+  },
+  content: {
+    padding: 16,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    backgroundColor: '#f0f0f0',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+  },
+  chipActive: {
+    backgroundColor: '#007AFF',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  modeTabs: {
+    marginTop: 24,
+  },
+  setup: {
+    backgroundColor: '#f8f9fa',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 16,
+  },
+  input: {
+    backgroundColor: '#f8f9fa',
+    padding: 12,
+    borderRadius: 8,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  addBarRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  addBarName: {
+    flex: 2,
+  },
+  addBarWeight: {
+    flex: 1,
+  },
+  targetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  targetInput: {
+    flex: 1,
+    fontSize: 18,
+  },
+  unitText: {
+    fontSize: 16,
+    color: '#666',
+    marginLeft: 8,
+  },
+  result: {
+    marginTop: 16,
+  },
+  resultText: {
+    fontSize: 16,
+    color: '#1a1a1a',
+  },
+  resultWarning: {
+    fontSize: 14,
+    color: '#ff6b6b',
+    marginBottom: 12,
+  },
+  nearestOptions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  nearestOption: {
+    flex: 1,
+    backgroundColor: '#eef5ff',
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+  },
+  nearestLabel: {
+    fontSize: 12,
+    color: '#666',
+  },
+  nearestTotal: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#007AFF',
+    marginTop: 4,
+  },
+  plateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  plateWeight: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  plateCount: {
+    fontSize: 14,
+    color: '#666',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  stepperValue: {
+    fontSize: 16,
+    minWidth: 24,
+    textAlign: 'center',
+  },
+  totalText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+    marginTop: 16,
+    textAlign: 'center',
+  },
+});
+
+export default PlateCalculatorModal;
@@ -2,8 +2,10 @@ import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { LineChart } from 'react-native-gifted-charts';
 import THEME from '../constants/theme';
+import { WEIGHT_UNITS, fromKg } from '../utils/units';
 
-const ProgressChart = ({ data, title }) => {
+// Point values are weights in kg, charted in `unit`
+const ProgressChart = ({ data, title, unit = WEIGHT_UNITS.KG }) => {
   if (!data || data.length === 0) {
     return (
       <View style={styles.container}>
@@ -19,13 +21,13 @@ const ProgressChart = ({ data, title }) => {
     <View style={styles.container}>
       <Text style={styles.title}>{title}</Text>
       <LineChart
-        data={data}
+        data={data.map(point => ({ ...point, value: fromKg(point.value, unit) }))}
         height={220}
         color={THEME.colors.primary}
         thickness={3}
         spacing={40}
         initialSpacing={20}
-        yAxisLabelSuffix=" lbs"
+        yAxisLabelSuffix={` ${unit}`}
         yAxisTextStyle={{ color: THEME.colors.gray400 }}
         xAxisTextStyle={{ color: THEME.colors.gray400 }}
         rulesColor={THEME.colors.gray700}
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Modal,
+  SafeAreaView,
+  Animated,
+  PanResponder
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { getGroupLabels } from '../utils/exerciseGroups';
+
+// Rows have a fixed height so a drag distance maps to a number of places
+const ROW_HEIGHT = 64;
+
+// Move an item of a list from one index to another
+const moveItem = (items, from, to) => {
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+// onSave gets the workout exercise ids in their new order
+const ReorderExercisesModal = ({ visible, exercises, onClose, onSave }) => {
+  const [order, setOrder] = useState([]);
+  const [draggingId, setDraggingId] = useState(null);
+  const dragY = useRef(new Animated.Value(0)).current;
+  // Responders outlive renders, so they read the latest order through a ref
+  const orderRef = useRef(order);
+  orderRef.current = order;
+  const responders = useRef({});
+
+  useEffect(() => {
+    if (visible) {
+      setOrder(exercises.map(exercise => exercise.id));
+      setDraggingId(null);
+    }
+  }, [visible]);
+
+  const endDrag = (id, dy) => {
+    const current = orderRef.current;
+    const from = current.indexOf(id);
+    const to = Math.min(current.length - 1, Math.max(0, from + Math.round(dy / ROW_HEIGHT)));
+    if (from !== -1 && to !== from) {
+      setOrder(moveItem(current, from, to));
+    }
+    dragY.setValue(0);
+    setDraggingId(null);
+  };
+
+  const getResponder = (id) => {
+    if (!responders.current[id]) {
+      responders.current[id] = PanResponder.create({
+        onStartShouldSetPanResponder: () => true,
+        onPanResponderTerminationRequest: () => false,
+        onPanResponderGrant: () => {
+          dragY.setValue(0);
+          setDraggingId(id);
+        },
+        onPanResponderMove: (event, gesture) => dragY.setValue(gesture.dy),
+        onPanResponderRelease: (event, gesture) => endDrag(id, gesture.dy),
+        onPanResponderTerminate: (event, gesture) => endDrag(id, gesture.dy)
+      });
+    }
+    return responders.current[id];
+  };
+
+  const groupLabels = getGroupLabels(exercises);
+  const hasGroups = Object.keys(groupLabels).length > 0;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Reorder Exercises</Text>
+          <TouchableOpacity onPress={() => onSave(order)}>
+            <Text style={styles.saveText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} scrollEnabled={draggingId === null}>
+          <Text style={styles.hint}>
+            Drag an exercise by its handle.{hasGroups ? ' Linked exercises stay together.' : ''}
+          </Text>
+          {order.map((id, index) => {
+            const exercise = exercises.find(ex => ex.id === id);
+            if (!exercise) return null;
+            const isDragging = draggingId === id;
+
+            return (
+              <Animated.View
+                key={id}
+                style={[
+                  styles.row,
+                  isDragging && styles.rowDragging,
+                  isDragging && { transform: [{ translateY: dragY }] }
+                ]}
+              >
+                <Text style={styles.position}>{groupLabels[id] || index + 1}</Text>
+                <View style={styles.rowInfo}>
+                  <Text style={styles.exerciseName} numberOfLines={1}>{exercise.exercise_name}</Text>
+                  <Text style={styles.exerciseMuscles} numberOfLines={1}>{exercise.muscle_groups}</Text>
+                </View>
+                <View style={styles.handle} {...getResponder(id).panHandlers}>
+                  <Icon name="drag-handle" size={24} color="#666" />
+                </View>
+              </Animated.View>
+            );
+          })}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  closeText: {
+    color: '#666',
+    fontSize: 16,
+  },
+  saveText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+  },
+  content: {
+    padding: 16,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: ROW_HEIGHT,
+    paddingHorizontal: 12,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  rowDragging: {
+    zIndex: 1,
+    elevation: 4,
+    backgroundColor: '#f8f9fa',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 4,
+  },
+  position: {
+    width: 32,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  exerciseName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  exerciseMuscles: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  handle: {
+    padding: 8,
+  },
+});
+
+export default ReorderExercisesModal;
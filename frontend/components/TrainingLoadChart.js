@@ -0,0 +1,98 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { LineChart } from 'react-native-gifted-charts';
+
+// Points charted at most; longer timeframes show every few days, ending today
+const MAX_POINTS = 12;
+
+const ACUTE_COLOR = '#007AFF';
+const CHRONIC_COLOR = '#adb5bd';
+
+// Short day label, e.g. "10/19", from a YYYY-MM-DD date
+const dayLabel = (date) => `${Number(date.slice(5, 7))}/${Number(date.slice(8, 10))}`;
+
+// series: days of the training load analysis with their acute and chronic load
+const TrainingLoadChart = ({ series }) => {
+  if (!series || series.length === 0) {
+    return (
+      <View style={styles.noDataContainer}>
+        <Text style={styles.noDataText}>No training load to chart yet.</Text>
+      </View>
+    );
+  }
+
+  const step = Math.ceil(series.length / MAX_POINTS);
+  const points = series.filter((_, index) => (series.length - 1 - index) % step === 0);
+
+  return (
+    <View style={styles.container}>
+      <LineChart
+        data={points.map(day => ({ value: day.acute, label: dayLabel(day.date) }))}
+        data2={points.map(day => ({ value: day.chronic }))}
+        height={180}
+        color1={ACUTE_COLOR}
+        color2={CHRONIC_COLOR}
+        dataPointsColor1={ACUTE_COLOR}
+        dataPointsColor2={CHRONIC_COLOR}
+        thickness={2}
+        spacing={28}
+        initialSpacing={12}
+        yAxisTextStyle={styles.axisText}
+        xAxisLabelTextStyle={styles.axisText}
+        rulesColor="#f0f0f0"
+        curved
+      />
+      <View style={styles.legend}>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendSwatch, { backgroundColor: ACUTE_COLOR }]} />
+          <Text style={styles.legendText}>Last 7 days</Text>
+        </View>
+        <View style={styles.legendItem}>
+          <View style={[styles.legendSwatch, { backgroundColor: CHRONIC_COLOR }]} />
+          <Text style={styles.legendText}>4-week average</Text>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  axisText: {
+    fontSize: 10,
+    color: '#999',
+  },
+  legend: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: 8,
+  },
+  legendSwatch: {
+    width: 12,
+    height: 3,
+    borderRadius: 2,
+    marginRight: 6,
+  },
+  legendText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  noDataContainer: {
+    height: 120,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  noDataText: {
+    fontSize: 14,
+    color: '#999',
+  },
+});
+
+export default TrainingLoadChart;
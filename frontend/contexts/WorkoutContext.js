@@ -1,10 +1,59 @@
 import React, { createContext, useContext, useReducer, useEffect, useRef } from 'react';
 import { Alert } from 'react-native';
 import DatabaseManager from '../utils/database';
+import SyncManager from '../utils/syncManager';
+import RestTimerManager from '../utils/restTimerManager';
+import { getGroupMembers, orderForGroup, applyExerciseOrder, formatGroupType } from '../utils/exerciseGroups';
+import { SET_TYPES } from '../utils/setTypes';
+import { PREFILL_SOURCES, buildPlannedSets } from '../utils/templates';
+import { getProgressionSettings, suggestNextSet } from '../utils/progression';
+import { DEFAULT_WEIGHT_UNIT, toKg, getUnitPreferences, saveUnitPreferences } from '../utils/units';
+import { DEFAULT_ONE_REP_MAX_FORMULA, getOneRepMaxFormula, saveOneRepMaxFormula } from '../utils/oneRepMax';
+import { LOADED_TRACKING_TYPES, getTrackingType } from '../utils/trackingTypes';
+import { CHANGE_TYPES, UNDO_DIRECTIONS, invertEntry, pushEntry } from '../utils/undoHistory';
+import { parseSQLiteDate } from '../utils/dateFormatter';
+import { updateUserPreferences } from '../services/authAPI';
 import { useAuth } from './AuthContext';
 
 const WorkoutContext = createContext();
 
+// Sets of history read for a progression suggestion; enough for the last session
+const PROGRESSION_HISTORY_LIMIT = 50;
+
+// Workout timer state from a stored workout; paused time moves the start forward
+const timerForWorkout = (workout) => {
+  const startTime = parseSQLiteDate(workout.date || new Date()).getTime() + (workout.paused_duration || 0) * 1000;
+  const pausedAt = workout.paused_at ? new Date(workout.paused_at).getTime() : null;
+
+  return {
+    duration: Math.max(0, Math.floor(((pausedAt || Date.now()) - startTime) / 1000)),
+    isRunning: !pausedAt,
+    isPaused: !!pausedAt,
+    pausedAt,
+    startTime
+  };
+};
+
+// Fields of a workout exercise that come from its exercise row
+const exerciseDetails = (exercise) => ({
+  exercise_name: exercise?.name,
+  muscle_groups: exercise?.muscle_groups,
+  equipment: exercise?.equipment,
+  rest_seconds: exercise?.rest_seconds ?? null,
+  progression: exercise?.progression ?? null,
+  tracking_type: exercise?.tracking_type ?? null
+});
+
+const emptyUndoHistory = { undoStack: [], redoStack: [], undoNotice: null };
+
+// Notice of the latest history step, for the undo snackbar; the key tells
+// repeated steps with the same label apart
+const undoNotice = (state, label, direction) => ({
+  label,
+  direction,
+  key: (state.undoNotice?.key || 0) + 1
+});
+
 // Reducer for workout state management
 const workoutReducer = (state, action) => {
   switch (action.type) {
@@ -17,13 +66,20 @@ const workoutReducer = (state, action) => {
         activeWorkout: action.payload.workout,
         workoutExercises: action.payload.exercises || [],
         exerciseSets: action.payload.sets || {},
-        timer: {
-          duration: 0,
-          isRunning: true,
-          startTime: Date.now(),
-        },
+        plannedSets: action.payload.plannedSets || {},
+        timer: timerForWorkout(action.payload.workout),
+        ...emptyUndoHistory
       };
     
+    case 'SET_PLANNED_SETS':
+      return { ...state, plannedSets: action.payload };
+
+    case 'SET_WEIGHT_UNIT':
+      return { ...state, weightUnit: action.payload };
+
+    case 'SET_ONE_REP_MAX_FORMULA':
+      return { ...state, oneRepMaxFormula: action.payload };
+    
     case 'SET_WORKOUT_EXERCISES':
       return { ...state, workoutExercises: action.payload };
     
@@ -33,6 +89,34 @@ const workoutReducer = (state, action) => {
         workoutExercises: [...state.workoutExercises, action.payload]
       };
     
+    case 'REMOVE_WORKOUT_EXERCISE': {
+      const { [action.workoutExerciseId]: removedSets, ...exerciseSets } = state.exerciseSets;
+      return {
+        ...state,
+        workoutExercises: state.workoutExercises.filter(exercise => exercise.id !== action.workoutExerciseId),
+        exerciseSets
+      };
+    }
+
+    case 'RESTORE_WORKOUT_EXERCISE':
+      return {
+        ...state,
+        workoutExercises: [...state.workoutExercises, action.exercise]
+          .sort((a, b) => a.order_index - b.order_index),
+        exerciseSets: {
+          ...state.exerciseSets,
+          [action.exercise.id]: action.sets
+        }
+      };
+    
+    case 'UPDATE_WORKOUT_EXERCISES':
+      return {
+        ...state,
+        workoutExercises: state.workoutExercises
+          .map(exercise => ({ ...exercise, ...action.updates[exercise.id] }))
+          .sort((a, b) => a.order_index - b.order_index)
+      };
+    
     case 'UPDATE_EXERCISE_SETS':
       return {
         ...state,
@@ -52,6 +136,17 @@ const workoutReducer = (state, action) => {
         }
       };
     
+    // A set put back by undo or redo goes back to its place
+    case 'RESTORE_SET':
+      return {
+        ...state,
+        exerciseSets: {
+          ...state.exerciseSets,
+          [action.exerciseId]: [...(state.exerciseSets[action.exerciseId] || []), action.set]
+            .sort((a, b) => a.set_number - b.set_number)
+        }
+      };
+    
     case 'UPDATE_SET':
       const updatedSets = state.exerciseSets[action.exerciseId].map(set =>
         set.id === action.setId ? { ...set, ...action.updates } : set
@@ -76,6 +171,33 @@ const workoutReducer = (state, action) => {
         }
       };
     
+    case 'RECORD_UNDO':
+      return {
+        ...state,
+        undoStack: pushEntry(state.undoStack, action.entry),
+        redoStack: [],
+        undoNotice: undoNotice(state, action.entry.label, UNDO_DIRECTIONS.DONE)
+      };
+    
+    case 'UNDO_APPLIED':
+      return {
+        ...state,
+        undoStack: state.undoStack.slice(0, -1),
+        redoStack: pushEntry(state.redoStack, action.entry),
+        undoNotice: undoNotice(state, action.entry.label, UNDO_DIRECTIONS.UNDONE)
+      };
+    
+    case 'REDO_APPLIED':
+      return {
+        ...state,
+        undoStack: pushEntry(state.undoStack, action.entry),
+        redoStack: state.redoStack.slice(0, -1),
+        undoNotice: undoNotice(state, action.entry.label, UNDO_DIRECTIONS.REDONE)
+      };
+    
+    case 'CLEAR_UNDO_HISTORY':
+      return { ...state, ...emptyUndoHistory };
+    
     case 'START_TIMER':
       return {
         ...state,
@@ -95,6 +217,30 @@ const workoutReducer = (state, action) => {
         }
       };
     
+    case 'PAUSE_TIMER':
+      return {
+        ...state,
+        timer: {
+          ...state.timer,
+          isRunning: false,
+          isPaused: true,
+          pausedAt: action.pausedAt,
+          duration: Math.floor((action.pausedAt - state.timer.startTime) / 1000)
+        }
+      };
+    
+    case 'RESUME_TIMER':
+      return {
+        ...state,
+        timer: {
+          ...state.timer,
+          isRunning: true,
+          isPaused: false,
+          pausedAt: null,
+          startTime: state.timer.startTime + action.pausedMs
+        }
+      };
+    
     case 'STOP_TIMER':
       return {
         ...state,
@@ -125,6 +271,25 @@ const workoutReducer = (state, action) => {
         }
       };
     
+    case 'RESTORE_REST_TIMER':
+      return {
+        ...state,
+        restTimer: {
+          isActive: true,
+          duration: action.duration,
+          startTime: action.startTime
+        }
+      };
+    
+    case 'ADJUST_REST_TIMER':
+      return {
+        ...state,
+        restTimer: {
+          ...state.restTimer,
+          duration: action.duration
+        }
+      };
+    
     case 'CLEAR_REST_TIMER':
       return {
         ...state,
@@ -141,8 +306,12 @@ const workoutReducer = (state, action) => {
         activeWorkout: null,
         workoutExercises: [],
         exerciseSets: {},
+        plannedSets: {},
+        ...emptyUndoHistory,
         timer: {
           isRunning: false,
+          isPaused: false,
+          pausedAt: null,
           startTime: null,
           duration: 0
         }
@@ -158,8 +327,20 @@ const initialState = {
   activeWorkout: null,
   workoutExercises: [],
   exerciseSets: {},
+  // Sets planned from a template, per workout exercise
+  plannedSets: {},
+  // Unit weights are entered and shown in; stored weights are in kg
+  weightUnit: DEFAULT_WEIGHT_UNIT,
+  // Formula every estimated 1RM is worked out with
+  oneRepMaxFormula: DEFAULT_ONE_REP_MAX_FORMULA,
+  // Entries of the active workout that can be undone and redone, latest last
+  undoStack: [],
+  redoStack: [],
+  undoNotice: null,
   timer: {
     isRunning: false,
+    isPaused: false,
+    pausedAt: null,
     startTime: null,
     duration: 0
   },
@@ -175,6 +356,10 @@ export const WorkoutProvider = ({ children }) => {
   const [state, dispatch] = useReducer(workoutReducer, initialState);
   const timerInterval = useRef(null);
   const restTimerInterval = useRef(null);
+  // Last logged set whose rest is still running, to record the rest taken
+  const restingSet = useRef(null);
+  // Undo and redo run one at a time so each sees the state the last one left
+  const undoInProgress = useRef(false);
   const { user } = useAuth();
 
   // Helper to get current user ID
@@ -193,12 +378,21 @@ export const WorkoutProvider = ({ children }) => {
       dispatch({ type: 'INIT_DATABASE', payload: success });
       
       if (success && user) {
+        await loadUnitPreferences();
+        await loadOneRepMaxFormula();
+
         // Check for active workout for the current user
         const activeWorkout = await DatabaseManager.getActiveWorkout(getCurrentUserId());
         if (activeWorkout) {
-          dispatch({ type: 'SET_ACTIVE_WORKOUT', payload: activeWorkout });
-          loadWorkoutData(activeWorkout.id);
+          dispatch({ type: 'SET_ACTIVE_WORKOUT', payload: { workout: activeWorkout } });
+          await loadWorkoutData(activeWorkout.id);
+          const plannedSets = await DatabaseManager.getWorkoutDraft(activeWorkout.id, 'planned_sets');
+          if (plannedSets) dispatch({ type: 'SET_PLANNED_SETS', payload: plannedSets });
+          await restoreRestState(activeWorkout.id);
         }
+
+        // Exchange offline changes with the server in the background
+        SyncManager.sync(getCurrentUserId());
       }
     };
     
@@ -225,8 +419,8 @@ export const WorkoutProvider = ({ children }) => {
       restTimerInterval.current = setInterval(() => {
         const elapsed = Math.floor((Date.now() - state.restTimer.startTime) / 1000);
         if (elapsed >= state.restTimer.duration) {
+          // The scheduled notification alerts the user in the background
           dispatch({ type: 'CLEAR_REST_TIMER' });
-          // Could add notification/sound here
         }
       }, 1000);
     } else {
@@ -234,7 +428,143 @@ export const WorkoutProvider = ({ children }) => {
     }
 
     return () => clearInterval(restTimerInterval.current);
-  }, [state.restTimer.isActive, state.restTimer.startTime]);
+  }, [state.restTimer.isActive, state.restTimer.startTime, state.restTimer.duration]);
+
+  // Keep the rest timer in the workout draft so it survives an app restart
+  useEffect(() => {
+    if (!state.activeWorkout) return;
+
+    DatabaseManager.saveWorkoutDraft(
+      state.activeWorkout.id,
+      'rest_timer',
+      state.restTimer.isActive ? state.restTimer : null
+    ).catch(error => console.error('Error saving rest timer draft:', error));
+  }, [state.restTimer]);
+
+  // Users who haven't picked a unit keep the one they last logged sets in
+  const loadUnitPreferences = async () => {
+    try {
+      const userId = getCurrentUserId();
+      const lastUnit = await DatabaseManager.getLastWeightUnit(userId);
+      const preferences = await getUnitPreferences(userId, lastUnit ? { weightUnit: lastUnit } : {});
+      dispatch({ type: 'SET_WEIGHT_UNIT', payload: preferences.weightUnit });
+    } catch (error) {
+      console.error('Error loading unit preferences:', error);
+    }
+  };
+
+  const setWeightUnit = async (weightUnit) => {
+    try {
+      const userId = getCurrentUserId();
+      const preferences = await getUnitPreferences(userId);
+      await saveUnitPreferences(userId, { ...preferences, weightUnit });
+      dispatch({ type: 'SET_WEIGHT_UNIT', payload: weightUnit });
+    } catch (error) {
+      console.error('Error saving unit preferences:', error);
+      return;
+    }
+
+    // The device copy is the source of truth; the server copy is best effort
+    try {
+      await updateUserPreferences({ weightUnit });
+    } catch (error) {
+      console.warn('Unit preference saved locally only:', error.message);
+    }
+  };
+
+  const loadOneRepMaxFormula = async () => {
+    try {
+      const formula = await getOneRepMaxFormula(getCurrentUserId());
+      dispatch({ type: 'SET_ONE_REP_MAX_FORMULA', payload: formula });
+    } catch (error) {
+      console.error('Error loading 1RM formula:', error);
+    }
+  };
+
+  // Personal records hold estimated 1RMs, so they're rebuilt with the new formula
+  const setOneRepMaxFormula = async (formula) => {
+    try {
+      const userId = getCurrentUserId();
+      await saveOneRepMaxFormula(userId, formula);
+      dispatch({ type: 'SET_ONE_REP_MAX_FORMULA', payload: formula });
+      await DatabaseManager.recalculateAllPersonalRecords(userId);
+    } catch (error) {
+      console.error('Error saving 1RM formula:', error);
+      return;
+    }
+
+    try {
+      await updateUserPreferences({ oneRepMaxFormula: formula });
+    } catch (error) {
+      console.warn('1RM formula saved locally only:', error.message);
+    }
+  };
+
+  const restoreRestState = async (workoutId) => {
+    try {
+      restingSet.current = await DatabaseManager.getWorkoutDraft(workoutId, 'resting_set');
+
+      const restTimer = await DatabaseManager.getWorkoutDraft(workoutId, 'rest_timer');
+      if (restTimer && Date.now() < restTimer.startTime + restTimer.duration * 1000) {
+        dispatch({ type: 'RESTORE_REST_TIMER', duration: restTimer.duration, startTime: restTimer.startTime });
+      }
+    } catch (error) {
+      console.error('Error restoring rest timer:', error);
+    }
+  };
+
+  const setRestingSet = (resting) => {
+    restingSet.current = resting;
+    if (state.activeWorkout) {
+      DatabaseManager.saveWorkoutDraft(state.activeWorkout.id, 'resting_set', resting)
+        .catch(error => console.error('Error saving resting set draft:', error));
+    }
+  };
+
+  // Drafts of the active workout, e.g. unsaved set inputs
+  const saveWorkoutDraft = async (key, value) => {
+    if (!state.activeWorkout) return;
+    try {
+      await DatabaseManager.saveWorkoutDraft(state.activeWorkout.id, key, value);
+    } catch (error) {
+      console.error('Error saving workout draft:', error);
+    }
+  };
+
+  const getWorkoutDraft = async (key) => {
+    if (!state.activeWorkout) return null;
+    try {
+      return await DatabaseManager.getWorkoutDraft(state.activeWorkout.id, key);
+    } catch (error) {
+      console.error('Error loading workout draft:', error);
+      return null;
+    }
+  };
+
+  const pauseWorkout = async () => {
+    if (!state.activeWorkout || state.timer.isPaused) return;
+
+    try {
+      const pausedAt = Date.now();
+      await DatabaseManager.pauseWorkout(state.activeWorkout.id, new Date(pausedAt).toISOString());
+      dispatch({ type: 'PAUSE_TIMER', pausedAt });
+    } catch (error) {
+      console.error('Error pausing workout:', error);
+    }
+  };
+
+  // Paused time is stored in whole seconds so a restart computes the same duration
+  const resumeWorkout = async () => {
+    if (!state.activeWorkout || !state.timer.isPaused) return;
+
+    try {
+      const pausedSeconds = Math.round((Date.now() - state.timer.pausedAt) / 1000);
+      await DatabaseManager.resumeWorkout(state.activeWorkout.id, pausedSeconds);
+      dispatch({ type: 'RESUME_TIMER', pausedMs: pausedSeconds * 1000 });
+    } catch (error) {
+      console.error('Error resuming workout:', error);
+    }
+  };
 
   const loadWorkoutData = async (workoutId) => {
     try {
@@ -255,7 +585,9 @@ export const WorkoutProvider = ({ children }) => {
     }
   };
 
-  const startWorkout = async (name, templateId = null) => {
+  // Start a workout, optionally from a template whose sets are planned from
+  // its targets or from the last session of each exercise
+  const startWorkout = async (name, templateId = null, { prefill = PREFILL_SOURCES.TARGETS } = {}) => {
     try {
       const userId = getCurrentUserId();
       if (!userId) {
@@ -269,31 +601,51 @@ export const WorkoutProvider = ({ children }) => {
       const newWorkout = { id: workoutId, name, date: startTime };
 
       let exercises = [];
-      let sets = {};
+      const sets = {};
+      const plannedSets = {};
 
       if (templateId) {
-        const templateExercises = await DatabaseManager.getAllAsync(
-          'SELECT exercise_id FROM workout_template_exercises WHERE template_id = ?',
-          [templateId]
-        );
+        const templateExercises = await DatabaseManager.getTemplateExercises(templateId);
+        const groups = {};
 
-        const exerciseDetailsPromises = templateExercises.map(row =>
-          DatabaseManager.getFirstAsync('SELECT * FROM exercises WHERE id = ?', [row.exercise_id])
-        );
+        for (const templateExercise of templateExercises) {
+          const workoutExerciseId = await DatabaseManager.addExerciseToWorkout(
+            workoutId,
+            templateExercise.exercise_id,
+            templateExercise.order_index
+          );
+          const lastSets = prefill === PREFILL_SOURCES.LAST_SESSION
+            ? await DatabaseManager.getLastSessionSets(templateExercise.exercise_id, userId)
+            : [];
 
-        exercises = await Promise.all(exerciseDetailsPromises);
+          sets[workoutExerciseId] = [];
+          plannedSets[workoutExerciseId] = buildPlannedSets(templateExercise, lastSets, prefill);
 
-        exercises.forEach(ex => {
-          if (ex) sets[ex.id] = [];
-        });
+          if (templateExercise.group_id) {
+            groups[templateExercise.group_id] = groups[templateExercise.group_id]
+              || { groupType: templateExercise.group_type, ids: [] };
+            groups[templateExercise.group_id].ids.push(workoutExerciseId);
+          }
+        }
+
+        // Each workout gets its own group ids
+        for (const group of Object.values(groups)) {
+          if (group.ids.length > 1) {
+            await DatabaseManager.groupWorkoutExercises(group.ids, group.groupType);
+          }
+        }
+
+        exercises = await DatabaseManager.getWorkoutExercises(workoutId);
+        await DatabaseManager.saveWorkoutDraft(workoutId, 'planned_sets', plannedSets);
       }
 
       dispatch({
         type: 'SET_ACTIVE_WORKOUT',
         payload: {
           workout: newWorkout,
-          exercises: exercises.filter(Boolean), // Filter out any nulls if an exercise isn't found
-          sets: sets
+          exercises,
+          sets,
+          plannedSets
         }
       });
 
@@ -304,6 +656,15 @@ export const WorkoutProvider = ({ children }) => {
     }
   };
 
+  const saveWorkoutAsTemplate = async (workoutId, name, description = null) => {
+    try {
+      return await DatabaseManager.saveWorkoutAsTemplate(workoutId, name, description, getCurrentUserId());
+    } catch (error) {
+      console.error('Error saving workout as template:', error);
+      return null;
+    }
+  };
+
   const addExerciseToWorkout = async (exerciseId, exerciseName) => {
     if (!state.activeWorkout) return null;
 
@@ -314,15 +675,24 @@ export const WorkoutProvider = ({ children }) => {
         exerciseId,
         orderIndex
       );
+      const exercise = await DatabaseManager.getExercise(exerciseId);
 
       const newExercise = {
         id: workoutExerciseId,
         exercise_id: exerciseId,
         exercise_name: exerciseName,
-        order_index: orderIndex
+        muscle_groups: exercise?.muscle_groups,
+        equipment: exercise?.equipment,
+        order_index: orderIndex,
+        group_id: null,
+        group_type: null,
+        rest_seconds: exercise?.rest_seconds ?? null,
+        progression: exercise?.progression ?? null,
+        tracking_type: exercise?.tracking_type ?? null
       };
 
       dispatch({ type: 'ADD_EXERCISE_TO_WORKOUT', payload: newExercise });
+      recordUndo('Exercise added', [{ type: CHANGE_TYPES.ADD_EXERCISE, exercise: newExercise, sets: [] }]);
       return workoutExerciseId;
     } catch (error) {
       console.error('Error adding exercise to workout:', error);
@@ -330,17 +700,204 @@ export const WorkoutProvider = ({ children }) => {
     }
   };
 
-  const addSet = async (workoutExerciseId, weight, reps, isWarmup = false) => {
+  // Link exercises into a superset or circuit, moving them next to each other
+  const groupExercises = async (workoutExerciseIds, groupType) => {
+    if (workoutExerciseIds.length < 2) return null;
+
     try {
+      const updates = {};
+      for (const exercise of orderForGroup(state.workoutExercises, workoutExerciseIds)) {
+        await DatabaseManager.updateWorkoutExerciseOrder(exercise.id, exercise.order_index);
+        updates[exercise.id] = { order_index: exercise.order_index };
+      }
+
+      const groupId = await DatabaseManager.groupWorkoutExercises(workoutExerciseIds, groupType);
+      workoutExerciseIds.forEach(id => {
+        updates[id] = { ...updates[id], group_id: groupId, group_type: groupType };
+      });
+
+      // Exercises left alone in a previous group are no longer grouped
+      const previousGroupIds = new Set(state.workoutExercises
+        .filter(ex => workoutExerciseIds.includes(ex.id) && ex.group_id)
+        .map(ex => ex.group_id));
+      for (const previousGroupId of previousGroupIds) {
+        const remaining = getGroupMembers(state.workoutExercises, previousGroupId)
+          .filter(member => !workoutExerciseIds.includes(member.id));
+        if (remaining.length === 1) {
+          await DatabaseManager.ungroupWorkoutExercises([remaining[0].id]);
+          updates[remaining[0].id] = { ...updates[remaining[0].id], group_id: null, group_type: null };
+        }
+      }
+
+      dispatch({ type: 'UPDATE_WORKOUT_EXERCISES', updates });
+      recordUndo(`${formatGroupType(groupType)} created`, exerciseUpdateChanges(updates));
+      return groupId;
+    } catch (error) {
+      console.error('Error grouping exercises:', error);
+      return null;
+    }
+  };
+
+  // Take an exercise out of its group; a group left with one exercise is dissolved
+  const ungroupExercise = async (workoutExerciseId) => {
+    const exercise = state.workoutExercises.find(ex => ex.id === workoutExerciseId);
+    if (!exercise?.group_id) return;
+
+    try {
+      const members = getGroupMembers(state.workoutExercises, exercise.group_id);
+      const removedIds = members.length <= 2 ? members.map(member => member.id) : [workoutExerciseId];
+      await DatabaseManager.ungroupWorkoutExercises(removedIds);
+
+      const updates = {};
+      removedIds.forEach(id => {
+        updates[id] = { group_id: null, group_type: null };
+      });
+      dispatch({ type: 'UPDATE_WORKOUT_EXERCISES', updates });
+      recordUndo('Exercise ungrouped', exerciseUpdateChanges(updates));
+    } catch (error) {
+      console.error('Error ungrouping exercise:', error);
+    }
+  };
+
+  // Undo changes for updates of workout exercises, one for every exercise
+  // the updates actually change
+  const exerciseUpdateChanges = (updates) => state.workoutExercises
+    .filter(exercise => {
+      const update = updates[exercise.id];
+      return update && Object.keys(update).some(field => exercise[field] !== update[field]);
+    })
+    .map(exercise => ({
+      type: CHANGE_TYPES.UPDATE_EXERCISE,
+      before: exercise,
+      after: { ...exercise, ...updates[exercise.id] }
+    }));
+
+  // Write order, group and exercise updates of workout exercises; returns an
+  // undo change for every exercise that actually changed
+  const writeExerciseUpdates = async (updates) => {
+    const changes = exerciseUpdateChanges(updates);
+    const applied = {};
+
+    for (const change of changes) {
+      await DatabaseManager.updateWorkoutExerciseValues(change.after);
+      applied[change.after.id] = updates[change.after.id];
+    }
+
+    dispatch({ type: 'UPDATE_WORKOUT_EXERCISES', updates: applied });
+    return changes;
+  };
+
+  // Put the workout's exercises in a new order; grouped exercises stay together
+  const reorderExercises = async (orderedIds) => {
+    try {
+      const updates = {};
+      applyExerciseOrder(state.workoutExercises, orderedIds).forEach(exercise => {
+        updates[exercise.id] = { order_index: exercise.order_index };
+      });
+
+      recordUndo('Exercises reordered', await writeExerciseUpdates(updates));
+      return true;
+    } catch (error) {
+      console.error('Error reordering exercises:', error);
+      return false;
+    }
+  };
+
+  // Swap the exercise of a workout exercise. Logged sets are kept when both
+  // exercises are tracked the same way and deleted otherwise.
+  const replaceExercise = async (workoutExerciseId, exerciseId) => {
+    const current = state.workoutExercises.find(ex => ex.id === workoutExerciseId);
+    if (!current) return false;
+
+    try {
+      const exercise = await DatabaseManager.getExercise(exerciseId);
+      const changes = [];
+
+      if (getTrackingType(exercise) !== getTrackingType(current)) {
+        for (const set of state.exerciseSets[workoutExerciseId] || []) {
+          await DatabaseManager.deleteSet(set.id);
+          dispatch({ type: 'DELETE_SET', exerciseId: workoutExerciseId, setId: set.id });
+          if (restingSet.current?.setId === set.id) setRestingSet(null);
+          changes.push({ type: CHANGE_TYPES.DELETE_SET, workoutExerciseId, set });
+        }
+      }
+
+      const after = { ...current, exercise_id: exerciseId, ...exerciseDetails(exercise) };
+      await DatabaseManager.updateWorkoutExerciseValues(after);
+      dispatch({ type: 'UPDATE_WORKOUT_EXERCISES', updates: { [workoutExerciseId]: after } });
+      changes.push({ type: CHANGE_TYPES.UPDATE_EXERCISE, before: current, after });
+
+      recordUndo('Exercise replaced', changes);
+      return true;
+    } catch (error) {
+      console.error('Error replacing exercise:', error);
+      return false;
+    }
+  };
+
+  // Remove an exercise and its sets. Later exercises move up, and a group
+  // left with one exercise is dissolved.
+  const removeExerciseFromWorkout = async (workoutExerciseId) => {
+    const exercise = state.workoutExercises.find(ex => ex.id === workoutExerciseId);
+    if (!exercise) return false;
+
+    try {
+      const sets = state.exerciseSets[workoutExerciseId] || [];
+      await DatabaseManager.deleteWorkoutExercise(workoutExerciseId);
+      dispatch({ type: 'REMOVE_WORKOUT_EXERCISE', workoutExerciseId });
+      if (sets.some(set => set.id === restingSet.current?.setId)) setRestingSet(null);
+
+      const remaining = state.workoutExercises.filter(ex => ex.id !== workoutExerciseId);
+      const updates = {};
+      remaining.forEach((other, index) => {
+        updates[other.id] = { order_index: index };
+      });
+      const groupMembers = exercise.group_id ? getGroupMembers(remaining, exercise.group_id) : [];
+      if (groupMembers.length === 1) {
+        updates[groupMembers[0].id] = { ...updates[groupMembers[0].id], group_id: null, group_type: null };
+      }
+
+      const changes = await writeExerciseUpdates(updates);
+      recordUndo('Exercise removed', [{ type: CHANGE_TYPES.REMOVE_EXERCISE, exercise, sets }, ...changes]);
+      return true;
+    } catch (error) {
+      console.error('Error removing exercise from workout:', error);
+      return false;
+    }
+  };
+
+  // Weight is in the user's unit; duration in seconds and distance in km
+  const addSet = async (workoutExerciseId, weight, reps, setType = SET_TYPES.WORKING, {
+    rpe = null,
+    rir = null,
+    duration = null,
+    distance = null
+  } = {}) => {
+    try {
+      await recordRestTaken();
+
       const setNumber = (state.exerciseSets[workoutExerciseId]?.length || 0) + 1;
-      const setId = await DatabaseManager.addSet(workoutExerciseId, setNumber, weight, reps, isWarmup);
+      const weightKg = toKg(weight, state.weightUnit);
+      const setId = await DatabaseManager.addSet(workoutExerciseId, setNumber, weightKg, reps, setType, {
+        rpe,
+        rir,
+        weightUnit: state.weightUnit,
+        duration,
+        distance
+      });
       
       const newSet = {
         id: setId,
         set_number: setNumber,
-        weight,
+        weight: weightKg,
+        weight_unit: state.weightUnit,
         reps,
-        is_warmup: isWarmup,
+        duration,
+        distance,
+        is_warmup: setType === SET_TYPES.WARMUP,
+        set_type: setType,
+        rpe,
+        rir,
         is_completed: true
       };
 
@@ -349,6 +906,7 @@ export const WorkoutProvider = ({ children }) => {
         exerciseId: workoutExerciseId,
         set: newSet
       });
+      recordUndo('Set logged', [{ type: CHANGE_TYPES.ADD_SET, workoutExerciseId, set: newSet }]);
 
       return setId;
     } catch (error) {
@@ -357,50 +915,408 @@ export const WorkoutProvider = ({ children }) => {
     }
   };
 
+  // Log a warm-up ramp from generateWarmupSets; planned sets move down so
+  // the plan still lines up with the logged sets
+  const addWarmupSets = async (workoutExerciseId, warmupSets) => {
+    if (!state.activeWorkout || warmupSets.length === 0) return false;
+
+    try {
+      const loggedCount = state.exerciseSets[workoutExerciseId]?.length || 0;
+      const changes = [];
+
+      for (const [index, warmupSet] of warmupSets.entries()) {
+        const setNumber = loggedCount + index + 1;
+        const weightKg = toKg(warmupSet.weight, warmupSet.weightUnit);
+        const setId = await DatabaseManager.addSet(workoutExerciseId, setNumber, weightKg, warmupSet.reps, SET_TYPES.WARMUP, {
+          weightUnit: warmupSet.weightUnit
+        });
+        const set = {
+          id: setId,
+          set_number: setNumber,
+          weight: weightKg,
+          weight_unit: warmupSet.weightUnit,
+          reps: warmupSet.reps,
+          is_warmup: true,
+          set_type: SET_TYPES.WARMUP,
+          rpe: null,
+          rir: null,
+          is_completed: true
+        };
+
+        dispatch({ type: 'ADD_SET', exerciseId: workoutExerciseId, set });
+        changes.push({ type: CHANGE_TYPES.ADD_SET, workoutExerciseId, set });
+      }
+
+      const plannedSets = state.plannedSets[workoutExerciseId];
+      if (plannedSets?.length > loggedCount) {
+        const planned = warmupSets.map(warmupSet => ({
+          weight: toKg(warmupSet.weight, warmupSet.weightUnit),
+          reps: warmupSet.reps,
+          setType: SET_TYPES.WARMUP
+        }));
+        const nextPlannedSets = {
+          ...state.plannedSets,
+          [workoutExerciseId]: [...plannedSets.slice(0, loggedCount), ...planned, ...plannedSets.slice(loggedCount)]
+        };
+        dispatch({ type: 'SET_PLANNED_SETS', payload: nextPlannedSets });
+        await DatabaseManager.saveWorkoutDraft(state.activeWorkout.id, 'planned_sets', nextPlannedSets);
+        changes.push({ type: CHANGE_TYPES.PLANNED_SETS, before: state.plannedSets, after: nextPlannedSets });
+      }
+
+      recordUndo('Warm-up sets added', changes);
+      return true;
+    } catch (error) {
+      console.error('Error adding warm-up sets:', error);
+      return false;
+    }
+  };
+
+  const findSet = (workoutExerciseId, setId) => (
+    (state.exerciseSets[workoutExerciseId] || []).find(set => set.id === setId)
+  );
+
+  // Record an edit of a set for undo, with the set as it was and as it is now
+  const recordSetUpdate = (label, workoutExerciseId, setId, updates) => {
+    const before = findSet(workoutExerciseId, setId);
+    if (before) {
+      recordUndo(label, [{ type: CHANGE_TYPES.UPDATE_SET, workoutExerciseId, before, after: { ...before, ...updates } }]);
+    }
+  };
+
   const updateSet = async (workoutExerciseId, setId, weight, reps) => {
     try {
-      await DatabaseManager.updateSet(setId, weight, reps);
+      const weightKg = toKg(weight, state.weightUnit);
+      const updates = { weight: weightKg, weight_unit: state.weightUnit, reps };
+      await DatabaseManager.updateSet(setId, weightKg, reps, state.weightUnit);
       dispatch({
         type: 'UPDATE_SET',
         exerciseId: workoutExerciseId,
         setId,
-        updates: { weight, reps }
+        updates
       });
+      recordSetUpdate('Set updated', workoutExerciseId, setId, updates);
     } catch (error) {
       console.error('Error updating set:', error);
     }
   };
 
+  const updateSetDetails = async (workoutExerciseId, setId, { setType, rpe = null, rir = null }) => {
+    try {
+      const updates = { set_type: setType, is_warmup: setType === SET_TYPES.WARMUP, rpe, rir };
+      await DatabaseManager.updateSetDetails(setId, setType, rpe, rir);
+      dispatch({
+        type: 'UPDATE_SET',
+        exerciseId: workoutExerciseId,
+        setId,
+        updates
+      });
+      recordSetUpdate('Set details changed', workoutExerciseId, setId, updates);
+    } catch (error) {
+      console.error('Error updating set details:', error);
+    }
+  };
+
   const deleteSet = async (workoutExerciseId, setId) => {
     try {
+      const set = findSet(workoutExerciseId, setId);
       await DatabaseManager.deleteSet(setId);
       dispatch({
         type: 'DELETE_SET',
         exerciseId: workoutExerciseId,
         setId
       });
+      if (set) {
+        recordUndo('Set deleted', [{ type: CHANGE_TYPES.DELETE_SET, workoutExerciseId, set }]);
+      }
     } catch (error) {
       console.error('Error deleting set:', error);
     }
   };
 
+  const recordUndo = (label, changes) => {
+    if (changes.length > 0) {
+      dispatch({ type: 'RECORD_UNDO', entry: { label, changes } });
+    }
+  };
+
+  // Apply history changes to the database and the reducer state. Returns the
+  // changes as applied: removed sets and exercises are taken as they are now,
+  // so redoing their removal's undo brings back later edits too.
+  const applyChanges = async (changes) => {
+    const applied = [];
+
+    for (const change of changes) {
+      switch (change.type) {
+        case CHANGE_TYPES.ADD_SET:
+          await DatabaseManager.insertSetRow(change.workoutExerciseId, change.set);
+          dispatch({ type: 'RESTORE_SET', exerciseId: change.workoutExerciseId, set: change.set });
+          applied.push(change);
+          break;
+
+        case CHANGE_TYPES.DELETE_SET: {
+          const set = findSet(change.workoutExerciseId, change.set.id) || change.set;
+          await DatabaseManager.deleteSet(set.id);
+          dispatch({ type: 'DELETE_SET', exerciseId: change.workoutExerciseId, setId: set.id });
+          if (restingSet.current?.setId === set.id) setRestingSet(null);
+          applied.push({ ...change, set });
+          break;
+        }
+
+        case CHANGE_TYPES.UPDATE_SET:
+          await DatabaseManager.updateSetValues(change.after);
+          dispatch({ type: 'UPDATE_SET', exerciseId: change.workoutExerciseId, setId: change.after.id, updates: change.after });
+          applied.push(change);
+          break;
+
+        case CHANGE_TYPES.ADD_EXERCISE:
+          await DatabaseManager.restoreWorkoutExercise(state.activeWorkout.id, change.exercise, change.sets);
+          dispatch({ type: 'RESTORE_WORKOUT_EXERCISE', exercise: change.exercise, sets: change.sets });
+          applied.push(change);
+          break;
+
+        case CHANGE_TYPES.REMOVE_EXERCISE: {
+          const exercise = state.workoutExercises.find(ex => ex.id === change.exercise.id) || change.exercise;
+          const sets = state.exerciseSets[exercise.id] || [];
+          await DatabaseManager.deleteWorkoutExercise(exercise.id);
+          dispatch({ type: 'REMOVE_WORKOUT_EXERCISE', workoutExerciseId: exercise.id });
+          if (sets.some(set => set.id === restingSet.current?.setId)) setRestingSet(null);
+          applied.push({ ...change, exercise, sets });
+          break;
+        }
+
+        case CHANGE_TYPES.UPDATE_EXERCISE: {
+          // Exercise details are read again, they may have changed since
+          const current = state.workoutExercises.find(ex => ex.id === change.after.id);
+          const details = current?.exercise_id === change.after.exercise_id
+            ? {}
+            : exerciseDetails(await DatabaseManager.getExercise(change.after.exercise_id));
+          const { exercise_id, order_index, group_id, group_type } = change.after;
+          await DatabaseManager.updateWorkoutExerciseValues(change.after);
+          dispatch({
+            type: 'UPDATE_WORKOUT_EXERCISES',
+            updates: { [change.after.id]: { exercise_id, order_index, group_id, group_type, ...details } }
+          });
+          applied.push(change);
+          break;
+        }
+
+        case CHANGE_TYPES.PLANNED_SETS:
+          await DatabaseManager.saveWorkoutDraft(state.activeWorkout.id, 'planned_sets', change.after);
+          dispatch({ type: 'SET_PLANNED_SETS', payload: change.after });
+          applied.push(change);
+          break;
+
+        default:
+          throw new Error(`Unknown undo change: ${change.type}`);
+      }
+    }
+
+    return applied;
+  };
+
+  // A step that failed part way leaves the database as the source of truth;
+  // the history no longer matches it and is dropped
+  const recoverFromFailedStep = async () => {
+    dispatch({ type: 'CLEAR_UNDO_HISTORY' });
+    if (state.activeWorkout) {
+      await loadWorkoutData(state.activeWorkout.id);
+    }
+  };
+
+  // Undo and redo resolve to null when there's nothing to do
+  const undo = async () => {
+    const entry = state.undoStack[state.undoStack.length - 1];
+    if (!entry || undoInProgress.current) return null;
+
+    undoInProgress.current = true;
+    try {
+      const applied = await applyChanges(invertEntry(entry).changes);
+      dispatch({ type: 'UNDO_APPLIED', entry: invertEntry({ ...entry, changes: applied }) });
+      return true;
+    } catch (error) {
+      console.error('Error undoing workout change:', error);
+      await recoverFromFailedStep();
+      return false;
+    } finally {
+      undoInProgress.current = false;
+    }
+  };
+
+  const redo = async () => {
+    const entry = state.redoStack[state.redoStack.length - 1];
+    if (!entry || undoInProgress.current) return null;
+
+    undoInProgress.current = true;
+    try {
+      const applied = await applyChanges(entry.changes);
+      dispatch({ type: 'REDO_APPLIED', entry: { ...entry, changes: applied } });
+      return true;
+    } catch (error) {
+      console.error('Error redoing workout change:', error);
+      await recoverFromFailedStep();
+      return false;
+    } finally {
+      undoInProgress.current = false;
+    }
+  };
+
   const completeWorkout = async () => {
     if (!state.activeWorkout) return;
 
     try {
       await DatabaseManager.completeWorkout(state.activeWorkout.id, state.timer.duration);
+      restingSet.current = null;
+      RestTimerManager.cancelRestEndNotification();
+      dispatch({ type: 'CLEAR_REST_TIMER' });
       dispatch({ type: 'COMPLETE_WORKOUT' });
+      SyncManager.sync(getCurrentUserId());
     } catch (error) {
       console.error('Error completing workout:', error);
     }
   };
 
+  // Save the time since the resting set was logged as the rest taken after it
+  const recordRestTaken = async () => {
+    const resting = restingSet.current;
+    if (!resting) return;
+    setRestingSet(null);
+
+    try {
+      const restTime = Math.round((Date.now() - resting.startedAt) / 1000);
+      await DatabaseManager.updateSetRestTime(resting.setId, restTime);
+      if (state.exerciseSets[resting.workoutExerciseId]) {
+        dispatch({
+          type: 'UPDATE_SET',
+          exerciseId: resting.workoutExerciseId,
+          setId: resting.setId,
+          updates: { rest_time: restTime }
+        });
+      }
+    } catch (error) {
+      console.error('Error recording rest time:', error);
+    }
+  };
+
   const startRestTimer = (duration = 90) => {
     dispatch({ type: 'SET_REST_TIMER', duration });
+    RestTimerManager.scheduleRestEndNotification(duration);
+  };
+
+  // Start resting after a logged set, using the exercise and set type presets
+  const startRestAfterSet = async (workoutExerciseId, setId, setType = SET_TYPES.WORKING) => {
+    setRestingSet({ workoutExerciseId, setId, startedAt: Date.now() });
+
+    const settings = await RestTimerManager.getSettings();
+    if (!settings.autoStart) return;
+
+    const exercise = state.workoutExercises.find(ex => ex.id === workoutExerciseId);
+    const duration = await RestTimerManager.getRestDuration(exercise, setType);
+    if (duration > 0) {
+      startRestTimer(duration);
+    }
+  };
+
+  // Add or remove rest time from the running timer (delta in seconds)
+  const adjustRestTimer = (delta) => {
+    if (!state.restTimer.isActive) return;
+
+    const elapsed = Math.floor((Date.now() - state.restTimer.startTime) / 1000);
+    const duration = Math.max(elapsed, state.restTimer.duration + delta);
+    dispatch({ type: 'ADJUST_REST_TIMER', duration });
+    RestTimerManager.scheduleRestEndNotification(duration - elapsed);
   };
 
+  // Skipping ends the rest now
   const clearRestTimer = () => {
     dispatch({ type: 'CLEAR_REST_TIMER' });
+    RestTimerManager.cancelRestEndNotification();
+    recordRestTaken();
+  };
+
+  const setExerciseRestTime = async (exerciseId, restSeconds) => {
+    try {
+      await DatabaseManager.setExerciseRestTime(exerciseId, restSeconds);
+
+      const updates = {};
+      state.workoutExercises
+        .filter(exercise => exercise.exercise_id === exerciseId)
+        .forEach(exercise => {
+          updates[exercise.id] = { rest_seconds: restSeconds };
+        });
+      dispatch({ type: 'UPDATE_WORKOUT_EXERCISES', updates });
+    } catch (error) {
+      console.error('Error saving exercise rest time:', error);
+    }
+  };
+
+  const setExerciseTrackingType = async (exerciseId, trackingType) => {
+    try {
+      await DatabaseManager.setExerciseTrackingType(exerciseId, trackingType);
+
+      const updates = {};
+      state.workoutExercises
+        .filter(exercise => exercise.exercise_id === exerciseId)
+        .forEach(exercise => {
+          updates[exercise.id] = { tracking_type: trackingType };
+        });
+      dispatch({ type: 'UPDATE_WORKOUT_EXERCISES', updates });
+    } catch (error) {
+      console.error('Error saving exercise tracking type:', error);
+    }
+  };
+
+  const setExerciseProgression = async (exerciseId, settings) => {
+    try {
+      await DatabaseManager.setExerciseProgression(exerciseId, settings);
+
+      const progression = settings ? JSON.stringify(settings) : null;
+      const updates = {};
+      state.workoutExercises
+        .filter(exercise => exercise.exercise_id === exerciseId)
+        .forEach(exercise => {
+          updates[exercise.id] = { progression };
+        });
+      dispatch({ type: 'UPDATE_WORKOUT_EXERCISES', updates });
+    } catch (error) {
+      console.error('Error saving exercise progression:', error);
+    }
+  };
+
+  // Today's weight and reps for a workout exercise from its progression
+  // scheme; only exercises loaded with weight get one
+  const getProgressionSuggestion = async (workoutExercise) => {
+    if (!LOADED_TRACKING_TYPES.includes(getTrackingType(workoutExercise))) return null;
+
+    try {
+      const history = await DatabaseManager.getExerciseHistory(
+        workoutExercise.exercise_id,
+        getCurrentUserId(),
+        PROGRESSION_HISTORY_LIMIT
+      );
+      return suggestNextSet(
+        history,
+        getProgressionSettings(workoutExercise.progression),
+        workoutExercise.equipment,
+        state.weightUnit,
+        state.oneRepMaxFormula
+      );
+    } catch (error) {
+      console.error('Error loading progression suggestion:', error);
+      return null;
+    }
+  };
+
+  // The user's bodyweight in kg on the day of the active workout, 0 when unknown
+  const getBodyweight = async () => {
+    try {
+      return await DatabaseManager.getBodyweight(
+        getCurrentUserId(),
+        state.activeWorkout?.date || new Date().toISOString()
+      );
+    } catch (error) {
+      console.error('Error loading bodyweight:', error);
+      return 0;
+    }
   };
 
   const formatTime = (seconds) => {
@@ -419,14 +1335,38 @@ export const WorkoutProvider = ({ children }) => {
     dispatch,
     startWorkout,
     addExerciseToWorkout,
+    groupExercises,
+    ungroupExercise,
+    reorderExercises,
+    replaceExercise,
+    removeExerciseFromWorkout,
     addSet,
+    addWarmupSets,
     updateSet,
+    updateSetDetails,
     deleteSet,
+    undo,
+    redo,
     completeWorkout,
+    saveWorkoutAsTemplate,
+    pauseWorkout,
+    resumeWorkout,
+    saveWorkoutDraft,
+    getWorkoutDraft,
     startRestTimer,
+    startRestAfterSet,
+    adjustRestTimer,
     clearRestTimer,
+    setExerciseRestTime,
+    setExerciseTrackingType,
+    setExerciseProgression,
+    getProgressionSuggestion,
+    getBodyweight,
+    setWeightUnit,
+    setOneRepMaxFormula,
     formatTime,
-    loadWorkoutData
+    loadWorkoutData,
+    syncWorkouts: () => SyncManager.sync(getCurrentUserId())
   };
 
   return (
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useCallback } from 'react';
 import {
   View,
   Text,
@@ -13,9 +13,13 @@ import {
   Dimensions
 } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
 import { useWorkout } from '../contexts/WorkoutContext';
 import { useAuth } from '../contexts/AuthContext';
 import AnalyticsEngine from '../utils/analyticsEngine';
+import TrainingLoadChart from '../components/TrainingLoadChart';
+import { formatWeight } from '../utils/units';
+import { formatDuration, formatDistance, formatPace, formatSpeed } from '../utils/trackingTypes';
 // Removed DataDebugComponent for production
 
 const { width } = Dimensions.get('window');
@@ -37,11 +41,14 @@ const AnalyticsScreen = () => {
     { label: '6 Months', value: 180 }
   ];
 
-  useEffect(() => {
-    if (state.dbInitialized && user?.id) {
-      loadAnalytics();
-    }
-  }, [state.dbInitialized, selectedTimeframe, user?.id]);
+  // Reloaded on focus so workouts logged or edited elsewhere are counted
+  useFocusEffect(
+    useCallback(() => {
+      if (state.dbInitialized && user?.id) {
+        loadAnalytics();
+      }
+    }, [state.dbInitialized, selectedTimeframe, user?.id])
+  );
 
   const loadAnalytics = async () => {
     try {
@@ -304,11 +311,11 @@ const AnalyticsScreen = () => {
               <View style={styles.recordStats}>
                 <View style={styles.recordStat}>
                   <Text style={styles.recordLabel}>1RM Est.</Text>
-                  <Text style={styles.recordValue}>{record.estimated1RM} lbs</Text>
+                  <Text style={styles.recordValue}>{formatWeight(record.estimated1RM, state.weightUnit, { decimals: 0 })}</Text>
                 </View>
                 <View style={styles.recordStat}>
                   <Text style={styles.recordLabel}>Max Weight</Text>
-                  <Text style={styles.recordValue}>{record.maxWeight} lbs</Text>
+                  <Text style={styles.recordValue}>{formatWeight(record.maxWeight, state.weightUnit)}</Text>
                 </View>
                 <View style={styles.recordStat}>
                   <Text style={styles.recordLabel}>Max Reps</Text>
@@ -325,6 +332,131 @@ const AnalyticsScreen = () => {
     );
   };
 
+  const renderEnduranceRecords = () => {
+    if (!analytics?.enduranceRecords?.length) return null;
+
+    return (
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Time & Distance</Text>
+        </View>
+
+        <View style={styles.recordsContainer}>
+          {analytics.enduranceRecords.map((record, index) => (
+            <View key={index} style={styles.recordItem}>
+              <View style={styles.recordHeader}>
+                <Text style={styles.recordExercise}>{record.exercise}</Text>
+              </View>
+              {record.longestHold != null ? (
+                <View style={styles.recordStats}>
+                  <View style={styles.recordStat}>
+                    <Text style={styles.recordLabel}>Longest Hold</Text>
+                    <Text style={styles.recordValue}>{formatDuration(record.longestHold)}</Text>
+                  </View>
+                </View>
+              ) : (
+                <View style={styles.recordStats}>
+                  <View style={styles.recordStat}>
+                    <Text style={styles.recordLabel}>Longest</Text>
+                    <Text style={styles.recordValue}>{formatDistance(record.longestDistance)}</Text>
+                  </View>
+                  <View style={styles.recordStat}>
+                    <Text style={styles.recordLabel}>Best Pace</Text>
+                    <Text style={styles.recordValue}>{record.bestPace ? formatPace(record.bestPace) : '-'}</Text>
+                  </View>
+                  <View style={styles.recordStat}>
+                    <Text style={styles.recordLabel}>Top Speed</Text>
+                    <Text style={styles.recordValue}>{record.topSpeed ? formatSpeed(record.topSpeed) : '-'}</Text>
+                  </View>
+                </View>
+              )}
+              <Text style={styles.recordLastPerformed}>Last: {record.lastPerformed}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+    );
+  };
+
+  const renderTrainingLoad = () => {
+    if (!analytics?.trainingLoad?.current) return null;
+
+    const { series, current, warnings } = analytics.trainingLoad;
+
+    return (
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Training Load</Text>
+          <TouchableOpacity onPress={() => showDetail('trainingLoad', analytics.trainingLoad)}>
+            <MaterialIcons name="info-outline" size={20} color="#666" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.frequencyGrid}>
+          <View style={styles.frequencyItem}>
+            <Text style={[styles.frequencyValue, { color: getAcwrZoneColor(current.zone) }]}>
+              {current.acwr ?? '-'}
+            </Text>
+            <Text style={styles.frequencyLabel}>Acute:Chronic</Text>
+          </View>
+          <View style={styles.frequencyItem}>
+            <Text style={styles.frequencyValue}>{current.acute}</Text>
+            <Text style={styles.frequencyLabel}>7-Day Load</Text>
+          </View>
+          <View style={styles.frequencyItem}>
+            <Text style={styles.frequencyValue}>{current.monotony ?? '-'}</Text>
+            <Text style={styles.frequencyLabel}>Monotony</Text>
+          </View>
+          <View style={styles.frequencyItem}>
+            <Text style={styles.frequencyValue}>{current.strain ?? '-'}</Text>
+            <Text style={styles.frequencyLabel}>Strain</Text>
+          </View>
+        </View>
+
+        <TrainingLoadChart series={series} />
+
+        {warnings.map((warning, index) => (
+          <View key={index} style={[styles.loadWarning, { backgroundColor: getWarningBackground(warning.severity) }]}>
+            <MaterialIcons
+              name={warning.severity === 'info' ? 'info-outline' : 'warning'}
+              size={16}
+              color={getWarningColor(warning.severity)}
+            />
+            <Text style={[styles.loadWarningText, { color: getWarningColor(warning.severity) }]}>
+              {warning.message}
+            </Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const getAcwrZoneColor = (zone) => {
+    switch (zone) {
+      case 'optimal': return '#28a745';
+      case 'low': return '#17a2b8';
+      case 'elevated': return '#ffc107';
+      case 'spike': return '#dc3545';
+      default: return '#6c757d';
+    }
+  };
+
+  const getWarningColor = (severity) => {
+    switch (severity) {
+      case 'high': return '#721c24';
+      case 'moderate': return '#856404';
+      default: return '#0c5460';
+    }
+  };
+
+  const getWarningBackground = (severity) => {
+    switch (severity) {
+      case 'high': return '#f8d7da';
+      case 'moderate': return '#fff3cd';
+      default: return '#d1ecf1';
+    }
+  };
+
   const renderFrequencyAnalysis = () => {
     if (!analytics?.frequencyAnalysis?.metrics) return null;
 
@@ -387,7 +519,7 @@ const AnalyticsScreen = () => {
                 <View key={index} style={styles.modalBalanceItem}>
                   <Text style={styles.modalBalanceGroup}>{group.muscleGroup}</Text>
                   <View style={styles.modalBalanceStats}>
-                    <Text>Volume: {group.volume.toLocaleString()} lbs</Text>
+                    <Text>Volume: {formatWeight(group.volume, state.weightUnit, { decimals: 0 })}</Text>
                     <Text>Sets: {group.sets}</Text>
                     <Text>Workouts: {group.workouts}</Text>
                     <Text>Percentage: {group.percentage}%</Text>
@@ -429,8 +561,8 @@ const AnalyticsScreen = () => {
                 <View key={index} style={styles.modalRatioItem}>
                   <Text style={styles.modalRatioName}>{ratio.name}</Text>
                   <View style={styles.modalRatioDetails}>
-                    <Text>Primary: {ratio.primaryExercise} ({ratio.primaryMax} lbs)</Text>
-                    <Text>Secondary: {ratio.secondaryExercise} ({ratio.secondaryMax} lbs)</Text>
+                    <Text>Primary: {ratio.primaryExercise} ({formatWeight(ratio.primaryMax, state.weightUnit, { decimals: 0 })})</Text>
+                    <Text>Secondary: {ratio.secondaryExercise} ({formatWeight(ratio.secondaryMax, state.weightUnit, { decimals: 0 })})</Text>
                     <Text>Actual Ratio: {ratio.actualRatio}</Text>
                     <Text>Ideal Ratio: {ratio.idealRatio}</Text>
                     <Text>Deviation: {ratio.deviation}%</Text>
@@ -453,10 +585,10 @@ const AnalyticsScreen = () => {
                 <View key={index} style={styles.modalRecordItem}>
                   <Text style={styles.modalRecordExercise}>{record.exercise}</Text>
                   <View style={styles.modalRecordStats}>
-                    <Text>Estimated 1RM: {record.estimated1RM} lbs</Text>
-                    <Text>Max Weight: {record.maxWeight} lbs</Text>
+                    <Text>Estimated 1RM: {formatWeight(record.estimated1RM, state.weightUnit, { decimals: 0 })}</Text>
+                    <Text>Max Weight: {formatWeight(record.maxWeight, state.weightUnit)}</Text>
                     <Text>Max Reps: {record.maxReps}</Text>
-                    <Text>Max Volume: {record.maxVolume} lbs</Text>
+                    <Text>Max Volume: {formatWeight(record.maxVolume, state.weightUnit, { decimals: 0 })}</Text>
                     <Text>Workout Count: {record.workoutCount}</Text>
                     <Text>Last Performed: {record.lastPerformed}</Text>
                     <Text>Days Since: {record.daysSinceLastPerformed}</Text>
@@ -493,6 +625,46 @@ const AnalyticsScreen = () => {
           </View>
         );
         break;
+
+      case 'trainingLoad':
+        modalContent = (
+          <View>
+            <Text style={styles.modalTitle}>Training Load Details</Text>
+            <ScrollView>
+              <View style={styles.modalSection}>
+                <Text style={styles.modalSectionTitle}>This Week:</Text>
+                <Text>7-Day Load: {data.current.acute}</Text>
+                <Text>4-Week Average: {data.current.chronic}</Text>
+                <Text>Acute:Chronic Ratio: {data.current.acwr ?? '-'} ({data.current.zone})</Text>
+                <Text>Monotony: {data.current.monotony ?? '-'}</Text>
+                <Text>Strain: {data.current.strain ?? '-'}</Text>
+              </View>
+
+              <View style={styles.modalSection}>
+                <Text style={styles.modalSectionTitle}>How It Works:</Text>
+                <Text style={styles.modalRecommendation}>
+                  • Session load is session RPE times minutes trained. Session RPE comes from the RPE or RIR of your working sets, weighted by their volume.
+                </Text>
+                <Text style={styles.modalRecommendation}>
+                  • The acute:chronic ratio compares the last 7 days with your average week over the last 4. Between 0.8 and 1.3 is the safest range; above 1.5 is a spike.
+                </Text>
+                <Text style={styles.modalRecommendation}>
+                  • Monotony is the week's average daily load divided by how much it varies. Strain is the week's load times its monotony.
+                </Text>
+              </View>
+
+              {data.warnings.length > 0 && (
+                <View style={styles.modalSection}>
+                  <Text style={styles.modalSectionTitle}>Warnings:</Text>
+                  {data.warnings.map((warning, index) => (
+                    <Text key={index} style={styles.modalRecommendation}>• {warning.message}</Text>
+                  ))}
+                </View>
+              )}
+            </ScrollView>
+          </View>
+        );
+        break;
     }
 
     return (
@@ -559,9 +731,11 @@ const AnalyticsScreen = () => {
       >
         {renderTimeframeSelector()}
         {renderOverallScore()}
+        {renderTrainingLoad()}
         {renderMuscleBalance()}
         {renderStrengthRatios()}
         {renderPersonalRecords()}
+        {renderEnduranceRecords()}
         {renderFrequencyAnalysis()}
         
         <View style={styles.footer}>
@@ -754,6 +928,20 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     fontWeight: '500',
   },
+  loadWarning: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginBottom: 8,
+  },
+  loadWarningText: {
+    flex: 1,
+    fontSize: 12,
+    marginLeft: 8,
+    fontWeight: '500',
+  },
   recommendationBox: {
     backgroundColor: '#f8f9fa',
     padding: 12,
@@ -15,6 +15,7 @@ import { MaterialIcons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useWorkout } from '../contexts/WorkoutContext';
 import DatabaseManager from '../utils/database';
+import { TRACKING_TYPE_OPTIONS, getDefaultTrackingType, getTrackingType, getTrackingTypeOption } from '../utils/trackingTypes';
 
 const ExercisesScreen = () => {
   const { 
@@ -36,7 +37,8 @@ const ExercisesScreen = () => {
     category: 'Chest',
     muscleGroups: '',
     equipment: '',
-    instructions: ''
+    instructions: '',
+    trackingType: null // follows the category and equipment until picked
   });
 
   // Ref for category tabs ScrollView
@@ -134,6 +136,14 @@ const ExercisesScreen = () => {
     setExercises(filteredExercises);
   };
 
+  const getCustomTrackingType = () => (
+    customExercise.trackingType || getDefaultTrackingType({
+      name: customExercise.name.trim(),
+      category: customExercise.category,
+      equipment: customExercise.equipment.trim()
+    })
+  );
+
   const handleAddCustomExercise = async () => {
     if (!customExercise.name.trim()) {
       Alert.alert('Error', 'Exercise name is required');
@@ -146,13 +156,14 @@ const ExercisesScreen = () => {
       const categoryId = category ? category.id : categories[1]?.id; // Default to first real category
 
       await DatabaseManager.runAsync(
-        'INSERT INTO exercises (name, category_id, muscle_groups, equipment, instructions, is_custom) VALUES (?, ?, ?, ?, ?, ?)',
+        'INSERT INTO exercises (name, category_id, muscle_groups, equipment, instructions, tracking_type, is_custom) VALUES (?, ?, ?, ?, ?, ?, ?)',
         [
           customExercise.name,
           categoryId,
           customExercise.muscleGroups,
           customExercise.equipment,
           customExercise.instructions,
+          getCustomTrackingType(),
           1
         ]
       );
@@ -163,7 +174,8 @@ const ExercisesScreen = () => {
         category: 'Chest',
         muscleGroups: '',
         equipment: '',
-        instructions: ''
+        instructions: '',
+        trackingType: null
       });
 
       setShowAddCustomModal(false);
@@ -390,6 +402,31 @@ visible={showAddCustomModal}
               />
             </View>
 
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>Tracking</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                <View style={styles.categorySelector}>
+                  {TRACKING_TYPE_OPTIONS.map((option) => (
+                    <TouchableOpacity
+                      key={option.type}
+                      style={[
+                        styles.categorySelectorItem,
+                        getCustomTrackingType() === option.type && styles.selectedCategorySelectorItem
+                      ]}
+                      onPress={() => setCustomExercise({...customExercise, trackingType: option.type})}
+                    >
+                      <Text style={[
+                        styles.categorySelectorText,
+                        getCustomTrackingType() === option.type && styles.selectedCategorySelectorText
+                      ]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </ScrollView>
+            </View>
+
             <View style={styles.inputGroup}>
               <Text style={styles.inputLabel}>Instructions</Text>
               <TextInput
@@ -439,6 +476,11 @@ visible={showAddCustomModal}
                 <Text style={styles.exerciseDetailValue}>{selectedExercise.equipment || 'Various'}</Text>
               </View>
 
+              <View style={styles.exerciseDetailSection}>
+                <Text style={styles.exerciseDetailLabel}>Tracking</Text>
+                <Text style={styles.exerciseDetailValue}>{getTrackingTypeOption(getTrackingType(selectedExercise)).label}</Text>
+              </View>
+
               {selectedExercise.instructions && (
                 <View style={styles.exerciseDetailSection}>
                   <Text style={styles.exerciseDetailLabel}>Instructions</Text>
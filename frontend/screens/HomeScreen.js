@@ -23,6 +23,9 @@ import { formatDateShort, formatWorkoutDate, getRelativeTime } from '../utils/da
 import THEME from '../constants/theme';
 import EnhancedButton from '../components/EnhancedButton';
 import EnhancedCard from '../components/EnhancedCard';
+import { PREFILL_SOURCES } from '../utils/templates';
+import { fromKg } from '../utils/units';
+import { SET_VOLUME_SQL } from '../utils/bodyweight';
 
 const { width } = Dimensions.get('window');
 
@@ -33,6 +36,7 @@ const HomeScreen = ({ navigation }) => {
   const [workoutTemplates, setWorkoutTemplates] = useState([]);
   const [showNewWorkoutModal, setShowNewWorkoutModal] = useState(false);
   const [workoutName, setWorkoutName] = useState('');
+  const [prefillSource, setPrefillSource] = useState(PREFILL_SOURCES.TARGETS);
   const [stats, setStats] = useState({
     totalWorkouts: 0,
     thisWeekWorkouts: 0,
@@ -93,7 +97,7 @@ const HomeScreen = ({ navigation }) => {
       });
 
       // Load workout templates
-      const templates = await DatabaseManager.getWorkoutTemplates();
+      const templates = await DatabaseManager.getWorkoutTemplates(userId);
       setWorkoutTemplates(templates);
 
       // Calculate stats for current user
@@ -134,17 +138,18 @@ const HomeScreen = ({ navigation }) => {
     try {
       let totalVolume = 0;
       for (const workout of workouts) {
-        // Calculate volume from sets (weight * reps)
-        const sets = await DatabaseManager.getAllAsync(
-          `SELECT s.weight, s.reps FROM sets s 
+        // Calculate volume from sets (load * reps); bodyweight sets count
+        // the user's bodyweight at the time of the workout
+        const result = await DatabaseManager.getFirstAsync(
+          `SELECT SUM(${SET_VOLUME_SQL}) as volume FROM sets s 
            JOIN workout_exercises we ON s.workout_exercise_id = we.id 
+           JOIN workouts w ON we.workout_id = w.id
+           JOIN exercises e ON we.exercise_id = e.id
            WHERE we.workout_id = ? AND s.is_completed = 1`,
           [workout.id]
         );
         
-        for (const set of sets) {
-          totalVolume += (set.weight || 0) * (set.reps || 0);
-        }
+        totalVolume += result?.volume || 0;
       }
       return Math.round(totalVolume);
     } catch (error) {
@@ -195,8 +200,9 @@ const HomeScreen = ({ navigation }) => {
   };
 
   const handleStartWorkout = async (templateId = null) => {
-    const name = workoutName || `Workout - ${formatWorkoutDate(new Date())}`;
-    const workoutId = await startWorkout(name, templateId);
+    const template = workoutTemplates.find(t => t.id === templateId);
+    const name = workoutName || template?.name || `Workout - ${formatWorkoutDate(new Date())}`;
+    const workoutId = await startWorkout(name, templateId, { prefill: prefillSource });
     
     if (workoutId) {
       setShowNewWorkoutModal(false);
@@ -207,6 +213,11 @@ const HomeScreen = ({ navigation }) => {
     }
   };
 
+  const handleEditTemplate = (templateId = null) => {
+    setShowNewWorkoutModal(false);
+    navigation.navigate('TemplateEditor', { templateId });
+  };
+
   const handleQuickStart = () => {
     setWorkoutName(`Quick Workout - ${formatWorkoutDate(new Date())}`);
     handleStartWorkout();
@@ -317,17 +328,15 @@ const HomeScreen = ({ navigation }) => {
         style={styles.quickStartButton}
       />
 
-      {workoutTemplates.length > 0 && (
-        <EnhancedButton
-          title="Start from Template"
-          variant="secondary"
-          size="large"
-          icon="library-books"
-          onPress={() => setShowNewWorkoutModal(true)}
-          disabled={!!state.activeWorkout}
-          style={styles.templateButton}
-        />
-      )}
+      <EnhancedButton
+        title={workoutTemplates.length > 0 ? 'Start from Template' : 'Create Template'}
+        variant="secondary"
+        size="large"
+        icon="library-books"
+        onPress={() => setShowNewWorkoutModal(true)}
+        disabled={!!state.activeWorkout}
+        style={styles.templateButton}
+      />
     </View>
   );
 
@@ -337,6 +346,12 @@ const HomeScreen = ({ navigation }) => {
     </View>
   );
 
+  // Total volume in the user's unit, shortened past 1000
+  const formatVolume = (kg) => {
+    const volume = fromKg(kg, state.weightUnit);
+    return volume > 1000 ? `${(volume / 1000).toFixed(1)}k` : Math.round(volume).toLocaleString();
+  };
+
   const renderStats = () => (
     <View style={styles.statsContainer}>
       <Text style={styles.sectionTitle}>Your Progress</Text>
@@ -370,9 +385,9 @@ const HomeScreen = ({ navigation }) => {
         <View style={styles.statCard}>
           <Icon name="trending-up" size={24} color={THEME.colors.primary} style={styles.statIcon} />
           <Text style={styles.statNumber}>
-            {stats.totalVolume > 1000 ? `${(stats.totalVolume / 1000).toFixed(1)}k` : stats.totalVolume.toLocaleString()}
+            {formatVolume(stats.totalVolume)}
           </Text>
-          <Text style={styles.statLabel}>Total Volume (lbs)</Text>
+          <Text style={styles.statLabel}>Total Volume ({state.weightUnit})</Text>
         </View>
         
         <View style={styles.statCard}>
@@ -461,28 +476,54 @@ const HomeScreen = ({ navigation }) => {
             />
           </View>
 
-          {workoutTemplates.length > 0 && (
-            <View style={styles.templatesSection}>
-              <Text style={styles.inputLabel}>Templates</Text>
-              {workoutTemplates.map((template) => (
-                <TouchableOpacity
-                  key={template.id}
-                  style={styles.templateItem}
-                  onPress={() => handleStartWorkout(template.id)}
-                >
-                  <View>
-                    <Text style={styles.templateName}>{template.name}</Text>
-                    {template.description && (
-                      <Text style={styles.templateDescription}>
-                        {template.description}
-                      </Text>
-                    )}
-                  </View>
-                  <Icon name="chevron-right" size={20} color="#999" />
+          <View style={styles.templatesSection}>
+            <Text style={styles.inputLabel}>Templates</Text>
+
+            {workoutTemplates.length > 0 && (
+              <View style={styles.prefillOptions}>
+                {[
+                  { source: PREFILL_SOURCES.TARGETS, label: 'Use targets' },
+                  { source: PREFILL_SOURCES.LAST_SESSION, label: 'Use last session' }
+                ].map(({ source, label }) => (
+                  <TouchableOpacity
+                    key={source}
+                    style={[styles.prefillChip, prefillSource === source && styles.prefillChipActive]}
+                    onPress={() => setPrefillSource(source)}
+                  >
+                    <Text style={[styles.prefillChipText, prefillSource === source && styles.prefillChipTextActive]}>
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
+            {workoutTemplates.map((template) => (
+              <TouchableOpacity
+                key={template.id}
+                style={styles.templateItem}
+                onPress={() => handleStartWorkout(template.id)}
+              >
+                <View style={styles.templateInfo}>
+                  <Text style={styles.templateName}>{template.name}</Text>
+                  <Text style={styles.templateDescription}>
+                    {template.description
+                      ? `${template.description} · ${template.exercise_count} exercises`
+                      : `${template.exercise_count} exercises`}
+                  </Text>
+                </View>
+                <TouchableOpacity onPress={() => handleEditTemplate(template.id)} style={styles.templateEditButton}>
+                  <Icon name="edit" size={20} color="#666" />
                 </TouchableOpacity>
-              ))}
-            </View>
-          )}
+                <Icon name="chevron-right" size={20} color="#999" />
+              </TouchableOpacity>
+            ))}
+
+            <TouchableOpacity style={styles.templateItem} onPress={() => handleEditTemplate()}>
+              <Text style={styles.newTemplateText}>New Template</Text>
+              <Icon name="add" size={20} color="#007AFF" />
+            </TouchableOpacity>
+          </View>
         </ScrollView>
       </View>
     </Modal>
@@ -823,6 +864,40 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 2,
   },
+  templateInfo: {
+    flex: 1,
+  },
+  templateEditButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  newTemplateText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
+  prefillOptions: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  prefillChip: {
+    backgroundColor: '#f0f0f0',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    marginRight: 8,
+  },
+  prefillChipActive: {
+    backgroundColor: '#007AFF',
+  },
+  prefillChipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  prefillChipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
   skeletonIcon: {
     backgroundColor: THEME.colors.gray300,
     position: 'absolute',
@@ -16,13 +16,25 @@ import { MaterialIcons } from '@expo/vector-icons';
 import { useWorkout } from '../contexts/WorkoutContext';
 import { useAuth } from '../contexts/AuthContext';
 import DatabaseManager from '../utils/database';
+import { saveMeasurement } from '../services/measurementsAPI';
+import RestTimerManager from '../utils/restTimerManager';
+import { SET_TYPE_OPTIONS } from '../utils/setTypes';
+import { WEIGHT_UNITS, WEIGHT_UNIT_OPTIONS, formatWeight } from '../utils/units';
+import { SET_VOLUME_SQL } from '../utils/bodyweight';
+import { ONE_REP_MAX_FORMULA_OPTIONS } from '../utils/oneRepMax';
 import THEME from '../constants/theme';
 import EnhancedButton from '../components/EnhancedButton';
 import EnhancedCard from '../components/EnhancedCard';
 import { useFocusEffect } from '@react-navigation/native';
 
+// Body measurement unit labels for each weight unit
+const MEASUREMENT_UNITS = {
+  [WEIGHT_UNITS.KG]: 'kg',
+  [WEIGHT_UNITS.LB]: 'lbs'
+};
+
 const ProfileScreen = () => {
-  const { state } = useWorkout();
+  const { state, setWeightUnit, setOneRepMaxFormula } = useWorkout();
   const { user, logout } = useAuth();
   const [userProfile, setUserProfile] = useState({
     name: user?.username || user?.name || 'Fitera User',
@@ -39,17 +51,20 @@ const ProfileScreen = () => {
   });
   const [showEditProfileModal, setShowEditProfileModal] = useState(false);
   const [showBodyMeasurementModal, setShowBodyMeasurementModal] = useState(false);
+  const [showRestSettingsModal, setShowRestSettingsModal] = useState(false);
+  const [showFormulaModal, setShowFormulaModal] = useState(false);
+  // Text inputs in seconds; a blank set type uses the exercise's rest
+  const [restSettingsDraft, setRestSettingsDraft] = useState({ defaultRest: '', setTypeRest: {} });
   const [appSettings, setAppSettings] = useState({
     notifications: true,
     soundEffects: true,
     vibrations: true,
-    autoRestTimer: true,
-    units: 'metric' // metric or imperial
+    autoRestTimer: true
   });
   const [bodyMeasurement, setBodyMeasurement] = useState({
     type: 'weight',
     value: '',
-    unit: 'kg',
+    unit: MEASUREMENT_UNITS[state.weightUnit],
     date: new Date().toISOString().split('T')[0],
     notes: ''
   });
@@ -57,6 +72,7 @@ const ProfileScreen = () => {
   useEffect(() => {
     loadUserData();
     loadWorkoutStats();
+    loadRestSettings();
   }, []);
 
   // Refresh stats when screen gains focus
@@ -96,6 +112,43 @@ const ProfileScreen = () => {
     }
   };
 
+  const loadRestSettings = async () => {
+    const settings = await RestTimerManager.getSettings();
+    setAppSettings(prev => ({ ...prev, autoRestTimer: settings.autoStart }));
+
+    const setTypeRest = {};
+    Object.entries(settings.setTypeRest).forEach(([type, seconds]) => {
+      setTypeRest[type] = seconds != null ? String(seconds) : '';
+    });
+    setRestSettingsDraft({ defaultRest: String(settings.defaultRest), setTypeRest });
+  };
+
+  const toggleAutoRestTimer = async (value) => {
+    setAppSettings({ ...appSettings, autoRestTimer: value });
+    await RestTimerManager.updateSettings({ autoStart: value });
+  };
+
+  const saveRestSettings = async () => {
+    const defaultRest = parseInt(restSettingsDraft.defaultRest, 10);
+    if (isNaN(defaultRest) || defaultRest < 0) {
+      Alert.alert('Error', 'Please enter a valid default rest in seconds');
+      return;
+    }
+
+    const setTypeRest = {};
+    for (const [type, value] of Object.entries(restSettingsDraft.setTypeRest)) {
+      const seconds = value.trim() === '' ? null : parseInt(value, 10);
+      if (seconds !== null && (isNaN(seconds) || seconds < 0)) {
+        Alert.alert('Error', 'Rest times must be whole seconds');
+        return;
+      }
+      setTypeRest[type] = seconds;
+    }
+
+    await RestTimerManager.updateSettings({ defaultRest, setTypeRest });
+    setShowRestSettingsModal(false);
+  };
+
   const loadWorkoutStats = async () => {
     try {
       if (!user || !user.id) {
@@ -117,12 +170,13 @@ const ProfileScreen = () => {
         [userId]
       );
 
-      // Get total volume (sets * weight * reps) for current user
+      // Get total volume (sets * load * reps) for current user
       const volumeResult = await DatabaseManager.getFirstAsync(
-        `SELECT SUM(s.weight * s.reps) as volume 
+        `SELECT SUM(${SET_VOLUME_SQL}) as volume 
          FROM sets s 
          JOIN workout_exercises we ON s.workout_exercise_id = we.id 
          JOIN workouts w ON we.workout_id = w.id
+         JOIN exercises e ON we.exercise_id = e.id
          WHERE s.is_completed = 1 AND w.user_id = ?`,
         [userId]
       );
@@ -193,15 +247,23 @@ const ProfileScreen = () => {
     }
 
     try {
+      const value = parseFloat(bodyMeasurement.value);
       await DatabaseManager.runAsync(
-        'INSERT INTO body_measurements (measurement_type, value, unit, date, notes) VALUES (?, ?, ?, ?, ?)',
-        [bodyMeasurement.type, parseFloat(bodyMeasurement.value), bodyMeasurement.unit, bodyMeasurement.date, bodyMeasurement.notes]
+        'INSERT INTO body_measurements (measurement_type, value, unit, date, notes, user_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [bodyMeasurement.type, value, bodyMeasurement.unit, bodyMeasurement.date, bodyMeasurement.notes, user?.id || 1]
       );
 
+      // The local copy is the source of truth; the server copy is best effort
+      try {
+        await saveMeasurement({ ...bodyMeasurement, value });
+      } catch (error) {
+        console.warn('Body measurement saved locally only:', error.message);
+      }
+
       setBodyMeasurement({
         type: 'weight',
         value: '',
-        unit: 'kg',
+        unit: MEASUREMENT_UNITS[state.weightUnit],
         date: new Date().toISOString().split('T')[0],
         notes: ''
       });
@@ -227,8 +289,10 @@ const ProfileScreen = () => {
               const userId = user?.id || 1;
               
               // Gather all user data
+              // Set weights are exported as stored, in kg, with the unit they were entered in
               const userData = {
                 exportDate: new Date().toISOString(),
+                units: { weight: WEIGHT_UNITS.KG, preferredWeight: state.weightUnit },
                 user: userProfile,
                 workouts: [],
                 exercises: [],
@@ -348,15 +412,15 @@ const ProfileScreen = () => {
                 [user.id]
               );
               
+              // Delete personal records, which point at workouts
+              await DatabaseManager.runAsync('DELETE FROM personal_records WHERE user_id = ?', [user.id]);
+              
               // Delete workouts
               await DatabaseManager.runAsync('DELETE FROM workouts WHERE user_id = ?', [user.id]);
               
               // Delete body measurements
               await DatabaseManager.runAsync('DELETE FROM body_measurements WHERE user_id = ?', [user.id]);
               
-              // Delete personal records
-              await DatabaseManager.runAsync('DELETE FROM personal_records WHERE user_id = ?', [user.id]);
-              
               await loadWorkoutStats();
               Alert.alert('Success', 'Your data has been cleared successfully');
             } catch (error) {
@@ -428,8 +492,10 @@ const ProfileScreen = () => {
           <Text style={styles.statLabel}>Workouts</Text>
         </View>
         <View style={styles.statCard}>
-          <Text style={styles.statNumber}>{workoutStats.totalVolume.toLocaleString()}</Text>
-          <Text style={styles.statLabel}>Total Volume (kg)</Text>
+          <Text style={styles.statNumber}>
+            {formatWeight(workoutStats.totalVolume, state.weightUnit, { decimals: 0, suffix: false })}
+          </Text>
+          <Text style={styles.statLabel}>Total Volume ({state.weightUnit})</Text>
         </View>
         <View style={styles.statCard}>
           <Text style={styles.statNumber}>{workoutStats.personalRecords}</Text>
@@ -523,21 +589,28 @@ const ProfileScreen = () => {
             () => {},
             <Switch
               value={appSettings.autoRestTimer}
-              onValueChange={(value) => setAppSettings({...appSettings, autoRestTimer: value})}
+              onValueChange={toggleAutoRestTimer}
               trackColor={{ false: '#e0e0e0', true: '#007AFF' }}
               thumbColor="#fff"
             />
           )}
+          {renderSettingsItem(
+            'av-timer',
+            'Rest Timer Defaults',
+            `Default rest ${restSettingsDraft.defaultRest || '90'}s, per set type`,
+            () => setShowRestSettingsModal(true)
+          )}
           {renderSettingsItem(
             'straighten',
             'Units',
-            `Currently using ${appSettings.units} units`,
-            () => {
-              setAppSettings({
-                ...appSettings, 
-                units: appSettings.units === 'metric' ? 'imperial' : 'metric'
-              });
-            }
+            `Weights in ${WEIGHT_UNIT_OPTIONS.find(option => option.unit === state.weightUnit)?.label}`,
+            () => setWeightUnit(state.weightUnit === WEIGHT_UNITS.KG ? WEIGHT_UNITS.LB : WEIGHT_UNITS.KG)
+          )}
+          {renderSettingsItem(
+            'functions',
+            '1RM Formula',
+            `Estimated maxes with ${ONE_REP_MAX_FORMULA_OPTIONS.find(option => option.formula === state.oneRepMaxFormula)?.label}`,
+            () => setShowFormulaModal(true)
           )}
         </View>
 
@@ -777,6 +850,104 @@ const ProfileScreen = () => {
           </ScrollView>
         </View>
       </Modal>
+
+      {/* Rest Timer Defaults Modal */}
+      <Modal
+        visible={showRestSettingsModal}
+        animationType="slide"
+        presentationStyle="pageSheet"
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity
+              onPress={() => {
+                loadRestSettings();
+                setShowRestSettingsModal(false);
+              }}
+            >
+              <Text style={styles.modalCancelButton}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>Rest Timer</Text>
+            <TouchableOpacity onPress={saveRestSettings}>
+              <Text style={styles.modalSaveButton}>Save</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.modalContent}>
+            <View style={styles.inputGroup}>
+              <Text style={styles.inputLabel}>Default Rest (seconds)</Text>
+              <TextInput
+                style={styles.textInput}
+                value={restSettingsDraft.defaultRest}
+                onChangeText={(text) => setRestSettingsDraft({ ...restSettingsDraft, defaultRest: text })}
+                placeholder="90"
+                keyboardType="numeric"
+              />
+            </View>
+
+            <Text style={styles.restSettingsHint}>
+              Rest per set type, in seconds. Leave blank to use the exercise's rest, or 0 for no timer.
+            </Text>
+
+            {SET_TYPE_OPTIONS.map(option => (
+              <View key={option.type} style={styles.inputGroup}>
+                <Text style={styles.inputLabel}>{option.label}</Text>
+                <TextInput
+                  style={styles.textInput}
+                  value={restSettingsDraft.setTypeRest[option.type] ?? ''}
+                  onChangeText={(text) => setRestSettingsDraft({
+                    ...restSettingsDraft,
+                    setTypeRest: { ...restSettingsDraft.setTypeRest, [option.type]: text }
+                  })}
+                  placeholder="Exercise rest"
+                  keyboardType="numeric"
+                />
+              </View>
+            ))}
+          </ScrollView>
+        </View>
+      </Modal>
+
+      {/* 1RM Formula Modal */}
+      <Modal
+        visible={showFormulaModal}
+        animationType="slide"
+        presentationStyle="pageSheet"
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity onPress={() => setShowFormulaModal(false)}>
+              <Text style={styles.modalCancelButton}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>1RM Formula</Text>
+            <View style={styles.modalHeaderSpacer} />
+          </View>
+
+          <ScrollView style={styles.modalContent}>
+            <Text style={styles.restSettingsHint}>
+              Used for every estimated max and personal record. The RPE chart counts reps left in reserve; sets above 12 reps count as 12.
+            </Text>
+
+            {ONE_REP_MAX_FORMULA_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.formula}
+                style={styles.formulaOption}
+                onPress={async () => {
+                  setShowFormulaModal(false);
+                  if (option.formula !== state.oneRepMaxFormula) {
+                    await setOneRepMaxFormula(option.formula);
+                  }
+                }}
+              >
+                <Text style={styles.formulaOptionText}>{option.label}</Text>
+                {option.formula === state.oneRepMaxFormula && (
+                  <MaterialIcons name="check" size={22} color="#007AFF" />
+                )}
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 };
@@ -948,6 +1119,28 @@ const styles = StyleSheet.create({
     color: '#007AFF',
     fontWeight: '600',
   },
+  modalHeaderSpacer: {
+    width: 50,
+  },
+  formulaOption: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    marginBottom: 8,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+  },
+  formulaOptionText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  restSettingsHint: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 16,
+  },
   modalContent: {
     flex: 1,
     padding: 16,
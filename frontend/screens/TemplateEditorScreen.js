@@ -0,0 +1,493 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  TextInput,
+  FlatList,
+  SafeAreaView
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkout } from '../contexts/WorkoutContext';
+import DatabaseManager from '../utils/database';
+import { DEFAULT_TARGETS } from '../utils/templates';
+import { toKg, weightInputValue } from '../utils/units';
+
+// Target inputs are edited as text and parsed on save
+const toInput = (value) => (value != null ? String(value) : '');
+
+const parseTarget = (value, parse) => {
+  if (value === '') return null;
+  const number = parse(value);
+  return isNaN(number) || number < 0 ? undefined : number;
+};
+
+const TemplateEditorScreen = ({ navigation, route }) => {
+  const templateId = route.params?.templateId ?? null;
+  const { user } = useAuth();
+  const { state } = useWorkout();
+
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [templateExercises, setTemplateExercises] = useState([]);
+  const [exercises, setExercises] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showExerciseModal, setShowExerciseModal] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadTemplate();
+    loadExercises();
+  }, [templateId]);
+
+  const loadTemplate = async () => {
+    if (!templateId) return;
+
+    try {
+      const template = await DatabaseManager.getTemplate(templateId);
+      const rows = await DatabaseManager.getTemplateExercises(templateId);
+
+      setName(template?.name || '');
+      setDescription(template?.description || '');
+      setTemplateExercises(rows.map(row => ({
+        key: `${row.id}`,
+        exercise_id: row.exercise_id,
+        exercise_name: row.exercise_name,
+        muscle_groups: row.muscle_groups,
+        group_id: row.group_id,
+        group_type: row.group_type,
+        target_sets: toInput(row.target_sets),
+        target_reps: toInput(row.target_reps),
+        target_weight: weightInputValue(row.target_weight, state.weightUnit)
+      })));
+    } catch (error) {
+      console.error('Error loading template:', error);
+      Alert.alert('Error', 'Failed to load template');
+    }
+  };
+
+  const loadExercises = async () => {
+    try {
+      setExercises(await DatabaseManager.getExercises());
+    } catch (error) {
+      console.error('Error loading exercises:', error);
+    }
+  };
+
+  const filteredExercises = exercises.filter(exercise => (
+    !searchQuery || exercise.name.toLowerCase().includes(searchQuery.toLowerCase())
+  ));
+
+  const handleAddExercise = (exercise) => {
+    setTemplateExercises(prev => [...prev, {
+      key: `new-${Date.now()}`,
+      exercise_id: exercise.id,
+      exercise_name: exercise.name,
+      muscle_groups: exercise.muscle_groups,
+      group_id: null,
+      group_type: null,
+      target_sets: toInput(DEFAULT_TARGETS.target_sets),
+      target_reps: toInput(DEFAULT_TARGETS.target_reps),
+      target_weight: weightInputValue(DEFAULT_TARGETS.target_weight, state.weightUnit)
+    }]);
+    setShowExerciseModal(false);
+    setSearchQuery('');
+  };
+
+  const moveExercise = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= templateExercises.length) return;
+
+    setTemplateExercises(prev => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeExercise = (key) => {
+    setTemplateExercises(prev => prev.filter(exercise => exercise.key !== key));
+  };
+
+  const updateTarget = (key, field, value) => {
+    setTemplateExercises(prev => prev.map(exercise => (
+      exercise.key === key ? { ...exercise, [field]: value } : exercise
+    )));
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert('Error', 'Please enter a template name');
+      return;
+    }
+
+    const rows = templateExercises.map(exercise => ({
+      ...exercise,
+      target_sets: parseTarget(exercise.target_sets, value => parseInt(value, 10)),
+      target_reps: parseTarget(exercise.target_reps, value => parseInt(value, 10)),
+      target_weight: toKg(parseTarget(exercise.target_weight, parseFloat), state.weightUnit)
+    }));
+    if (rows.some(row => row.target_sets === undefined || row.target_reps === undefined || row.target_weight === undefined)) {
+      Alert.alert('Error', 'Please enter valid targets');
+      return;
+    }
+
+    // A group left with a single exercise is no longer a group
+    const groupSizes = {};
+    rows.forEach(row => {
+      if (row.group_id) groupSizes[row.group_id] = (groupSizes[row.group_id] || 0) + 1;
+    });
+    rows.forEach(row => {
+      if (row.group_id && groupSizes[row.group_id] < 2) {
+        row.group_id = null;
+        row.group_type = null;
+      }
+    });
+
+    setIsSaving(true);
+    try {
+      let id = templateId;
+      if (id) {
+        await DatabaseManager.updateTemplate(id, name.trim(), description.trim() || null);
+      } else {
+        id = await DatabaseManager.createTemplate(name.trim(), description.trim() || null, user?.id ?? null);
+      }
+      await DatabaseManager.saveTemplateExercises(id, rows);
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error saving template:', error);
+      Alert.alert('Error', 'Failed to save template. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Template',
+      `Are you sure you want to delete "${name}"?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await DatabaseManager.deleteTemplate(templateId);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error deleting template:', error);
+              Alert.alert('Error', 'Failed to delete template');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderTemplateExercise = (exercise, index) => (
+    <View key={exercise.key} style={styles.exerciseCard}>
+      <View style={styles.exerciseHeader}>
+        <View style={styles.exerciseInfo}>
+          <Text style={styles.exerciseName}>{exercise.exercise_name}</Text>
+          {exercise.muscle_groups ? (
+            <Text style={styles.exerciseMuscles}>{exercise.muscle_groups}</Text>
+          ) : null}
+        </View>
+        <TouchableOpacity onPress={() => moveExercise(index, -1)} disabled={index === 0}>
+          <Icon name="keyboard-arrow-up" size={24} color={index === 0 ? '#ccc' : '#666'} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => moveExercise(index, 1)}
+          disabled={index === templateExercises.length - 1}
+        >
+          <Icon
+            name="keyboard-arrow-down"
+            size={24}
+            color={index === templateExercises.length - 1 ? '#ccc' : '#666'}
+          />
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => removeExercise(exercise.key)} style={styles.removeButton}>
+          <Icon name="delete-outline" size={22} color="#ff6b6b" />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.targetRow}>
+        {[
+          { field: 'target_sets', label: 'Sets' },
+          { field: 'target_reps', label: 'Reps' },
+          { field: 'target_weight', label: `Weight (${state.weightUnit})` }
+        ].map(({ field, label }) => (
+          <View key={field} style={styles.targetField}>
+            <Text style={styles.targetLabel}>{label}</Text>
+            <TextInput
+              style={styles.targetInput}
+              value={exercise[field]}
+              onChangeText={(value) => updateTarget(exercise.key, field, value)}
+              keyboardType="numeric"
+              placeholder="-"
+            />
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+
+  const renderExerciseModal = () => (
+    <Modal
+      visible={showExerciseModal}
+      animationType="slide"
+      presentationStyle="fullScreen"
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={() => setShowExerciseModal(false)}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Add Exercise</Text>
+          <View style={{ width: 60 }} />
+        </View>
+
+        <View style={styles.searchContainer}>
+          <Icon name="search" size={20} color="#666" style={styles.searchIcon} />
+          <TextInput
+            style={styles.searchInput}
+            placeholder="Search exercises..."
+            value={searchQuery}
+            onChangeText={setSearchQuery}
+          />
+        </View>
+
+        <FlatList
+          data={filteredExercises}
+          keyExtractor={(item) => item.id.toString()}
+          renderItem={({ item }) => (
+            <TouchableOpacity
+              style={styles.exerciseListItem}
+              onPress={() => handleAddExercise(item)}
+            >
+              <View style={styles.exerciseInfo}>
+                <Text style={styles.exerciseName}>{item.name}</Text>
+                <Text style={styles.exerciseMuscles}>{item.muscle_groups}</Text>
+              </View>
+              <Icon name="add" size={24} color="#007AFF" />
+            </TouchableOpacity>
+          )}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{templateId ? 'Edit Template' : 'New Template'}</Text>
+        <TouchableOpacity onPress={handleSave} disabled={isSaving}>
+          <Text style={styles.saveText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.content}>
+        <Text style={styles.inputLabel}>Name</Text>
+        <TextInput
+          style={styles.textInput}
+          value={name}
+          onChangeText={setName}
+          placeholder="e.g. Push Day"
+        />
+
+        <Text style={styles.inputLabel}>Description</Text>
+        <TextInput
+          style={styles.textInput}
+          value={description}
+          onChangeText={setDescription}
+          placeholder="Optional"
+        />
+
+        <Text style={styles.inputLabel}>Exercises</Text>
+        {templateExercises.length === 0 && (
+          <Text style={styles.emptyText}>Add exercises and set the target sets, reps and weight for each.</Text>
+        )}
+        {templateExercises.map(renderTemplateExercise)}
+
+        <TouchableOpacity style={styles.addExerciseButton} onPress={() => setShowExerciseModal(true)}>
+          <Icon name="add" size={20} color="#007AFF" />
+          <Text style={styles.addExerciseText}>Add Exercise</Text>
+        </TouchableOpacity>
+
+        {templateId && (
+          <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+            <Text style={styles.deleteText}>Delete Template</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      {renderExerciseModal()}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+  },
+  cancelText: {
+    color: '#666',
+    fontSize: 16,
+  },
+  saveText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  textInput: {
+    backgroundColor: '#fff',
+    padding: 14,
+    borderRadius: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  exerciseCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  exerciseHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  exerciseInfo: {
+    flex: 1,
+  },
+  exerciseName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  exerciseMuscles: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  removeButton: {
+    marginLeft: 8,
+  },
+  targetRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  targetField: {
+    flex: 1,
+    marginRight: 8,
+  },
+  targetLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
+  targetInput: {
+    backgroundColor: '#f8f9fa',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    fontSize: 16,
+    textAlign: 'center',
+  },
+  addExerciseButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderStyle: 'dashed',
+    marginTop: 8,
+  },
+  addExerciseText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  deleteButton: {
+    alignItems: 'center',
+    padding: 16,
+    marginTop: 24,
+    marginBottom: 40,
+  },
+  deleteText: {
+    color: '#ff6b6b',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    margin: 16,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+  },
+  searchIcon: {
+    marginRight: 8,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  exerciseListItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+});
+
+export default TemplateEditorScreen;
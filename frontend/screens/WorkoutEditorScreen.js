@@ -0,0 +1,661 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  Modal,
+  TextInput,
+  FlatList,
+  SafeAreaView,
+  ActivityIndicator
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkout } from '../contexts/WorkoutContext';
+import DatabaseManager from '../utils/database';
+import InputValidator from '../utils/inputValidator';
+import { parseSQLiteDate, toSQLiteDateTime, formatDateShort } from '../utils/dateFormatter';
+import { SET_TYPES, getSetType, getSetLabel, getNextSetType } from '../utils/setTypes';
+import { toKg, weightInputValue } from '../utils/units';
+import {
+  DISTANCE_UNIT,
+  getTrackingType,
+  getTrackingTypeOption,
+  formatDuration,
+  parseDuration
+} from '../utils/trackingTypes';
+
+const MAX_DURATION_MINUTES = 24 * 60;
+
+// Set values are edited as text and parsed on save
+const toInput = (value) => (value != null ? String(value) : '');
+
+const toSetDraft = (set, weightUnit) => {
+  const weight = weightInputValue(set.weight, weightUnit);
+  return {
+    key: `${set.id}`,
+    row: set,
+    initialWeight: weight,
+    setType: getSetType(set),
+    weight,
+    reps: toInput(set.reps),
+    duration: set.duration ? formatDuration(set.duration) : '',
+    distance: toInput(set.distance)
+  };
+};
+
+const WorkoutEditorScreen = ({ navigation, route }) => {
+  const { workoutId } = route.params;
+  const { user } = useAuth();
+  const { state, syncWorkouts } = useWorkout();
+
+  const [name, setName] = useState('');
+  const [date, setDate] = useState(new Date());
+  // 'date' or 'time' while the picker is open
+  const [pickerMode, setPickerMode] = useState(null);
+  const [duration, setDuration] = useState(0);
+  const [durationMinutes, setDurationMinutes] = useState('');
+  const [notes, setNotes] = useState('');
+  const [workoutExercises, setWorkoutExercises] = useState([]);
+  const [exercises, setExercises] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showExerciseModal, setShowExerciseModal] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadWorkout();
+    loadExercises();
+  }, [workoutId]);
+
+  const loadWorkout = async () => {
+    try {
+      const workout = await DatabaseManager.getWorkout(workoutId, user.id);
+      if (!workout) {
+        Alert.alert('Error', 'Workout not found');
+        navigation.goBack();
+        return;
+      }
+
+      const rows = await DatabaseManager.getWorkoutExercises(workoutId);
+      const drafts = [];
+      for (const row of rows) {
+        const sets = await DatabaseManager.getSets(row.id);
+        drafts.push({
+          ...row,
+          key: `${row.id}`,
+          sets: sets.map(set => toSetDraft(set, state.weightUnit))
+        });
+      }
+
+      setName(workout.name || '');
+      setDate(parseSQLiteDate(workout.date));
+      setDuration(workout.duration || 0);
+      setDurationMinutes(toInput(Math.round((workout.duration || 0) / 60)));
+      setNotes(workout.notes || '');
+      setWorkoutExercises(drafts);
+    } catch (error) {
+      console.error('Error loading workout:', error);
+      Alert.alert('Error', 'Failed to load workout');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const loadExercises = async () => {
+    try {
+      setExercises(await DatabaseManager.getExercises());
+    } catch (error) {
+      console.error('Error loading exercises:', error);
+    }
+  };
+
+  const filteredExercises = exercises.filter(exercise => (
+    !searchQuery || exercise.name.toLowerCase().includes(searchQuery.toLowerCase())
+  ));
+
+  const handleAddExercise = (exercise) => {
+    setWorkoutExercises(prev => [...prev, {
+      key: `new-${Date.now()}`,
+      id: null,
+      exercise_id: exercise.id,
+      exercise_name: exercise.name,
+      muscle_groups: exercise.muscle_groups,
+      tracking_type: exercise.tracking_type,
+      notes: null,
+      group_id: null,
+      group_type: null,
+      sets: []
+    }]);
+    setShowExerciseModal(false);
+    setSearchQuery('');
+  };
+
+  const removeExercise = (key) => {
+    setWorkoutExercises(prev => prev.filter(exercise => exercise.key !== key));
+  };
+
+  const updateExercise = (key, update) => {
+    setWorkoutExercises(prev => prev.map(exercise => (
+      exercise.key === key ? { ...exercise, ...update(exercise) } : exercise
+    )));
+  };
+
+  // New sets start from the last one, which is usually what was forgotten
+  const addSet = (key) => {
+    updateExercise(key, exercise => {
+      const last = exercise.sets[exercise.sets.length - 1];
+      return {
+        sets: [...exercise.sets, {
+          key: `new-${Date.now()}`,
+          row: null,
+          initialWeight: null,
+          setType: SET_TYPES.WORKING,
+          weight: last?.weight || '',
+          reps: last?.reps || '',
+          duration: last?.duration || '',
+          distance: last?.distance || ''
+        }]
+      };
+    });
+  };
+
+  const updateSet = (exerciseKey, setKey, changes) => {
+    updateExercise(exerciseKey, exercise => ({
+      sets: exercise.sets.map(set => (set.key === setKey ? { ...set, ...changes } : set))
+    }));
+  };
+
+  const removeSet = (exerciseKey, setKey) => {
+    updateExercise(exerciseKey, exercise => ({
+      sets: exercise.sets.filter(set => set.key !== setKey)
+    }));
+  };
+
+  // The set as a row to save, or the first reason it can't be saved
+  const toSetRow = (set, trackingType) => {
+    const setData = {};
+    getTrackingTypeOption(trackingType).fields.forEach(field => {
+      if (!set[field]) return;
+      setData[field] = field === 'duration' ? parseDuration(set.duration) : set[field];
+    });
+
+    const validation = InputValidator.validateSetData(setData, trackingType);
+    if (!validation.isValid) return { error: validation.errors[0] };
+
+    const { weight = 0, reps = 0, duration: setDuration = null, distance = null } = validation.sanitizedData;
+    // An untouched weight keeps the exact value and unit it was logged in
+    const keepWeight = set.row && set.weight === set.initialWeight;
+
+    return {
+      row: {
+        ...set.row,
+        id: set.row?.id ?? null,
+        weight: keepWeight ? set.row.weight : toKg(weight, state.weightUnit),
+        weight_unit: keepWeight ? set.row.weight_unit : state.weightUnit,
+        reps,
+        duration: setDuration,
+        distance,
+        set_type: set.setType,
+        is_warmup: set.setType === SET_TYPES.WARMUP
+      }
+    };
+  };
+
+  const handleDateChange = (event, selected) => {
+    setPickerMode(null);
+    if (event.type === 'set' && selected) {
+      setDate(selected);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert('Error', 'Please enter a workout name');
+      return;
+    }
+
+    const minutes = parseInt(durationMinutes, 10);
+    if (isNaN(minutes) || minutes < 1 || minutes > MAX_DURATION_MINUTES) {
+      Alert.alert('Error', `Please enter a duration between 1 and ${MAX_DURATION_MINUTES} minutes`);
+      return;
+    }
+
+    if (date > new Date()) {
+      Alert.alert('Error', "The workout date can't be in the future");
+      return;
+    }
+
+    const rows = [];
+    for (const exercise of workoutExercises) {
+      const trackingType = getTrackingType(exercise);
+      const sets = [];
+      for (const [index, set] of exercise.sets.entries()) {
+        const result = toSetRow(set, trackingType);
+        if (result.error) {
+          Alert.alert('Error', `${exercise.exercise_name}, set ${index + 1}: ${result.error}`);
+          return;
+        }
+        sets.push(result.row);
+      }
+      rows.push({ ...exercise, sets });
+    }
+
+    // A group left with a single exercise is no longer a group
+    const groupSizes = {};
+    rows.forEach(row => {
+      if (row.group_id) groupSizes[row.group_id] = (groupSizes[row.group_id] || 0) + 1;
+    });
+    rows.forEach(row => {
+      if (row.group_id && groupSizes[row.group_id] < 2) {
+        row.group_id = null;
+        row.group_type = null;
+      }
+    });
+
+    setIsSaving(true);
+    try {
+      await DatabaseManager.updateCompletedWorkout(workoutId, user.id, {
+        name: name.trim(),
+        date: toSQLiteDateTime(date),
+        // Whole minutes are shown; an unchanged duration keeps its seconds
+        duration: minutes === Math.round(duration / 60) ? duration : minutes * 60,
+        notes: notes.trim(),
+        exercises: rows
+      });
+      syncWorkouts();
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error saving workout:', error);
+      Alert.alert('Error', 'Failed to save workout. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const getSetPlaceholder = (field) => {
+    switch (field) {
+      case 'weight':
+        return state.weightUnit;
+      case 'duration':
+        return 'm:ss';
+      case 'distance':
+        return DISTANCE_UNIT;
+      default:
+        return 'reps';
+    }
+  };
+
+  const renderSet = (exercise, set, index) => {
+    const { fields } = getTrackingTypeOption(getTrackingType(exercise));
+
+    return (
+      <View key={set.key} style={styles.setRow}>
+        <TouchableOpacity
+          style={styles.setLabel}
+          onPress={() => updateSet(exercise.key, set.key, { setType: getNextSetType(set.setType) })}
+        >
+          <Text style={[styles.setLabelText, set.setType !== SET_TYPES.WORKING && styles.setTypeText]}>
+            {getSetLabel({ set_type: set.setType, set_number: index + 1 })}
+          </Text>
+        </TouchableOpacity>
+        {fields.map(field => (
+          <TextInput
+            key={field}
+            style={styles.setInput}
+            value={set[field]}
+            onChangeText={(value) => updateSet(exercise.key, set.key, { [field]: value })}
+            keyboardType={field === 'duration' ? 'numbers-and-punctuation' : 'numeric'}
+            placeholder={getSetPlaceholder(field)}
+          />
+        ))}
+        <TouchableOpacity onPress={() => removeSet(exercise.key, set.key)} style={styles.removeButton}>
+          <Icon name="remove-circle-outline" size={22} color="#ff6b6b" />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderExercise = (exercise) => (
+    <View key={exercise.key} style={styles.exerciseCard}>
+      <View style={styles.exerciseHeader}>
+        <View style={styles.exerciseInfo}>
+          <Text style={styles.exerciseName}>{exercise.exercise_name}</Text>
+          {exercise.muscle_groups ? (
+            <Text style={styles.exerciseMuscles}>{exercise.muscle_groups}</Text>
+          ) : null}
+        </View>
+        <TouchableOpacity onPress={() => removeExercise(exercise.key)} style={styles.removeButton}>
+          <Icon name="delete-outline" size={22} color="#ff6b6b" />
+        </TouchableOpacity>
+      </View>
+
+      {exercise.sets.map((set, index) => renderSet(exercise, set, index))}
+
+      <TouchableOpacity style={styles.addSetButton} onPress={() => addSet(exercise.key)}>
+        <Icon name="add" size={18} color="#007AFF" />
+        <Text style={styles.addSetText}>Add Set</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderExerciseModal = () => (
+    <Modal
+      visible={showExerciseModal}
+      animationType="slide"
+      presentationStyle="fullScreen"
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={() => setShowExerciseModal(false)}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Add Exercise</Text>
+          <View style={{ width: 60 }} />
+        </View>
+
+        <View style={styles.searchContainer}>
+          <Icon name="search" size={20} color="#666" style={styles.searchIcon} />
+          <TextInput
+            style={styles.searchInput}
+            placeholder="Search exercises..."
+            value={searchQuery}
+            onChangeText={setSearchQuery}
+          />
+        </View>
+
+        <FlatList
+          data={filteredExercises}
+          keyExtractor={(item) => item.id.toString()}
+          renderItem={({ item }) => (
+            <TouchableOpacity
+              style={styles.exerciseListItem}
+              onPress={() => handleAddExercise(item)}
+            >
+              <View style={styles.exerciseInfo}>
+                <Text style={styles.exerciseName}>{item.name}</Text>
+                <Text style={styles.exerciseMuscles}>{item.muscle_groups}</Text>
+              </View>
+              <Icon name="add" size={24} color="#007AFF" />
+            </TouchableOpacity>
+          )}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={[styles.container, styles.loadingContainer]}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Edit Workout</Text>
+        <TouchableOpacity onPress={handleSave} disabled={isSaving}>
+          <Text style={styles.saveText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.content}>
+        <Text style={styles.inputLabel}>Name</Text>
+        <TextInput
+          style={styles.textInput}
+          value={name}
+          onChangeText={setName}
+          placeholder="e.g. Push Day"
+          maxLength={100}
+        />
+
+        <Text style={styles.inputLabel}>Date</Text>
+        <View style={styles.dateRow}>
+          <TouchableOpacity style={[styles.textInput, styles.dateButton]} onPress={() => setPickerMode('date')}>
+            <Text style={styles.dateText}>{formatDateShort(date)}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.textInput, styles.dateButton]} onPress={() => setPickerMode('time')}>
+            <Text style={styles.dateText}>
+              {date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+            </Text>
+          </TouchableOpacity>
+        </View>
+        {pickerMode && (
+          <DateTimePicker
+            value={date}
+            mode={pickerMode}
+            maximumDate={new Date()}
+            onChange={handleDateChange}
+          />
+        )}
+
+        <Text style={styles.inputLabel}>Duration (minutes)</Text>
+        <TextInput
+          style={styles.textInput}
+          value={durationMinutes}
+          onChangeText={setDurationMinutes}
+          keyboardType="numeric"
+          placeholder="e.g. 60"
+        />
+
+        <Text style={styles.inputLabel}>Notes</Text>
+        <TextInput
+          style={[styles.textInput, styles.notesInput]}
+          value={notes}
+          onChangeText={setNotes}
+          placeholder="How did it go?"
+          maxLength={1000}
+          multiline
+        />
+
+        <Text style={styles.inputLabel}>Exercises</Text>
+        {workoutExercises.length === 0 && (
+          <Text style={styles.emptyText}>This workout has no exercises yet.</Text>
+        )}
+        {workoutExercises.map(renderExercise)}
+
+        <TouchableOpacity style={styles.addExerciseButton} onPress={() => setShowExerciseModal(true)}>
+          <Icon name="add" size={20} color="#007AFF" />
+          <Text style={styles.addExerciseText}>Add Exercise</Text>
+        </TouchableOpacity>
+      </ScrollView>
+
+      {renderExerciseModal()}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  loadingContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e0e0e0',
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1a1a1a',
+  },
+  cancelText: {
+    color: '#666',
+    fontSize: 16,
+  },
+  saveText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  inputLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  textInput: {
+    backgroundColor: '#fff',
+    padding: 14,
+    borderRadius: 12,
+    fontSize: 16,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  notesInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  dateRow: {
+    flexDirection: 'row',
+  },
+  dateButton: {
+    flex: 1,
+    marginRight: 8,
+  },
+  dateText: {
+    fontSize: 16,
+    color: '#1a1a1a',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  exerciseCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  exerciseHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  exerciseInfo: {
+    flex: 1,
+  },
+  exerciseName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  exerciseMuscles: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  removeButton: {
+    marginLeft: 8,
+  },
+  setRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  setLabel: {
+    width: 32,
+    alignItems: 'center',
+  },
+  setLabelText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  setTypeText: {
+    color: '#FF9500',
+  },
+  setInput: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    fontSize: 16,
+    textAlign: 'center',
+    marginLeft: 8,
+  },
+  addSetButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 10,
+    marginTop: 8,
+  },
+  addSetText: {
+    color: '#007AFF',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  addExerciseButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#007AFF',
+    borderStyle: 'dashed',
+    marginTop: 8,
+    marginBottom: 40,
+  },
+  addExerciseText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 6,
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    margin: 16,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+  },
+  searchIcon: {
+    marginRight: 8,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 12,
+    fontSize: 16,
+  },
+  exerciseListItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+});
+
+export default WorkoutEditorScreen;
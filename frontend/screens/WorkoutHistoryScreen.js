@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -15,6 +15,7 @@ import {
   Animated
 } from 'react-native';
 import { Swipeable } from 'react-native-gesture-handler';
+import { useFocusEffect } from '@react-navigation/native';
 import { MaterialIcons } from '@expo/vector-icons';
 import { useWorkout } from '../contexts/WorkoutContext';
 import { useAuth } from '../contexts/AuthContext';
@@ -22,6 +23,10 @@ import DatabaseManager from '../utils/database';
 import THEME from '../constants/theme';
 import { getRelativeTime, formatDateShort } from '../utils/dateFormatter';
 import { parseSQLiteDate } from '../utils/dateFormatter';
+import { getGroupLabels, formatGroupType } from '../utils/exerciseGroups';
+import { getSetLabel } from '../utils/setTypes';
+import { formatWeight } from '../utils/units';
+import { LOADED_TRACKING_TYPES, getTrackingType, formatSetPerformance } from '../utils/trackingTypes';
 
 const WorkoutHistoryScreen = ({ navigation }) => {
   const { state } = useWorkout();
@@ -36,6 +41,8 @@ const WorkoutHistoryScreen = ({ navigation }) => {
   const [detailsLoading, setDetailsLoading] = useState(false);
   const [isEditMode, setIsEditMode] = useState(false);
   const [selectedWorkouts, setSelectedWorkouts] = useState(new Set());
+  // Set while a workout is open in the editor, so the list is fresh on return
+  const reloadOnFocus = useRef(false);
 
   useEffect(() => {
     if (state.dbInitialized && user) {
@@ -46,6 +53,14 @@ const WorkoutHistoryScreen = ({ navigation }) => {
     }
   }, [state.dbInitialized, user, selectedFilter]);
 
+  useFocusEffect(
+    useCallback(() => {
+      if (!reloadOnFocus.current) return;
+      reloadOnFocus.current = false;
+      loadWorkouts();
+    }, [selectedFilter])
+  );
+
   const fixWorkoutNames = async () => {
     try {
       // Force re-run the migration to fix any workout name/date mismatches
@@ -161,9 +176,12 @@ const WorkoutHistoryScreen = ({ navigation }) => {
           we.id as workout_exercise_id,
           we.order_index,
           we.notes as exercise_notes,
+          we.group_id,
+          we.group_type,
           e.id as exercise_id,
           e.name as exercise_name,
           e.muscle_groups,
+          e.tracking_type,
           ec.name as category_name
         FROM workout_exercises we
         JOIN exercises e ON we.exercise_id = e.id
@@ -181,7 +199,12 @@ const WorkoutHistoryScreen = ({ navigation }) => {
               s.set_number,
               s.weight,
               s.reps,
+              s.duration,
+              s.distance,
               s.is_warmup,
+              s.set_type,
+              s.rpe,
+              s.rir,
               s.is_completed,
               s.notes
             FROM sets s
@@ -216,14 +239,22 @@ const WorkoutHistoryScreen = ({ navigation }) => {
         });
       });
 
+      // Superset and circuit labels such as "A1"
+      const groupLabels = getGroupLabels(
+        exercises.map(exercise => ({ ...exercise, id: exercise.workout_exercise_id }))
+      );
+
       setWorkoutDetails({
         ...workout,
-        exercises: exercisesWithSets,
+        exercises: exercisesWithSets.map(exercise => ({
+          ...exercise,
+          group_label: groupLabels[exercise.workout_exercise_id]
+        })),
         stats: {
           totalExercises: exercises.length,
           totalSets,
           completedSets,
-          totalVolume: Math.round(totalVolume),
+          totalVolume,
           maxWeight,
           completionRate: totalSets > 0 ? Math.round((completedSets / totalSets) * 100) : 0
         }
@@ -254,6 +285,13 @@ const WorkoutHistoryScreen = ({ navigation }) => {
     }
   };
 
+  const editWorkout = (workoutId) => {
+    setShowDetailsModal(false);
+    setWorkoutDetails(null);
+    reloadOnFocus.current = true;
+    navigation.navigate('WorkoutEditor', { workoutId });
+  };
+
   const deleteWorkout = async (workoutId) => {
     try {
       await DatabaseManager.deleteWorkout(workoutId, user.id);
@@ -434,7 +472,7 @@ const WorkoutHistoryScreen = ({ navigation }) => {
           {item.total_volume > 0 && (
             <View style={styles.statItem}>
               <MaterialIcons name="trending-up" size={16} color={THEME.colors.primary} />
-              <Text style={styles.statText}>{Math.round(item.total_volume).toLocaleString()} lbs</Text>
+              <Text style={styles.statText}>{formatWeight(item.total_volume, state.weightUnit, { decimals: 0 })}</Text>
             </View>
           )}
         </View>
@@ -543,7 +581,16 @@ const WorkoutHistoryScreen = ({ navigation }) => {
             <MaterialIcons name="close" size={24} color={THEME.colors.gray700} />
           </TouchableOpacity>
           <Text style={styles.modalTitle}>Workout Details</Text>
-          <View style={styles.modalHeaderRight} />
+          {workoutDetails ? (
+            <TouchableOpacity
+              onPress={() => editWorkout(workoutDetails.id)}
+              style={styles.modalCloseButton}
+            >
+              <MaterialIcons name="edit" size={24} color={THEME.colors.primary} />
+            </TouchableOpacity>
+          ) : (
+            <View style={styles.modalHeaderRight} />
+          )}
         </View>
 
         {detailsLoading ? (
@@ -583,8 +630,10 @@ const WorkoutHistoryScreen = ({ navigation }) => {
               </View>
               <View style={styles.statBox}>
                 <MaterialIcons name="trending-up" size={20} color={THEME.colors.primary} />
-                <Text style={styles.statValue}>{workoutDetails.stats.totalVolume.toLocaleString()}</Text>
-                <Text style={styles.statLabel}>Volume (lbs)</Text>
+                <Text style={styles.statValue}>
+                  {formatWeight(workoutDetails.stats.totalVolume, state.weightUnit, { decimals: 0, suffix: false })}
+                </Text>
+                <Text style={styles.statLabel}>Volume ({state.weightUnit})</Text>
               </View>
             </View>
 
@@ -592,7 +641,7 @@ const WorkoutHistoryScreen = ({ navigation }) => {
             <View style={styles.additionalStats}>
               <View style={styles.additionalStatRow}>
                 <Text style={styles.additionalStatLabel}>Max Weight</Text>
-                <Text style={styles.additionalStatValue}>{workoutDetails.stats.maxWeight} lbs</Text>
+                <Text style={styles.additionalStatValue}>{formatWeight(workoutDetails.stats.maxWeight, state.weightUnit)}</Text>
               </View>
               <View style={styles.additionalStatRow}>
                 <Text style={styles.additionalStatLabel}>Completion Rate</Text>
@@ -604,7 +653,15 @@ const WorkoutHistoryScreen = ({ navigation }) => {
             <View style={styles.exercisesSection}>
               <Text style={styles.sectionTitle}>Exercises</Text>
               {workoutDetails.exercises.map((exercise, index) => (
-                <View key={exercise.workout_exercise_id} style={styles.exerciseCard}>
+                <View
+                  key={exercise.workout_exercise_id}
+                  style={[styles.exerciseCard, exercise.group_id && styles.groupedExerciseCard]}
+                >
+                  {exercise.group_id && (
+                    <Text style={styles.groupBadgeText}>
+                      {exercise.group_label} · {formatGroupType(exercise.group_type)}
+                    </Text>
+                  )}
                   <View style={styles.exerciseHeader}>
                     <View style={styles.exerciseInfo}>
                       <Text style={styles.exerciseName}>{exercise.exercise_name}</Text>
@@ -617,37 +674,65 @@ const WorkoutHistoryScreen = ({ navigation }) => {
                     <Text style={styles.exerciseNotes}>{exercise.exercise_notes}</Text>
                   )}
 
-                  {/* Sets Table */}
-                  <View style={styles.setsTable}>
-                    <View style={styles.setsTableHeader}>
-                      <Text style={[styles.setHeaderText, styles.setNumberColumn]}>Set</Text>
-                      <Text style={[styles.setHeaderText, styles.weightColumn]}>Weight</Text>
-                      <Text style={[styles.setHeaderText, styles.repsColumn]}>Reps</Text>
-                      <Text style={[styles.setHeaderText, styles.volumeColumn]}>Volume</Text>
+                  {/* Sets Table; exercises not loaded with weight show one result per set */}
+                  {!LOADED_TRACKING_TYPES.includes(getTrackingType(exercise)) ? (
+                    <View style={styles.setsTable}>
+                      <View style={styles.setsTableHeader}>
+                        <Text style={[styles.setHeaderText, styles.setNumberColumn]}>Set</Text>
+                        <Text style={[styles.setHeaderText, styles.resultColumn]}>Result</Text>
+                      </View>
+                      {exercise.sets.map((set) => (
+                        <View
+                          key={set.id}
+                          style={[
+                            styles.setRow,
+                            !set.is_completed && styles.incompleteSetRow
+                          ]}
+                        >
+                          <Text style={[styles.setCellText, styles.setNumberColumn]}>
+                            {getSetLabel(set)}
+                          </Text>
+                          <Text style={[styles.setCellText, styles.resultColumn]}>
+                            {formatSetPerformance(set, getTrackingType(exercise), state.weightUnit)}
+                            {set.rpe != null && ` @${set.rpe}`}
+                          </Text>
+                        </View>
+                      ))}
                     </View>
-                    {exercise.sets.map((set) => (
-                      <View 
-                        key={set.id} 
-                        style={[
-                          styles.setRow,
-                          !set.is_completed && styles.incompleteSetRow
-                        ]}
-                      >
-                        <Text style={[styles.setCellText, styles.setNumberColumn]}>
-                          {set.is_warmup ? 'W' : set.set_number}
-                        </Text>
-                        <Text style={[styles.setCellText, styles.weightColumn]}>
-                          {set.weight || '-'} lbs
-                        </Text>
-                        <Text style={[styles.setCellText, styles.repsColumn]}>
-                          {set.reps || '-'}
-                        </Text>
-                        <Text style={[styles.setCellText, styles.volumeColumn]}>
-                          {set.is_completed ? ((set.weight || 0) * (set.reps || 0)).toLocaleString() : '-'}
-                        </Text>
+                  ) : (
+                    <View style={styles.setsTable}>
+                      <View style={styles.setsTableHeader}>
+                        <Text style={[styles.setHeaderText, styles.setNumberColumn]}>Set</Text>
+                        <Text style={[styles.setHeaderText, styles.weightColumn]}>Weight</Text>
+                        <Text style={[styles.setHeaderText, styles.repsColumn]}>Reps</Text>
+                        <Text style={[styles.setHeaderText, styles.volumeColumn]}>Volume</Text>
                       </View>
-                    ))}
-                  </View>
+                      {exercise.sets.map((set) => (
+                        <View 
+                          key={set.id} 
+                          style={[
+                            styles.setRow,
+                            !set.is_completed && styles.incompleteSetRow
+                          ]}
+                        >
+                          <Text style={[styles.setCellText, styles.setNumberColumn]}>
+                            {getSetLabel(set)}
+                          </Text>
+                          <Text style={[styles.setCellText, styles.weightColumn]}>
+                            {set.weight ? formatWeight(set.weight, state.weightUnit) : '-'}
+                          </Text>
+                          <Text style={[styles.setCellText, styles.repsColumn]}>
+                            {set.reps || '-'}{set.rpe != null && ` @${set.rpe}`}
+                          </Text>
+                          <Text style={[styles.setCellText, styles.volumeColumn]}>
+                            {set.is_completed
+                              ? formatWeight((set.weight || 0) * (set.reps || 0), state.weightUnit, { decimals: 0, suffix: false })
+                              : '-'}
+                          </Text>
+                        </View>
+                      ))}
+                    </View>
+                  )}
                 </View>
               ))}
             </View>
@@ -950,6 +1035,17 @@ const styles = StyleSheet.create({
     padding: THEME.spacing.lg,
     marginBottom: THEME.spacing.md,
   },
+  groupedExerciseCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: THEME.colors.primary,
+  },
+  groupBadgeText: {
+    fontSize: THEME.typography.fontSize.xs,
+    fontWeight: THEME.typography.fontWeight.semibold,
+    color: THEME.colors.primary,
+    textTransform: 'uppercase',
+    marginBottom: THEME.spacing.xs,
+  },
   exerciseHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1023,6 +1119,9 @@ const styles = StyleSheet.create({
     flex: 1,
     textAlign: 'right',
   },
+  resultColumn: {
+    flex: 3,
+  },
   notesSection: {
     paddingHorizontal: THEME.spacing.lg,
     marginBottom: THEME.spacing.lg,
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -17,22 +17,87 @@ import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useWorkout } from '../contexts/WorkoutContext';
 import DatabaseManager from '../utils/database';
 import { formatWorkoutDate } from '../utils/dateFormatter';
+import { REST_ADJUST_STEP, REST_PRESET_OPTIONS } from '../utils/restTimerManager';
+import { GROUP_TYPES, getNextInGroup, getGroupLabels, formatGroupType } from '../utils/exerciseGroups';
+import {
+  SET_TYPES,
+  SET_TYPE_OPTIONS,
+  RPE_OPTIONS,
+  RIR_OPTIONS,
+  getSetType,
+  getSetLabel,
+  isRecordSet,
+  formatEffort
+} from '../utils/setTypes';
+import { getNextPlannedInput } from '../utils/templates';
+import { toKg, formatWeight, weightInputValue } from '../utils/units';
+import PlateCalculatorModal from '../components/PlateCalculatorModal';
+import ReorderExercisesModal from '../components/ReorderExercisesModal';
+import { PROGRESSION_SCHEMES, PROGRESSION_SCHEME_OPTIONS, getProgressionSettings } from '../utils/progression';
+import { getPlateSettings } from '../utils/plateCalculator';
+import InputValidator from '../utils/inputValidator';
+import {
+  TRACKING_TYPES,
+  TRACKING_TYPE_OPTIONS,
+  LOADED_TRACKING_TYPES,
+  DISTANCE_UNIT,
+  getTrackingType,
+  getTrackingTypeOption,
+  formatDuration,
+  parseDuration,
+  formatSetPerformance
+} from '../utils/trackingTypes';
+import {
+  DEFAULT_WARMUP_SCHEME,
+  getWarmupScheme,
+  saveWarmupScheme,
+  formatWarmupScheme,
+  generateWarmupSets
+} from '../utils/warmups';
+import { UNDO_DIRECTIONS } from '../utils/undoHistory';
+import { getEffectiveLoad } from '../utils/bodyweight';
+
+const DRAFT_SAVE_DELAY = 500; // ms
+const UNDO_SNACKBAR_DURATION = 5000; // ms
 
 const WorkoutScreen = ({ navigation }) => {
   const {
     state,
     addExerciseToWorkout,
+    groupExercises,
+    ungroupExercise,
+    reorderExercises,
+    replaceExercise,
+    removeExerciseFromWorkout,
     addSet,
+    addWarmupSets,
     updateSet,
+    updateSetDetails,
     deleteSet,
+    undo,
+    redo,
     completeWorkout,
-    startRestTimer,
+    saveWorkoutAsTemplate,
+    pauseWorkout,
+    resumeWorkout,
+    saveWorkoutDraft,
+    getWorkoutDraft,
+    startRestAfterSet,
+    adjustRestTimer,
     clearRestTimer,
+    setExerciseRestTime,
+    setExerciseTrackingType,
+    setExerciseProgression,
+    getProgressionSuggestion,
+    getBodyweight,
     formatTime,
     startWorkout
   } = useWorkout();
 
   const [showExerciseModal, setShowExerciseModal] = useState(false);
+  // Workout exercise being replaced from the exercise list; null when adding
+  const [replacingExercise, setReplacingExercise] = useState(null);
+  const [showReorderModal, setShowReorderModal] = useState(false);
   const [exercises, setExercises] = useState([]);
   const [categories, setCategories] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState(null);
@@ -48,9 +113,38 @@ const WorkoutScreen = ({ navigation }) => {
   const [targetWeight, setTargetWeight] = useState('');
   const [exerciseInstructions, setExerciseInstructions] = useState({});
   const [previousWorkoutData, setPreviousWorkoutData] = useState({});
+  const [groupSelection, setGroupSelection] = useState(null);
+  // Set whose type and effort are being edited; setId is null for the next set
+  const [setDetailsTarget, setSetDetailsTarget] = useState(null);
+  const [setDetailsDraft, setSetDetailsDraft] = useState({});
+  const [restPresetExercise, setRestPresetExercise] = useState(null);
+  const [trackingExercise, setTrackingExercise] = useState(null);
+  // Suggestion per workout exercise, with the progression settings it was made for
+  const [suggestions, setSuggestions] = useState({});
+  const [progressionExercise, setProgressionExercise] = useState(null);
+  const [progressionDraft, setProgressionDraft] = useState({});
+  const [warmupScheme, setWarmupScheme] = useState(DEFAULT_WARMUP_SCHEME);
+  // Ramp steps being edited, as text inputs; null while the editor is closed
+  const [warmupDraft, setWarmupDraft] = useState(null);
+  // Workout whose draft inputs have been restored; nothing is saved before that
+  const draftWorkoutId = useRef(null);
+  // History step shown in the undo snackbar, cleared once it times out
+  const [snackbarNotice, setSnackbarNotice] = useState(null);
+  // Bodyweight in kg for the volume of bodyweight exercises
+  const [bodyweight, setBodyweight] = useState(0);
 
   // Remove automatic redirect to Home - let user stay on Workout screen
 
+  useEffect(() => {
+    getWarmupScheme().then(setWarmupScheme);
+  }, []);
+
+  useEffect(() => {
+    if (state.activeWorkout) {
+      getBodyweight().then(setBodyweight);
+    }
+  }, [state.activeWorkout?.id]);
+
   useEffect(() => {
     if (state.restTimer.isActive) {
       setRestTimerVisible(true);
@@ -74,6 +168,79 @@ const WorkoutScreen = ({ navigation }) => {
     }
   }, [state.restTimer]);
 
+  useEffect(() => {
+    if (!state.undoNotice) {
+      setSnackbarNotice(null);
+      return;
+    }
+
+    setSnackbarNotice(state.undoNotice);
+    const timeout = setTimeout(() => setSnackbarNotice(null), UNDO_SNACKBAR_DURATION);
+    return () => clearTimeout(timeout);
+  }, [state.undoNotice]);
+
+  // Restore inputs that were typed but not logged, e.g. before the app was closed
+  useEffect(() => {
+    const workoutId = state.activeWorkout?.id;
+    if (!workoutId || draftWorkoutId.current === workoutId) return;
+
+    getWorkoutDraft('inputs').then(draft => {
+      if (draft) {
+        setSetInputs(prev => ({ ...prev, ...draft.setInputs }));
+        setExpandedExercise(draft.expandedExercise ?? null);
+      }
+      draftWorkoutId.current = workoutId;
+    });
+  }, [state.activeWorkout?.id]);
+
+  useEffect(() => {
+    if (!state.activeWorkout || draftWorkoutId.current !== state.activeWorkout.id) return;
+
+    const timeout = setTimeout(() => {
+      saveWorkoutDraft('inputs', { setInputs, expandedExercise });
+    }, DRAFT_SAVE_DELAY);
+    return () => clearTimeout(timeout);
+  }, [setInputs, expandedExercise]);
+
+  // Pre-fill the inputs of exercises planned from a template
+  useEffect(() => {
+    setSetInputs(prev => {
+      const next = { ...prev };
+      Object.entries(state.plannedSets).forEach(([workoutExerciseId, plannedSets]) => {
+        if (next[workoutExerciseId]) return;
+        const loggedCount = state.exerciseSets[workoutExerciseId]?.length || 0;
+        const plannedInput = getNextPlannedInput(plannedSets, loggedCount, state.weightUnit);
+        if (plannedInput) next[workoutExerciseId] = plannedInput;
+      });
+      return next;
+    });
+  }, [state.plannedSets]);
+
+  // Suggest today's weight and reps for new or replaced exercises, changed
+  // progression schemes and a changed weight unit
+  useEffect(() => {
+    state.workoutExercises.forEach(exercise => {
+      const current = suggestions[exercise.id];
+      if (
+        current?.exerciseId === exercise.exercise_id &&
+        current?.progression === exercise.progression &&
+        current?.weightUnit === state.weightUnit
+      ) return;
+
+      getProgressionSuggestion(exercise).then(suggestion => {
+        setSuggestions(prev => ({
+          ...prev,
+          [exercise.id]: {
+            exerciseId: exercise.exercise_id,
+            progression: exercise.progression,
+            weightUnit: state.weightUnit,
+            suggestion
+          }
+        }));
+      });
+    });
+  }, [state.workoutExercises, state.weightUnit]);
+
   // Load previous workout data when exercise is expanded
   useEffect(() => {
     if (expandedExercise && state.activeWorkout?.exercises) {
@@ -112,41 +279,299 @@ const WorkoutScreen = ({ navigation }) => {
     return filtered;
   };
 
+  const closeExerciseModal = () => {
+    setShowExerciseModal(false);
+    setReplacingExercise(null);
+    setSearchQuery('');
+    setSelectedCategory(null);
+  };
+
   const handleAddExercise = async (exercise) => {
     const workoutExerciseId = await addExerciseToWorkout(exercise.id, exercise.name);
     if (workoutExerciseId) {
-      setShowExerciseModal(false);
-      setSearchQuery('');
-      setSelectedCategory(null);
+      closeExerciseModal();
     }
   };
 
-  const handleAddSet = async (workoutExerciseId) => {
-    const input = setInputs[workoutExerciseId];
-    if (!input?.weight || !input?.reps) {
-      Alert.alert('Error', 'Please enter weight and reps');
+  const openReplaceExercise = (workoutExercise) => {
+    setReplacingExercise(workoutExercise);
+    loadExercises();
+    setShowExerciseModal(true);
+  };
+
+  // Logged sets only carry over to an exercise tracked the same way
+  const handleReplaceExercise = (exercise) => {
+    const current = replacingExercise;
+    if (!current || exercise.id === current.exercise_id) {
+      closeExerciseModal();
       return;
     }
 
-    const weight = parseFloat(input.weight);
-    const reps = parseInt(input.reps);
-    
-    if (isNaN(weight) || isNaN(reps) || weight <= 0 || reps <= 0) {
-      Alert.alert('Error', 'Please enter valid weight and reps');
+    const replace = async () => {
+      if (await replaceExercise(current.id, exercise.id)) {
+        closeExerciseModal();
+      } else {
+        Alert.alert('Error', 'Failed to replace exercise');
+      }
+    };
+
+    const loggedCount = state.exerciseSets[current.id]?.length || 0;
+    if (loggedCount > 0 && getTrackingType(exercise) !== getTrackingType(current)) {
+      Alert.alert(
+        'Replace Exercise',
+        `${exercise.name} is tracked as ${getTrackingTypeOption(getTrackingType(exercise)).label.toLowerCase()}. ` +
+          `The ${loggedCount} logged set${loggedCount === 1 ? '' : 's'} of ${current.exercise_name} will be deleted.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Replace', style: 'destructive', onPress: replace }
+        ]
+      );
+    } else {
+      replace();
+    }
+  };
+
+  const handleRemoveExercise = (workoutExercise) => {
+    const loggedCount = state.exerciseSets[workoutExercise.id]?.length || 0;
+    Alert.alert(
+      'Remove Exercise',
+      loggedCount > 0
+        ? `Remove ${workoutExercise.exercise_name} and its ${loggedCount} logged set${loggedCount === 1 ? '' : 's'}?`
+        : `Remove ${workoutExercise.exercise_name} from this workout?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            if (await removeExerciseFromWorkout(workoutExercise.id)) {
+              if (expandedExercise === workoutExercise.id) setExpandedExercise(null);
+            } else {
+              Alert.alert('Error', 'Failed to remove exercise');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleReorderExercises = async (orderedIds) => {
+    if (await reorderExercises(orderedIds)) {
+      setShowReorderModal(false);
+    } else {
+      Alert.alert('Error', 'Failed to reorder exercises');
+    }
+  };
+
+  const handleAddSet = async (workoutExerciseId) => {
+    const input = setInputs[workoutExerciseId] || {};
+    const exercise = state.workoutExercises.find(ex => ex.id === workoutExerciseId);
+    const trackingType = getTrackingType(exercise);
+
+    // Only the fields of the exercise's tracking type are logged
+    const setData = {};
+    getTrackingTypeOption(trackingType).fields.forEach(field => {
+      if (!input[field]) return;
+      setData[field] = field === 'duration' ? parseDuration(input.duration) : input[field];
+    });
+
+    const validation = InputValidator.validateSetData(setData, trackingType);
+    if (!validation.isValid) {
+      Alert.alert('Error', validation.errors[0]);
       return;
     }
 
-    await addSet(workoutExerciseId, weight, reps, input.isWarmup);
+    const { weight = 0, reps = 0, duration = null, distance = null } = validation.sanitizedData;
+    const setType = input.setType || SET_TYPES.WORKING;
+    const setId = await addSet(workoutExerciseId, weight, reps, setType, {
+      rpe: input.rpe ?? null,
+      rir: input.rir ?? null,
+      duration,
+      distance
+    });
+    if (!setId) return;
     
-    // Clear inputs
+    // Move on to the next planned set, or clear the inputs
+    const loggedCount = state.exerciseSets[workoutExerciseId]?.length || 0;
     setSetInputs(prev => ({
       ...prev,
-      [workoutExerciseId]: { weight: '', reps: '', isWarmup: false }
+      [workoutExerciseId]: getNextPlannedInput(state.plannedSets[workoutExerciseId], loggedCount + 1, state.weightUnit)
+        || { weight: '', reps: '', setType: SET_TYPES.WORKING, rpe: null, rir: null }
     }));
 
-    // Start rest timer if not warmup
-    if (!input.isWarmup) {
-      startRestTimer(90); // 90 seconds default
+    // Supersets and circuits move on to the next exercise after working sets
+    // and only rest once the round is done
+    const { next, roundComplete } = setType === SET_TYPES.WARMUP
+      ? { next: null, roundComplete: true }
+      : getNextInGroup(state.workoutExercises, workoutExerciseId);
+    if (next) {
+      setExpandedExercise(next.id);
+    }
+    if (roundComplete) {
+      startRestAfterSet(workoutExerciseId, setId, setType);
+    }
+  };
+
+  const handleAcceptSuggestion = (workoutExerciseId, suggestion) => {
+    setSetInputs(prev => ({
+      ...prev,
+      [workoutExerciseId]: {
+        ...prev[workoutExerciseId],
+        weight: String(suggestion.weight),
+        reps: String(suggestion.reps)
+      }
+    }));
+  };
+
+  // Log a warm-up ramp up to the working weight in the set inputs
+  const handleAddWarmups = async (exercise) => {
+    const workingWeight = parseFloat(setInputs[exercise.id]?.weight);
+    if (isNaN(workingWeight) || workingWeight <= 0) {
+      Alert.alert('Error', 'Please enter your working weight first');
+      return;
+    }
+
+    const plateSettings = await getPlateSettings(state.weightUnit);
+    const warmupSets = generateWarmupSets(workingWeight, state.weightUnit, {
+      scheme: warmupScheme,
+      equipment: exercise.equipment,
+      plateSettings
+    });
+    if (warmupSets.length === 0) {
+      Alert.alert('No Warm-up Sets', 'The working weight is too light for a warm-up ramp');
+      return;
+    }
+
+    const added = await addWarmupSets(exercise.id, warmupSets);
+    if (!added) {
+      Alert.alert('Error', 'Failed to add warm-up sets. Please try again.');
+    }
+  };
+
+  const openWarmupSettings = () => {
+    setWarmupDraft(warmupScheme.map(step => ({ percent: String(step.percent), reps: String(step.reps) })));
+  };
+
+  const updateWarmupStep = (index, field, value) => {
+    setWarmupDraft(prev => prev.map((step, i) => (i === index ? { ...step, [field]: value } : step)));
+  };
+
+  const handleSaveWarmupScheme = async () => {
+    const scheme = warmupDraft
+      .map(step => ({ percent: parseFloat(step.percent), reps: parseInt(step.reps, 10) }))
+      .sort((a, b) => a.percent - b.percent);
+
+    if (scheme.length === 0 || scheme.some(step => (
+      isNaN(step.percent) || isNaN(step.reps) || step.percent < 0 || step.percent >= 100 || step.reps <= 0
+    ))) {
+      Alert.alert('Error', 'Each step needs a percentage below 100 and at least one rep');
+      return;
+    }
+
+    await saveWarmupScheme(scheme);
+    setWarmupScheme(scheme);
+    setWarmupDraft(null);
+  };
+
+  const openProgressionSettings = (exercise) => {
+    const settings = getProgressionSettings(exercise.progression);
+    setProgressionDraft({
+      scheme: settings.scheme,
+      targetReps: String(settings.targetReps),
+      repRangeMin: String(settings.repRangeMin),
+      repRangeMax: String(settings.repRangeMax),
+      trainingMax: weightInputValue(settings.trainingMax, state.weightUnit),
+      trainingMaxPercent: String(settings.trainingMaxPercent),
+      targetRpe: settings.targetRpe
+    });
+    setProgressionExercise(exercise);
+  };
+
+  const handleSaveProgression = async () => {
+    const settings = {
+      scheme: progressionDraft.scheme,
+      targetReps: parseInt(progressionDraft.targetReps, 10),
+      repRangeMin: parseInt(progressionDraft.repRangeMin, 10),
+      repRangeMax: parseInt(progressionDraft.repRangeMax, 10),
+      trainingMax: progressionDraft.trainingMax ? toKg(parseFloat(progressionDraft.trainingMax), state.weightUnit) : null,
+      trainingMaxPercent: parseFloat(progressionDraft.trainingMaxPercent),
+      targetRpe: progressionDraft.targetRpe
+    };
+
+    const counts = [settings.targetReps, settings.repRangeMin, settings.repRangeMax, settings.trainingMaxPercent];
+    if (counts.some(value => isNaN(value) || value <= 0) || settings.repRangeMin > settings.repRangeMax
+      || (settings.trainingMax !== null && (isNaN(settings.trainingMax) || settings.trainingMax <= 0))) {
+      Alert.alert('Error', 'Please enter valid progression settings');
+      return;
+    }
+
+    await setExerciseProgression(progressionExercise.exercise_id, settings);
+    setProgressionExercise(null);
+  };
+
+  const handleSelectTrackingType = async (trackingType) => {
+    await setExerciseTrackingType(trackingExercise.exercise_id, trackingType);
+    setTrackingExercise(null);
+  };
+
+  const handleSelectRestPreset = async (restSeconds) => {
+    await setExerciseRestTime(restPresetExercise.exercise_id, restSeconds);
+    setRestPresetExercise(null);
+  };
+
+  const openSetDetails = (workoutExerciseId, set = null) => {
+    const source = set || {
+      set_type: setInputs[workoutExerciseId]?.setType,
+      rpe: setInputs[workoutExerciseId]?.rpe,
+      rir: setInputs[workoutExerciseId]?.rir
+    };
+    setSetDetailsDraft({
+      setType: source.set_type ? getSetType(source) : SET_TYPES.WORKING,
+      rpe: source.rpe ?? null,
+      rir: source.rir ?? null
+    });
+    setSetDetailsTarget({ workoutExerciseId, setId: set ? set.id : null });
+  };
+
+  const handleSaveSetDetails = async () => {
+    const { workoutExerciseId, setId } = setDetailsTarget;
+
+    if (setId) {
+      await updateSetDetails(workoutExerciseId, setId, setDetailsDraft);
+    } else {
+      setSetInputs(prev => ({
+        ...prev,
+        [workoutExerciseId]: { ...prev[workoutExerciseId], ...setDetailsDraft }
+      }));
+    }
+    setSetDetailsTarget(null);
+  };
+
+  // Tapping the selected RPE or RIR again clears it
+  const toggleEffort = (field, value) => {
+    setSetDetailsDraft(prev => ({ ...prev, [field]: prev[field] === value ? null : value }));
+  };
+
+  const toggleGroupSelection = (workoutExerciseId) => {
+    setGroupSelection(prev => (
+      prev.includes(workoutExerciseId)
+        ? prev.filter(id => id !== workoutExerciseId)
+        : [...prev, workoutExerciseId]
+    ));
+  };
+
+  const handleCreateGroup = async (groupType) => {
+    if (groupSelection.length < 2) {
+      Alert.alert('Error', 'Select at least two exercises to link');
+      return;
+    }
+
+    const groupId = await groupExercises(groupSelection, groupType);
+    if (groupId) {
+      setExpandedExercise(null);
+      setGroupSelection(null);
+    } else {
+      Alert.alert('Error', 'Failed to link exercises. Please try again.');
     }
   };
 
@@ -160,30 +585,54 @@ const WorkoutScreen = ({ navigation }) => {
     }));
   };
 
+  const getInputPlaceholder = (field, trackingType) => {
+    switch (field) {
+      case 'weight':
+        if (trackingType === TRACKING_TYPES.WEIGHTED_BODYWEIGHT) return `Added (${state.weightUnit})`;
+        if (trackingType === TRACKING_TYPES.ASSISTED_BODYWEIGHT) return `Assist (${state.weightUnit})`;
+        return `Weight (${state.weightUnit})`;
+      case 'duration':
+        return 'Time (m:ss)';
+      case 'distance':
+        return `Distance (${DISTANCE_UNIT})`;
+      default:
+        return 'Reps';
+    }
+  };
+
   const getSetInputValue = (workoutExerciseId, field) => {
     return setInputs[workoutExerciseId]?.[field] || '';
   };
 
   const handleCompleteWorkout = () => {
+    const finish = async (saveAsTemplate) => {
+      const { id, name } = state.activeWorkout;
+
+      // Save workout notes if any
+      if (workoutNotes.trim()) {
+        await DatabaseManager.runAsync(
+          'UPDATE workouts SET notes = ? WHERE id = ?',
+          [workoutNotes, id]
+        );
+      }
+      await completeWorkout();
+
+      if (saveAsTemplate) {
+        const templateId = await saveWorkoutAsTemplate(id, name);
+        if (!templateId) {
+          Alert.alert('Error', 'Failed to save template. Please try again.');
+        }
+      }
+      navigation.navigate('Home');
+    };
+
     Alert.alert(
       'Finish Workout',
       'Are you sure you want to finish this workout?',
       [
         { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Finish',
-          onPress: async () => {
-            // Save workout notes if any
-            if (workoutNotes.trim()) {
-              await DatabaseManager.runAsync(
-                'UPDATE workouts SET notes = ? WHERE id = ?',
-                [workoutNotes, state.activeWorkout.id]
-              );
-            }
-            await completeWorkout();
-            navigation.navigate('Home');
-          }
-        }
+        { text: 'Finish & Save as Template', onPress: () => finish(true) },
+        { text: 'Finish', onPress: () => finish(false) }
       ]
     );
   };
@@ -205,33 +654,10 @@ const WorkoutScreen = ({ navigation }) => {
     }
   };
 
-  const calculatePlates = (targetWeight) => {
-    const barWeight = 45; // Standard Olympic barbell
-    const availablePlates = [45, 35, 25, 10, 5, 2.5];
-    const weightPerSide = (targetWeight - barWeight) / 2;
-    
-    if (weightPerSide <= 0) {
-      return [{ weight: 'Bar only', count: 1, total: barWeight }];
-    }
-    
-    const plates = [];
-    let remaining = weightPerSide;
-    
-    for (const plate of availablePlates) {
-      if (remaining >= plate) {
-        const count = Math.floor(remaining / plate);
-        plates.push({ weight: plate, count, total: plate * count * 2 });
-        remaining -= plate * count;
-      }
-    }
-    
-    return plates;
-  };
-
   const loadPreviousWorkoutData = async (exerciseId) => {
     try {
       const lastWorkout = await DatabaseManager.getFirstAsync(`
-        SELECT s.weight, s.reps, s.set_number, w.date
+        SELECT s.weight, s.reps, s.duration, s.distance, s.set_number, w.date
         FROM sets s
         JOIN workout_exercises we ON s.workout_exercise_id = we.id
         JOIN workouts w ON we.workout_id = w.id
@@ -264,10 +690,48 @@ const WorkoutScreen = ({ navigation }) => {
     return null;
   };
 
+  const handleUndo = async () => {
+    if (await undo() === false) {
+      Alert.alert('Error', 'Could not undo the last change. Your workout has been reloaded.');
+    }
+  };
+
+  const handleRedo = async () => {
+    if (await redo() === false) {
+      Alert.alert('Error', 'Could not redo the change. Your workout has been reloaded.');
+    }
+  };
+
+  // "Set deleted · Undo" after a change or a redo, "Undid set deleted · Redo" after an undo
+  const renderUndoSnackbar = () => {
+    if (!snackbarNotice) return null;
+    const undone = snackbarNotice.direction === UNDO_DIRECTIONS.UNDONE;
+    const canAct = undone ? state.redoStack.length > 0 : state.undoStack.length > 0;
+
+    return (
+      <View style={styles.snackbar}>
+        <Text style={styles.snackbarText} numberOfLines={1}>
+          {undone ? `Undid ${snackbarNotice.label.toLowerCase()}` : snackbarNotice.label}
+        </Text>
+        {canAct && (
+          <TouchableOpacity onPress={undone ? handleRedo : handleUndo}>
+            <Text style={styles.snackbarAction}>{undone ? 'Redo' : 'Undo'}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
   const renderWorkoutHeader = () => {
     const totalSets = Object.values(state.exerciseSets).flat().length;
-    const totalVolume = Object.values(state.exerciseSets).flat()
-      .reduce((sum, set) => sum + (set.weight * set.reps), 0);
+    // Warm-ups don't count towards volume; bodyweight sets count the load moved
+    const totalVolume = state.workoutExercises.reduce((sum, exercise) => (
+      (state.exerciseSets[exercise.id] || [])
+        .filter(set => getSetType(set) !== SET_TYPES.WARMUP)
+        .reduce((exerciseSum, set) => (
+          exerciseSum + getEffectiveLoad(set.weight, getTrackingType(exercise), bodyweight) * (set.reps || 0)
+        ), sum)
+    ), 0);
 
     return (
       <View style={styles.header}>
@@ -278,12 +742,40 @@ const WorkoutScreen = ({ navigation }) => {
           
           <View style={styles.headerCenter}>
             <Text style={styles.workoutTitle}>{state.activeWorkout?.name}</Text>
-            <Text style={styles.workoutTimer}>{formatTime(state.timer.duration)}</Text>
+            <TouchableOpacity
+              style={styles.timerRow}
+              onPress={state.timer.isPaused ? resumeWorkout : pauseWorkout}
+            >
+              <Text style={[styles.workoutTimer, state.timer.isPaused && styles.workoutTimerPaused]}>
+                {formatTime(state.timer.duration)}{state.timer.isPaused ? ' · Paused' : ''}
+              </Text>
+              <Icon
+                name={state.timer.isPaused ? 'play-arrow' : 'pause'}
+                size={16}
+                color={state.timer.isPaused ? '#FF9500' : '#666'}
+              />
+            </TouchableOpacity>
           </View>
           
-          <TouchableOpacity onPress={handleCompleteWorkout}>
-            <Text style={styles.finishText}>Finish</Text>
-          </TouchableOpacity>
+          <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={styles.historyButton}
+              onPress={handleUndo}
+              disabled={state.undoStack.length === 0}
+            >
+              <Icon name="undo" size={20} color={state.undoStack.length > 0 ? '#333' : '#ccc'} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.historyButton}
+              onPress={handleRedo}
+              disabled={state.redoStack.length === 0}
+            >
+              <Icon name="redo" size={20} color={state.redoStack.length > 0 ? '#333' : '#ccc'} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleCompleteWorkout}>
+              <Text style={styles.finishText}>Finish</Text>
+            </TouchableOpacity>
+          </View>
         </View>
 
         {/* Workout Stats */}
@@ -297,8 +789,8 @@ const WorkoutScreen = ({ navigation }) => {
             <Text style={styles.statLabel}>Sets</Text>
           </View>
           <View style={styles.statItem}>
-            <Text style={styles.statNumber}>{Math.round(totalVolume)}</Text>
-            <Text style={styles.statLabel}>Volume (lbs)</Text>
+            <Text style={styles.statNumber}>{formatWeight(totalVolume, state.weightUnit, { decimals: 0, suffix: false })}</Text>
+            <Text style={styles.statLabel}>Volume ({state.weightUnit})</Text>
           </View>
           <TouchableOpacity 
             style={styles.notesButton}
@@ -312,9 +804,21 @@ const WorkoutScreen = ({ navigation }) => {
         {restTimerVisible && (
           <View style={styles.restTimer}>
             <Text style={styles.restTimerLabel}>Rest</Text>
+            <TouchableOpacity
+              style={styles.restAdjustButton}
+              onPress={() => adjustRestTimer(-REST_ADJUST_STEP)}
+            >
+              <Text style={styles.restAdjustText}>-{REST_ADJUST_STEP}s</Text>
+            </TouchableOpacity>
             <Text style={styles.restTimerTime}>{formatTime(restTimeRemaining)}</Text>
-            <TouchableOpacity onPress={clearRestTimer}>
-              <Icon name="close" size={20} color="#fff" />
+            <TouchableOpacity
+              style={styles.restAdjustButton}
+              onPress={() => adjustRestTimer(REST_ADJUST_STEP)}
+            >
+              <Text style={styles.restAdjustText}>+{REST_ADJUST_STEP}s</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.restAdjustButton} onPress={clearRestTimer}>
+              <Text style={styles.restAdjustText}>Skip</Text>
             </TouchableOpacity>
           </View>
         )}
@@ -322,15 +826,18 @@ const WorkoutScreen = ({ navigation }) => {
     );
   };
 
-  const renderSetRow = (set, exerciseId, setIndex) => {
-    const performanceIndicator = getSetPerformanceIndicator(set, exerciseId);
+  const renderSetRow = (set, exerciseId, trackingType) => {
+    const isLoaded = LOADED_TRACKING_TYPES.includes(trackingType);
+    // Warm-ups and drop sets are not compared against previous top sets
+    const performanceIndicator = isLoaded && isRecordSet(set) ? getSetPerformanceIndicator(set, exerciseId) : null;
     const previousData = previousWorkoutData[exerciseId];
+    const effort = formatEffort(set);
 
     return (
       <View key={set.id} style={styles.setRow}>
-        <View style={styles.setNumber}>
-          <Text style={[styles.setNumberText, set.is_warmup && styles.warmupText]}>
-            {set.is_warmup ? 'W' : set.set_number}
+        <TouchableOpacity style={styles.setNumber} onPress={() => openSetDetails(exerciseId, set)}>
+          <Text style={[styles.setNumberText, getSetType(set) !== SET_TYPES.WORKING && styles.warmupText]}>
+            {getSetLabel(set)}
           </Text>
           {performanceIndicator && (
             <View style={[
@@ -340,25 +847,37 @@ const WorkoutScreen = ({ navigation }) => {
               <Text style={styles.performanceBadgeText}>{performanceIndicator}</Text>
             </View>
           )}
-        </View>
+        </TouchableOpacity>
         
         <View style={styles.setData}>
           <View style={styles.setDataRow}>
-            <Text style={styles.setWeight}>{set.weight} lbs</Text>
-            <Text style={styles.setReps}>{set.reps} reps</Text>
-            <TouchableOpacity
-              style={styles.plateCalcButton}
-              onPress={() => {
-                setTargetWeight(set.weight.toString());
-                setShowPlateCalculator(true);
-              }}
-            >
-              <Icon name="calculate" size={14} color="#666" />
-            </TouchableOpacity>
+            {isLoaded ? (
+              <>
+                <Text style={styles.setWeight}>{formatWeight(set.weight, state.weightUnit)}</Text>
+                <Text style={styles.setReps}>{set.reps} reps</Text>
+                <TouchableOpacity
+                  style={styles.plateCalcButton}
+                  onPress={() => {
+                    setTargetWeight(weightInputValue(set.weight, state.weightUnit));
+                    setShowPlateCalculator(true);
+                  }}
+                >
+                  <Icon name="calculate" size={14} color="#666" />
+                </TouchableOpacity>
+              </>
+            ) : (
+              <Text style={styles.setWeight}>{formatSetPerformance(set, trackingType, state.weightUnit)}</Text>
+            )}
           </View>
+          {effort && (
+            <Text style={styles.setEffort}>{effort}</Text>
+          )}
+          {set.rest_time != null && (
+            <Text style={styles.previousSetData}>Rested {formatTime(set.rest_time)}</Text>
+          )}
           {previousData && (
             <Text style={styles.previousSetData}>
-              Last: {previousData.weight} lbs × {previousData.reps}
+              Last: {formatSetPerformance(previousData, trackingType, state.weightUnit)}
             </Text>
           )}
         </View>
@@ -368,8 +887,16 @@ const WorkoutScreen = ({ navigation }) => {
             style={styles.setActionButton}
             onPress={() => {
               // Pre-fill for next set
-              handleSetInputChange(exerciseId, 'weight', set.weight.toString());
-              handleSetInputChange(exerciseId, 'reps', set.reps.toString());
+              setSetInputs(prev => ({
+                ...prev,
+                [exerciseId]: {
+                  ...prev[exerciseId],
+                  weight: weightInputValue(set.weight, state.weightUnit),
+                  reps: set.reps ? set.reps.toString() : '',
+                  duration: set.duration ? formatDuration(set.duration) : '',
+                  distance: set.distance ? set.distance.toString() : ''
+                }
+              }));
             }}
           >
             <Icon name="content-copy" size={16} color="#007AFF" />
@@ -389,12 +916,37 @@ const WorkoutScreen = ({ navigation }) => {
   const renderExercise = ({ item: exercise }) => {
     const sets = state.exerciseSets[exercise.id] || [];
     const isExpanded = expandedExercise === exercise.id;
+    const groupLabel = getGroupLabels(state.workoutExercises)[exercise.id];
+    const isSelecting = groupSelection !== null;
+    const isSelected = isSelecting && groupSelection.includes(exercise.id);
+    const pendingInput = setInputs[exercise.id] || {};
+    const pendingOption = SET_TYPE_OPTIONS.find(option => option.type === (pendingInput.setType || SET_TYPES.WORKING));
+    const hasPendingDetails = !!pendingOption.code || pendingInput.rpe != null || pendingInput.rir != null;
+    const trackingType = getTrackingType(exercise);
+    const isLoaded = LOADED_TRACKING_TYPES.includes(trackingType);
 
     return (
-      <View style={styles.exerciseCard}>
+      <View style={[styles.exerciseCard, groupLabel && styles.groupedExerciseCard]}>
+        {groupLabel && (
+          <View style={styles.groupBadgeRow}>
+            <Text style={styles.groupBadgeText}>
+              {groupLabel} · {formatGroupType(exercise.group_type)}
+            </Text>
+            {!isSelecting && (
+              <TouchableOpacity onPress={() => ungroupExercise(exercise.id)}>
+                <Icon name="link-off" size={16} color="#666" />
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
         <TouchableOpacity
           style={styles.exerciseHeader}
-          onPress={() => setExpandedExercise(isExpanded ? null : exercise.id)}
+          onPress={() => (
+            isSelecting
+              ? toggleGroupSelection(exercise.id)
+              : setExpandedExercise(isExpanded ? null : exercise.id)
+          )}
         >
           <View style={styles.exerciseInfo}>
             <Text style={styles.exerciseName}>{exercise.exercise_name}</Text>
@@ -402,19 +954,112 @@ const WorkoutScreen = ({ navigation }) => {
           </View>
           
           <View style={styles.exerciseStats}>
-            <Text style={styles.exerciseSetCount}>{sets.length} sets</Text>
-            <Icon 
-              name={isExpanded ? "expand-less" : "expand-more"} 
-              size={24} 
-              color="#666" 
-            />
+            <Text style={styles.exerciseSetCount}>
+              {state.plannedSets[exercise.id]?.length
+                ? `${sets.length}/${state.plannedSets[exercise.id].length} sets`
+                : `${sets.length} sets`}
+            </Text>
+            {isSelecting ? (
+              <Icon
+                name={isSelected ? "check-box" : "check-box-outline-blank"}
+                size={24}
+                color={isSelected ? "#007AFF" : "#666"}
+              />
+            ) : (
+              <Icon 
+                name={isExpanded ? "expand-less" : "expand-more"} 
+                size={24} 
+                color="#666" 
+              />
+            )}
           </View>
         </TouchableOpacity>
 
-        {isExpanded && (
+        {isExpanded && !isSelecting && (
           <View style={styles.exerciseContent}>
+            <View style={styles.exerciseActionsRow}>
+              <TouchableOpacity
+                style={styles.exerciseAction}
+                onPress={() => openReplaceExercise(exercise)}
+              >
+                <Icon name="swap-horiz" size={16} color="#007AFF" />
+                <Text style={styles.restPresetText}>Replace</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.exerciseAction}
+                onPress={() => handleRemoveExercise(exercise)}
+              >
+                <Icon name="delete" size={16} color="#ff4757" />
+                <Text style={[styles.restPresetText, styles.removeExerciseText]}>Remove</Text>
+              </TouchableOpacity>
+            </View>
+
+            <TouchableOpacity
+              style={styles.restPresetRow}
+              onPress={() => setRestPresetExercise(exercise)}
+            >
+              <Icon name="timer" size={16} color="#007AFF" />
+              <Text style={styles.restPresetText}>
+                Rest: {exercise.rest_seconds != null ? formatTime(exercise.rest_seconds) : 'Default'}
+              </Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.restPresetRow}
+              onPress={() => setTrackingExercise(exercise)}
+            >
+              <Icon name="straighten" size={16} color="#007AFF" />
+              <Text style={styles.restPresetText}>
+                Tracking: {getTrackingTypeOption(trackingType).label}
+              </Text>
+            </TouchableOpacity>
+
+            {isLoaded && (
+              <>
+                <TouchableOpacity
+                  style={styles.restPresetRow}
+                  onPress={() => openProgressionSettings(exercise)}
+                >
+                  <Icon name="trending-up" size={16} color="#007AFF" />
+                  <Text style={styles.restPresetText}>
+                    Progression: {PROGRESSION_SCHEME_OPTIONS.find(
+                      option => option.scheme === getProgressionSettings(exercise.progression).scheme
+                    )?.label}
+                  </Text>
+                </TouchableOpacity>
+
+                <View style={styles.warmupRampRow}>
+                  <TouchableOpacity
+                    style={styles.warmupRampAction}
+                    onPress={() => handleAddWarmups(exercise)}
+                  >
+                    <Icon name="whatshot" size={16} color="#007AFF" />
+                    <Text style={styles.restPresetText}>Add warm-up: {formatWarmupScheme(warmupScheme)}</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={openWarmupSettings}>
+                    <Icon name="settings" size={16} color="#666" />
+                  </TouchableOpacity>
+                </View>
+              </>
+            )}
+
+            {suggestions[exercise.id]?.suggestion && (
+              <TouchableOpacity
+                style={styles.suggestionRow}
+                onPress={() => handleAcceptSuggestion(exercise.id, suggestions[exercise.id].suggestion)}
+              >
+                <View style={styles.suggestionInfo}>
+                  <Text style={styles.suggestionText}>
+                    Today: {suggestions[exercise.id].suggestion.weight} {state.weightUnit} × {suggestions[exercise.id].suggestion.reps}
+                  </Text>
+                  <Text style={styles.suggestionReason}>{suggestions[exercise.id].suggestion.reason}</Text>
+                </View>
+                <Text style={styles.suggestionAction}>Use</Text>
+              </TouchableOpacity>
+            )}
+
             {/* Previous Sets */}
-            {sets.map((set, index) => renderSetRow(set, exercise.id, index))}
+            {sets.map(set => renderSetRow(set, exercise.id, trackingType))}
 
             {/* Add New Set */}
             <View style={styles.newSetRow}>
@@ -423,43 +1068,32 @@ const WorkoutScreen = ({ navigation }) => {
               </View>
               
               <View style={styles.newSetInputs}>
-                <TextInput
-                  style={styles.setInput}
-                  placeholder="Weight"
-                  placeholderTextColor="#333"
-                  value={getSetInputValue(exercise.id, 'weight')}
-                  onChangeText={(value) => handleSetInputChange(exercise.id, 'weight', value)}
-                  keyboardType="numeric"
-                />
-                
-                <TextInput
-                  style={styles.setInput}
-                  placeholder="Reps"
-                  placeholderTextColor="#333"
-                  value={getSetInputValue(exercise.id, 'reps')}
-                  onChangeText={(value) => handleSetInputChange(exercise.id, 'reps', value)}
-                  keyboardType="numeric"
-                />
+                {getTrackingTypeOption(trackingType).fields.map(field => (
+                  <TextInput
+                    key={field}
+                    style={styles.setInput}
+                    placeholder={getInputPlaceholder(field, trackingType)}
+                    placeholderTextColor="#333"
+                    value={getSetInputValue(exercise.id, field)}
+                    onChangeText={(value) => handleSetInputChange(exercise.id, field, value)}
+                    keyboardType={field === 'duration' ? 'numbers-and-punctuation' : 'numeric'}
+                  />
+                ))}
                 
                 <TouchableOpacity
                   style={[
                     styles.warmupButton,
-                    getSetInputValue(exercise.id, 'isWarmup') && styles.warmupButtonActive
+                    hasPendingDetails && styles.warmupButtonActive
                   ]}
-                  onPress={() => 
-                    handleSetInputChange(
-                      exercise.id, 
-                      'isWarmup', 
-                      !getSetInputValue(exercise.id, 'isWarmup')
-                    )
-                  }
+                  onPress={() => openSetDetails(exercise.id)}
                 >
-                  <Text style={[
-                    styles.warmupButtonText,
-                    getSetInputValue(exercise.id, 'isWarmup') && styles.warmupButtonTextActive
-                  ]}>
-                    W
-                  </Text>
+                  {pendingOption.code ? (
+                    <Text style={[styles.warmupButtonText, styles.warmupButtonTextActive]}>
+                      {pendingOption.code}
+                    </Text>
+                  ) : (
+                    <Icon name="tune" size={16} color={hasPendingDetails ? '#fff' : '#666'} />
+                  )}
                 </TouchableOpacity>
               </View>
               
@@ -484,10 +1118,10 @@ const WorkoutScreen = ({ navigation }) => {
     >
       <SafeAreaView style={styles.modalContainer}>
         <View style={styles.modalHeader}>
-          <TouchableOpacity onPress={() => setShowExerciseModal(false)}>
+          <TouchableOpacity onPress={closeExerciseModal}>
             <Text style={styles.modalCancelText}>Cancel</Text>
           </TouchableOpacity>
-          <Text style={styles.modalTitle}>Add Exercise</Text>
+          <Text style={styles.modalTitle}>{replacingExercise ? 'Replace Exercise' : 'Add Exercise'}</Text>
           <View style={{ width: 60 }} />
         </View>
 
@@ -533,7 +1167,7 @@ const WorkoutScreen = ({ navigation }) => {
           renderItem={({ item }) => (
             <TouchableOpacity
               style={styles.exerciseListItem}
-              onPress={() => handleAddExercise(item)}
+              onPress={() => (replacingExercise ? handleReplaceExercise(item) : handleAddExercise(item))}
             >
               <View style={styles.exerciseListInfo}>
                 <Text style={styles.exerciseListName}>{item.name}</Text>
@@ -542,7 +1176,7 @@ const WorkoutScreen = ({ navigation }) => {
                   <Text style={styles.exerciseListEquipment}>{item.equipment}</Text>
                 )}
               </View>
-              <Icon name="add" size={24} color="#007AFF" />
+              <Icon name={replacingExercise ? 'swap-horiz' : 'add'} size={24} color="#007AFF" />
             </TouchableOpacity>
           )}
           style={styles.exerciseList}
@@ -551,7 +1185,328 @@ const WorkoutScreen = ({ navigation }) => {
     </Modal>
   );
 
+  const renderProgressionInput = (field, label) => (
+    <View style={styles.progressionField}>
+      <Text style={styles.setDetailsLabel}>{label}</Text>
+      <TextInput
+        style={[styles.setInput, styles.progressionInput]}
+        value={progressionDraft[field]}
+        onChangeText={(value) => setProgressionDraft(prev => ({ ...prev, [field]: value }))}
+        keyboardType="numeric"
+      />
+    </View>
+  );
+
+  const renderProgressionModal = () => {
+    const scheme = progressionDraft.scheme;
+
+    return (
+      <Modal
+        visible={progressionExercise !== null}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setProgressionExercise(null)}
+      >
+        <SafeAreaView style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity onPress={() => setProgressionExercise(null)}>
+              <Text style={styles.modalCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>Progression</Text>
+            <TouchableOpacity onPress={handleSaveProgression}>
+              <Text style={styles.modalSaveText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.setDetailsContent}>
+            <Text style={styles.setDetailsLabel}>{progressionExercise?.exercise_name}</Text>
+            <View style={styles.optionChips}>
+              {PROGRESSION_SCHEME_OPTIONS.map(option => (
+                <TouchableOpacity
+                  key={option.scheme}
+                  style={[styles.categoryChip, scheme === option.scheme && styles.categoryChipActive]}
+                  onPress={() => setProgressionDraft(prev => ({ ...prev, scheme: option.scheme }))}
+                >
+                  <Text style={[styles.categoryChipText, scheme === option.scheme && styles.categoryChipTextActive]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.progressionHint}>
+              {PROGRESSION_SCHEME_OPTIONS.find(option => option.scheme === scheme)?.description}
+            </Text>
+
+            {scheme === PROGRESSION_SCHEMES.DOUBLE ? (
+              <View style={styles.progressionFields}>
+                {renderProgressionInput('repRangeMin', 'Min Reps')}
+                {renderProgressionInput('repRangeMax', 'Max Reps')}
+              </View>
+            ) : (
+              <View style={styles.progressionFields}>
+                {renderProgressionInput('targetReps', 'Target Reps')}
+                {scheme === PROGRESSION_SCHEMES.TRAINING_MAX && renderProgressionInput('trainingMaxPercent', '% of TM')}
+                {scheme === PROGRESSION_SCHEMES.TRAINING_MAX && renderProgressionInput('trainingMax', `Training Max (${state.weightUnit})`)}
+              </View>
+            )}
+
+            {scheme === PROGRESSION_SCHEMES.TRAINING_MAX && (
+              <Text style={styles.progressionHint}>Leave the training max empty to estimate it from your history.</Text>
+            )}
+
+            {scheme === PROGRESSION_SCHEMES.RPE && (
+              <>
+                <Text style={styles.setDetailsLabel}>Target RPE</Text>
+                <View style={styles.optionChips}>
+                  {RPE_OPTIONS.map(rpe => (
+                    <TouchableOpacity
+                      key={rpe}
+                      style={[styles.categoryChip, progressionDraft.targetRpe === rpe && styles.categoryChipActive]}
+                      onPress={() => setProgressionDraft(prev => ({ ...prev, targetRpe: rpe }))}
+                    >
+                      <Text style={[
+                        styles.categoryChipText,
+                        progressionDraft.targetRpe === rpe && styles.categoryChipTextActive
+                      ]}>
+                        {rpe}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            )}
+          </ScrollView>
+        </SafeAreaView>
+      </Modal>
+    );
+  };
+
+  const renderSetDetailsModal = () => (
+    <Modal
+      visible={setDetailsTarget !== null}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={() => setSetDetailsTarget(null)}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={() => setSetDetailsTarget(null)}>
+            <Text style={styles.modalCancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>Set Details</Text>
+          <TouchableOpacity onPress={handleSaveSetDetails}>
+            <Text style={styles.modalSaveText}>Save</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.setDetailsContent}>
+          <Text style={styles.setDetailsLabel}>Set Type</Text>
+          <View style={styles.optionChips}>
+            {SET_TYPE_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.type}
+                style={[styles.categoryChip, setDetailsDraft.setType === option.type && styles.categoryChipActive]}
+                onPress={() => setSetDetailsDraft(prev => ({ ...prev, setType: option.type }))}
+              >
+                <Text style={[
+                  styles.categoryChipText,
+                  setDetailsDraft.setType === option.type && styles.categoryChipTextActive
+                ]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.setDetailsLabel}>RPE (optional)</Text>
+          <View style={styles.optionChips}>
+            {RPE_OPTIONS.map(value => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.categoryChip, setDetailsDraft.rpe === value && styles.categoryChipActive]}
+                onPress={() => toggleEffort('rpe', value)}
+              >
+                <Text style={[styles.categoryChipText, setDetailsDraft.rpe === value && styles.categoryChipTextActive]}>
+                  {value}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.setDetailsLabel}>Reps in Reserve (optional)</Text>
+          <View style={styles.optionChips}>
+            {RIR_OPTIONS.map(value => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.categoryChip, setDetailsDraft.rir === value && styles.categoryChipActive]}
+                onPress={() => toggleEffort('rir', value)}
+              >
+                <Text style={[styles.categoryChipText, setDetailsDraft.rir === value && styles.categoryChipTextActive]}>
+                  {value}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+
+  const renderWarmupModal = () => (
+    <Modal
+      visible={warmupDraft !== null}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={() => setWarmupDraft(null)}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={() => setWarmupDraft(null)}>
+            <Text style={styles.modalCancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>Warm-up Ramp</Text>
+          <TouchableOpacity onPress={handleSaveWarmupScheme}>
+            <Text style={styles.modalSaveText}>Save</Text>
+          </TouchableOpacity>
+        </View>
 
+        <ScrollView contentContainerStyle={styles.setDetailsContent}>
+          {warmupDraft?.map((step, index) => (
+            <View key={index} style={styles.warmupStepRow}>
+              <View style={styles.progressionField}>
+                <Text style={styles.setDetailsLabel}>% of Working</Text>
+                <TextInput
+                  style={[styles.setInput, styles.progressionInput]}
+                  value={step.percent}
+                  onChangeText={(value) => updateWarmupStep(index, 'percent', value)}
+                  keyboardType="numeric"
+                />
+              </View>
+              <View style={styles.progressionField}>
+                <Text style={styles.setDetailsLabel}>Reps</Text>
+                <TextInput
+                  style={[styles.setInput, styles.progressionInput]}
+                  value={step.reps}
+                  onChangeText={(value) => updateWarmupStep(index, 'reps', value)}
+                  keyboardType="numeric"
+                />
+              </View>
+              <TouchableOpacity
+                style={styles.setActionButton}
+                onPress={() => setWarmupDraft(prev => prev.filter((_, i) => i !== index))}
+              >
+                <Icon name="delete" size={20} color="#ff4757" />
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <TouchableOpacity
+            style={[styles.restPresetRow, styles.warmupAddStep]}
+            onPress={() => setWarmupDraft(prev => [...prev, { percent: '', reps: '' }])}
+          >
+            <Icon name="add" size={16} color="#007AFF" />
+            <Text style={styles.restPresetText}>Add Step</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.progressionHint}>
+            0% is the empty bar. Barbell loads are rounded to your bar and plates, other equipment to its usual weight jump.
+          </Text>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+
+  const renderTrackingTypeModal = () => (
+    <Modal
+      visible={trackingExercise !== null}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={() => setTrackingExercise(null)}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={() => setTrackingExercise(null)}>
+            <Text style={styles.modalCancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>Tracking</Text>
+          <View style={{ width: 60 }} />
+        </View>
+
+        <ScrollView contentContainerStyle={styles.setDetailsContent}>
+          <Text style={styles.setDetailsLabel}>{trackingExercise?.exercise_name}</Text>
+          <View style={styles.optionChips}>
+            {TRACKING_TYPE_OPTIONS.map(option => {
+              const isSelected = getTrackingType(trackingExercise) === option.type;
+              return (
+                <TouchableOpacity
+                  key={option.type}
+                  style={[styles.categoryChip, isSelected && styles.categoryChipActive]}
+                  onPress={() => handleSelectTrackingType(option.type)}
+                >
+                  <Text style={[styles.categoryChipText, isSelected && styles.categoryChipTextActive]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.progressionHint}>
+            Sets already logged keep their values; new sets are logged with the fields of the chosen type.
+          </Text>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+
+  const renderRestPresetModal = () => (
+    <Modal
+      visible={restPresetExercise !== null}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={() => setRestPresetExercise(null)}
+    >
+      <SafeAreaView style={styles.modalContainer}>
+        <View style={styles.modalHeader}>
+          <TouchableOpacity onPress={() => setRestPresetExercise(null)}>
+            <Text style={styles.modalCancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.modalTitle}>Rest Timer</Text>
+          <View style={{ width: 60 }} />
+        </View>
+
+        <ScrollView contentContainerStyle={styles.setDetailsContent}>
+          <Text style={styles.setDetailsLabel}>{restPresetExercise?.exercise_name}</Text>
+          <View style={styles.optionChips}>
+            <TouchableOpacity
+              style={[styles.categoryChip, restPresetExercise?.rest_seconds == null && styles.categoryChipActive]}
+              onPress={() => handleSelectRestPreset(null)}
+            >
+              <Text style={[
+                styles.categoryChipText,
+                restPresetExercise?.rest_seconds == null && styles.categoryChipTextActive
+              ]}>
+                Default
+              </Text>
+            </TouchableOpacity>
+            {REST_PRESET_OPTIONS.map(seconds => (
+              <TouchableOpacity
+                key={seconds}
+                style={[styles.categoryChip, restPresetExercise?.rest_seconds === seconds && styles.categoryChipActive]}
+                onPress={() => handleSelectRestPreset(seconds)}
+              >
+                <Text style={[
+                  styles.categoryChipText,
+                  restPresetExercise?.rest_seconds === seconds && styles.categoryChipTextActive
+                ]}>
+                  {seconds === 0 ? 'Off' : formatTime(seconds)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
 
   if (!state.activeWorkout) {
     return (
@@ -589,22 +1544,83 @@ const WorkoutScreen = ({ navigation }) => {
             contentContainerStyle={styles.exercisesList}
           />
         )}
-        
-        <TouchableOpacity
-          style={styles.addExerciseButton}
-          onPress={() => {
-            loadExercises();
-            setShowExerciseModal(true);
-          }}
-        >
-          <Icon name="add" size={24} color="#007AFF" />
-          <Text style={styles.addExerciseText}>Add Exercise</Text>
-        </TouchableOpacity>
+        
+        {groupSelection !== null ? (
+          <View style={styles.groupActions}>
+            <TouchableOpacity
+              style={styles.groupActionButton}
+              onPress={() => setGroupSelection(null)}
+            >
+              <Text style={styles.groupCancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.groupActionButton, styles.groupActionButtonPrimary]}
+              onPress={() => handleCreateGroup(GROUP_TYPES.SUPERSET)}
+            >
+              <Text style={styles.groupActionText}>Superset</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.groupActionButton, styles.groupActionButtonPrimary]}
+              onPress={() => handleCreateGroup(GROUP_TYPES.CIRCUIT)}
+            >
+              <Text style={styles.groupActionText}>Circuit</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <>
+            {state.workoutExercises.length >= 2 && (
+              <View style={styles.workoutActionsRow}>
+                <TouchableOpacity
+                  style={styles.linkExercisesButton}
+                  onPress={() => setGroupSelection([])}
+                >
+                  <Icon name="link" size={20} color="#007AFF" />
+                  <Text style={styles.addExerciseText}>Link Exercises</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.linkExercisesButton}
+                  onPress={() => setShowReorderModal(true)}
+                >
+                  <Icon name="reorder" size={20} color="#007AFF" />
+                  <Text style={styles.addExerciseText}>Reorder</Text>
+                </TouchableOpacity>
+              </View>
+            )}
+
+            <TouchableOpacity
+              style={styles.addExerciseButton}
+              onPress={() => {
+                loadExercises();
+                setShowExerciseModal(true);
+              }}
+            >
+              <Icon name="add" size={24} color="#007AFF" />
+              <Text style={styles.addExerciseText}>Add Exercise</Text>
+            </TouchableOpacity>
+          </>
+        )}
       </ScrollView>
 
+      {renderUndoSnackbar()}
       {renderExerciseModal()}
+      {renderSetDetailsModal()}
+      {renderRestPresetModal()}
+      {renderTrackingTypeModal()}
+      {renderWarmupModal()}
+      {renderProgressionModal()}
+      <ReorderExercisesModal
+        visible={showReorderModal}
+        exercises={state.workoutExercises}
+        onClose={() => setShowReorderModal(false)}
+        onSave={handleReorderExercises}
+      />
       {/* Workout Notes Modal - temporarily disabled */}
-      {/* Plate Calculator Modal - temporarily disabled */}
+      <PlateCalculatorModal
+        visible={showPlateCalculator}
+        onClose={() => setShowPlateCalculator(false)}
+        initialWeight={targetWeight}
+        weightUnit={state.weightUnit}
+      />
     </SafeAreaView>
   );
 
@@ -639,53 +1655,6 @@ const WorkoutScreen = ({ navigation }) => {
       </View>
     </Modal>
   );
-
-  const renderPlateCalculatorModal = () => {
-    const plates = targetWeight ? calculatePlates(parseFloat(targetWeight) || 0) : [];
-    
-    return (
-      <Modal
-        visible={showPlateCalculator}
-        animationType="slide"
-        presentationStyle="pageSheet"
-      >
-        <View style={styles.modalContainer}>
-          <View style={styles.modalHeader}>
-            <TouchableOpacity onPress={() => setShowPlateCalculator(false)}>
-              <Text style={styles.modalCancelButton}>Close</Text>
-            </TouchableOpacity>
-            <Text style={styles.modalTitle}>Plate Calculator</Text>
-            <View style={styles.modalRightSpace} />
-          </View>
-          
-          <View style={styles.modalContent}>
-            <View style={styles.plateInputContainer}>
-              <Text style={styles.plateInputLabel}>Target Weight:</Text>
-              <TextInput
-                style={styles.plateInput}
-                value={targetWeight}
-                onChangeText={setTargetWeight}
-                placeholder="Enter weight"
-                keyboardType="numeric"
-              />
-              <Text style={styles.plateInputUnit}>lbs</Text>
-            </View>
-            
-            <View style={styles.plateBreakdown}>
-              <Text style={styles.plateBreakdownTitle}>Plate Breakdown:</Text>
-              {plates.map((plate, index) => (
-                <View key={index} style={styles.plateRow}>
-                  <Text style={styles.plateWeight}>{plate.weight} lbs</Text>
-                  <Text style={styles.plateCount}>× {plate.count} each side</Text>
-                  <Text style={styles.plateTotal}>{plate.total} lbs total</Text>
-                </View>
-              ))}
-            </View>
-          </View>
-        </View>
-      </Modal>
-    );
-  };
 };
 
 const styles = StyleSheet.create({
@@ -713,16 +1682,57 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#1a1a1a',
   },
+  timerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
   workoutTimer: {
     fontSize: 14,
     color: '#666',
-    marginTop: 2,
+    marginRight: 4,
+  },
+  workoutTimerPaused: {
+    color: '#FF9500',
+    fontWeight: '600',
   },
   finishText: {
     color: '#007AFF',
     fontSize: 16,
     fontWeight: '600',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  historyButton: {
+    padding: 4,
+    marginRight: 8,
+  },
+  snackbar: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#333',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  snackbarText: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 14,
+    marginRight: 12,
+  },
+  snackbarAction: {
+    color: '#4da3ff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
   restTimer: {
     backgroundColor: '#ff6b6b',
     flexDirection: 'row',
@@ -741,6 +1751,103 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: 'bold',
   },
+  restAdjustButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+  },
+  restAdjustText: {
+    color: '#fff',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  restPresetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 8,
+  },
+  restPresetText: {
+    fontSize: 13,
+    color: '#007AFF',
+  },
+  exerciseActionsRow: {
+    flexDirection: 'row',
+    gap: 16,
+    marginBottom: 8,
+  },
+  exerciseAction: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  removeExerciseText: {
+    color: '#ff4757',
+  },
+  warmupRampRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  warmupRampAction: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  warmupStepRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 12,
+    marginBottom: 8,
+  },
+  warmupAddStep: {
+    marginTop: 8,
+  },
+  suggestionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#eef5ff',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginBottom: 8,
+  },
+  suggestionInfo: {
+    flex: 1,
+  },
+  suggestionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1a1a1a',
+  },
+  suggestionReason: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  suggestionAction: {
+    color: '#007AFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  progressionFields: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  progressionField: {
+    flex: 1,
+  },
+  progressionInput: {
+    flex: 0,
+  },
+  progressionHint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 8,
+  },
   content: {
     flex: 1,
   },
@@ -911,6 +2018,89 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  setEffort: {
+    fontSize: 12,
+    color: '#007AFF',
+    marginTop: 2,
+  },
+  modalSaveText: {
+    color: '#007AFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  setDetailsContent: {
+    padding: 16,
+  },
+  setDetailsLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  optionChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    rowGap: 8,
+  },
+  workoutActionsRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  linkExercisesButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 12,
+    marginHorizontal: 16,
+    marginTop: 16,
+    gap: 8,
+  },
+  groupedExerciseCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#007AFF',
+  },
+  groupBadgeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  groupBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#007AFF',
+    textTransform: 'uppercase',
+  },
+  groupActions: {
+    flexDirection: 'row',
+    margin: 16,
+    gap: 8,
+  },
+  groupActionButton: {
+    flex: 1,
+    alignItems: 'center',
+    padding: 16,
+    borderRadius: 12,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e0e0e0',
+  },
+  groupActionButtonPrimary: {
+    backgroundColor: '#007AFF',
+    borderColor: '#007AFF',
+  },
+  groupActionText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  groupCancelText: {
+    color: '#666',
+    fontSize: 16,
+    fontWeight: '600',
+  },
   modalContainer: {
     flex: 1,
     backgroundColor: '#fff',
@@ -1141,77 +2331,6 @@ const styles = StyleSheet.create({
     textAlignVertical: 'top',
     minHeight: 200,
   },
-  plateInputContainer: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginBottom: 24,
-    backgroundColor: '#fff',
-    padding: 16,
-    borderRadius: 8,
-    borderWidth: 1,
-    borderColor: '#e9ecef',
-  },
-  plateInputLabel: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#333',
-    marginRight: 12,
-  },
-  plateInput: {
-    flex: 1,
-    fontSize: 16,
-    color: '#333',
-    padding: 8,
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 4,
-    textAlign: 'center',
-  },
-  plateInputUnit: {
-    fontSize: 16,
-    color: '#666',
-    marginLeft: 8,
-  },
-  plateBreakdown: {
-    backgroundColor: '#fff',
-    borderRadius: 8,
-    borderWidth: 1,
-    borderColor: '#e9ecef',
-    padding: 16,
-  },
-  plateBreakdownTitle: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#333',
-    marginBottom: 12,
-  },
-  plateRow: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    paddingVertical: 8,
-    borderBottomWidth: 1,
-    borderBottomColor: '#f0f0f0',
-  },
-  plateWeight: {
-    fontSize: 16,
-    fontWeight: '600',
-    color: '#333',
-    flex: 1,
-  },
-  plateCount: {
-    fontSize: 14,
-    color: '#666',
-    flex: 1,
-    textAlign: 'center',
-  },
-  plateTotal: {
-    fontSize: 14,
-    color: '#007AFF',
-    fontWeight: '500',
-    flex: 1,
-    textAlign: 'right',
-  },
 });
 
 export default WorkoutScreen;
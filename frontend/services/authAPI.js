@@ -19,6 +19,16 @@ const handleResponse = async (response) => {
   return data;
 };
 
+// Persist the access token and, when the backend issued one, the refresh token
+const storeTokens = async (data) => {
+  if (data.token) {
+    await AsyncStorage.setItem('userToken', data.token);
+  }
+  if (data.refresh_token) {
+    await AsyncStorage.setItem('refreshToken', data.refresh_token);
+  }
+};
+
 // Request password reset email
 export const requestPasswordReset = async (email) => {
   try {
@@ -81,10 +91,8 @@ export const loginUser = async (email, password) => {
     
     const data = await handleResponse(response);
     
-    // Store token if login successful
-    if (data.token) {
-      await AsyncStorage.setItem('userToken', data.token);
-    }
+    // Store tokens if login successful
+    await storeTokens(data);
     
     return data;
   } catch (error) {
@@ -104,10 +112,8 @@ export const registerUser = async (userData) => {
     
     const data = await handleResponse(response);
     
-    // Store token if registration successful
-    if (data.token) {
-      await AsyncStorage.setItem('userToken', data.token);
-    }
+    // Store tokens if registration successful
+    await storeTokens(data);
     
     return data;
   } catch (error) {
@@ -132,15 +138,13 @@ export const logoutUser = async () => {
     }
     
     // Clear local storage
-    await AsyncStorage.removeItem('userToken');
-    await AsyncStorage.removeItem('userData');
+    await AsyncStorage.multiRemove(['userToken', 'refreshToken', 'userData']);
     
     return { success: true };
   } catch (error) {
     console.error('Logout error:', error);
     // Still clear local storage even if API call fails
-    await AsyncStorage.removeItem('userToken');
-    await AsyncStorage.removeItem('userData');
+    await AsyncStorage.multiRemove(['userToken', 'refreshToken', 'userData']);
     throw error;
   }
 };
@@ -169,8 +173,8 @@ export const getCurrentUser = async () => {
   }
 };
 
-// Refresh token
-export const refreshToken = async () => {
+// Update the current user's preferences ({ weightUnit })
+export const updateUserPreferences = async (preferences) => {
   try {
     const token = await AsyncStorage.getItem('userToken');
     
@@ -178,21 +182,42 @@ export const refreshToken = async () => {
       throw new Error('No authentication token found');
     }
     
-    const response = await fetch(`${API_BASE_URL}/auth/refresh-token`, {
-      method: 'POST',
+    const response = await fetch(`${API_BASE_URL}/users/me`, {
+      method: 'PUT',
       headers: {
         ...API_CONFIG.headers,
         'Authorization': `Bearer ${token}`,
       },
+      body: JSON.stringify(preferences),
     });
     
-    const data = await handleResponse(response);
+    return await handleResponse(response);
+  } catch (error) {
+    console.error('Update user preferences error:', error);
+    throw error;
+  }
+};
+
+// Refresh token
+export const refreshToken = async () => {
+  try {
+    const token = await AsyncStorage.getItem('refreshToken');
     
-    // Update stored token
-    if (data.token) {
-      await AsyncStorage.setItem('userToken', data.token);
+    if (!token) {
+      throw new Error('No refresh token found');
     }
     
+    const response = await fetch(`${API_BASE_URL}/auth/refresh-token`, {
+      method: 'POST',
+      ...API_CONFIG,
+      body: JSON.stringify({ refreshToken: token }),
+    });
+    
+    const data = await handleResponse(response);
+    
+    // Refresh tokens are single-use: store the rotated pair
+    await storeTokens(data);
+    
     return data;
   } catch (error) {
     console.error('Refresh token error:', error);
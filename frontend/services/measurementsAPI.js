@@ -0,0 +1,97 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { API_BASE_URL } from '../constants/config';
+
+// Local measurement types and the server fields they map to
+const MEASUREMENT_FIELDS = {
+  weight: 'weight',
+  body_fat: 'bodyFat',
+  muscle_mass: 'muscleMass',
+};
+
+// Local unit labels and the server's unit names
+const WEIGHT_UNITS = {
+  kg: 'kg',
+  lbs: 'lb',
+};
+
+// Helper function to handle API responses
+const handleResponse = async (response) => {
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Something went wrong');
+  }
+
+  return data;
+};
+
+const authHeaders = async () => {
+  const token = await AsyncStorage.getItem('userToken');
+
+  if (!token) {
+    throw new Error('No authentication token found');
+  }
+
+  return {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`,
+  };
+};
+
+// Save a measurement entered on the device ({ type, value, unit, date, notes })
+export const saveMeasurement = async (measurement) => {
+  try {
+    const field = MEASUREMENT_FIELDS[measurement.type];
+    if (!field) {
+      throw new Error(`Unsupported measurement type: ${measurement.type}`);
+    }
+
+    const response = await fetch(`${API_BASE_URL}/measurements`, {
+      method: 'POST',
+      headers: await authHeaders(),
+      body: JSON.stringify({
+        [field]: measurement.value,
+        weightUnit: WEIGHT_UNITS[measurement.unit] || 'kg',
+        date: measurement.date,
+        notes: measurement.notes,
+      }),
+    });
+
+    return await handleResponse(response);
+  } catch (error) {
+    console.error('Save measurement error:', error);
+    throw error;
+  }
+};
+
+// Get measurements, newest first ({ from, to, weightUnit, lengthUnit, limit, cursor })
+export const getMeasurements = async (params = {}) => {
+  try {
+    const search = new URLSearchParams(params).toString();
+    const response = await fetch(`${API_BASE_URL}/measurements${search ? `?${search}` : ''}`, {
+      method: 'GET',
+      headers: await authHeaders(),
+    });
+
+    return await handleResponse(response);
+  } catch (error) {
+    console.error('Get measurements error:', error);
+    throw error;
+  }
+};
+
+// Get 7, 30 and 90 day trends ({ metrics, weightUnit, lengthUnit })
+export const getMeasurementTrends = async (params = {}) => {
+  try {
+    const search = new URLSearchParams(params).toString();
+    const response = await fetch(`${API_BASE_URL}/measurements/trends${search ? `?${search}` : ''}`, {
+      method: 'GET',
+      headers: await authHeaders(),
+    });
+
+    return await handleResponse(response);
+  } catch (error) {
+    console.error('Get measurement trends error:', error);
+    throw error;
+  }
+};
@@ -1,4 +1,32 @@
 import DatabaseManager from './database';
+import { TOP_SET_CONDITION } from './setTypes';
+import { TRACKING_TYPES } from './trackingTypes';
+import { EFFECTIVE_LOAD_SQL, SET_VOLUME_SQL } from './bodyweight';
+import { estimateOneRepMax, oneRepMaxSql, getOneRepMaxFormula } from './oneRepMax';
+import { toSQLiteDateTime } from './dateFormatter';
+
+// Acute load is the last week's, chronic load the average week of the last four
+const ACUTE_LOAD_DAYS = 7;
+const CHRONIC_LOAD_DAYS = 28;
+
+// Session RPE of sessions without any effort logged
+const DEFAULT_SESSION_RPE = 6;
+
+// Minutes counted per set of sessions without a recorded duration
+const MINUTES_PER_SET = 3;
+
+// Acute:chronic workload ratio zones; above 1.5 injury risk rises sharply
+const ACWR_LOW = 0.8;
+const ACWR_HIGH = 1.3;
+const ACWR_SPIKE = 1.5;
+
+// Weekly monotony above which hard and easy days barely differ; the same
+// load every day would be infinitely monotonous and counts as the maximum
+const HIGH_MONOTONY = 2;
+const MAX_MONOTONY = 10;
+
+// Effort of a set on the RPE scale, from its RPE or reps in reserve
+const SET_EFFORT_SQL = 'COALESCE(s.rpe, 10 - s.rir)';
 
 class AnalyticsEngine {
   constructor() {
@@ -33,8 +61,8 @@ class AnalyticsEngine {
           c.name as category_name,
           COUNT(DISTINCT w.id) as workout_count,
           COUNT(s.id) as total_sets,
-          SUM(s.weight * s.reps) as total_volume,
-          AVG(s.weight * s.reps) as avg_set_volume
+          SUM(${SET_VOLUME_SQL}) as total_volume,
+          AVG(${SET_VOLUME_SQL}) as avg_set_volume
         FROM sets s
         JOIN workout_exercises we ON s.workout_exercise_id = we.id
         JOIN workouts w ON we.workout_id = w.id
@@ -44,6 +72,7 @@ class AnalyticsEngine {
           AND w.user_id = ?
           AND w.date >= ?
           AND s.is_completed = 1
+          AND s.is_warmup = 0
         GROUP BY e.category_id, c.name
         ORDER BY total_volume DESC
       `;
@@ -155,24 +184,28 @@ class AnalyticsEngine {
         SELECT 
           w.date,
           w.id as workout_id,
-          s.weight,
+          ${EFFECTIVE_LOAD_SQL} as weight,
           s.reps,
-          s.weight * s.reps as volume,
+          s.rpe,
+          s.rir,
+          ${SET_VOLUME_SQL} as volume,
           s.set_number,
-          ROW_NUMBER() OVER (PARTITION BY w.id ORDER BY s.weight * s.reps DESC) as best_set_rank
+          ROW_NUMBER() OVER (PARTITION BY w.id ORDER BY ${SET_VOLUME_SQL} DESC) as best_set_rank
         FROM sets s
         JOIN workout_exercises we ON s.workout_exercise_id = we.id
         JOIN workouts w ON we.workout_id = w.id
+        JOIN exercises e ON we.exercise_id = e.id
         WHERE we.exercise_id = ?
           AND w.user_id = ?
           AND w.is_completed = 1
           AND w.date >= ?
           AND s.is_completed = 1
-          AND s.is_warmup = 0
+          AND ${TOP_SET_CONDITION}
         ORDER BY w.date ASC, s.set_number ASC
       `;
 
       const allSets = await DatabaseManager.getAllAsync(query, [exerciseId, userId, cutoffDate.toISOString()]);
+      const formula = await getOneRepMaxFormula(userId);
       
       if (allSets.length === 0) {
         return {
@@ -192,7 +225,7 @@ class AnalyticsEngine {
           weight: set.weight,
           reps: set.reps,
           volume: set.volume,
-          oneRM: this.calculateOneRM(set.weight, set.reps)
+          oneRM: this.calculateOneRM(set, formula)
         }));
 
       // Calculate trends
@@ -222,9 +255,8 @@ class AnalyticsEngine {
     }
   }
 
-  calculateOneRM(weight, reps) {
-    // Epley formula: 1RM = weight * (1 + reps/30)
-    return Math.round(weight * (1 + reps / 30));
+  calculateOneRM(set, formula) {
+    return Math.round(estimateOneRepMax(set, formula));
   }
 
   calculateTrend(data, metric) {
@@ -350,8 +382,9 @@ class AnalyticsEngine {
 
   async getExerciseMax(exerciseName, userId) {
     try {
+      const formula = await getOneRepMaxFormula(userId);
       const query = `
-        SELECT MAX(s.weight * (1 + s.reps / 30)) as estimated_1rm
+        SELECT MAX(${oneRepMaxSql(formula, EFFECTIVE_LOAD_SQL)}) as estimated_1rm
         FROM sets s
         JOIN workout_exercises we ON s.workout_exercise_id = we.id
         JOIN exercises e ON we.exercise_id = e.id
@@ -360,9 +393,9 @@ class AnalyticsEngine {
           AND w.user_id = ?
           AND w.is_completed = 1
           AND s.is_completed = 1
-          AND s.is_warmup = 0
+          AND ${TOP_SET_CONDITION}
           AND s.reps > 0
-          AND s.weight > 0
+          AND (${EFFECTIVE_LOAD_SQL}) > 0
       `;
 
       const result = await DatabaseManager.getFirstAsync(query, [`%${exerciseName}%`, userId]);
@@ -429,8 +462,8 @@ class AnalyticsEngine {
           e.name as exercise_name,
           c.name as category_name,
           COUNT(s.id) as set_count,
-          SUM(s.weight * s.reps) as total_volume,
-          AVG(s.weight) as avg_weight,
+          SUM(${SET_VOLUME_SQL}) as total_volume,
+          AVG(${EFFECTIVE_LOAD_SQL}) as avg_weight,
           AVG(s.reps) as avg_reps
         FROM sets s
         JOIN workout_exercises we ON s.workout_exercise_id = we.id
@@ -581,14 +614,15 @@ class AnalyticsEngine {
   // ===== PERSONAL RECORDS TRACKING =====
   async getPersonalRecords(userId, limit = 10) {
     try {
+      const formula = await getOneRepMaxFormula(userId);
       const query = `
         SELECT 
           e.name as exercise_name,
           c.name as category_name,
-          MAX(s.weight) as max_weight,
+          MAX(${EFFECTIVE_LOAD_SQL}) as max_weight,
           MAX(s.reps) as max_reps,
-          MAX(s.weight * s.reps) as max_volume,
-          MAX(s.weight * (1 + s.reps / 30)) as estimated_1rm,
+          MAX(${SET_VOLUME_SQL}) as max_volume,
+          MAX(${oneRepMaxSql(formula, EFFECTIVE_LOAD_SQL)}) as estimated_1rm,
           COUNT(DISTINCT w.id) as workout_count,
           MAX(w.date) as last_performed
         FROM sets s
@@ -599,8 +633,8 @@ class AnalyticsEngine {
         WHERE w.is_completed = 1
           AND w.user_id = ?
           AND s.is_completed = 1
-          AND s.is_warmup = 0
-          AND s.weight > 0
+          AND ${TOP_SET_CONDITION}
+          AND (${EFFECTIVE_LOAD_SQL}) > 0
           AND s.reps > 0
         GROUP BY e.id
         ORDER BY estimated_1rm DESC
@@ -626,6 +660,55 @@ class AnalyticsEngine {
     }
   }
 
+  // ===== TIME AND DISTANCE RECORDS =====
+  // Longest hold of timed exercises; longest distance, best pace and top
+  // speed of distance exercises
+  async getEnduranceRecords(userId) {
+    try {
+      const query = `
+        SELECT 
+          e.name as exercise_name,
+          e.tracking_type,
+          MAX(s.duration) as longest_duration,
+          MAX(s.distance) as longest_distance,
+          MIN(CASE WHEN s.distance > 0 THEN s.duration / s.distance END) as best_pace,
+          COUNT(DISTINCT w.id) as workout_count,
+          MAX(w.date) as last_performed
+        FROM sets s
+        JOIN workout_exercises we ON s.workout_exercise_id = we.id
+        JOIN workouts w ON we.workout_id = w.id
+        JOIN exercises e ON we.exercise_id = e.id
+        WHERE w.is_completed = 1
+          AND w.user_id = ?
+          AND s.is_completed = 1
+          AND s.is_warmup = 0
+          AND s.duration > 0
+          AND e.tracking_type IN ('${TRACKING_TYPES.TIME}', '${TRACKING_TYPES.DISTANCE_TIME}')
+        GROUP BY e.id
+        ORDER BY last_performed DESC
+      `;
+
+      const records = await DatabaseManager.getAllAsync(query, [userId]);
+
+      return records.map(record => {
+        const isDistance = record.tracking_type === TRACKING_TYPES.DISTANCE_TIME;
+        return {
+          exercise: record.exercise_name,
+          trackingType: record.tracking_type,
+          longestHold: isDistance ? null : record.longest_duration, // seconds
+          longestDistance: isDistance ? record.longest_distance : null, // km
+          bestPace: isDistance ? record.best_pace : null, // seconds per km
+          topSpeed: isDistance && record.best_pace ? 3600 / record.best_pace : null, // km/h
+          workoutCount: record.workout_count,
+          lastPerformed: record.last_performed?.split('T')[0] || 'Unknown'
+        };
+      });
+    } catch (error) {
+      console.error('Error getting endurance records:', error);
+      return [];
+    }
+  }
+
   calculateDaysSince(dateString) {
     if (!dateString) return null;
     const date = new Date(dateString);
@@ -819,6 +902,188 @@ class AnalyticsEngine {
     return recommendations;
   }
 
+  // ===== TRAINING LOAD =====
+  // Session load is session RPE times minutes trained, in arbitrary units.
+  // Session RPE is the effort of the working sets weighted by their volume,
+  // so the heavy sets set the intensity of the session.
+  async getTrainingLoad(userId, timeframe = 30) {
+    try {
+      // Every day of the timeframe needs four weeks up to it for its chronic load
+      const days = timeframe + CHRONIC_LOAD_DAYS - 1;
+
+      const query = `
+        SELECT 
+          w.id,
+          DATE(w.date) as workout_date,
+          w.duration,
+          COUNT(s.id) as set_count,
+          COALESCE(SUM(${SET_VOLUME_SQL}), 0) as volume,
+          AVG(${SET_EFFORT_SQL}) as avg_effort,
+          SUM(CASE WHEN ${SET_EFFORT_SQL} IS NOT NULL THEN ${SET_VOLUME_SQL} END) as rated_volume,
+          SUM(CASE WHEN ${SET_EFFORT_SQL} IS NOT NULL THEN (${SET_VOLUME_SQL}) * ${SET_EFFORT_SQL} END) as weighted_effort
+        FROM workouts w
+        LEFT JOIN workout_exercises we ON we.workout_id = w.id
+        LEFT JOIN exercises e ON we.exercise_id = e.id
+        LEFT JOIN sets s ON s.workout_exercise_id = we.id
+          AND s.is_completed = 1
+          AND s.is_warmup = 0
+        WHERE w.is_completed = 1
+          AND w.user_id = ?
+          AND w.date >= ?
+        GROUP BY w.id
+        ORDER BY w.date ASC
+      `;
+
+      const sessions = await DatabaseManager.getAllAsync(query, [userId, this.getDayKey(days - 1)]);
+      const dailyLoads = this.groupLoadByDay(sessions, days);
+      const series = dailyLoads.slice(CHRONIC_LOAD_DAYS - 1).map((day, index) => ({
+        ...day,
+        ...this.calculateLoadMetrics(dailyLoads, index + CHRONIC_LOAD_DAYS - 1)
+      }));
+      const current = series[series.length - 1];
+      // Without sessions four weeks back the chronic load is still building up
+      const hasBaseline = sessions.length > 0 && sessions[0].workout_date <= dailyLoads[dailyLoads.length - CHRONIC_LOAD_DAYS].date;
+
+      return {
+        series,
+        current: { ...current, zone: this.getAcwrZone(current.acwr) },
+        hasBaseline,
+        warnings: this.generateTrainingLoadWarnings(current, series, hasBaseline)
+      };
+    } catch (error) {
+      console.error('Error analyzing training load:', error);
+      return { series: [], current: null, hasBaseline: false, warnings: [] };
+    }
+  }
+
+  // Local date some days back; workout dates are stored in local time, so
+  // this matches SQLite's DATE() of them
+  getDayKey(daysAgo) {
+    const today = new Date();
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - daysAgo);
+    return toSQLiteDateTime(day).slice(0, 10);
+  }
+
+  getSessionLoad(session) {
+    let sessionRpe = DEFAULT_SESSION_RPE;
+    if (session.rated_volume > 0) {
+      sessionRpe = session.weighted_effort / session.rated_volume;
+    } else if (session.avg_effort != null) {
+      sessionRpe = session.avg_effort;
+    }
+
+    const minutes = session.duration > 0 ? session.duration / 60 : session.set_count * MINUTES_PER_SET;
+    return sessionRpe * minutes;
+  }
+
+  // Load and volume of each of the last `days` days, today last; rest days are 0
+  groupLoadByDay(sessions, days) {
+    const byDate = {};
+    sessions.forEach(session => {
+      if (!byDate[session.workout_date]) byDate[session.workout_date] = { load: 0, volume: 0 };
+      byDate[session.workout_date].load += this.getSessionLoad(session);
+      byDate[session.workout_date].volume += session.volume;
+    });
+
+    return Array.from({ length: days }, (_, index) => {
+      const date = this.getDayKey(days - 1 - index);
+      return {
+        date,
+        load: Math.round(byDate[date]?.load || 0),
+        volume: Math.round(byDate[date]?.volume || 0)
+      };
+    });
+  }
+
+  // Acute and chronic load, ACWR, monotony and strain of the week ending on a day
+  calculateLoadMetrics(dailyLoads, index) {
+    const sumLoads = (count) => dailyLoads
+      .slice(Math.max(0, index - count + 1), index + 1)
+      .reduce((sum, day) => sum + day.load, 0);
+
+    const acute = sumLoads(ACUTE_LOAD_DAYS);
+    const chronic = sumLoads(CHRONIC_LOAD_DAYS) / (CHRONIC_LOAD_DAYS / ACUTE_LOAD_DAYS);
+
+    const week = dailyLoads.slice(Math.max(0, index - ACUTE_LOAD_DAYS + 1), index + 1).map(day => day.load);
+    const mean = acute / ACUTE_LOAD_DAYS;
+    const deviation = Math.sqrt(week.reduce((sum, load) => sum + Math.pow(load - mean, 2), 0) / ACUTE_LOAD_DAYS);
+    let monotony = null;
+    if (mean > 0) {
+      monotony = deviation > 0 ? Math.min(Math.round(mean / deviation * 100) / 100, MAX_MONOTONY) : MAX_MONOTONY;
+    }
+
+    return {
+      acute,
+      chronic: Math.round(chronic),
+      acwr: chronic > 0 ? Math.round(acute / chronic * 100) / 100 : null,
+      monotony,
+      strain: monotony != null ? Math.round(acute * monotony) : null
+    };
+  }
+
+  getAcwrZone(acwr) {
+    if (acwr == null) return 'unknown';
+    if (acwr < ACWR_LOW) return 'low';
+    if (acwr <= ACWR_HIGH) return 'optimal';
+    if (acwr <= ACWR_SPIKE) return 'elevated';
+    return 'spike';
+  }
+
+  generateTrainingLoadWarnings(current, series, hasBaseline) {
+    const warnings = [];
+
+    if (!current || (current.acute === 0 && current.chronic === 0)) {
+      return warnings;
+    }
+
+    if (!hasBaseline) {
+      warnings.push({
+        severity: 'info',
+        message: 'Keep logging for four weeks to get a reliable workload ratio'
+      });
+    } else {
+      switch (this.getAcwrZone(current.acwr)) {
+        case 'spike':
+          warnings.push({
+            severity: 'high',
+            message: `Load spike: this week is ${current.acwr}x your usual week. Injury risk rises sharply above ${ACWR_SPIKE}, so ease off for a few sessions.`
+          });
+          break;
+        case 'elevated':
+          warnings.push({
+            severity: 'moderate',
+            message: `This week is ${current.acwr}x your usual week. Build up gradually and stay under ${ACWR_HIGH} where you can.`
+          });
+          break;
+        case 'low':
+          warnings.push({
+            severity: 'info',
+            message: `This week is ${current.acwr}x your usual week. A lighter week is fine, but a long dip loses fitness and makes the return riskier.`
+          });
+          break;
+      }
+    }
+
+    if (current.monotony > HIGH_MONOTONY) {
+      warnings.push({
+        severity: 'moderate',
+        message: `Training monotony is ${current.monotony}. Mix hard and easy days to recover better.`
+      });
+    }
+
+    // Strain well above its usual level for the timeframe
+    const strains = series.map(day => day.strain).filter(strain => strain != null);
+    const avgStrain = strains.length > 0 ? strains.reduce((a, b) => a + b, 0) / strains.length : 0;
+    if (strains.length >= ACUTE_LOAD_DAYS * 2 && current.strain > avgStrain * 1.5) {
+      warnings.push({
+        severity: 'moderate',
+        message: `Strain is ${Math.round((current.strain / avgStrain - 1) * 100)}% above your average for this period. Plan a recovery day.`
+      });
+    }
+
+    return warnings;
+  }
+
   // ===== COMPREHENSIVE ANALYTICS DASHBOARD =====
   async getComprehensiveAnalytics(userId, timeframe = 30) {
     try {
@@ -827,13 +1092,17 @@ class AnalyticsEngine {
         volumeDistribution,
         strengthRatios,
         personalRecords,
-        frequencyAnalysis
+        enduranceRecords,
+        frequencyAnalysis,
+        trainingLoad
       ] = await Promise.all([
         this.getMuscleGroupBalance(userId, timeframe),
         this.getVolumeDistribution(userId, timeframe),
         this.getStrengthRatios(userId),
         this.getPersonalRecords(userId, 5),
-        this.getWorkoutFrequencyAnalysis(userId, timeframe)
+        this.getEnduranceRecords(userId),
+        this.getWorkoutFrequencyAnalysis(userId, timeframe),
+        this.getTrainingLoad(userId, timeframe)
       ]);
 
       const overallScore = this.calculateOverallFitnessScore({
@@ -848,7 +1117,9 @@ class AnalyticsEngine {
         volumeDistribution,
         strengthRatios,
         personalRecords,
+        enduranceRecords,
         frequencyAnalysis,
+        trainingLoad,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
@@ -0,0 +1,73 @@
+/**
+ * Bodyweight load
+ *
+ * Sets of bodyweight exercises move the user's bodyweight: reps-only sets
+ * move all of it, weighted sets add the logged weight to it and assisted
+ * sets take the assistance off it. The bodyweight of a workout is the weight
+ * measurement closest to it, preferring one on or before its day, and
+ * otherwise the weight in the user's profile.
+ */
+
+import { TRACKING_TYPES, DEFAULT_TRACKING_TYPE } from './trackingTypes';
+import { KG_PER_LB } from './units';
+
+// Body measurement units that are pounds; everything else is kg
+const POUND_UNITS = ['lb', 'lbs'];
+
+// SQL for the weight measurement of a user in kg nearest a date on one side
+// of it; dateCondition compares "bm.date" with the date
+const measuredWeightSql = (userIdSql, dateCondition, direction) => `(
+  SELECT CASE WHEN bm.unit IN (${POUND_UNITS.map(unit => `'${unit}'`).join(', ')}) THEN bm.value * ${KG_PER_LB} ELSE bm.value END
+  FROM body_measurements bm
+  WHERE bm.user_id = ${userIdSql} AND bm.measurement_type = 'weight' AND bm.value > 0 AND ${dateCondition}
+  ORDER BY bm.date ${direction}
+  LIMIT 1
+)`;
+
+/**
+ * SQL for a user's bodyweight in kg on a date, 0 when it isn't known
+ * @param {string} userIdSql - SQL expression of the user id
+ * @param {string} dateSql - SQL expression of the date
+ * @returns {string} SQL expression
+ */
+export const bodyweightSql = (userIdSql, dateSql) => `COALESCE(
+  ${measuredWeightSql(userIdSql, `date(bm.date) <= date(${dateSql})`, 'DESC')},
+  ${measuredWeightSql(userIdSql, `date(bm.date) > date(${dateSql})`, 'ASC')},
+  (SELECT CAST(u.weight AS REAL) FROM users u WHERE u.id = ${userIdSql} AND CAST(u.weight AS REAL) > 0),
+  0
+)`;
+
+// SQL for the bodyweight in kg of a workout's user (aliased "w") on its day
+export const WORKOUT_BODYWEIGHT_SQL = bodyweightSql('w.user_id', 'w.date');
+
+// SQL for the load in kg a set (aliased "s") moves, by the tracking type of
+// its exercise (aliased "e") and the bodyweight of its workout (aliased "w")
+export const EFFECTIVE_LOAD_SQL = `CASE COALESCE(e.tracking_type, '${DEFAULT_TRACKING_TYPE}')
+  WHEN '${TRACKING_TYPES.REPS}' THEN ${WORKOUT_BODYWEIGHT_SQL}
+  WHEN '${TRACKING_TYPES.WEIGHTED_BODYWEIGHT}' THEN ${WORKOUT_BODYWEIGHT_SQL} + COALESCE(s.weight, 0)
+  WHEN '${TRACKING_TYPES.ASSISTED_BODYWEIGHT}' THEN MAX(${WORKOUT_BODYWEIGHT_SQL} - COALESCE(s.weight, 0), 0)
+  ELSE s.weight
+END`;
+
+// SQL for the volume in kg of a set, its effective load times its reps
+export const SET_VOLUME_SQL = `(${EFFECTIVE_LOAD_SQL}) * s.reps`;
+
+/**
+ * Load in kg a set moves, as EFFECTIVE_LOAD_SQL works it out
+ * @param {number} weight - Logged weight in kg: the load, added load or assistance
+ * @param {string} trackingType - Tracking type of the exercise
+ * @param {number} bodyweight - Bodyweight in kg, 0 when unknown
+ * @returns {number} Effective load in kg
+ */
+export const getEffectiveLoad = (weight, trackingType, bodyweight) => {
+  switch (trackingType) {
+    case TRACKING_TYPES.REPS:
+      return bodyweight;
+    case TRACKING_TYPES.WEIGHTED_BODYWEIGHT:
+      return bodyweight + (weight || 0);
+    case TRACKING_TYPES.ASSISTED_BODYWEIGHT:
+      return Math.max(bodyweight - (weight || 0), 0);
+    default:
+      return weight || 0;
+  }
+};
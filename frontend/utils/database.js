@@ -1,5 +1,22 @@
 import * as SQLite from 'expo-sqlite';
+import * as Crypto from 'expo-crypto';
 import ErrorHandler from './errorHandler';
+import { SET_TYPES, TOP_SET_CONDITION, getSetType } from './setTypes';
+import { targetsFromSets } from './templates';
+import { WEIGHT_UNITS, KG_PER_LB } from './units';
+import { getDefaultTrackingType } from './trackingTypes';
+import { EFFECTIVE_LOAD_SQL, SET_VOLUME_SQL, bodyweightSql } from './bodyweight';
+import { oneRepMaxSql, getOneRepMaxFormula } from './oneRepMax';
+
+// Personal records as the best value per workout of an exercise's working
+// sets; weights are the effective load, so bodyweight counts, and the 1RM is
+// estimated with the user's formula
+const personalRecordValues = (oneRepMaxFormula) => ({
+  max_weight: `MAX(${EFFECTIVE_LOAD_SQL})`,
+  max_reps: 'MAX(s.reps)',
+  '1RM': `MAX(${oneRepMaxSql(oneRepMaxFormula, EFFECTIVE_LOAD_SQL)})`,
+  volume: `SUM(${SET_VOLUME_SQL})`
+});
 
 class DatabaseManager {
   constructor() {
@@ -23,6 +40,15 @@ class DatabaseManager {
       await this.migrateToUserAssociation(); // Add user association migration
       await this.migrateWorkoutNaming(); // Standardize workout naming
       await this.seedExercises();
+      await this.migrateExerciseGroups(); // Supersets and circuits
+      await this.migrateSetTypes(); // Set types and RPE/RIR
+      await this.migrateRestTimes(); // Rest presets and rest taken
+      await this.migrateResumableSessions(); // Pauses and drafts of active workouts
+      await this.migrateTemplates(); // Template owners and exercise targets
+      await this.migrateProgression(); // Per-exercise progression schemes
+      await this.migrateWeightUnits(); // Weights in kg with the entry unit
+      await this.migrateTrackingTypes(); // What each exercise's sets are logged with
+      await this.migrateSyncSupport(); // Change tracking for offline sync
       
       // Verify database integrity
       await this.verifyDatabaseIntegrity();
@@ -406,6 +432,298 @@ class DatabaseManager {
     }
   }
 
+  async migrateExerciseGroups() {
+    try {
+      for (const table of ['workout_exercises', 'template_exercises']) {
+        const tableInfo = await this.db.getAllAsync(`PRAGMA table_info(${table})`);
+        if (tableInfo.some(column => column.name === 'group_id')) continue;
+
+        console.log(`Adding group columns to ${table} table...`);
+        await this.db.execAsync(`ALTER TABLE ${table} ADD COLUMN group_id TEXT`);
+        await this.db.execAsync(`ALTER TABLE ${table} ADD COLUMN group_type TEXT`); // 'superset', 'circuit'
+      }
+    } catch (error) {
+      ErrorHandler.logError(error, { screen: 'Database', action: 'migrateExerciseGroups' }, 'HIGH');
+    }
+  }
+
+  async migrateSetTypes() {
+    try {
+      const tableInfo = await this.db.getAllAsync('PRAGMA table_info(sets)');
+      if (tableInfo.some(column => column.name === 'set_type')) return;
+
+      console.log('Adding set type columns to sets table...');
+      // 'warmup', 'working', 'drop', 'failure', 'amrap', 'myo_rep'; is_warmup is kept in step
+      await this.db.execAsync(`ALTER TABLE sets ADD COLUMN set_type TEXT DEFAULT '${SET_TYPES.WORKING}'`);
+      await this.db.execAsync('ALTER TABLE sets ADD COLUMN rpe REAL');
+      await this.db.execAsync('ALTER TABLE sets ADD COLUMN rir INTEGER');
+      await this.db.execAsync(`UPDATE sets SET set_type = '${SET_TYPES.WARMUP}' WHERE is_warmup = 1`);
+    } catch (error) {
+      ErrorHandler.logError(error, { screen: 'Database', action: 'migrateSetTypes' }, 'HIGH');
+    }
+  }
+
+  async migrateRestTimes() {
+    try {
+      // Rest actually taken after a set, in seconds
+      const setsInfo = await this.db.getAllAsync('PRAGMA table_info(sets)');
+      if (!setsInfo.some(column => column.name === 'rest_time')) {
+        console.log('Adding rest_time column to sets table...');
+        await this.db.execAsync('ALTER TABLE sets ADD COLUMN rest_time INTEGER');
+      }
+
+      // Per-exercise rest preset in seconds; NULL uses the default rest
+      const exercisesInfo = await this.db.getAllAsync('PRAGMA table_info(exercises)');
+      if (!exercisesInfo.some(column => column.name === 'rest_seconds')) {
+        console.log('Adding rest_seconds column to exercises table...');
+        await this.db.execAsync('ALTER TABLE exercises ADD COLUMN rest_seconds INTEGER');
+      }
+    } catch (error) {
+      ErrorHandler.logError(error, { screen: 'Database', action: 'migrateRestTimes' }, 'HIGH');
+    }
+  }
+
+  async migrateResumableSessions() {
+    try {
+      const workoutsInfo = await this.db.getAllAsync('PRAGMA table_info(workouts)');
+      if (!workoutsInfo.some(column => column.name === 'paused_at')) {
+        console.log('Adding pause columns to workouts table...');
+        await this.db.execAsync('ALTER TABLE workouts ADD COLUMN paused_at TEXT'); // ISO time, NULL while running
+        await this.db.execAsync('ALTER TABLE workouts ADD COLUMN paused_duration INTEGER DEFAULT 0'); // seconds
+      }
+
+      // Unsaved state of the active workout (set inputs, rest timer), one JSON value per key
+      await this.db.execAsync(`
+        CREATE TABLE IF NOT EXISTS workout_drafts (
+          workout_id INTEGER NOT NULL,
+          key TEXT NOT NULL,
+          value TEXT,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (workout_id, key)
+        );
+      `);
+    } catch (error) {
+      ErrorHandler.logError(error, { screen: 'Database', action: 'migrateResumableSessions' }, 'HIGH');
+    }
+  }
+
+  async migrateTemplates() {
+    try {
+      const templatesInfo = await this.db.getAllAsync('PRAGMA table_info(workout_templates)');
+      if (!templatesInfo.some(column => column.name === 'user_id')) {
+        console.log('Adding user_id column to workout_templates table...');
+        await this.db.execAsync('ALTER TABLE workout_templates ADD COLUMN user_id INTEGER');
+      }
+
+      const templateExercisesInfo = await this.db.getAllAsync('PRAGMA table_info(template_exercises)');
+      if (!templateExercisesInfo.some(column => column.name === 'target_sets')) {
+        console.log('Adding target columns to template_exercises table...');
+        await this.db.execAsync('ALTER TABLE template_exercises ADD COLUMN target_sets INTEGER');
+        await this.db.execAsync('ALTER TABLE template_exercises ADD COLUMN target_reps INTEGER');
+        await this.db.execAsync('ALTER TABLE template_exercises ADD COLUMN target_weight REAL');
+      }
+    } catch (error) {
+      ErrorHandler.logError(error, { screen: 'Database', action: 'migrateTemplates' }, 'HIGH');
+    }
+  }
+
+  async migrateProgression() {
+    try {
+      // Progression scheme and its settings as JSON; NULL uses the default scheme
+      const exercisesInfo = await this.db.getAllAsync('PRAGMA table_info(exercises)');
+      if (!exercisesInfo.some(column => column.name === 'progression')) {
+        console.log('Adding progression column to exercises table...');
+        await this.db.execAsync('ALTER TABLE exercises ADD COLUMN progression TEXT');
+      }
+    } catch (error) {
+      ErrorHandler.logError(error, { screen: 'Database', action: 'migrateProgression' }, 'HIGH');
+    }
+  }
+
+  async migrateWeightUnits() {
+    try {
+      // Weights were logged in lbs before units existed; store them in kg
+      // and keep lb as the unit they were entered in. The column marks the
+      // migration as done, so it's added in the same transaction as the
+      // conversion: an interrupted run leaves neither behind.
+      const setsInfo = await this.db.getAllAsync('PRAGMA table_info(sets)');
+      if (!setsInfo.some(column => column.name === 'weight_unit')) {
+        console.log('Adding weight_unit column to sets table...');
+        await this.db.withTransactionAsync(async () => {
+          await this.db.execAsync(`ALTER TABLE sets ADD COLUMN weight_unit TEXT DEFAULT '${WEIGHT_UNITS.KG}'`);
+          await this.db.runAsync(
+            'UPDATE sets SET weight = weight * ?, weight_unit = ?',
+            [KG_PER_LB, WEIGHT_UNITS.LB]
+          );
+          await this.db.runAsync(
+            'UPDATE template_exercises SET target_weight = target_weight * ? WHERE target_weight IS NOT NULL',
+            [KG_PER_LB]
+          );
+          // Every record but max reps scales with the weights it came from
+          await this.db.runAsync(
+            `UPDATE personal_records SET value = value * ? WHERE record_type IN ('max_weight', '1RM', 'volume')`,
+            [KG_PER_LB]
+          );
+        });
+      }
+    } catch (error) {
+      ErrorHandler.logError(error, { screen: 'Database', action: 'migrateWeightUnits' }, 'HIGH');
+    }
+  }
+
+  async migrateTrackingTypes() {
+    try {
+      // 'weight_reps', 'reps', 'time', 'distance_time', 'weighted_bodyweight',
+      // 'assisted_bodyweight'; existing exercises start from their defaults
+      const exercisesInfo = await this.db.getAllAsync('PRAGMA table_info(exercises)');
+      if (exercisesInfo.some(column => column.name === 'tracking_type')) return;
+
+      console.log('Adding tracking_type column to exercises table...');
+      await this.db.execAsync('ALTER TABLE exercises ADD COLUMN tracking_type TEXT');
+
+      const exercises = await this.db.getAllAsync(`
+        SELECT e.id, e.name, e.equipment, c.name as category
+        FROM exercises e
+        LEFT JOIN exercise_categories c ON e.category_id = c.id
+      `);
+      for (const exercise of exercises) {
+        await this.db.runAsync(
+          'UPDATE exercises SET tracking_type = ? WHERE id = ?',
+          [getDefaultTrackingType(exercise), exercise.id]
+        );
+      }
+    } catch (error) {
+      ErrorHandler.logError(error, { screen: 'Database', action: 'migrateTrackingTypes' }, 'HIGH');
+    }
+  }
+
+  async migrateSyncSupport() {
+    try {
+      // Key/value store for the device id, pull cursors and the remote-apply flag
+      await this.db.execAsync(`
+        CREATE TABLE IF NOT EXISTS sync_state (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+      `);
+
+      // Local changes waiting to be pushed; one row per write, compacted on push
+      await this.db.execAsync(`
+        CREATE TABLE IF NOT EXISTS sync_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entity_type TEXT NOT NULL, -- 'workout', 'exercise'
+          sync_id TEXT NOT NULL,
+          user_id INTEGER,
+          operation TEXT NOT NULL, -- 'upsert', 'delete'
+          changed_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+        );
+      `);
+
+      // Stable ids shared with the server
+      for (const table of ['workouts', 'exercises']) {
+        const tableInfo = await this.db.getAllAsync(`PRAGMA table_info(${table})`);
+        if (tableInfo.some(column => column.name === 'sync_id')) continue;
+
+        console.log(`Adding sync_id column to ${table} table...`);
+        await this.db.execAsync(`ALTER TABLE ${table} ADD COLUMN sync_id TEXT`);
+
+        if (table === 'exercises') {
+          // Built-in exercises get the same id on every device
+          await this.db.execAsync(`
+            UPDATE exercises SET sync_id = 'builtin-' || lower(replace(name, ' ', '-'))
+            WHERE is_custom = 0 OR is_custom IS NULL
+          `);
+        }
+
+        await this.db.execAsync(`UPDATE ${table} SET sync_id = lower(hex(randomblob(16))) WHERE sync_id IS NULL`);
+        await this.db.execAsync(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_sync_id ON ${table}(sync_id)`);
+
+        // Queue existing data for the first push
+        if (table === 'workouts') {
+          await this.db.execAsync(`
+            INSERT INTO sync_changes (entity_type, sync_id, user_id, operation)
+            SELECT 'workout', sync_id, user_id, 'upsert' FROM workouts
+          `);
+        } else {
+          await this.db.execAsync(`
+            INSERT INTO sync_changes (entity_type, sync_id, operation)
+            SELECT 'exercise', sync_id, 'upsert' FROM exercises WHERE is_custom = 1
+          `);
+        }
+      }
+
+      await this.createSyncTriggers();
+    } catch (error) {
+      ErrorHandler.logError(error, { screen: 'Database', action: 'migrateSyncSupport' }, 'HIGH');
+    }
+  }
+
+  async createSyncTriggers() {
+    // Writes made while applying pulled changes must not be pushed back
+    const notApplyingRemote = `NOT EXISTS (SELECT 1 FROM sync_state WHERE key = 'applying_remote' AND value = '1')`;
+
+    // Child rows only change their workout, so they log an upsert of the parent
+    const logWorkoutUpsert = (workoutIdExpr) => `
+      INSERT INTO sync_changes (entity_type, sync_id, user_id, operation)
+      SELECT 'workout', sync_id, user_id, 'upsert' FROM workouts
+      WHERE id = ${workoutIdExpr} AND ${notApplyingRemote};
+    `;
+    const workoutIdOfEntry = (entryIdExpr) => `(SELECT workout_id FROM workout_exercises WHERE id = ${entryIdExpr})`;
+
+    const triggers = {
+      sync_workouts_insert: `AFTER INSERT ON workouts BEGIN
+        UPDATE workouts SET sync_id = lower(hex(randomblob(16))) WHERE id = NEW.id AND sync_id IS NULL;
+        ${logWorkoutUpsert('NEW.id')}
+      END`,
+      sync_workouts_update: `AFTER UPDATE OF name, date, duration, notes, is_completed ON workouts BEGIN
+        ${logWorkoutUpsert('NEW.id')}
+      END`,
+      sync_workouts_delete: `AFTER DELETE ON workouts BEGIN
+        INSERT INTO sync_changes (entity_type, sync_id, user_id, operation)
+        SELECT 'workout', OLD.sync_id, OLD.user_id, 'delete' WHERE ${notApplyingRemote};
+      END`,
+      sync_workout_exercises_insert: `AFTER INSERT ON workout_exercises BEGIN
+        ${logWorkoutUpsert('NEW.workout_id')}
+      END`,
+      sync_workout_exercises_update: `AFTER UPDATE OF exercise_id, order_index, notes, group_id, group_type ON workout_exercises BEGIN
+        ${logWorkoutUpsert('NEW.workout_id')}
+      END`,
+      sync_workout_exercises_delete: `AFTER DELETE ON workout_exercises BEGIN
+        ${logWorkoutUpsert('OLD.workout_id')}
+      END`,
+      sync_sets_insert: `AFTER INSERT ON sets BEGIN
+        ${logWorkoutUpsert(workoutIdOfEntry('NEW.workout_exercise_id'))}
+      END`,
+      sync_sets_update: `AFTER UPDATE OF set_number, weight, weight_unit, reps, duration, distance, is_completed, is_warmup, set_type, rpe, rir, rest_time, notes ON sets BEGIN
+        ${logWorkoutUpsert(workoutIdOfEntry('NEW.workout_exercise_id'))}
+      END`,
+      sync_sets_delete: `AFTER DELETE ON sets BEGIN
+        ${logWorkoutUpsert(workoutIdOfEntry('OLD.workout_exercise_id'))}
+      END`,
+      sync_exercises_insert: `AFTER INSERT ON exercises BEGIN
+        UPDATE exercises SET sync_id = lower(hex(randomblob(16))) WHERE id = NEW.id AND sync_id IS NULL;
+        INSERT INTO sync_changes (entity_type, sync_id, operation)
+        SELECT 'exercise', sync_id, 'upsert' FROM exercises
+        WHERE id = NEW.id AND is_custom = 1 AND ${notApplyingRemote};
+      END`,
+      sync_exercises_update: `AFTER UPDATE OF name, category_id, muscle_groups, equipment, instructions, tracking_type ON exercises
+      WHEN NEW.is_custom = 1 BEGIN
+        INSERT INTO sync_changes (entity_type, sync_id, operation)
+        SELECT 'exercise', NEW.sync_id, 'upsert' WHERE ${notApplyingRemote};
+      END`,
+      sync_exercises_delete: `AFTER DELETE ON exercises WHEN OLD.is_custom = 1 BEGIN
+        INSERT INTO sync_changes (entity_type, sync_id, operation)
+        SELECT 'exercise', OLD.sync_id, 'delete' WHERE ${notApplyingRemote};
+      END`
+    };
+
+    // Recreated on every start so column lists stay in step with the schema
+    for (const [name, definition] of Object.entries(triggers)) {
+      await this.db.execAsync(`DROP TRIGGER IF EXISTS ${name};`);
+      await this.db.execAsync(`CREATE TRIGGER ${name} ${definition};`);
+    }
+  }
+
   async seedExercises() {
     // Check if exercises already exist
     const result = await this.db.getFirstAsync('SELECT COUNT(*) as count FROM exercises');
@@ -507,6 +825,10 @@ class DatabaseManager {
     return await this.db.getAllAsync(query, params);
   }
 
+  async getExercise(exerciseId) {
+    return await this.db.getFirstAsync('SELECT * FROM exercises WHERE id = ?', [exerciseId]);
+  }
+
   async getExerciseCategories() {
     return await this.db.getAllAsync('SELECT * FROM exercise_categories ORDER BY name');
   }
@@ -548,6 +870,36 @@ class DatabaseManager {
     }
   }
 
+  async pauseWorkout(workoutId, pausedAt) {
+    await this.db.runAsync('UPDATE workouts SET paused_at = ? WHERE id = ?', [pausedAt, workoutId]);
+  }
+
+  async resumeWorkout(workoutId, pausedSeconds) {
+    await this.db.runAsync(
+      'UPDATE workouts SET paused_at = NULL, paused_duration = COALESCE(paused_duration, 0) + ? WHERE id = ?',
+      [pausedSeconds, workoutId]
+    );
+  }
+
+  async saveWorkoutDraft(workoutId, key, value) {
+    await this.db.runAsync(
+      'INSERT OR REPLACE INTO workout_drafts (workout_id, key, value, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+      [workoutId, key, JSON.stringify(value)]
+    );
+  }
+
+  async getWorkoutDraft(workoutId, key) {
+    const row = await this.db.getFirstAsync(
+      'SELECT value FROM workout_drafts WHERE workout_id = ? AND key = ?',
+      [workoutId, key]
+    );
+    return row?.value ? JSON.parse(row.value) : null;
+  }
+
+  async deleteWorkoutDrafts(workoutId) {
+    await this.db.runAsync('DELETE FROM workout_drafts WHERE workout_id = ?', [workoutId]);
+  }
+
   async getWorkoutHistory(userId, limit = 50) {
     try {
       // Get all completed workouts, including those without exercises
@@ -562,9 +914,10 @@ class DatabaseManager {
           w.user_id,
           COUNT(DISTINCT we.id) as exercise_count,
           COUNT(DISTINCT s.id) as set_count,
-          COALESCE(SUM(CASE WHEN s.is_completed = 1 THEN s.weight * s.reps ELSE 0 END), 0) as total_volume
+          COALESCE(SUM(CASE WHEN s.is_completed = 1 THEN ${SET_VOLUME_SQL} ELSE 0 END), 0) as total_volume
         FROM workouts w
         LEFT JOIN workout_exercises we ON w.id = we.workout_id
+        LEFT JOIN exercises e ON we.exercise_id = e.id
         LEFT JOIN sets s ON we.id = s.workout_exercise_id
         WHERE w.is_completed = 1 
           AND w.user_id = ? 
@@ -595,9 +948,10 @@ class DatabaseManager {
           w.user_id,
           COUNT(DISTINCT we.id) as exercise_count,
           COUNT(DISTINCT s.id) as set_count,
-          COALESCE(SUM(CASE WHEN s.is_completed = 1 THEN s.weight * s.reps ELSE 0 END), 0) as total_volume
+          COALESCE(SUM(CASE WHEN s.is_completed = 1 THEN ${SET_VOLUME_SQL} ELSE 0 END), 0) as total_volume
         FROM workouts w
         LEFT JOIN workout_exercises we ON w.id = we.workout_id
+        LEFT JOIN exercises e ON we.exercise_id = e.id
         LEFT JOIN sets s ON we.id = s.workout_exercise_id
         WHERE w.is_completed = 1 
           AND w.user_id = ? 
@@ -622,9 +976,48 @@ class DatabaseManager {
     return result.lastInsertRowId;
   }
 
+  async groupWorkoutExercises(workoutExerciseIds, groupType) {
+    const groupId = Crypto.randomUUID();
+    const placeholders = workoutExerciseIds.map(() => '?').join(', ');
+    await this.db.runAsync(
+      `UPDATE workout_exercises SET group_id = ?, group_type = ? WHERE id IN (${placeholders})`,
+      [groupId, groupType, ...workoutExerciseIds]
+    );
+    return groupId;
+  }
+
+  async ungroupWorkoutExercises(workoutExerciseIds) {
+    const placeholders = workoutExerciseIds.map(() => '?').join(', ');
+    await this.db.runAsync(
+      `UPDATE workout_exercises SET group_id = NULL, group_type = NULL WHERE id IN (${placeholders})`,
+      workoutExerciseIds
+    );
+  }
+
+  async updateWorkoutExerciseOrder(workoutExerciseId, orderIndex) {
+    await this.db.runAsync(
+      'UPDATE workout_exercises SET order_index = ? WHERE id = ?',
+      [orderIndex, workoutExerciseId]
+    );
+  }
+
+  // Write back the exercise, position and group of a workout exercise row
+  async updateWorkoutExerciseValues(workoutExercise) {
+    await this.db.runAsync(
+      'UPDATE workout_exercises SET exercise_id = ?, order_index = ?, group_id = ?, group_type = ? WHERE id = ?',
+      [
+        workoutExercise.exercise_id,
+        workoutExercise.order_index,
+        workoutExercise.group_id ?? null,
+        workoutExercise.group_type ?? null,
+        workoutExercise.id
+      ]
+    );
+  }
+
   async getWorkoutExercises(workoutId) {
     return await this.db.getAllAsync(`
-      SELECT we.*, e.name as exercise_name, e.muscle_groups 
+      SELECT we.*, e.name as exercise_name, e.muscle_groups, e.equipment, e.rest_seconds, e.progression, e.tracking_type
       FROM workout_exercises we 
       JOIN exercises e ON we.exercise_id = e.id 
       WHERE we.workout_id = ? 
@@ -653,6 +1046,8 @@ class DatabaseManager {
         throw error;
       }
       
+      const exerciseIds = await this.getWorkoutExerciseIds(workoutId);
+
       // Delete sets first
       await this.db.runAsync(`
         DELETE FROM sets 
@@ -663,9 +1058,12 @@ class DatabaseManager {
       
       // Delete workout exercises
       await this.db.runAsync('DELETE FROM workout_exercises WHERE workout_id = ?', [workoutId]);
+      await this.db.runAsync('DELETE FROM workout_drafts WHERE workout_id = ?', [workoutId]);
+      await this.db.runAsync('DELETE FROM personal_records WHERE workout_id = ?', [workoutId]);
       
       // Delete workout
       await this.db.runAsync('DELETE FROM workouts WHERE id = ? AND user_id = ?', [workoutId, userId]);
+      await this.recalculatePersonalRecords(userId, exerciseIds);
       
       // Log successful deletion for audit trail (using console.log for info-level logging)
       if (__DEV__) {
@@ -677,11 +1075,157 @@ class DatabaseManager {
     }
   }
 
+  async getWorkout(workoutId, userId) {
+    return await this.db.getFirstAsync(
+      'SELECT * FROM workouts WHERE id = ? AND user_id = ?',
+      [workoutId, userId]
+    );
+  }
+
+  // Bodyweight in kg of a user on a date, 0 when it isn't known
+  async getBodyweight(userId, date) {
+    const result = await this.db.getFirstAsync(
+      `SELECT ${bodyweightSql('p.user_id', 'p.date')} as bodyweight FROM (SELECT ? as user_id, ? as date) p`,
+      [userId, date]
+    );
+    return result?.bodyweight || 0;
+  }
+
+  async getWorkoutExerciseIds(workoutId) {
+    const rows = await this.db.getAllAsync(
+      'SELECT DISTINCT exercise_id FROM workout_exercises WHERE workout_id = ?',
+      [workoutId]
+    );
+    return rows.map(row => row.exercise_id);
+  }
+
+  /**
+   * Save an edited completed workout. Its exercises and sets are replaced by
+   * the given ones in their array order; rows that already existed keep their
+   * ids. Personal records of every exercise in it before or after are
+   * recalculated.
+   * @param {number} workoutId - Workout to save
+   * @param {number} userId - Owner of the workout
+   * @param {Object} workout - name, date (SQLite datetime), duration (seconds),
+   *   notes and exercises as workout exercise rows with their sets
+   */
+  async updateCompletedWorkout(workoutId, userId, { name, date, duration, notes, exercises }) {
+    try {
+      const workout = await this.getWorkout(workoutId, userId);
+      if (!workout) {
+        const error = new Error('Workout not found or access denied');
+        error.code = 'WORKOUT_ACCESS_DENIED';
+        throw error;
+      }
+
+      const previousExerciseIds = await this.getWorkoutExerciseIds(workoutId);
+
+      // All or nothing: a failure halfway must not leave the workout without its sets
+      await this.db.withTransactionAsync(async () => {
+        await this.db.runAsync(
+          'UPDATE workouts SET name = ?, date = ?, duration = ?, notes = ? WHERE id = ?',
+          [name, date, duration, notes || null, workoutId]
+        );
+        await this.db.runAsync(
+          'DELETE FROM sets WHERE workout_exercise_id IN (SELECT id FROM workout_exercises WHERE workout_id = ?)',
+          [workoutId]
+        );
+        await this.db.runAsync('DELETE FROM workout_exercises WHERE workout_id = ?', [workoutId]);
+
+        for (const [index, exercise] of exercises.entries()) {
+          const result = await this.db.runAsync(
+            'INSERT INTO workout_exercises (id, workout_id, exercise_id, order_index, notes, group_id, group_type) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [
+              exercise.id ?? null,
+              workoutId,
+              exercise.exercise_id,
+              index,
+              exercise.notes ?? null,
+              exercise.group_id ?? null,
+              exercise.group_type ?? null
+            ]
+          );
+          const workoutExerciseId = exercise.id ?? result.lastInsertRowId;
+
+          for (const [setIndex, set] of exercise.sets.entries()) {
+            await this.insertSetRow(workoutExerciseId, { ...set, set_number: setIndex + 1 });
+          }
+        }
+
+        await this.recalculatePersonalRecords(userId, [
+          ...previousExerciseIds,
+          ...exercises.map(exercise => exercise.exercise_id)
+        ]);
+      });
+    } catch (error) {
+      const result = ErrorHandler.handleDatabaseError(error, { screen: 'Database', action: 'updateCompletedWorkout', userId });
+      throw new Error(result.message);
+    }
+  }
+
+  /**
+   * Rebuild the personal records of exercises from the user's completed
+   * workouts. Warm-ups and drop sets don't count, and each record points at
+   * the first workout that reached it.
+   * @param {number} userId - Owner of the records
+   * @param {Array<number>} exerciseIds - Exercises to rebuild; repeats are fine
+   */
+  async recalculatePersonalRecords(userId, exerciseIds) {
+    const recordValues = personalRecordValues(await getOneRepMaxFormula(userId));
+
+    for (const exerciseId of new Set(exerciseIds)) {
+      await this.db.runAsync(
+        'DELETE FROM personal_records WHERE exercise_id = ? AND user_id = ?',
+        [exerciseId, userId]
+      );
+
+      for (const [recordType, valueExpr] of Object.entries(recordValues)) {
+        const best = await this.db.getFirstAsync(`
+          SELECT ${valueExpr} as value, w.id as workout_id, w.date
+          FROM sets s
+          JOIN workout_exercises we ON s.workout_exercise_id = we.id
+          JOIN workouts w ON we.workout_id = w.id
+          JOIN exercises e ON we.exercise_id = e.id
+          WHERE we.exercise_id = ? AND w.user_id = ? AND w.is_completed = 1 AND ${TOP_SET_CONDITION}
+          GROUP BY w.id
+          HAVING value > 0
+          ORDER BY value DESC, w.date ASC
+          LIMIT 1
+        `, [exerciseId, userId]);
+
+        if (best) {
+          await this.db.runAsync(
+            'INSERT INTO personal_records (user_id, exercise_id, record_type, value, date, workout_id) VALUES (?, ?, ?, ?, ?, ?)',
+            [userId, exerciseId, recordType, best.value, best.date, best.workout_id]
+          );
+        }
+      }
+    }
+  }
+
+  // Rebuild every personal record of a user, e.g. after a change of 1RM formula
+  async recalculateAllPersonalRecords(userId) {
+    const rows = await this.db.getAllAsync(`
+      SELECT DISTINCT we.exercise_id
+      FROM workout_exercises we
+      JOIN workouts w ON we.workout_id = w.id
+      WHERE w.user_id = ? AND w.is_completed = 1
+    `, [userId]);
+    await this.recalculatePersonalRecords(userId, rows.map(row => row.exercise_id));
+  }
+
   // Sets methods
-  async addSet(workoutExerciseId, setNumber, weight, reps, isWarmup = false) {
+  // Weights are in kg; weightUnit is the unit the user entered them in
+  async addSet(workoutExerciseId, setNumber, weight, reps, setType = SET_TYPES.WORKING, {
+    rpe = null,
+    rir = null,
+    weightUnit = WEIGHT_UNITS.KG,
+    duration = null,
+    distance = null
+  } = {}) {
     const result = await this.db.runAsync(
-      'INSERT INTO sets (workout_exercise_id, set_number, weight, reps, is_warmup, is_completed) VALUES (?, ?, ?, ?, ?, ?)',
-      [workoutExerciseId, setNumber, weight, reps, isWarmup, true]
+      'INSERT INTO sets (workout_exercise_id, set_number, weight, weight_unit, reps, duration, distance, is_warmup, set_type, rpe, rir, is_completed) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [workoutExerciseId, setNumber, weight, weightUnit, reps, duration, distance, setType === SET_TYPES.WARMUP, setType, rpe, rir, true]
     );
     return result.lastInsertRowId;
   }
@@ -693,10 +1237,50 @@ class DatabaseManager {
     );
   }
 
-  async updateSet(setId, weight, reps) {
+  async updateSet(setId, weight, reps, weightUnit = WEIGHT_UNITS.KG) {
+    await this.db.runAsync(
+      'UPDATE sets SET weight = ?, weight_unit = ?, reps = ? WHERE id = ?',
+      [weight, weightUnit, reps, setId]
+    );
+  }
+
+  // Unit of the user's most recently logged set, if any
+  async getLastWeightUnit(userId) {
+    const row = await this.db.getFirstAsync(`
+      SELECT s.weight_unit
+      FROM sets s
+      JOIN workout_exercises we ON s.workout_exercise_id = we.id
+      JOIN workouts w ON we.workout_id = w.id
+      WHERE w.user_id = ? AND s.weight_unit IS NOT NULL
+      ORDER BY s.id DESC
+      LIMIT 1
+    `, [userId]);
+    return row?.weight_unit || null;
+  }
+
+  async updateSetDetails(setId, setType, rpe = null, rir = null) {
+    await this.db.runAsync(
+      'UPDATE sets SET set_type = ?, is_warmup = ?, rpe = ?, rir = ? WHERE id = ?',
+      [setType, setType === SET_TYPES.WARMUP, rpe, rir, setId]
+    );
+  }
+
+  async updateSetRestTime(setId, restTime) {
+    await this.db.runAsync('UPDATE sets SET rest_time = ? WHERE id = ?', [restTime, setId]);
+  }
+
+  async setExerciseRestTime(exerciseId, restSeconds) {
+    await this.db.runAsync('UPDATE exercises SET rest_seconds = ? WHERE id = ?', [restSeconds, exerciseId]);
+  }
+
+  async setExerciseTrackingType(exerciseId, trackingType) {
+    await this.db.runAsync('UPDATE exercises SET tracking_type = ? WHERE id = ?', [trackingType, exerciseId]);
+  }
+
+  async setExerciseProgression(exerciseId, settings) {
     await this.db.runAsync(
-      'UPDATE sets SET weight = ?, reps = ? WHERE id = ?',
-      [weight, reps, setId]
+      'UPDATE exercises SET progression = ? WHERE id = ?',
+      [settings ? JSON.stringify(settings) : null, exerciseId]
     );
   }
 
@@ -704,6 +1288,76 @@ class DatabaseManager {
     await this.db.runAsync('DELETE FROM sets WHERE id = ?', [setId]);
   }
 
+  // Write back every logged value of a set row, e.g. to undo an edit
+  async updateSetValues(set) {
+    await this.db.runAsync(
+      'UPDATE sets SET weight = ?, weight_unit = ?, reps = ?, duration = ?, distance = ?, set_type = ?, is_warmup = ?, rpe = ?, rir = ?, rest_time = ? WHERE id = ?',
+      [
+        set.weight,
+        set.weight_unit || WEIGHT_UNITS.KG,
+        set.reps,
+        set.duration ?? null,
+        set.distance ?? null,
+        getSetType(set),
+        getSetType(set) === SET_TYPES.WARMUP,
+        set.rpe ?? null,
+        set.rir ?? null,
+        set.rest_time ?? null,
+        set.id
+      ]
+    );
+  }
+
+  // Insert a full set row; a set with an id, e.g. one being put back by
+  // undo, keeps it and one without gets a new id
+  async insertSetRow(workoutExerciseId, set) {
+    const result = await this.db.runAsync(
+      'INSERT INTO sets (id, workout_exercise_id, set_number, weight, weight_unit, reps, duration, distance, is_warmup, set_type, rpe, rir, rest_time, notes, is_completed) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        set.id ?? null,
+        workoutExerciseId,
+        set.set_number,
+        set.weight,
+        set.weight_unit || WEIGHT_UNITS.KG,
+        set.reps,
+        set.duration ?? null,
+        set.distance ?? null,
+        getSetType(set) === SET_TYPES.WARMUP,
+        getSetType(set),
+        set.rpe ?? null,
+        set.rir ?? null,
+        set.rest_time ?? null,
+        set.notes ?? null,
+        set.is_completed ?? true
+      ]
+    );
+    return set.id ?? result.lastInsertRowId;
+  }
+
+  async deleteWorkoutExercise(workoutExerciseId) {
+    await this.db.runAsync('DELETE FROM sets WHERE workout_exercise_id = ?', [workoutExerciseId]);
+    await this.db.runAsync('DELETE FROM workout_exercises WHERE id = ?', [workoutExerciseId]);
+  }
+
+  // Put a removed workout exercise and its sets back under their own ids
+  async restoreWorkoutExercise(workoutId, workoutExercise, sets = []) {
+    await this.db.runAsync(
+      'INSERT INTO workout_exercises (id, workout_id, exercise_id, order_index, notes, group_id, group_type) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [
+        workoutExercise.id,
+        workoutId,
+        workoutExercise.exercise_id,
+        workoutExercise.order_index,
+        workoutExercise.notes ?? null,
+        workoutExercise.group_id ?? null,
+        workoutExercise.group_type ?? null
+      ]
+    );
+    for (const set of sets) {
+      await this.insertSetRow(workoutExercise.id, set);
+    }
+  }
+
   // Progress tracking
   async getExerciseHistory(exerciseId, userId, limit = 10) {
     try {
@@ -737,27 +1391,61 @@ class DatabaseManager {
   // Workout completion
   async completeWorkout(workoutId, duration) {
     await this.db.runAsync(
-      'UPDATE workouts SET is_completed = 1, duration = ? WHERE id = ?',
+      'UPDATE workouts SET is_completed = 1, duration = ?, paused_at = NULL WHERE id = ?',
       [duration, workoutId]
     );
+    await this.deleteWorkoutDrafts(workoutId);
+
+    const workout = await this.db.getFirstAsync('SELECT user_id FROM workouts WHERE id = ?', [workoutId]);
+    if (workout) {
+      await this.recalculatePersonalRecords(workout.user_id, await this.getWorkoutExerciseIds(workoutId));
+    }
   }
 
   // Template methods
-  async getWorkoutTemplates() {
-    return await this.db.getAllAsync('SELECT * FROM workout_templates ORDER BY name');
+  // Templates created before templates had owners are shared by all users
+  async getWorkoutTemplates(userId = null) {
+    return await this.db.getAllAsync(`
+      SELECT t.*, COUNT(te.id) as exercise_count
+      FROM workout_templates t
+      LEFT JOIN template_exercises te ON te.template_id = t.id
+      WHERE t.user_id = ? OR t.user_id IS NULL
+      GROUP BY t.id
+      ORDER BY t.name
+    `, [userId]);
+  }
+
+  async getTemplate(templateId) {
+    return await this.db.getFirstAsync('SELECT * FROM workout_templates WHERE id = ?', [templateId]);
   }
 
-  async createTemplate(name, description) {
+  async createTemplate(name, description, userId = null) {
     const result = await this.db.runAsync(
-      'INSERT INTO workout_templates (name, description) VALUES (?, ?)',
-      [name, description]
+      'INSERT INTO workout_templates (name, description, user_id) VALUES (?, ?, ?)',
+      [name, description, userId]
     );
     return result.lastInsertRowId;
   }
 
+  async updateTemplate(templateId, name, description) {
+    await this.db.runAsync(
+      'UPDATE workout_templates SET name = ?, description = ? WHERE id = ?',
+      [name, description, templateId]
+    );
+  }
+
+  async deleteTemplate(templateId) {
+    // Workouts started from the template keep their data
+    await this.db.withTransactionAsync(async () => {
+      await this.db.runAsync('UPDATE workouts SET template_id = NULL WHERE template_id = ?', [templateId]);
+      await this.db.runAsync('DELETE FROM template_exercises WHERE template_id = ?', [templateId]);
+      await this.db.runAsync('DELETE FROM workout_templates WHERE id = ?', [templateId]);
+    });
+  }
+
   async getTemplateExercises(templateId) {
     return await this.db.getAllAsync(`
-      SELECT te.*, e.name as exercise_name, e.muscle_groups
+      SELECT te.*, e.name as exercise_name, e.muscle_groups, e.rest_seconds
       FROM template_exercises te
       JOIN exercises e ON te.exercise_id = e.id
       WHERE te.template_id = ?
@@ -765,6 +1453,60 @@ class DatabaseManager {
     `, [templateId]);
   }
 
+  // Replace the exercises of a template; their order is the array order
+  async saveTemplateExercises(templateId, exercises) {
+    await this.db.withTransactionAsync(async () => {
+      await this.db.runAsync('DELETE FROM template_exercises WHERE template_id = ?', [templateId]);
+
+      for (const [index, exercise] of exercises.entries()) {
+        await this.db.runAsync(
+          `INSERT INTO template_exercises
+            (template_id, exercise_id, order_index, target_sets, target_reps, target_weight, group_id, group_type)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            templateId,
+            exercise.exercise_id,
+            index,
+            exercise.target_sets ?? null,
+            exercise.target_reps ?? null,
+            exercise.target_weight ?? null,
+            exercise.group_id ?? null,
+            exercise.group_type ?? null
+          ]
+        );
+      }
+    });
+  }
+
+  // New template with the exercises, groups and logged working sets of a workout as targets
+  async saveWorkoutAsTemplate(workoutId, name, description, userId) {
+    const workoutExercises = await this.getWorkoutExercises(workoutId);
+    const exercises = [];
+
+    for (const workoutExercise of workoutExercises) {
+      const sets = await this.getSets(workoutExercise.id);
+      exercises.push({ ...workoutExercise, ...targetsFromSets(sets) });
+    }
+
+    const templateId = await this.createTemplate(name, description, userId);
+    await this.saveTemplateExercises(templateId, exercises);
+    return templateId;
+  }
+
+  // Sets of an exercise in the user's most recent completed workout that has it
+  async getLastSessionSets(exerciseId, userId) {
+    const lastEntry = await this.db.getFirstAsync(`
+      SELECT we.id
+      FROM workout_exercises we
+      JOIN workouts w ON we.workout_id = w.id
+      WHERE we.exercise_id = ? AND w.user_id = ? AND w.is_completed = 1
+      ORDER BY w.date DESC
+      LIMIT 1
+    `, [exerciseId, userId]);
+
+    return lastEntry ? await this.getSets(lastEntry.id) : [];
+  }
+
   // Additional methods for analytics
   async runAsync(query, params = []) {
     return await this.db.runAsync(query, params);
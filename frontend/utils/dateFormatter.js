@@ -27,6 +27,23 @@ export const parseSQLiteDate = (date) => {
   return new Date(date);
 };
 
+/**
+ * Format a date in the local SQLite datetime format used for stored dates
+ * @param {Date|string} date - Date object or date string
+ * @returns {string} Local datetime string (e.g., "2025-07-22 18:30:00")
+ */
+export const toSQLiteDateTime = (date) => {
+  const dateObj = date instanceof Date ? date : new Date(date);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return dateObj.getFullYear() + '-' +
+         pad(dateObj.getMonth() + 1) + '-' +
+         pad(dateObj.getDate()) + ' ' +
+         pad(dateObj.getHours()) + ':' +
+         pad(dateObj.getMinutes()) + ':' +
+         pad(dateObj.getSeconds());
+};
+
 /**
  * Format date to a friendly readable format
  * @param {Date|string} date - Date object or date string
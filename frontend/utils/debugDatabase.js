@@ -1,4 +1,5 @@
 import DatabaseManager from './database';
+import { SET_TYPES } from './setTypes';
 
 export class DebugDatabase {
   /**
@@ -87,7 +88,7 @@ export class DebugDatabase {
               k + 1,
               weight,
               reps,
-              isWarmup
+              isWarmup ? SET_TYPES.WARMUP : SET_TYPES.WORKING
             );
           }
         }
@@ -1,4 +1,5 @@
 import DatabaseManager from './database';
+import { DEFAULT_ONE_REP_MAX_FORMULA, oneRepMaxSql } from './oneRepMax';
 
 export class EnhancedQueries {
   // Get comprehensive workout statistics for analytics
@@ -14,8 +15,7 @@ export class EnhancedQueries {
         w.duration,
         COUNT(DISTINCT we.exercise_id) as exercise_count,
         COUNT(s.id) as total_sets,
-        SUM(CASE WHEN s.is_warmup = 0 THEN s.weight * s.reps ELSE 0 END) as working_volume,
-        SUM(s.weight * s.reps) as total_volume,
+        SUM(CASE WHEN s.is_warmup = 0 THEN s.weight * s.reps ELSE 0 END) as total_volume,
         AVG(s.weight) as avg_weight,
         AVG(s.reps) as avg_reps,
         MAX(s.weight) as max_weight,
@@ -69,7 +69,7 @@ export class EnhancedQueries {
   }
 
   // Get exercise progression data
-  static async getExerciseProgression(exerciseId, timeframeDays = 90) {
+  static async getExerciseProgression(exerciseId, timeframeDays = 90, formula = DEFAULT_ONE_REP_MAX_FORMULA) {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - timeframeDays);
 
@@ -81,7 +81,7 @@ export class EnhancedQueries {
         s.weight,
         s.reps,
         s.weight * s.reps as volume,
-        s.weight * (1 + s.reps / 30) as estimated_1rm,
+        ${oneRepMaxSql(formula)} as estimated_1rm,
         s.set_number,
         ROW_NUMBER() OVER (PARTITION BY w.id ORDER BY s.weight DESC, s.reps DESC) as set_rank,
         LAG(s.weight) OVER (ORDER BY w.date, s.set_number) as prev_weight,
@@ -104,7 +104,7 @@ export class EnhancedQueries {
   }
 
   // Get personal records with detailed history
-  static async getPersonalRecordsDetailed() {
+  static async getPersonalRecordsDetailed(formula = DEFAULT_ONE_REP_MAX_FORMULA) {
     const query = `
       SELECT 
         e.id as exercise_id,
@@ -114,7 +114,7 @@ export class EnhancedQueries {
         MAX(s.weight) as max_weight,
         MAX(s.reps) as max_reps,
         MAX(s.weight * s.reps) as max_volume,
-        MAX(s.weight * (1 + s.reps / 30)) as estimated_1rm,
+        MAX(${oneRepMaxSql(formula)}) as estimated_1rm,
         COUNT(DISTINCT w.id) as workout_count,
         COUNT(s.id) as total_sets,
         AVG(s.weight) as avg_weight,
@@ -145,14 +145,14 @@ export class EnhancedQueries {
   }
 
   // Get strength ratios data
-  static async getStrengthRatioData() {
+  static async getStrengthRatioData(formula = DEFAULT_ONE_REP_MAX_FORMULA) {
     const exerciseMaxes = {};
     
     // Get max estimated 1RM for each exercise
     const query = `
       SELECT 
         e.name as exercise_name,
-        MAX(s.weight * (1 + s.reps / 30)) as estimated_1rm,
+        MAX(${oneRepMaxSql(formula)}) as estimated_1rm,
         MAX(s.weight) as max_weight,
         MAX(s.reps) as max_reps_at_max_weight,
         COUNT(s.id) as total_sets
@@ -281,7 +281,7 @@ export class EnhancedQueries {
   }
 
   // Get performance consistency metrics
-  static async getPerformanceConsistency(exerciseId, timeframeDays = 60) {
+  static async getPerformanceConsistency(exerciseId, timeframeDays = 60, formula = DEFAULT_ONE_REP_MAX_FORMULA) {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - timeframeDays);
 
@@ -291,7 +291,7 @@ export class EnhancedQueries {
         s.weight,
         s.reps,
         s.weight * s.reps as volume,
-        s.weight * (1 + s.reps / 30) as estimated_1rm,
+        ${oneRepMaxSql(formula)} as estimated_1rm,
         AVG(s.weight * s.reps) OVER (
           ORDER BY w.date 
           ROWS BETWEEN 2 PRECEDING AND 2 FOLLOWING
@@ -355,8 +355,8 @@ export class EnhancedQueries {
         w.duration,
         COUNT(DISTINCT we.exercise_id) as exercise_count,
         COUNT(s.id) as total_sets,
-        SUM(s.weight * s.reps) as total_volume,
-        SUM(s.weight * s.reps) / w.duration as volume_per_minute,
+        SUM(CASE WHEN s.is_warmup = 0 THEN s.weight * s.reps ELSE 0 END) as total_volume,
+        SUM(CASE WHEN s.is_warmup = 0 THEN s.weight * s.reps ELSE 0 END) / w.duration as volume_per_minute,
         AVG(s.weight / (SELECT MAX(weight) FROM sets s2 
              JOIN workout_exercises we2 ON s2.workout_exercise_id = we2.id 
              WHERE we2.exercise_id = we.exercise_id)) * 100 as avg_intensity_percent,
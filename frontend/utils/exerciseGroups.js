@@ -0,0 +1,114 @@
+/**
+ * Superset and circuit helpers
+ *
+ * Grouped workout exercises share a group_id and a group_type and sit next
+ * to each other in order_index. One round is one set of every member.
+ */
+
+export const GROUP_TYPES = {
+  SUPERSET: 'superset',
+  CIRCUIT: 'circuit'
+};
+
+/**
+ * Members of the group an exercise belongs to, in workout order
+ * @param {Array} exercises - Workout or template exercises
+ * @param {string} groupId - Group id
+ * @returns {Array} Grouped exercises
+ */
+export const getGroupMembers = (exercises, groupId) => {
+  if (!groupId) return [];
+  return exercises
+    .filter(exercise => exercise.group_id === groupId)
+    .sort((a, b) => a.order_index - b.order_index);
+};
+
+/**
+ * Where the logger goes after a set of the given exercise is logged
+ * @param {Array} exercises - Workout exercises
+ * @param {number} workoutExerciseId - Exercise the set was logged for
+ * @returns {{ next: Object|null, roundComplete: boolean }} Next exercise to log
+ *   and whether the round (and with it the rest period) is over
+ */
+export const getNextInGroup = (exercises, workoutExerciseId) => {
+  const current = exercises.find(exercise => exercise.id === workoutExerciseId);
+  const members = getGroupMembers(exercises, current?.group_id);
+
+  if (members.length < 2) {
+    return { next: null, roundComplete: true };
+  }
+
+  const index = members.findIndex(member => member.id === workoutExerciseId);
+  const roundComplete = index === members.length - 1;
+  return { next: members[roundComplete ? 0 : index + 1], roundComplete };
+};
+
+/**
+ * Move the given exercises next to each other, starting at the position of
+ * the first one, keeping the order of everything else
+ * @param {Array} exercises - Workout exercises
+ * @param {Array<number>} memberIds - Exercises being grouped
+ * @returns {Array} Exercises with renumbered order_index
+ */
+export const orderForGroup = (exercises, memberIds) => {
+  const sorted = [...exercises].sort((a, b) => a.order_index - b.order_index);
+  const members = sorted.filter(exercise => memberIds.includes(exercise.id));
+  const firstIndex = sorted.findIndex(exercise => memberIds.includes(exercise.id));
+
+  const others = sorted.filter(exercise => !memberIds.includes(exercise.id));
+  others.splice(firstIndex, 0, ...members);
+
+  return others.map((exercise, index) => ({ ...exercise, order_index: index }));
+};
+
+/**
+ * Put exercises in a new order. Members of a group are kept next to each
+ * other, at the position of whichever member comes first.
+ * @param {Array} exercises - Workout exercises
+ * @param {Array<number>} orderedIds - Exercise ids in their new order
+ * @returns {Array} Exercises with renumbered order_index
+ */
+export const applyExerciseOrder = (exercises, orderedIds) => {
+  let ordered = orderedIds
+    .map(id => exercises.find(exercise => exercise.id === id))
+    .filter(Boolean)
+    .map((exercise, index) => ({ ...exercise, order_index: index }));
+
+  new Set(ordered.map(exercise => exercise.group_id).filter(Boolean)).forEach(groupId => {
+    ordered = orderForGroup(ordered, getGroupMembers(ordered, groupId).map(member => member.id));
+  });
+  return ordered;
+};
+
+/**
+ * Labels in the style of "A1", "A2", "B1" for grouped exercises
+ * @param {Array} exercises - Workout or template exercises
+ * @returns {Object} Label per exercise id; ungrouped exercises have none
+ */
+export const getGroupLabels = (exercises) => {
+  const labels = {};
+  const letters = {};
+
+  [...exercises]
+    .sort((a, b) => a.order_index - b.order_index)
+    .forEach(exercise => {
+      if (!exercise.group_id) return;
+      if (!letters[exercise.group_id]) {
+        letters[exercise.group_id] = { letter: String.fromCharCode(65 + Object.keys(letters).length), count: 0 };
+      }
+      const group = letters[exercise.group_id];
+      group.count += 1;
+      labels[exercise.id] = `${group.letter}${group.count}`;
+    });
+
+  return labels;
+};
+
+/**
+ * Display name of a group type
+ * @param {string} groupType - 'superset' or 'circuit'
+ * @returns {string} Display name
+ */
+export const formatGroupType = (groupType) => (
+  groupType === GROUP_TYPES.CIRCUIT ? 'Circuit' : 'Superset'
+);
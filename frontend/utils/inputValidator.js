@@ -1,4 +1,16 @@
 import { Alert } from 'react-native';
+import { TRACKING_TYPES, getTrackingTypeOption } from './trackingTypes';
+
+const SET_FIELD_LABELS = {
+  weight: 'Weight',
+  reps: 'Reps',
+  duration: 'Time',
+  distance: 'Distance'
+};
+
+// Longest set in seconds: an hour for holds, a day for distance work
+const MAX_SET_DURATION = 3600;
+const MAX_DISTANCE_SET_DURATION = 86400;
 
 /**
  * Input Validation and Sanitization Manager
@@ -204,12 +216,24 @@ class InputValidator {
 
   /**
    * Validate and sanitize set data
+   * @param {Object} setData - Set fields
+   * @param {string|null} trackingType - Tracking type of the exercise; when
+   *   given, the fields it needs must be above 0
    */
-  validateSetData(setData) {
+  validateSetData(setData, trackingType = null) {
     const errors = [];
     const sanitized = {};
 
     try {
+      if (trackingType) {
+        getTrackingTypeOption(trackingType).required.forEach(field => {
+          const value = parseFloat(setData[field]);
+          if (setData[field] === undefined || setData[field] === null || !(value > 0)) {
+            errors.push(`${SET_FIELD_LABELS[field]} is required`);
+          }
+        });
+      }
+
       // Validate workout_exercise_id
       if (setData.workout_exercise_id !== undefined) {
         const id = parseInt(setData.workout_exercise_id);
@@ -243,8 +267,9 @@ class InputValidator {
       // Validate duration
       if (setData.duration !== undefined) {
         const duration = parseInt(setData.duration);
-        if (isNaN(duration) || duration < 0 || duration > 3600) { // Max 1 hour per set
-          errors.push('Set duration must be between 0 and 3600 seconds');
+        const maxDuration = trackingType === TRACKING_TYPES.DISTANCE_TIME ? MAX_DISTANCE_SET_DURATION : MAX_SET_DURATION;
+        if (isNaN(duration) || duration < 0 || duration > maxDuration) {
+          errors.push(`Set duration must be between 0 and ${maxDuration} seconds`);
         } else {
           sanitized.duration = duration;
         }
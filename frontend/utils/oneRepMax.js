@@ -0,0 +1,110 @@
+/**
+ * One-rep max estimation
+ *
+ * Every estimated 1RM, in analytics, records and progression, comes from
+ * here with the formula the user picked. Sets above MAX_ESTIMATE_REPS count
+ * as that many reps, since the formulas drift apart and overestimate on
+ * high-rep sets. The RPE chart estimate reads the share of 1RM a set was
+ * lifted at from its reps plus the reps left in reserve (RIR, or 10 - RPE).
+ */
+
+import { getData, storeData } from './storage';
+
+const FORMULA_KEY = 'one_rep_max_formula';
+
+export const ONE_REP_MAX_FORMULAS = {
+  EPLEY: 'epley',
+  BRZYCKI: 'brzycki',
+  LOMBARDI: 'lombardi',
+  MAYHEW: 'mayhew',
+  WATHAN: 'wathan',
+  RPE: 'rpe'
+};
+
+export const ONE_REP_MAX_FORMULA_OPTIONS = [
+  { formula: ONE_REP_MAX_FORMULAS.EPLEY, label: 'Epley' },
+  { formula: ONE_REP_MAX_FORMULAS.BRZYCKI, label: 'Brzycki' },
+  { formula: ONE_REP_MAX_FORMULAS.LOMBARDI, label: 'Lombardi' },
+  { formula: ONE_REP_MAX_FORMULAS.MAYHEW, label: 'Mayhew' },
+  { formula: ONE_REP_MAX_FORMULAS.WATHAN, label: 'Wathan' },
+  { formula: ONE_REP_MAX_FORMULAS.RPE, label: 'RPE chart' }
+];
+
+export const DEFAULT_ONE_REP_MAX_FORMULA = ONE_REP_MAX_FORMULAS.EPLEY;
+
+// Reps counted at most; beyond this estimates aren't reliable
+export const MAX_ESTIMATE_REPS = 12;
+
+// Percent of 1RM for 1 to MAX_ESTIMATE_REPS reps taken to failure (RPE 10)
+const RPE_CHART = [100, 95.5, 92.2, 89.2, 86.3, 83.7, 81.1, 78.6, 76.2, 73.9, 70.7, 68.0];
+
+const rpeChartPercent = (reps) => {
+  const index = Math.floor(reps) - 1;
+  const next = RPE_CHART[Math.min(index + 1, RPE_CHART.length - 1)];
+  return RPE_CHART[index] + (next - RPE_CHART[index]) * (reps - Math.floor(reps));
+};
+
+// 1RM as a multiple of the weight lifted, by reps from 1 to MAX_ESTIMATE_REPS
+const FACTORS = {
+  [ONE_REP_MAX_FORMULAS.EPLEY]: reps => 1 + reps / 30,
+  [ONE_REP_MAX_FORMULAS.BRZYCKI]: reps => 36 / (37 - reps),
+  [ONE_REP_MAX_FORMULAS.LOMBARDI]: reps => reps ** 0.1,
+  [ONE_REP_MAX_FORMULAS.MAYHEW]: reps => 100 / (52.2 + 41.9 * Math.exp(-0.055 * reps)),
+  [ONE_REP_MAX_FORMULAS.WATHAN]: reps => 100 / (48.8 + 53.8 * Math.exp(-0.075 * reps)),
+  [ONE_REP_MAX_FORMULAS.RPE]: reps => 100 / rpeChartPercent(reps)
+};
+
+/**
+ * 1RM as a multiple of the weight lifted for a number of reps
+ * @param {number} reps - Reps; with the RPE chart, reps plus reps in reserve
+ * @param {string} formula - One of ONE_REP_MAX_FORMULAS
+ * @returns {number} Multiplier; 1 for a single, 0 below one rep
+ */
+export const getOneRepMaxFactor = (reps, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  if (!(reps >= 1)) return 0;
+  if (reps === 1) return 1;
+  const factor = FACTORS[formula] || FACTORS[DEFAULT_ONE_REP_MAX_FORMULA];
+  return factor(Math.min(reps, MAX_ESTIMATE_REPS));
+};
+
+// Reps left in reserve of a set; sets without effort data count as to failure
+export const getRepsInReserve = (set) => set.rir ?? (set.rpe != null ? 10 - set.rpe : 0);
+
+/**
+ * Estimated 1RM of a set
+ * @param {{ weight: number, reps: number, rpe?: number, rir?: number }} set -
+ *   Set with the load lifted as its weight
+ * @param {string} formula - One of ONE_REP_MAX_FORMULAS
+ * @returns {number} Estimated 1RM in the set's unit, 0 without weight or reps
+ */
+export const estimateOneRepMax = (set, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  if (!(set.weight > 0)) return 0;
+  const reps = formula === ONE_REP_MAX_FORMULAS.RPE ? set.reps + getRepsInReserve(set) : set.reps;
+  return set.weight * getOneRepMaxFactor(reps, formula);
+};
+
+/**
+ * SQL for the estimated 1RM of a set (aliased "s"). Reps and RPE come in
+ * whole or half steps, so factors looked up per half rep give the same
+ * estimates as estimateOneRepMax.
+ * @param {string} formula - One of ONE_REP_MAX_FORMULAS
+ * @param {string} loadSql - SQL of the load lifted
+ * @returns {string} SQL expression
+ */
+export const oneRepMaxSql = (formula = DEFAULT_ONE_REP_MAX_FORMULA, loadSql = 's.weight') => {
+  const repsSql = formula === ONE_REP_MAX_FORMULAS.RPE ? '(s.reps + COALESCE(s.rir, 10 - s.rpe, 0))' : 's.reps';
+  const steps = [];
+  for (let reps = 1; reps <= MAX_ESTIMATE_REPS; reps += 0.5) {
+    steps.push(`WHEN ${repsSql} <= ${reps} THEN ${getOneRepMaxFactor(reps, formula)}`);
+  }
+  return `(${loadSql}) * CASE WHEN ${repsSql} < 1 THEN 0 ${steps.join(' ')} ` +
+    `ELSE ${getOneRepMaxFactor(MAX_ESTIMATE_REPS, formula)} END`;
+};
+
+export const getOneRepMaxFormula = async (userId) => (
+  (await getData(`${FORMULA_KEY}_${userId}`)) || DEFAULT_ONE_REP_MAX_FORMULA
+);
+
+export const saveOneRepMaxFormula = async (userId, formula) => {
+  await storeData(`${FORMULA_KEY}_${userId}`, formula);
+};
@@ -0,0 +1,195 @@
+/**
+ * Plate calculator for the user's gym setup
+ *
+ * Plates are searched exhaustively over the inventory (plates per side are
+ * half of each count), so loads a greedy fill would miss are still found.
+ * When a weight can't be loaded exactly, the nearest loads below and above
+ * are returned instead. Until the user picks a plate unit, the calculator
+ * follows their weight unit preference.
+ */
+
+import { getData, storeData } from './storage';
+import { WEIGHT_UNITS, convertWeight } from './units';
+
+const SETTINGS_KEY = 'plate_settings';
+
+export const PLATE_UNITS = WEIGHT_UNITS;
+
+export const DEFAULT_BARS = [
+  { id: 'olympic_lb', name: 'Olympic bar', weight: 45, unit: PLATE_UNITS.LB },
+  { id: 'olympic_kg', name: 'Olympic bar', weight: 20, unit: PLATE_UNITS.KG },
+  { id: 'womens_kg', name: "Women's bar", weight: 15, unit: PLATE_UNITS.KG },
+  { id: 'trap_lb', name: 'Trap bar', weight: 55, unit: PLATE_UNITS.LB },
+  { id: 'ez_lb', name: 'EZ bar', weight: 25, unit: PLATE_UNITS.LB }
+];
+
+// Counts are plates owned; each side gets half
+export const DEFAULT_PLATE_INVENTORY = {
+  [PLATE_UNITS.LB]: [
+    { weight: 45, count: 8 },
+    { weight: 35, count: 2 },
+    { weight: 25, count: 4 },
+    { weight: 10, count: 4 },
+    { weight: 5, count: 4 },
+    { weight: 2.5, count: 4 }
+  ],
+  [PLATE_UNITS.KG]: [
+    { weight: 25, count: 8 },
+    { weight: 20, count: 4 },
+    { weight: 15, count: 2 },
+    { weight: 10, count: 4 },
+    { weight: 5, count: 4 },
+    { weight: 2.5, count: 4 },
+    { weight: 1.25, count: 4 }
+  ]
+};
+
+// Bar picked when the plate unit follows the weight unit preference
+const DEFAULT_BAR_IDS = {
+  [PLATE_UNITS.LB]: 'olympic_lb',
+  [PLATE_UNITS.KG]: 'olympic_kg'
+};
+
+export const DEFAULT_PLATE_SETTINGS = {
+  unit: PLATE_UNITS.LB,
+  barId: DEFAULT_BAR_IDS[PLATE_UNITS.LB],
+  bars: DEFAULT_BARS,
+  plates: DEFAULT_PLATE_INVENTORY,
+  collarWeight: 0 // per collar, in the plate unit
+};
+
+// Weights are compared as integers in hundredths to avoid float drift
+const SCALE = 100;
+const toUnits = (weight) => Math.round(weight * SCALE);
+const fromUnits = (units) => units / SCALE;
+const roundWeight = (weight) => Math.round(weight * SCALE) / SCALE;
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Saved plate settings, with defaults filled in
+ * @param {string} weightUnit - The user's weight unit, used until a plate
+ *   unit is saved
+ * @returns {Promise<Object>} Plate settings
+ */
+export const getPlateSettings = async (weightUnit = DEFAULT_PLATE_SETTINGS.unit) => {
+  const stored = await getData(SETTINGS_KEY);
+  return {
+    ...DEFAULT_PLATE_SETTINGS,
+    unit: weightUnit,
+    barId: DEFAULT_BAR_IDS[weightUnit],
+    ...stored,
+    plates: { ...DEFAULT_PLATE_INVENTORY, ...stored?.plates }
+  };
+};
+
+export const savePlateSettings = async (settings) => {
+  await storeData(SETTINGS_KEY, settings);
+};
+
+export const getSelectedBar = (settings) => (
+  settings.bars.find(bar => bar.id === settings.barId) || settings.bars[0]
+);
+
+/**
+ * Bar plus collars, in the plate unit
+ * @param {Object} settings - Plate settings
+ * @returns {number} Weight of the empty bar with collars
+ */
+export const getFixedWeight = (settings) => {
+  const bar = getSelectedBar(settings);
+  const barWeight = bar ? convertWeight(bar.weight, bar.unit, settings.unit) : 0;
+  return roundWeight(barWeight + 2 * (settings.collarWeight || 0));
+};
+
+// Group a list of plate weights into [{ weight, count }], heaviest first
+const groupPlates = (plateUnits) => {
+  const counts = {};
+  plateUnits.forEach(units => {
+    counts[units] = (counts[units] || 0) + 1;
+  });
+  return Object.keys(counts)
+    .map(Number)
+    .sort((a, b) => b - a)
+    .map(units => ({ weight: fromUnits(units), count: counts[units] }));
+};
+
+/**
+ * Every load one side of the bar can take, with the fewest plates for each
+ * @param {Array} inventory - Plates as [{ weight, count }]
+ * @returns {Array} Loads as { perSide, plates }, lightest first
+ */
+export const getAchievableLoads = (inventory) => {
+  const items = [];
+  inventory.forEach(plate => {
+    for (let i = 0; i < Math.floor(plate.count / 2); i++) {
+      items.push(toUnits(plate.weight));
+    }
+  });
+  if (items.length === 0) return [{ perSide: 0, plates: [] }];
+
+  // Search in steps of the largest unit every plate is a multiple of
+  const step = items.reduce(gcd);
+  const max = items.reduce((sum, units) => sum + units, 0) / step;
+  const fewest = new Array(max + 1).fill(null);
+  fewest[0] = [];
+
+  items.forEach(units => {
+    const size = units / step;
+    for (let load = max; load >= size; load--) {
+      const previous = fewest[load - size];
+      if (previous && (!fewest[load] || previous.length + 1 < fewest[load].length)) {
+        fewest[load] = [...previous, units];
+      }
+    }
+  });
+
+  return fewest
+    .map((plates, load) => plates && { perSide: fromUnits(load * step), plates: groupPlates(plates) })
+    .filter(Boolean);
+};
+
+const toResult = (load, fixedWeight) => (load ? {
+  total: roundWeight(fixedWeight + 2 * load.perSide),
+  plates: load.plates
+} : null);
+
+/**
+ * Plates per side for a target weight
+ * @param {number} targetWeight - Total weight, in the plate unit
+ * @param {Object} settings - Plate settings
+ * @returns {{ exact: boolean, total: number|null, plates: Array, below: Object|null,
+ *   above: Object|null }} Plates per side when the weight can be loaded exactly,
+ *   otherwise the nearest loads below and above as { total, plates }
+ */
+export const calculatePlates = (targetWeight, settings) => {
+  const fixedWeight = getFixedWeight(settings);
+  const perSide = toUnits((targetWeight - fixedWeight) / 2);
+  const loads = getAchievableLoads(settings.plates[settings.unit] || []);
+
+  const exact = loads.find(load => toUnits(load.perSide) === perSide);
+  if (exact) {
+    return { exact: true, ...toResult(exact, fixedWeight), below: null, above: null };
+  }
+
+  const below = [...loads].reverse().find(load => toUnits(load.perSide) < perSide);
+  const above = loads.find(load => toUnits(load.perSide) > perSide);
+  return {
+    exact: false,
+    total: null,
+    plates: [],
+    below: toResult(below, fixedWeight),
+    above: toResult(above, fixedWeight)
+  };
+};
+
+/**
+ * Total weight from the plates loaded on each side
+ * @param {Array} platesPerSide - Plates on one side as [{ weight, count }]
+ * @param {Object} settings - Plate settings
+ * @returns {number} Total weight, in the plate unit
+ */
+export const totalFromPlates = (platesPerSide, settings) => {
+  const perSide = platesPerSide.reduce((sum, plate) => sum + plate.weight * plate.count, 0);
+  return roundWeight(getFixedWeight(settings) + 2 * perSide);
+};
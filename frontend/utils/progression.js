@@ -0,0 +1,208 @@
+/**
+ * Progressive overload suggestions
+ *
+ * Each exercise follows a progression scheme picked by the user. The scheme
+ * turns the exercise's last session into today's weight and reps, rounded
+ * to what can actually be loaded on the exercise's equipment. Suggestions
+ * are worked out in the user's weight unit so the increments stay round.
+ */
+
+import { SET_TYPES, getSetType } from './setTypes';
+import { WEIGHT_UNITS, fromKg } from './units';
+import { DEFAULT_ONE_REP_MAX_FORMULA, estimateOneRepMax, getOneRepMaxFactor } from './oneRepMax';
+
+export const PROGRESSION_SCHEMES = {
+  LINEAR: 'linear',
+  DOUBLE: 'double',
+  TRAINING_MAX: 'training_max',
+  RPE: 'rpe'
+};
+
+export const PROGRESSION_SCHEME_OPTIONS = [
+  { scheme: PROGRESSION_SCHEMES.LINEAR, label: 'Linear', description: 'Add weight after every session where all sets hit the target reps' },
+  { scheme: PROGRESSION_SCHEMES.DOUBLE, label: 'Double progression', description: 'Add reps up to the top of the range, then add weight' },
+  { scheme: PROGRESSION_SCHEMES.TRAINING_MAX, label: '% of training max', description: 'Work at a percentage of your training max' },
+  { scheme: PROGRESSION_SCHEMES.RPE, label: 'RPE based', description: 'Pick the weight that should feel like the target RPE' }
+];
+
+export const DEFAULT_PROGRESSION = {
+  scheme: PROGRESSION_SCHEMES.DOUBLE,
+  targetReps: 5, // linear, training max and RPE schemes
+  repRangeMin: 8, // double progression
+  repRangeMax: 12,
+  trainingMax: null, // kg; estimated from history when not set
+  trainingMaxPercent: 75,
+  targetRpe: 8
+};
+
+// Smallest weight jump per equipment, per weight unit
+export const EQUIPMENT_INCREMENTS = {
+  [WEIGHT_UNITS.LB]: {
+    Barbell: 5,
+    'T-Bar': 5,
+    Dumbbells: 5,
+    Cable: 5,
+    Machine: 10,
+    Bodyweight: 0,
+    None: 0
+  },
+  [WEIGHT_UNITS.KG]: {
+    Barbell: 2.5,
+    'T-Bar': 2.5,
+    Dumbbells: 2,
+    Cable: 2.5,
+    Machine: 5,
+    Bodyweight: 0,
+    None: 0
+  }
+};
+const DEFAULT_INCREMENTS = {
+  [WEIGHT_UNITS.LB]: 5,
+  [WEIGHT_UNITS.KG]: 2.5
+};
+
+// Training max as a share of the estimated 1RM when none is set
+const ESTIMATED_TRAINING_MAX_SHARE = 0.9;
+
+/**
+ * Progression settings of an exercise, with defaults filled in
+ * @param {string|Object|null} stored - Stored settings (JSON or object)
+ * @returns {Object} Progression settings
+ */
+export const getProgressionSettings = (stored) => {
+  const settings = typeof stored === 'string' ? JSON.parse(stored) : stored;
+  return { ...DEFAULT_PROGRESSION, ...settings };
+};
+
+export const getEquipmentIncrement = (equipment, unit = WEIGHT_UNITS.KG) => (
+  EQUIPMENT_INCREMENTS[unit]?.[equipment] ?? DEFAULT_INCREMENTS[unit] ?? DEFAULT_INCREMENTS[WEIGHT_UNITS.KG]
+);
+
+/**
+ * Round a weight to the nearest loadable weight
+ * @param {number} weight - Weight to round
+ * @param {number} increment - Smallest weight jump; 0 leaves the weight as is
+ * @returns {number} Rounded weight
+ */
+export const roundToIncrement = (weight, increment) => {
+  if (!increment) return weight;
+  return Math.round(weight / increment) * increment;
+};
+
+/**
+ * Working sets of the most recent session in an exercise history
+ * @param {Array} history - Sets from DatabaseManager.getExerciseHistory, newest first
+ * @returns {Array} Working sets of the last session, in set order
+ */
+export const getLastSessionWorkingSets = (history) => {
+  if (!history || history.length === 0) return [];
+
+  const lastWorkoutId = history[0].workout_id;
+  return history
+    .filter(set => set.workout_id === lastWorkoutId && getSetType(set) !== SET_TYPES.WARMUP)
+    .sort((a, b) => a.set_number - b.set_number);
+};
+
+const getTopSet = (sets) => sets.reduce((best, set) => (
+  set.weight > best.weight || (set.weight === best.weight && set.reps > best.reps) ? set : best
+));
+
+const suggestLinear = (sets, settings, increment, unit) => {
+  const topSet = getTopSet(sets);
+  const targetReps = settings.targetReps || topSet.reps;
+  const success = sets.every(set => set.reps >= targetReps);
+
+  if (!success) {
+    return { weight: topSet.weight, reps: targetReps, reason: `Repeat until every set hits ${targetReps} reps` };
+  }
+  if (!increment) {
+    return { weight: topSet.weight, reps: targetReps + 1, reason: 'All sets done: add a rep' };
+  }
+  return { weight: topSet.weight + increment, reps: targetReps, reason: `All sets hit ${targetReps} reps: add ${increment} ${unit}` };
+};
+
+const suggestDouble = (sets, settings, increment, unit) => {
+  const topSet = getTopSet(sets);
+  const { repRangeMin, repRangeMax } = settings;
+  const workingSets = sets.filter(set => set.weight === topSet.weight);
+  const lowestReps = Math.min(...workingSets.map(set => set.reps));
+
+  if (lowestReps >= repRangeMax && increment) {
+    return { weight: topSet.weight + increment, reps: repRangeMin, reason: `Top of the ${repRangeMin}-${repRangeMax} range: add ${increment} ${unit}` };
+  }
+  return {
+    weight: topSet.weight,
+    reps: Math.min(repRangeMax, Math.max(repRangeMin, lowestReps + 1)),
+    reason: `Add reps within ${repRangeMin}-${repRangeMax}`
+  };
+};
+
+const suggestTrainingMax = (sets, settings, increment, unit, formula) => {
+  let trainingMax = fromKg(settings.trainingMax, unit);
+  let reason = `${settings.trainingMaxPercent}% of training max ${trainingMax} ${unit}`;
+
+  if (!trainingMax) {
+    if (sets.length === 0) return null;
+    const best = Math.max(...sets.map(set => estimateOneRepMax(set, formula)));
+    trainingMax = best * ESTIMATED_TRAINING_MAX_SHARE;
+    reason = `${settings.trainingMaxPercent}% of estimated training max ${Math.round(trainingMax)} ${unit}`;
+  }
+
+  return {
+    weight: roundToIncrement(trainingMax * settings.trainingMaxPercent / 100, increment),
+    reps: settings.targetReps,
+    reason
+  };
+};
+
+const suggestRpe = (sets, settings, increment, formula) => {
+  const topSet = getTopSet(sets);
+  // Sets without effort data count as done at the target RPE; reps left in
+  // reserve count as reps done
+  const reserve = topSet.rir ?? (topSet.rpe != null ? 10 - topSet.rpe : 10 - settings.targetRpe);
+  const oneRepMax = topSet.weight * getOneRepMaxFactor(topSet.reps + reserve, formula);
+  const targetReserve = 10 - settings.targetRpe;
+
+  return {
+    weight: roundToIncrement(oneRepMax / getOneRepMaxFactor(settings.targetReps + targetReserve, formula), increment),
+    reps: settings.targetReps,
+    reason: `${settings.targetReps} reps @ RPE ${settings.targetRpe}`
+  };
+};
+
+/**
+ * Today's suggested weight and reps for an exercise
+ * @param {Array} history - Sets from DatabaseManager.getExerciseHistory, newest first
+ * @param {Object} settings - Progression settings of the exercise
+ * @param {string} equipment - Equipment of the exercise
+ * @param {string} unit - Weight unit of the suggestion
+ * @param {string} formula - 1RM formula of the user
+ * @returns {{ weight: number, reps: number, reason: string }|null} Suggestion
+ *   with its weight in `unit`, or null when there is nothing to base one on
+ */
+export const suggestNextSet = (history, settings, equipment, unit = WEIGHT_UNITS.KG, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  const sets = getLastSessionWorkingSets(history)
+    .map(set => ({ ...set, weight: fromKg(set.weight, unit) }));
+  const increment = getEquipmentIncrement(equipment, unit);
+
+  if (sets.length === 0 && !(settings.scheme === PROGRESSION_SCHEMES.TRAINING_MAX && settings.trainingMax)) {
+    return null;
+  }
+
+  let suggestion;
+  switch (settings.scheme) {
+    case PROGRESSION_SCHEMES.LINEAR:
+      suggestion = suggestLinear(sets, settings, increment, unit);
+      break;
+    case PROGRESSION_SCHEMES.TRAINING_MAX:
+      suggestion = suggestTrainingMax(sets, settings, increment, unit, formula);
+      break;
+    case PROGRESSION_SCHEMES.RPE:
+      suggestion = suggestRpe(sets, settings, increment, formula);
+      break;
+    default:
+      suggestion = suggestDouble(sets, settings, increment, unit);
+  }
+
+  return suggestion && { ...suggestion, weight: roundToIncrement(suggestion.weight, increment) };
+};
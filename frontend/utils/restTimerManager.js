@@ -0,0 +1,143 @@
+/**
+ * Rest timer presets and rest-over notifications
+ *
+ * The rest after a set comes from, in order: the preset for its set type,
+ * the exercise's own preset, then the default rest. A scheduled local
+ * notification tells the user when rest is over while the app is in the
+ * background.
+ */
+
+import * as Notifications from 'expo-notifications';
+import { getData, storeData, removeData } from './storage';
+import { SET_TYPES } from './setTypes';
+
+const SETTINGS_KEY = 'rest_timer_settings';
+// Kept so a notification scheduled before an app restart can still be cancelled
+const NOTIFICATION_ID_KEY = 'rest_notification_id';
+
+export const REST_ADJUST_STEP = 15; // seconds added or removed per tap
+export const REST_PRESET_OPTIONS = [0, 30, 45, 60, 90, 120, 150, 180, 240, 300];
+
+export const DEFAULT_REST_SETTINGS = {
+  autoStart: true,
+  defaultRest: 90,
+  // null falls back to the exercise preset, 0 skips the rest timer
+  setTypeRest: {
+    [SET_TYPES.WARMUP]: 60,
+    [SET_TYPES.WORKING]: null,
+    [SET_TYPES.DROP]: 0,
+    [SET_TYPES.FAILURE]: null,
+    [SET_TYPES.AMRAP]: null,
+    [SET_TYPES.MYO_REP]: 15
+  }
+};
+
+// The in-app timer already vibrates in the foreground
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: false,
+    shouldShowList: false,
+    shouldPlaySound: false,
+    shouldSetBadge: false
+  })
+});
+
+class RestTimerManager {
+  constructor() {
+    this.settings = null;
+    this.notificationId = null;
+    this.permissionRequested = false;
+    this.permissionGranted = false;
+  }
+
+  async getSettings() {
+    if (!this.settings) {
+      const stored = await getData(SETTINGS_KEY);
+      this.settings = {
+        ...DEFAULT_REST_SETTINGS,
+        ...stored,
+        setTypeRest: { ...DEFAULT_REST_SETTINGS.setTypeRest, ...stored?.setTypeRest }
+      };
+    }
+    return this.settings;
+  }
+
+  async updateSettings(updates) {
+    const settings = await this.getSettings();
+    this.settings = {
+      ...settings,
+      ...updates,
+      setTypeRest: { ...settings.setTypeRest, ...updates.setTypeRest }
+    };
+    await storeData(SETTINGS_KEY, this.settings);
+    return this.settings;
+  }
+
+  /**
+   * Rest in seconds after a set
+   * @param {Object} exercise - Workout exercise, with its rest_seconds preset
+   * @param {string} setType - Type of the logged set
+   * @returns {Promise<number>} Rest in seconds; 0 means no rest timer
+   */
+  async getRestDuration(exercise, setType = SET_TYPES.WORKING) {
+    const settings = await this.getSettings();
+    const setTypeRest = settings.setTypeRest[setType];
+
+    if (setTypeRest != null) return setTypeRest;
+    if (exercise?.rest_seconds != null) return exercise.rest_seconds;
+    return settings.defaultRest;
+  }
+
+  async ensurePermission() {
+    if (this.permissionRequested) return this.permissionGranted;
+    this.permissionRequested = true;
+
+    const { status } = await Notifications.getPermissionsAsync();
+    this.permissionGranted = status === 'granted'
+      || (await Notifications.requestPermissionsAsync()).status === 'granted';
+    return this.permissionGranted;
+  }
+
+  /**
+   * Replace any pending rest notification with one firing in the given time
+   * @param {number} seconds - Seconds until rest is over
+   */
+  async scheduleRestEndNotification(seconds) {
+    await this.cancelRestEndNotification();
+    if (seconds <= 0) return;
+
+    try {
+      if (!(await this.ensurePermission())) return;
+
+      this.notificationId = await Notifications.scheduleNotificationAsync({
+        content: {
+          title: 'Rest is over',
+          body: 'Time for your next set',
+          sound: true
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL,
+          seconds
+        }
+      });
+      await storeData(NOTIFICATION_ID_KEY, this.notificationId);
+    } catch (error) {
+      console.error('Error scheduling rest notification:', error);
+    }
+  }
+
+  async cancelRestEndNotification() {
+    const notificationId = this.notificationId || await getData(NOTIFICATION_ID_KEY);
+    if (!notificationId) return;
+
+    this.notificationId = null;
+    try {
+      await removeData(NOTIFICATION_ID_KEY);
+      await Notifications.cancelScheduledNotificationAsync(notificationId);
+    } catch (error) {
+      console.error('Error cancelling rest notification:', error);
+    }
+  }
+}
+
+export default new RestTimerManager();
@@ -117,6 +117,9 @@ class SecureAuthManager {
       // Get current session for logging
       const session = await SecureStorageManager.getSessionData();
       
+      // Revoke the session server-side; local cleanup happens regardless
+      await this.performLogout();
+      
       // Clear all secure data
       await SecureStorageManager.clearAllSecureData();
       
@@ -135,6 +138,29 @@ class SecureAuthManager {
     }
   }
 
+  /**
+   * Ask the backend to revoke the current refresh token session
+   */
+  async performLogout() {
+    try {
+      const token = await SecureStorageManager.getAuthToken();
+      
+      if (!token) {
+        return;
+      }
+
+      await fetch('/api/auth/logout', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        }
+      });
+    } catch (error) {
+      console.error('Server logout failed:', error);
+    }
+  }
+
   /**
    * Get current authentication token
    */
@@ -0,0 +1,80 @@
+/**
+ * Set types and effort (RPE/RIR) helpers
+ */
+
+export const SET_TYPES = {
+  WARMUP: 'warmup',
+  WORKING: 'working',
+  DROP: 'drop',
+  FAILURE: 'failure',
+  AMRAP: 'amrap',
+  MYO_REP: 'myo_rep'
+};
+
+// Display order in the logger, with the short code shown in place of the set number
+export const SET_TYPE_OPTIONS = [
+  { type: SET_TYPES.WORKING, label: 'Working', code: null },
+  { type: SET_TYPES.WARMUP, label: 'Warm-up', code: 'W' },
+  { type: SET_TYPES.DROP, label: 'Drop set', code: 'D' },
+  { type: SET_TYPES.FAILURE, label: 'Failure', code: 'F' },
+  { type: SET_TYPES.AMRAP, label: 'AMRAP', code: 'A' },
+  { type: SET_TYPES.MYO_REP, label: 'Myo-rep', code: 'M' }
+];
+
+export const RPE_OPTIONS = [6, 6.5, 7, 7.5, 8, 8.5, 9, 9.5, 10];
+export const RIR_OPTIONS = [0, 1, 2, 3, 4, 5];
+
+// Warm-ups and drop sets never count as top sets for records
+export const NON_RECORD_SET_TYPES = [SET_TYPES.WARMUP, SET_TYPES.DROP];
+
+// SQL condition on the sets table (aliased "s") for top-set queries
+export const TOP_SET_CONDITION = `s.is_warmup = 0 AND COALESCE(s.set_type, '${SET_TYPES.WORKING}') != '${SET_TYPES.DROP}'`;
+
+/**
+ * Type of a stored set, falling back to is_warmup for sets logged before
+ * set types existed
+ * @param {Object} set - Set row
+ * @returns {string} Set type
+ */
+export const getSetType = (set) => (
+  set.set_type || (set.is_warmup ? SET_TYPES.WARMUP : SET_TYPES.WORKING)
+);
+
+/**
+ * Label shown in the set number column: a type code, or the set number
+ * @param {Object} set - Set row
+ * @returns {string|number} Label
+ */
+export const getSetLabel = (set) => {
+  const option = SET_TYPE_OPTIONS.find(opt => opt.type === getSetType(set));
+  return option?.code || set.set_number;
+};
+
+/**
+ * Next type when cycling through the types with a single button
+ * @param {string} setType - Current set type
+ * @returns {string} Next set type
+ */
+export const getNextSetType = (setType) => {
+  const index = SET_TYPE_OPTIONS.findIndex(opt => opt.type === setType);
+  return SET_TYPE_OPTIONS[(index + 1) % SET_TYPE_OPTIONS.length].type;
+};
+
+/**
+ * Whether a set can set a personal record
+ * @param {Object} set - Set row
+ * @returns {boolean} True for top sets
+ */
+export const isRecordSet = (set) => !NON_RECORD_SET_TYPES.includes(getSetType(set));
+
+/**
+ * Short effort summary such as "RPE 8 · 2 RIR"
+ * @param {Object} set - Set row
+ * @returns {string|null} Summary, or null without effort data
+ */
+export const formatEffort = (set) => {
+  const parts = [];
+  if (set.rpe != null) parts.push(`RPE ${set.rpe}`);
+  if (set.rir != null) parts.push(`${set.rir} RIR`);
+  return parts.length > 0 ? parts.join(' · ') : null;
+};
@@ -0,0 +1,481 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import api from '../api/config';
+import DatabaseManager from './database';
+import ErrorHandler from './errorHandler';
+import { parseSQLiteDate, toSQLiteDateTime } from './dateFormatter';
+import { SET_TYPES, getSetType } from './setTypes';
+import { WEIGHT_UNITS, toKg, fromKg } from './units';
+import { DEFAULT_TRACKING_TYPE } from './trackingTypes';
+
+const PUSH_BATCH_SIZE = 200;
+const PULL_PAGE_SIZE = 100;
+
+// Server categories that map onto a differently named local category
+const LOCAL_CATEGORY_ALIASES = {
+  biceps: 'arms',
+  triceps: 'arms'
+};
+
+/**
+ * Order two writes of the same record. Must stay identical to compareWrites
+ * in backend/utils/sync.js so every device picks the same winner.
+ * @returns {number} > 0 when a wins, < 0 when b wins, 0 for the same write
+ */
+export const compareWrites = (a, b) => {
+  const diff = new Date(a.modifiedAt).getTime() - new Date(b.modifiedAt).getTime();
+  if (diff !== 0) return diff;
+  if (a.deviceId !== b.deviceId) return (a.deviceId || '') > (b.deviceId || '') ? 1 : -1;
+  if (a.op !== b.op) return a.op === 'delete' ? 1 : -1;
+  return 0;
+};
+
+const capitalize = (value) => value ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+
+/**
+ * Two-way sync of workouts and custom exercises with the API.
+ *
+ * Local writes are captured by SQLite triggers into sync_changes (see
+ * DatabaseManager.createSyncTriggers). A sync pushes the compacted queue,
+ * applies the server's version of anything that lost a conflict, then pulls
+ * everything changed since the stored cursor.
+ */
+class SyncManager {
+  constructor() {
+    this.syncPromise = null;
+  }
+
+  // ===== SYNC STATE =====
+  async getState(key) {
+    const row = await DatabaseManager.getFirstAsync('SELECT value FROM sync_state WHERE key = ?', [key]);
+    return row ? row.value : null;
+  }
+
+  async setState(key, value) {
+    await DatabaseManager.runAsync(
+      'INSERT OR REPLACE INTO sync_state (key, value) VALUES (?, ?)',
+      [key, value]
+    );
+  }
+
+  async getDeviceId() {
+    let deviceId = await this.getState('device_id');
+    if (!deviceId) {
+      deviceId = Crypto.randomUUID();
+      await this.setState('device_id', deviceId);
+    }
+    return deviceId;
+  }
+
+  async getLastSyncedAt(userId) {
+    return await this.getState(`last_synced_at:${userId}`);
+  }
+
+  async getPendingCount(userId) {
+    const row = await DatabaseManager.getFirstAsync(
+      'SELECT COUNT(DISTINCT entity_type || sync_id) as count FROM sync_changes WHERE user_id = ? OR user_id IS NULL',
+      [userId]
+    );
+    return row ? row.count : 0;
+  }
+
+  // ===== SYNC =====
+  async sync(userId) {
+    // Concurrent callers share the running sync
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync(userId).finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  }
+
+  async runSync(userId) {
+    try {
+      // Local-only accounts have nothing to sync with
+      const token = await AsyncStorage.getItem('token');
+      if (!token || !userId) {
+        return { success: false, skipped: true };
+      }
+
+      const deviceId = await this.getDeviceId();
+      const pushed = await this.pushChanges(userId, deviceId);
+      const pulled = await this.pullChanges(userId, deviceId);
+
+      await this.setState(`last_synced_at:${userId}`, new Date().toISOString());
+      return { success: true, pushed, pulled };
+    } catch (error) {
+      ErrorHandler.logError(error, { screen: 'Sync', action: 'sync', userId }, 'MEDIUM');
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ===== PUSH =====
+  async pushChanges(userId, deviceId) {
+    let pushed = 0;
+
+    while (true) {
+      const batch = await this.collectPendingChanges(userId);
+      if (batch.length === 0) break;
+
+      const changes = [];
+      for (const pending of batch) {
+        changes.push(await this.buildChange(pending));
+      }
+
+      const response = await api.post('/api/sync/push', { deviceId, changes });
+      const { applied = [], conflicts = [], failed = [] } = response.data;
+
+      // Failed changes stay queued for the next sync
+      const failedKeys = new Set(failed.map(change => `${change.entity}:${change.clientId}`));
+      for (const pending of batch) {
+        if (failedKeys.has(`${pending.entity_type}:${pending.sync_id}`)) continue;
+        await DatabaseManager.runAsync(
+          'DELETE FROM sync_changes WHERE entity_type = ? AND sync_id = ? AND id <= ?',
+          [pending.entity_type, pending.sync_id, pending.id]
+        );
+      }
+
+      // The server kept a newer write; bring it in unless edited again meanwhile
+      for (const conflict of conflicts) {
+        if (await this.shouldApplyRemote(conflict, deviceId)) {
+          await this.applyRemoteChange(conflict, userId);
+        }
+      }
+
+      pushed += applied.length;
+      if (failed.length > 0 || batch.length < PUSH_BATCH_SIZE) break;
+    }
+
+    return pushed;
+  }
+
+  // Latest queued change per record, oldest record first
+  async collectPendingChanges(userId) {
+    return await DatabaseManager.getAllAsync(`
+      SELECT sc.*
+      FROM sync_changes sc
+      JOIN (
+        SELECT MAX(id) as id
+        FROM sync_changes
+        WHERE user_id = ? OR user_id IS NULL
+        GROUP BY entity_type, sync_id
+      ) latest ON latest.id = sc.id
+      ORDER BY sc.id
+      LIMIT ?
+    `, [userId, PUSH_BATCH_SIZE]);
+  }
+
+  async buildChange(pending) {
+    const change = {
+      entity: pending.entity_type,
+      op: 'delete',
+      clientId: pending.sync_id,
+      modifiedAt: pending.changed_at
+    };
+    if (pending.operation === 'delete') return change;
+
+    // Upserts send the record's current state; a missing row means it was deleted
+    if (pending.entity_type === 'workout') {
+      const workout = await DatabaseManager.getFirstAsync('SELECT * FROM workouts WHERE sync_id = ?', [pending.sync_id]);
+      if (workout) {
+        change.op = 'upsert';
+        change.data = await this.serializeWorkout(workout);
+      }
+    } else {
+      const exercise = await DatabaseManager.getFirstAsync(`
+        SELECT e.*, c.name as category_name
+        FROM exercises e
+        LEFT JOIN exercise_categories c ON e.category_id = c.id
+        WHERE e.sync_id = ?
+      `, [pending.sync_id]);
+      if (exercise) {
+        change.op = 'upsert';
+        change.data = this.serializeExercise(exercise);
+      }
+    }
+
+    return change;
+  }
+
+  serializeExercise(exercise) {
+    return {
+      clientId: exercise.sync_id,
+      name: exercise.name,
+      category: exercise.category_name,
+      equipment: exercise.equipment,
+      muscleGroups: exercise.muscle_groups
+        ? exercise.muscle_groups.split(',').map(group => group.trim()).filter(Boolean)
+        : [],
+      instructions: exercise.instructions,
+      trackingType: exercise.tracking_type || DEFAULT_TRACKING_TYPE,
+      isCustom: !!exercise.is_custom
+    };
+  }
+
+  async serializeWorkout(workout) {
+    const entries = await DatabaseManager.getAllAsync(`
+      SELECT we.id as entry_id, we.notes as entry_notes, we.group_id, we.group_type, e.*, c.name as category_name
+      FROM workout_exercises we
+      JOIN exercises e ON we.exercise_id = e.id
+      LEFT JOIN exercise_categories c ON e.category_id = c.id
+      WHERE we.workout_id = ?
+      ORDER BY we.order_index
+    `, [workout.id]);
+
+    const exercises = [];
+    for (const entry of entries) {
+      const sets = await DatabaseManager.getSets(entry.entry_id);
+      exercises.push({
+        exercise: this.serializeExercise(entry),
+        notes: entry.entry_notes,
+        groupId: entry.group_id,
+        groupType: entry.group_type,
+        sets: sets.map(set => ({
+          setNumber: set.set_number,
+          reps: set.reps,
+          // Weights travel in the unit they were entered in
+          weight: fromKg(set.weight, set.weight_unit || WEIGHT_UNITS.KG),
+          weightUnit: set.weight_unit || WEIGHT_UNITS.KG,
+          duration: set.duration,
+          distance: set.distance,
+          isWarmup: !!set.is_warmup,
+          setType: getSetType(set),
+          rpe: set.rpe,
+          rir: set.rir,
+          restTime: set.rest_time,
+          notes: set.notes
+        }))
+      });
+    }
+
+    const startTime = parseSQLiteDate(workout.date);
+    const endTime = workout.is_completed
+      ? new Date(startTime.getTime() + (workout.duration || 0) * 1000)
+      : null;
+
+    return {
+      name: workout.name,
+      startTime: startTime.toISOString(),
+      endTime: endTime ? endTime.toISOString() : null,
+      notes: workout.notes,
+      isCompleted: !!workout.is_completed,
+      exercises
+    };
+  }
+
+  // ===== PULL =====
+  async pullChanges(userId, deviceId) {
+    const cursorKey = `pull_cursor:${userId}`;
+    let since = parseInt(await this.getState(cursorKey), 10) || 0;
+    let pulled = 0;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await api.get('/api/sync/pull', {
+        params: { since, limit: PULL_PAGE_SIZE }
+      });
+      const { changes, cursor } = response.data;
+
+      for (const change of changes) {
+        if (await this.shouldApplyRemote(change, deviceId)) {
+          await this.applyRemoteChange(change, userId);
+          pulled++;
+        }
+      }
+
+      since = cursor;
+      await this.setState(cursorKey, String(since));
+      hasMore = response.data.hasMore;
+    }
+
+    return pulled;
+  }
+
+  async shouldApplyRemote(change, deviceId) {
+    // Our own writes echoed back by the server
+    if (change.deviceId === deviceId) return false;
+
+    const pending = await DatabaseManager.getFirstAsync(
+      'SELECT * FROM sync_changes WHERE entity_type = ? AND sync_id = ? ORDER BY id DESC LIMIT 1',
+      [change.entity, change.clientId]
+    );
+    if (!pending) return true;
+
+    const local = { modifiedAt: pending.changed_at, deviceId, op: pending.operation };
+    return compareWrites(change, local) > 0;
+  }
+
+  async applyRemoteChange(change, userId) {
+    // Keeps the triggers from queueing these writes for push
+    await this.setState('applying_remote', '1');
+    try {
+      if (change.entity === 'workout') {
+        await this.applyRemoteWorkout(change, userId);
+      } else {
+        await this.applyRemoteExercise(change);
+      }
+
+      // The remote write superseded anything still queued for this record
+      await DatabaseManager.runAsync(
+        'DELETE FROM sync_changes WHERE entity_type = ? AND sync_id = ?',
+        [change.entity, change.clientId]
+      );
+    } finally {
+      await this.setState('applying_remote', '0');
+    }
+  }
+
+  async applyRemoteWorkout(change, userId) {
+    const local = await DatabaseManager.getFirstAsync('SELECT id FROM workouts WHERE sync_id = ?', [change.clientId]);
+    // Records of exercises the workout had or now has are rebuilt afterwards
+    const exerciseIds = local ? await DatabaseManager.getWorkoutExerciseIds(local.id) : [];
+
+    if (local) {
+      await DatabaseManager.runAsync(
+        'DELETE FROM sets WHERE workout_exercise_id IN (SELECT id FROM workout_exercises WHERE workout_id = ?)',
+        [local.id]
+      );
+      await DatabaseManager.runAsync('DELETE FROM workout_exercises WHERE workout_id = ?', [local.id]);
+    }
+
+    if (change.op === 'delete') {
+      if (local) {
+        await DatabaseManager.runAsync('DELETE FROM personal_records WHERE workout_id = ?', [local.id]);
+        await DatabaseManager.runAsync('DELETE FROM workouts WHERE id = ?', [local.id]);
+        await DatabaseManager.recalculatePersonalRecords(userId, exerciseIds);
+      }
+      return;
+    }
+
+    const data = change.data;
+    const startTime = new Date(data.startTime);
+    const date = toSQLiteDateTime(startTime);
+    const duration = data.endTime
+      ? Math.max(0, Math.round((new Date(data.endTime).getTime() - startTime.getTime()) / 1000))
+      : 0;
+
+    let workoutId = local ? local.id : null;
+    if (workoutId) {
+      await DatabaseManager.runAsync(
+        'UPDATE workouts SET name = ?, date = ?, duration = ?, notes = ?, is_completed = ? WHERE id = ?',
+        [data.name, date, duration, data.notes || null, data.isCompleted ? 1 : 0, workoutId]
+      );
+    } else {
+      const result = await DatabaseManager.runAsync(
+        'INSERT INTO workouts (user_id, name, date, duration, notes, is_completed, sync_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [userId, data.name, date, duration, data.notes || null, data.isCompleted ? 1 : 0, change.clientId]
+      );
+      workoutId = result.lastInsertRowId;
+    }
+
+    for (let index = 0; index < data.exercises.length; index++) {
+      const entry = data.exercises[index];
+      const exerciseId = await this.resolveLocalExercise(entry.exercise);
+      exerciseIds.push(exerciseId);
+
+      const result = await DatabaseManager.runAsync(
+        'INSERT INTO workout_exercises (workout_id, exercise_id, order_index, notes, group_id, group_type) VALUES (?, ?, ?, ?, ?, ?)',
+        [workoutId, exerciseId, index, entry.notes || null, entry.groupId || null, entry.groupType || null]
+      );
+
+      for (const set of entry.sets || []) {
+        await DatabaseManager.runAsync(
+          'INSERT INTO sets (workout_exercise_id, set_number, weight, weight_unit, reps, duration, distance, is_warmup, set_type, rpe, rir, rest_time, is_completed, notes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)',
+          [
+            result.lastInsertRowId,
+            set.setNumber,
+            toKg(set.weight, set.weightUnit) ?? null,
+            set.weightUnit || WEIGHT_UNITS.KG,
+            set.reps ?? null,
+            set.duration ?? null,
+            set.distance ?? null,
+            set.isWarmup ? 1 : 0,
+            set.setType || (set.isWarmup ? SET_TYPES.WARMUP : SET_TYPES.WORKING),
+            set.rpe ?? null,
+            set.rir ?? null,
+            set.restTime ?? null,
+            set.notes || null
+          ]
+        );
+      }
+    }
+
+    await DatabaseManager.recalculatePersonalRecords(userId, exerciseIds);
+  }
+
+  async applyRemoteExercise(change) {
+    if (change.op === 'delete') {
+      // Exercises still referenced by workouts are kept so history stays intact
+      await DatabaseManager.runAsync(`
+        DELETE FROM exercises
+        WHERE sync_id = ? AND is_custom = 1
+          AND NOT EXISTS (SELECT 1 FROM workout_exercises WHERE exercise_id = exercises.id)
+      `, [change.clientId]);
+      return;
+    }
+
+    const local = await DatabaseManager.getFirstAsync(
+      'SELECT id, is_custom FROM exercises WHERE sync_id = ?',
+      [change.clientId]
+    );
+    if (!local) {
+      await this.insertLocalExercise(change.clientId, change.data);
+      return;
+    }
+
+    // Built-in exercises are identical on every device and never edited
+    if (!local.is_custom) return;
+
+    const data = change.data;
+    const categoryId = await this.findLocalCategoryId(data.category);
+    await DatabaseManager.runAsync(
+      'UPDATE exercises SET name = ?, category_id = COALESCE(?, category_id), muscle_groups = ?, equipment = ?, instructions = ?, tracking_type = COALESCE(?, tracking_type) WHERE id = ?',
+      [
+        data.name,
+        categoryId,
+        (data.muscleGroups || []).join(', '),
+        capitalize(data.equipment),
+        data.instructions || null,
+        data.trackingType || null,
+        local.id
+      ]
+    );
+  }
+
+  async resolveLocalExercise(ref) {
+    const local = await DatabaseManager.getFirstAsync('SELECT id FROM exercises WHERE sync_id = ?', [ref.clientId]);
+    if (local) return local.id;
+    return await this.insertLocalExercise(ref.clientId, ref);
+  }
+
+  async insertLocalExercise(syncId, data) {
+    const categoryId = await this.findLocalCategoryId(data.category);
+    const result = await DatabaseManager.runAsync(
+      'INSERT INTO exercises (name, category_id, muscle_groups, equipment, instructions, tracking_type, is_custom, sync_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [
+        data.name,
+        categoryId,
+        (data.muscleGroups || []).join(', '),
+        capitalize(data.equipment),
+        data.instructions || null,
+        data.trackingType || DEFAULT_TRACKING_TYPE,
+        data.isCustom === false ? 0 : 1,
+        syncId
+      ]
+    );
+    return result.lastInsertRowId;
+  }
+
+  async findLocalCategoryId(category) {
+    if (!category) return null;
+    const name = LOCAL_CATEGORY_ALIASES[category.toLowerCase()] || category.toLowerCase();
+    const row = await DatabaseManager.getFirstAsync(
+      'SELECT id FROM exercise_categories WHERE lower(name) = ?',
+      [name]
+    );
+    return row ? row.id : null;
+  }
+}
+
+export default new SyncManager();
@@ -0,0 +1,101 @@
+/**
+ * Workout template helpers
+ *
+ * A template exercise carries targets (sets, reps, weight). Starting a
+ * workout from a template plans its sets from those targets or from the
+ * sets logged for the exercise last time.
+ */
+
+import { SET_TYPES, getSetType } from './setTypes';
+import { WEIGHT_UNITS, formatWeight, weightInputValue } from './units';
+
+export const PREFILL_SOURCES = {
+  TARGETS: 'targets',
+  LAST_SESSION: 'last_session'
+};
+
+export const DEFAULT_TARGETS = {
+  target_sets: 3,
+  target_reps: 10,
+  target_weight: null
+};
+
+/**
+ * Targets for a template exercise from the sets logged in a workout: the
+ * number of working sets and the heaviest of them
+ * @param {Array} sets - Logged sets of one workout exercise
+ * @returns {Object} target_sets, target_reps and target_weight
+ */
+export const targetsFromSets = (sets) => {
+  const workingSets = sets.filter(set => getSetType(set) !== SET_TYPES.WARMUP);
+  if (workingSets.length === 0) return { ...DEFAULT_TARGETS };
+
+  const topSet = workingSets.reduce((best, set) => (
+    set.weight > best.weight || (set.weight === best.weight && set.reps > best.reps) ? set : best
+  ));
+
+  return {
+    target_sets: workingSets.length,
+    target_reps: topSet.reps,
+    target_weight: topSet.weight
+  };
+};
+
+/**
+ * Planned sets for a template exercise, with weights in kg
+ * @param {Object} templateExercise - Template exercise with its targets
+ * @param {Array} lastSets - Sets logged for the exercise last session
+ * @param {string} source - One of PREFILL_SOURCES; falls back to the
+ *   targets when there is no last session
+ * @returns {Array} Planned sets as { weight, reps, setType }
+ */
+export const buildPlannedSets = (templateExercise, lastSets = [], source = PREFILL_SOURCES.TARGETS) => {
+  if (source === PREFILL_SOURCES.LAST_SESSION && lastSets.length > 0) {
+    return lastSets.map(set => ({
+      weight: set.weight,
+      reps: set.reps,
+      setType: getSetType(set)
+    }));
+  }
+
+  const count = templateExercise.target_sets || 0;
+  return Array.from({ length: count }, () => ({
+    weight: templateExercise.target_weight,
+    reps: templateExercise.target_reps,
+    setType: SET_TYPES.WORKING
+  }));
+};
+
+/**
+ * Set inputs for the next planned set of an exercise
+ * @param {Array} plannedSets - Planned sets of a workout exercise
+ * @param {number} loggedCount - Sets logged so far
+ * @param {string} unit - Weight unit of the logger inputs
+ * @returns {Object|null} Logger inputs, or null once the plan is done
+ */
+export const getNextPlannedInput = (plannedSets, loggedCount, unit = WEIGHT_UNITS.KG) => {
+  const planned = plannedSets?.[loggedCount];
+  if (!planned) return null;
+
+  return {
+    weight: weightInputValue(planned.weight, unit),
+    reps: planned.reps != null ? String(planned.reps) : '',
+    setType: planned.setType || SET_TYPES.WORKING,
+    rpe: null,
+    rir: null
+  };
+};
+
+/**
+ * Short target summary such as "3 × 8 @ 100 kg"
+ * @param {Object} targets - Object with target_sets, target_reps, target_weight (kg)
+ * @param {string} unit - Weight unit to show
+ * @returns {string|null} Summary, or null without targets
+ */
+export const formatTargets = ({ target_sets, target_reps, target_weight }, unit = WEIGHT_UNITS.KG) => {
+  if (!target_sets) return null;
+
+  let summary = `${target_sets} × ${target_reps || '?'}`;
+  if (target_weight) summary += ` @ ${formatWeight(target_weight, unit)}`;
+  return summary;
+};
@@ -0,0 +1,123 @@
+/**
+ * Exercise tracking types
+ *
+ * The tracking type of an exercise decides which fields a set is logged
+ * with. Durations are stored in seconds and distances in km. Bodyweight
+ * types keep the added load or the assistance in the set's weight.
+ */
+
+import { formatWeight } from './units';
+
+export const TRACKING_TYPES = {
+  WEIGHT_REPS: 'weight_reps',
+  REPS: 'reps',
+  TIME: 'time',
+  DISTANCE_TIME: 'distance_time',
+  WEIGHTED_BODYWEIGHT: 'weighted_bodyweight',
+  ASSISTED_BODYWEIGHT: 'assisted_bodyweight'
+};
+
+// Fields are the set inputs shown, in order; required ones must be above 0
+export const TRACKING_TYPE_OPTIONS = [
+  { type: TRACKING_TYPES.WEIGHT_REPS, label: 'Weight & reps', fields: ['weight', 'reps'], required: ['weight', 'reps'] },
+  { type: TRACKING_TYPES.REPS, label: 'Reps only', fields: ['reps'], required: ['reps'] },
+  { type: TRACKING_TYPES.TIME, label: 'Time', fields: ['duration'], required: ['duration'] },
+  { type: TRACKING_TYPES.DISTANCE_TIME, label: 'Distance & time', fields: ['distance', 'duration'], required: ['distance', 'duration'] },
+  { type: TRACKING_TYPES.WEIGHTED_BODYWEIGHT, label: 'Weighted bodyweight', fields: ['weight', 'reps'], required: ['reps'] },
+  { type: TRACKING_TYPES.ASSISTED_BODYWEIGHT, label: 'Assisted bodyweight', fields: ['weight', 'reps'], required: ['weight', 'reps'] }
+];
+
+export const DEFAULT_TRACKING_TYPE = TRACKING_TYPES.WEIGHT_REPS;
+
+export const DISTANCE_UNIT = 'km';
+
+// Types whose sets are loaded with weight; only these get warm-ups,
+// plate math and progression suggestions
+export const LOADED_TRACKING_TYPES = [TRACKING_TYPES.WEIGHT_REPS];
+
+// Built-in exercises that aren't tracked by their equipment or category
+const TIMED_EXERCISES = ['Plank'];
+const WEIGHTED_BODYWEIGHT_EXERCISES = ['Pull-ups', 'Dips'];
+
+/**
+ * Tracking type an exercise starts with
+ * @param {{ name: string, category: string, equipment: string }} exercise -
+ *   Exercise with its category name
+ * @returns {string} Tracking type
+ */
+export const getDefaultTrackingType = ({ name, category, equipment }) => {
+  if (TIMED_EXERCISES.includes(name)) return TRACKING_TYPES.TIME;
+  if (WEIGHTED_BODYWEIGHT_EXERCISES.includes(name)) return TRACKING_TYPES.WEIGHTED_BODYWEIGHT;
+  if (category === 'Cardio') return TRACKING_TYPES.DISTANCE_TIME;
+  if (equipment === 'Bodyweight') return TRACKING_TYPES.REPS;
+  return DEFAULT_TRACKING_TYPE;
+};
+
+export const getTrackingType = (exercise) => exercise?.tracking_type || DEFAULT_TRACKING_TYPE;
+
+export const getTrackingTypeOption = (trackingType) => (
+  TRACKING_TYPE_OPTIONS.find(option => option.type === trackingType) || TRACKING_TYPE_OPTIONS[0]
+);
+
+/**
+ * Seconds as "m:ss", or "h:mm:ss" from an hour up
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export const formatDuration = (seconds) => {
+  const total = Math.round(seconds || 0);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+/**
+ * Seconds from duration input such as "45", "1:30" or "1:02:30"
+ * @param {string} text - Duration input
+ * @returns {number} Seconds, or NaN when the input isn't a duration
+ */
+export const parseDuration = (text) => {
+  const parts = String(text).trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) return NaN;
+  return parts.reduce((seconds, part) => seconds * 60 + parseInt(part, 10), 0);
+};
+
+export const formatDistance = (km) => `${Math.round((km || 0) * 100) / 100} ${DISTANCE_UNIT}`;
+
+// Seconds per km, or null without distance and time
+export const getPace = (set) => (set.distance > 0 && set.duration > 0 ? set.duration / set.distance : null);
+
+// km/h, or null without distance and time
+export const getSpeed = (set) => (set.distance > 0 && set.duration > 0 ? set.distance / (set.duration / 3600) : null);
+
+export const formatPace = (secondsPerKm) => `${formatDuration(secondsPerKm)} /${DISTANCE_UNIT}`;
+
+export const formatSpeed = (kmPerHour) => `${Math.round(kmPerHour * 10) / 10} ${DISTANCE_UNIT}/h`;
+
+/**
+ * A logged set as text for its tracking type, e.g. "60 kg × 5", "1:30",
+ * "5 km in 25:00 (5:00 /km)" or "BW + 10 kg × 8"
+ * @param {Object} set - Set row, weight in kg
+ * @param {string} trackingType - Tracking type of the exercise
+ * @param {string} unit - Weight unit to show
+ * @returns {string} Formatted set
+ */
+export const formatSetPerformance = (set, trackingType, unit) => {
+  switch (trackingType) {
+    case TRACKING_TYPES.REPS:
+      return `${set.reps} reps`;
+    case TRACKING_TYPES.TIME:
+      return formatDuration(set.duration);
+    case TRACKING_TYPES.DISTANCE_TIME: {
+      const pace = getPace(set);
+      return `${formatDistance(set.distance)} in ${formatDuration(set.duration)}${pace ? ` (${formatPace(pace)})` : ''}`;
+    }
+    case TRACKING_TYPES.WEIGHTED_BODYWEIGHT:
+      return set.weight > 0 ? `BW + ${formatWeight(set.weight, unit)} × ${set.reps}` : `BW × ${set.reps}`;
+    case TRACKING_TYPES.ASSISTED_BODYWEIGHT:
+      return `BW − ${formatWeight(set.weight, unit)} × ${set.reps}`;
+    default:
+      return `${formatWeight(set.weight, unit)} × ${set.reps}`;
+  }
+};
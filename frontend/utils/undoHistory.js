@@ -0,0 +1,64 @@
+/**
+ * Undo history of the active workout
+ *
+ * An entry is one user action as a list of changes, e.g. a warm-up ramp is
+ * several added sets and a shift of the planned sets. Every change has an
+ * inverse, so undoing an entry applies the inverses in reverse order and
+ * redoing it applies the changes again. Deleted rows keep their ids and are
+ * put back with them, so later entries still point at the right rows.
+ */
+
+export const CHANGE_TYPES = {
+  ADD_SET: 'add_set',
+  DELETE_SET: 'delete_set',
+  UPDATE_SET: 'update_set',
+  ADD_EXERCISE: 'add_exercise',
+  REMOVE_EXERCISE: 'remove_exercise',
+  UPDATE_EXERCISE: 'update_exercise',
+  PLANNED_SETS: 'planned_sets'
+};
+
+// Entries kept per stack; older ones can no longer be undone
+export const UNDO_LIMIT = 30;
+
+export const UNDO_DIRECTIONS = {
+  DONE: 'done',
+  UNDONE: 'undone',
+  REDONE: 'redone'
+};
+
+/**
+ * The change that reverts a change
+ * @param {Object} change - Change as { type, ... }
+ * @returns {Object} Inverse change
+ */
+export const invertChange = (change) => {
+  switch (change.type) {
+    case CHANGE_TYPES.ADD_SET:
+      return { ...change, type: CHANGE_TYPES.DELETE_SET };
+    case CHANGE_TYPES.DELETE_SET:
+      return { ...change, type: CHANGE_TYPES.ADD_SET };
+    case CHANGE_TYPES.ADD_EXERCISE:
+      return { ...change, type: CHANGE_TYPES.REMOVE_EXERCISE };
+    case CHANGE_TYPES.REMOVE_EXERCISE:
+      return { ...change, type: CHANGE_TYPES.ADD_EXERCISE };
+    case CHANGE_TYPES.UPDATE_SET:
+    case CHANGE_TYPES.UPDATE_EXERCISE:
+    case CHANGE_TYPES.PLANNED_SETS:
+      return { ...change, before: change.after, after: change.before };
+    default:
+      throw new Error(`Unknown undo change: ${change.type}`);
+  }
+};
+
+/**
+ * The entry that reverts an entry; applying it undoes the original
+ * @param {{ label: string, changes: Array }} entry - History entry
+ * @returns {{ label: string, changes: Array }} Inverse entry
+ */
+export const invertEntry = (entry) => ({
+  ...entry,
+  changes: [...entry.changes].reverse().map(invertChange)
+});
+
+export const pushEntry = (stack, entry) => [...stack, entry].slice(-UNDO_LIMIT);
@@ -0,0 +1,89 @@
+/**
+ * Weight units
+ *
+ * Weights are stored in kg. Each set also records the unit it was entered
+ * in, and everything shown to the user is converted to their preferred unit.
+ */
+
+import { getData, storeData } from './storage';
+
+const PREFERENCES_KEY = 'unit_preferences';
+
+export const WEIGHT_UNITS = {
+  KG: 'kg',
+  LB: 'lb'
+};
+
+export const WEIGHT_UNIT_OPTIONS = [
+  { unit: WEIGHT_UNITS.KG, label: 'Kilograms (kg)' },
+  { unit: WEIGHT_UNITS.LB, label: 'Pounds (lb)' }
+];
+
+export const DEFAULT_WEIGHT_UNIT = WEIGHT_UNITS.KG;
+
+export const KG_PER_LB = 0.45359237;
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Convert a weight in the given unit to kg
+ * @param {number|null} value - Weight in `unit`
+ * @param {string} unit - Unit of the weight
+ * @returns {number|null} Weight in kg, unrounded so it converts back exactly
+ */
+export const toKg = (value, unit = WEIGHT_UNITS.KG) => {
+  if (value === null || value === undefined) return value;
+  return unit === WEIGHT_UNITS.LB ? value * KG_PER_LB : value;
+};
+
+/**
+ * Convert a weight in kg to the given unit
+ * @param {number|null} value - Weight in kg
+ * @param {string} unit - Unit to convert to
+ * @returns {number|null} Weight in `unit`, rounded to 2 decimals
+ */
+export const fromKg = (value, unit = WEIGHT_UNITS.KG) => {
+  if (value === null || value === undefined) return value;
+  return round(unit === WEIGHT_UNITS.LB ? value / KG_PER_LB : value);
+};
+
+export const convertWeight = (value, from, to) => (
+  from === to ? value : fromKg(toKg(value, from), to)
+);
+
+/**
+ * A stored weight as text in the given unit, e.g. "60 kg" or "132.5 lb"
+ * @param {number|null} kg - Weight in kg
+ * @param {string} unit - Unit to show
+ * @param {{ decimals?: number, suffix?: boolean }} options - Decimals kept
+ *   (default 1) and whether to append the unit
+ * @returns {string} Formatted weight
+ */
+export const formatWeight = (kg, unit, { decimals = 1, suffix = true } = {}) => {
+  const value = round(fromKg(kg || 0, unit), decimals);
+  const text = value.toLocaleString(undefined, { maximumFractionDigits: decimals });
+  return suffix ? `${text} ${unit}` : text;
+};
+
+// A stored weight as input text in the given unit; blank when unset
+export const weightInputValue = (kg, unit) => (
+  kg === null || kg === undefined || kg === '' ? '' : String(round(fromKg(Number(kg), unit), 1))
+);
+
+/**
+ * Unit preferences of a user
+ * @param {number} userId - Local user id
+ * @param {Object} defaults - Preferences to use when none are saved
+ * @returns {Promise<{ weightUnit: string }>} Preferences
+ */
+export const getUnitPreferences = async (userId, defaults = {}) => {
+  const stored = await getData(`${PREFERENCES_KEY}_${userId}`);
+  return { weightUnit: DEFAULT_WEIGHT_UNIT, ...defaults, ...stored };
+};
+
+export const saveUnitPreferences = async (userId, preferences) => {
+  await storeData(`${PREFERENCES_KEY}_${userId}`, preferences);
+};
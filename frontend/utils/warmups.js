@@ -0,0 +1,86 @@
+/**
+ * Warm-up ramps
+ *
+ * A ramp is a list of steps, each a share of the working weight and a rep
+ * count. Barbell loads are rounded to what the user's bar and plates can
+ * make and never drop below the empty bar, so a 0% step is the bar alone.
+ * Other equipment rounds to its usual weight jump.
+ */
+
+import { getData, storeData } from './storage';
+import { SET_TYPES } from './setTypes';
+import { convertWeight } from './units';
+import { calculatePlates, getFixedWeight } from './plateCalculator';
+import { getEquipmentIncrement, roundToIncrement } from './progression';
+
+const SETTINGS_KEY = 'warmup_settings';
+
+export const DEFAULT_WARMUP_SCHEME = [
+  { percent: 0, reps: 10 },
+  { percent: 40, reps: 5 },
+  { percent: 60, reps: 3 },
+  { percent: 80, reps: 1 }
+];
+
+// Equipment loaded with plates on the user's bar
+const PLATE_LOADED_EQUIPMENT = ['Barbell'];
+
+export const getWarmupScheme = async () => {
+  const stored = await getData(SETTINGS_KEY);
+  return stored?.scheme || DEFAULT_WARMUP_SCHEME;
+};
+
+export const saveWarmupScheme = async (scheme) => {
+  await storeData(SETTINGS_KEY, { scheme });
+};
+
+/**
+ * Short summary of a ramp, e.g. "Bar×10, 40%×5, 60%×3"
+ * @param {Array} scheme - Steps as { percent, reps }
+ * @returns {string} Summary
+ */
+export const formatWarmupScheme = (scheme) => scheme
+  .map(step => `${step.percent > 0 ? `${step.percent}%` : 'Bar'}×${step.reps}`)
+  .join(', ');
+
+// Nearest total the bar and plates can make, the lighter one on a tie
+const roundToPlates = (weight, plateSettings) => {
+  const result = calculatePlates(weight, plateSettings);
+  if (result.exact) return result.total;
+
+  const { below, above } = result;
+  if (!below || !above) return (below || above)?.total ?? weight;
+  return weight - below.total <= above.total - weight ? below.total : above.total;
+};
+
+/**
+ * Warm-up sets leading up to a working weight
+ * @param {number} workingWeight - Working weight, in `unit`
+ * @param {string} unit - Unit of the working weight
+ * @param {Object} options - `scheme` (steps as { percent, reps }), the
+ *   exercise's `equipment` and the user's `plateSettings`
+ * @returns {Array} Sets as { weight, weightUnit, reps, setType }, lightest
+ *   first; barbell weights are in the plate unit. Steps that round onto the
+ *   previous load or up to the working weight are left out.
+ */
+export const generateWarmupSets = (workingWeight, unit, { scheme = DEFAULT_WARMUP_SCHEME, equipment, plateSettings } = {}) => {
+  const usePlates = !!plateSettings && PLATE_LOADED_EQUIPMENT.includes(equipment);
+  const loadUnit = usePlates ? plateSettings.unit : unit;
+  const target = convertWeight(workingWeight, unit, loadUnit);
+  const minimum = usePlates ? getFixedWeight(plateSettings) : 0;
+  const increment = getEquipmentIncrement(equipment, loadUnit);
+
+  const sets = [];
+  [...scheme]
+    .sort((a, b) => a.percent - b.percent)
+    .forEach(step => {
+      const load = target * step.percent / 100;
+      const weight = Math.max(minimum, usePlates ? roundToPlates(load, plateSettings) : roundToIncrement(load, increment));
+      const previous = sets[sets.length - 1];
+      if (weight <= 0 || weight >= target || (previous && weight <= previous.weight)) return;
+
+      sets.push({ weight, weightUnit: loadUnit, reps: step.reps, setType: SET_TYPES.WARMUP });
+    });
+
+  return sets;
+};